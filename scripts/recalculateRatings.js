@@ -0,0 +1,29 @@
+/**
+ * Rebuild every rating from the match history
+ * Usage: npm run recalculate-ratings -- [--dry-run]
+ *   --dry-run  Only print the before/after report, without saving anything
+ */
+
+// Load environment variables first, before any other imports
+require('dotenv').config();
+
+const { connectToDatabase, disconnectFromDatabase } = require('../src/config/database');
+const ratingReplayService = require('../src/services/ratingReplayService');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectToDatabase();
+  try {
+    console.log(`🔁 Recalculating all ratings from the match history${dryRun ? ' (dry run)' : ''}...`);
+    const report = await ratingReplayService.recalculateAllRatings({ dryRun });
+    console.log(ratingReplayService.formatRecalculationReport(report));
+  } finally {
+    await disconnectFromDatabase();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Rating recalculation failed:', error);
+  process.exit(1);
+});
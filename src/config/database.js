@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 
+// Queries and saves made inside runInTransaction() pick up the transaction's session
+// automatically, so services do not have to pass it around
+mongoose.set('transactionAsyncLocalStorage', true);
+
 /**
  * Connect to MongoDB Atlas
  */
@@ -78,7 +82,21 @@ async function disconnectFromDatabase() {
   }
 }
 
+/**
+ * Run database work inside a MongoDB transaction
+ * Every write made by the callback is committed together or not at all. The callback
+ * is retried from the start on transient errors such as a write conflict with another
+ * transaction, so it must read the data it depends on itself.
+ * Transactions need a replica set (MongoDB Atlas clusters are replica sets)
+ * @param {Function} work - Async callback receiving the session
+ * @returns {Promise<*>} Value returned by the callback
+ */
+async function runInTransaction(work) {
+  return await mongoose.connection.transaction(work);
+}
+
 module.exports = {
   connectToDatabase,
-  disconnectFromDatabase
+  disconnectFromDatabase,
+  runInTransaction
 }; 
\ No newline at end of file
@@ -0,0 +1,240 @@
+/**
+ * Bot settings read from environment variables
+ * Values are read on every call so changes to process.env are picked up in tests
+ */
+
+const { DEFAULT_K_SCHEDULE, ELO_SPLIT, MARGIN_CURVE, DEFAULT_MARGIN_SETTINGS } = require('../utils/elo');
+const { RATING_ENGINE, DEFAULT_TAU } = require('../utils/glicko');
+
+const DEFAULT_UNDO_WINDOW_MINUTES = 10;
+const DEFAULT_CONFIRMATION_TIMEOUT_MINUTES = 60;
+const DEFAULT_TEAMS_RECENT_MATCHES = 3;
+const DEFAULT_TEAM_LEADERBOARD_MIN_MATCHES = 5;
+const DEFAULT_PARTNER_MIN_MATCHES = 3;
+
+// How inactive players are shown on the leaderboard
+const INACTIVE_DISPLAY = {
+  MARK: 'mark', // Listed below the active players with a ~ after their name
+  HIDE: 'hide' // Left out of the leaderboard until they play again
+};
+
+const DEFAULT_INACTIVITY_SETTINGS = {
+  days: 30, // Days without a match before a player is marked inactive
+  decayRate: 0, // Share of the distance to the baseline an inactive rating loses per day (0 turns decay off)
+  decayGraceDays: 7, // Days between the "we miss you" nudge and the first decay
+  baseline: 1000, // Rating that decay moves towards
+  display: INACTIVE_DISPLAY.MARK
+};
+
+// What the seasonal soft reset regresses ratings towards
+const SEASON_RESET_TARGET = {
+  BASELINE: 'baseline', // The default rating of 1000
+  MEAN: 'mean' // The average rating of all registered players in the format
+};
+
+const DEFAULT_SEASON_RESET_SETTINGS = {
+  rate: 0, // Share of the distance to the target every rating loses at a season transition (0 turns the reset off)
+  target: SEASON_RESET_TARGET.BASELINE,
+  baseline: 1000
+};
+
+/**
+ * Parse a numeric environment variable
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Value used when the variable is missing or invalid
+ * @returns {number} Parsed number
+ */
+function parseNumber(value, fallback) {
+  const parsed = Number(value);
+  return value === undefined || value === '' || Number.isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * Get usernames of bot administrators
+ * @returns {Array<string>} Admin usernames without the @ prefix
+ */
+function getAdminUsernames() {
+  return (process.env.ADMIN_USERNAMES || '')
+    .split(',')
+    .map(username => username.trim().replace('@', ''))
+    .filter(username => username.length > 0);
+}
+
+/**
+ * Check whether a user is a bot administrator
+ * @param {string} username - Telegram username
+ * @returns {boolean} True if the user is an admin
+ */
+function isAdmin(username) {
+  if (!username) return false;
+  return getAdminUsernames().includes(username.replace('@', ''));
+}
+
+/**
+ * Get how long (in minutes) the recorder of a match may undo it
+ * @returns {number} Undo window in minutes
+ */
+function getUndoWindowMinutes() {
+  return parseNumber(process.env.UNDO_WINDOW_MINUTES, DEFAULT_UNDO_WINDOW_MINUTES);
+}
+
+/**
+ * Get how many recent matches /teams checks for repeated partnerships
+ * @returns {number} Number of matches (0 turns the check off)
+ */
+function getTeamsRecentMatches() {
+  return parseNumber(process.env.TEAMS_RECENT_MATCHES, DEFAULT_TEAMS_RECENT_MATCHES);
+}
+
+/**
+ * Get how many matches together a duo needs to be listed on the team leaderboard
+ * @returns {number} Minimum number of matches
+ */
+function getTeamLeaderboardMinMatches() {
+  return parseNumber(process.env.TEAM_LEADERBOARD_MIN_MATCHES, DEFAULT_TEAM_LEADERBOARD_MIN_MATCHES);
+}
+
+/**
+ * Get how many matches together a partner needs to be picked as best or worst partner in /partners
+ * @returns {number} Minimum number of matches
+ */
+function getPartnerMinMatches() {
+  return parseNumber(process.env.PARTNER_MIN_MATCHES, DEFAULT_PARTNER_MIN_MATCHES);
+}
+
+/**
+ * Check whether recorded matches must be confirmed by the losing team before Elo is applied
+ * @returns {boolean} True unless MATCH_CONFIRMATION_ENABLED is set to "false"
+ */
+function isMatchConfirmationEnabled() {
+  return (process.env.MATCH_CONFIRMATION_ENABLED || 'true').toLowerCase() !== 'false';
+}
+
+/**
+ * Get how long (in minutes) a pending match waits for confirmation before it is auto-confirmed
+ * @returns {number} Confirmation timeout in minutes
+ */
+function getConfirmationTimeoutMinutes() {
+  return parseNumber(process.env.MATCH_CONFIRMATION_TIMEOUT_MINUTES, DEFAULT_CONFIRMATION_TIMEOUT_MINUTES);
+}
+
+/**
+ * Get the K-factor schedule used for Elo changes
+ * Each value can be overridden with an ELO_* environment variable
+ * @returns {Object} K-factor schedule (see DEFAULT_K_SCHEDULE in utils/elo)
+ */
+function getKFactorSchedule() {
+  return {
+    provisionalMatches: parseNumber(process.env.ELO_PROVISIONAL_MATCHES, DEFAULT_K_SCHEDULE.provisionalMatches),
+    provisionalK: parseNumber(process.env.ELO_PROVISIONAL_K, DEFAULT_K_SCHEDULE.provisionalK),
+    k: parseNumber(process.env.ELO_K_FACTOR, DEFAULT_K_SCHEDULE.k),
+    minK: parseNumber(process.env.ELO_MIN_K, DEFAULT_K_SCHEDULE.minK),
+    taperMatches: parseNumber(process.env.ELO_TAPER_MATCHES, DEFAULT_K_SCHEDULE.taperMatches),
+    highRating: parseNumber(process.env.ELO_HIGH_RATING, DEFAULT_K_SCHEDULE.highRating),
+    highRatingK: parseNumber(process.env.ELO_HIGH_RATING_K, DEFAULT_K_SCHEDULE.highRatingK)
+  };
+}
+
+/**
+ * Get how a team's Elo change is shared between teammates
+ * @returns {string} 'rating-share' when ELO_TEAM_SPLIT is set to it, otherwise 'equal'
+ */
+function getEloSplitMode() {
+  const mode = (process.env.ELO_TEAM_SPLIT || '').trim().toLowerCase();
+  return mode === ELO_SPLIT.RATING_SHARE ? ELO_SPLIT.RATING_SHARE : ELO_SPLIT.EQUAL;
+}
+
+/**
+ * Get the margin-of-victory settings for Elo changes
+ * ELO_MOV_CURVE turns the multiplier on ('linear' or 'log'); ELO_MOV_WEIGHT and ELO_MOV_DAMPING tune it
+ * @returns {Object} Margin-of-victory settings (see DEFAULT_MARGIN_SETTINGS in utils/elo)
+ */
+function getMarginSettings() {
+  const curve = (process.env.ELO_MOV_CURVE || '').trim().toLowerCase();
+  return {
+    curve: Object.values(MARGIN_CURVE).includes(curve) ? curve : DEFAULT_MARGIN_SETTINGS.curve,
+    weight: parseNumber(process.env.ELO_MOV_WEIGHT, DEFAULT_MARGIN_SETTINGS.weight),
+    damping: parseNumber(process.env.ELO_MOV_DAMPING, DEFAULT_MARGIN_SETTINGS.damping)
+  };
+}
+
+/**
+ * Get the inactivity settings
+ * Each value can be overridden with an INACTIVITY_* environment variable
+ * @returns {Object} Inactivity settings (see DEFAULT_INACTIVITY_SETTINGS)
+ */
+function getInactivitySettings() {
+  const display = (process.env.INACTIVITY_LEADERBOARD || '').trim().toLowerCase();
+  return {
+    days: parseNumber(process.env.INACTIVITY_DAYS, DEFAULT_INACTIVITY_SETTINGS.days),
+    decayRate: parseNumber(process.env.INACTIVITY_DECAY_RATE, DEFAULT_INACTIVITY_SETTINGS.decayRate),
+    decayGraceDays: parseNumber(process.env.INACTIVITY_DECAY_GRACE_DAYS, DEFAULT_INACTIVITY_SETTINGS.decayGraceDays),
+    baseline: parseNumber(process.env.INACTIVITY_DECAY_BASELINE, DEFAULT_INACTIVITY_SETTINGS.baseline),
+    display: display === INACTIVE_DISPLAY.HIDE ? INACTIVE_DISPLAY.HIDE : INACTIVE_DISPLAY.MARK
+  };
+}
+
+/**
+ * Get the seasonal soft reset settings
+ * SEASON_RESET_RATE sets how far ratings regress (0-1) and SEASON_RESET_TARGET towards what (baseline or mean)
+ * @returns {Object} Soft reset settings (see DEFAULT_SEASON_RESET_SETTINGS)
+ */
+function getSeasonResetSettings() {
+  const target = (process.env.SEASON_RESET_TARGET || '').trim().toLowerCase();
+  const rate = parseNumber(process.env.SEASON_RESET_RATE, DEFAULT_SEASON_RESET_SETTINGS.rate);
+  return {
+    rate: Math.min(Math.max(rate, 0), 1),
+    target: Object.values(SEASON_RESET_TARGET).includes(target) ? target : DEFAULT_SEASON_RESET_SETTINGS.target,
+    baseline: DEFAULT_SEASON_RESET_SETTINGS.baseline
+  };
+}
+
+/**
+ * Get the rating engine players are displayed and ranked by
+ * Elo and Glicko-2 ratings are both kept up to date, so the engine can be switched at any time
+ * @returns {string} 'glicko2' when RATING_ENGINE is set to it, otherwise 'elo'
+ */
+function getRatingEngine() {
+  const engine = (process.env.RATING_ENGINE || '').trim().toLowerCase();
+  return engine === RATING_ENGINE.GLICKO2 ? RATING_ENGINE.GLICKO2 : RATING_ENGINE.ELO;
+}
+
+/**
+ * Check whether players are displayed and ranked by Glicko-2
+ * @returns {boolean} True when the Glicko-2 engine is active
+ */
+function isGlickoActive() {
+  return getRatingEngine() === RATING_ENGINE.GLICKO2;
+}
+
+/**
+ * Get the Glicko-2 system constant (tau), which limits how fast volatility changes
+ * @returns {number} Tau (default: 0.5)
+ */
+function getGlickoTau() {
+  return parseNumber(process.env.GLICKO_TAU, DEFAULT_TAU);
+}
+
+module.exports = {
+  INACTIVE_DISPLAY,
+  DEFAULT_INACTIVITY_SETTINGS,
+  SEASON_RESET_TARGET,
+  DEFAULT_SEASON_RESET_SETTINGS,
+  parseNumber,
+  getAdminUsernames,
+  isAdmin,
+  getUndoWindowMinutes,
+  getTeamsRecentMatches,
+  getTeamLeaderboardMinMatches,
+  getPartnerMinMatches,
+  isMatchConfirmationEnabled,
+  getConfirmationTimeoutMinutes,
+  getKFactorSchedule,
+  getEloSplitMode,
+  getMarginSettings,
+  getInactivitySettings,
+  getSeasonResetSettings,
+  getRatingEngine,
+  isGlickoActive,
+  getGlickoTau
+};
\ No newline at end of file
@@ -1,12 +1,85 @@
 const playerService = require('../services/playerService');
 const matchService = require('../services/matchService');
 const seasonService = require('../services/seasonService');
-const { getCurrentSeason } = require('../utils/elo');
+const ratingReplayService = require('../services/ratingReplayService');
+const ratingHistoryService = require('../services/ratingHistoryService');
+const teamService = require('../services/teamService');
+const { getCurrentSeason, MARGIN_CURVE } = require('../utils/elo');
+const { RATING_ENGINE, formatGlickoRating } = require('../utils/glicko');
+const { formatGoalDifference, formatScore, hasScore } = require('../utils/goals');
+const { findClosestMatches } = require('../utils/fuzzy');
+const { parseResultText, parseMatchupText, parseBackdatedResultText } = require('../utils/resultParser');
+const { MATCH_STATUS } = require('../utils/matchStatus');
+const { RATING_CHANGE_REASON } = require('../utils/ratingHistory');
+const { POSITIONS, parsePosition } = require('../utils/positions');
+const { formatTeamStreak } = require('../utils/teams');
+const { CHART_COLORS, MAX_CHART_PLAYERS, renderEloChart } = require('../utils/eloChart');
+const { MATCH_FORMAT, getMatchFormat, getTeamSize, parseFormat } = require('../utils/matchFormat');
+const {
+  isAdmin,
+  getUndoWindowMinutes,
+  getTeamsRecentMatches,
+  getTeamLeaderboardMinMatches,
+  getPartnerMinMatches,
+  isMatchConfirmationEnabled,
+  getConfirmationTimeoutMinutes,
+  getKFactorSchedule,
+  getMarginSettings,
+  getInactivitySettings,
+  isGlickoActive,
+  INACTIVE_DISPLAY
+} = require('../config/settings');
 const cronService = require('../services/cronService');
+const notificationService = require('../services/notificationService');
+const matchConfirmationService = require('../services/matchConfirmationService');
 
 // TODO: Store match creation state (in production, use Redis or database)
 const matchCreationState = new Map();
 
+// Teams suggested by /teams, by chat, until someone starts a match with them
+const teamSuggestions = new Map();
+
+// How long a /teams suggestion can be started as a match: long enough to play the game first
+const TEAM_SUGGESTION_TTL_MS = 2 * 60 * 60 * 1000;
+
+// Maximum number of digits accepted per team score on the keypad
+const MAX_SCORE_DIGITS = 2;
+
+// Player buttons per page of the selection keyboard (two per row)
+const PLAYERS_PER_PAGE = 10;
+
+// Number of the recorder's last matches used to build the "recent players" page
+const RECENT_MATCHES_LIMIT = 10;
+
+// Usage hint for the one-line /result command
+const RESULT_USAGE = 'Usage: <code>/result @alice @bob beat @carol @dave 10-4</code>\n' +
+  'or <code>/result @alice beat @carol 10-8</code> for 1v1.\n' +
+  'Winners first, then losers and the final score. Usernames and aliases both work.';
+
+// Usage hint for the admin /addmatch command
+const ADDMATCH_USAGE = 'Usage: <code>/addmatch 2024-06-14 12:30 @alice @bob beat @carol @dave 10-4</code>\n' +
+  'The time (UTC) is optional and defaults to 12:00. The rest works like /result.';
+
+// Usage hint for the /predict command
+const PREDICT_USAGE = 'Usage: <code>/predict @alice @bob vs @carol @dave</code>\n' +
+  'or <code>/predict @alice vs @carol</code> for 1v1. Usernames and aliases both work.';
+
+// Usage hint for the /h2h command
+const H2H_USAGE = 'Usage: <code>/h2h @alice @bob</code>\n' +
+  'Shows how two players do against each other and as partners. Usernames and aliases both work.';
+
+// Partners listed in the /partners table, most matches together first
+const PARTNERS_TABLE_SIZE = 10;
+
+// Usage hint for the /teams command
+const TEAMS_USAGE = 'Usage: <code>/teams @alice @bob @carol @dave</code>\n' +
+  'Splits the four players into the fairest two teams. Usernames and aliases both work.\n' +
+  '<code>/teams leaderboard [min matches]</code> ranks the duos that play together.';
+
+// Rating history entries per /history page, by default and at most
+const HISTORY_PAGE_SIZE = 10;
+const MAX_HISTORY_PAGE_SIZE = 25;
+
 // In-memory play session state
 const playSession = {
   invited: [], // usernames
@@ -62,6 +135,7 @@ async function handleMatch(msg) {
   try {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
+    const format = parseFormat(getCommandArgs(msg.text)) || MATCH_FORMAT.DOUBLES;
     
     // Check if there's already a match creation in progress
     if (matchCreationState.has(chatId)) {
@@ -74,27 +148,35 @@ async function handleMatch(msg) {
     // Get all registered players
     const players = await playerService.getAllPlayers();
     
-    if (players.length < 4) {
+    const requiredPlayers = getTeamSize(format) * 2;
+    if (players.length < requiredPlayers) {
       return {
-        text: '❌ <b>Not enough players registered!</b>\n\nAt least 4 players need to be registered to create a match. Use /register to add more players.',
+        text: `❌ <b>Not enough players registered!</b>\n\nAt least ${requiredPlayers} players need to be registered to create a ${format} match. Use /register to add more players.`,
         parse_mode: 'HTML'
       };
     }
     
     // Initialize match creation state
-    matchCreationState.set(chatId, {
+    const state = {
       userId: userId,
       step: 'select_winners',
+      format,
       winners: [],
       losers: [],
+      page: 0,
+      search: '',
+      recentUsernames: await getRecentPlayerUsernames(msg.from.username),
       timestamp: Date.now()
-    });
+    };
+    matchCreationState.set(chatId, state);
     
     // Create inline keyboard for player selection
-    const keyboard = createPlayerSelectionKeyboard(players, []);
+    const keyboard = createPlayerSelectionKeyboard(players, [], getPickerView(state));
+    addFormatToggle(keyboard, state);
     
     return {
-      text: '🏆 <b>Creating New Match</b>\n\nPlease select <b>2 winners</b> for this match:',
+      text: `🏆 <b>Creating New Match</b> (${format})\n\nPlease select <b>${formatTeamCount(state, 'winners')}</b> for this match:` +
+            formatPickerHint(state, players),
       parse_mode: 'HTML',
       reply_markup: {
         inline_keyboard: keyboard
@@ -106,17 +188,92 @@ async function handleMatch(msg) {
   }
 }
 
+/**
+ * Get the arguments typed after a command
+ * @param {string} text - Message text (e.g. "/stats 1v1")
+ * @returns {string} Arguments without the command, or an empty string
+ */
+function getCommandArgs(text) {
+  return (text || '').replace(/^\/\S+\s*/, '').trim();
+}
+
+/**
+ * Get the number of players to select for a team in the current match format
+ * @param {object} state - Match creation state
+ * @param {string} team - 'winners' or 'losers'
+ * @returns {string} Text such as "2 winners" or "1 winner"
+ */
+function formatTeamCount(state, team) {
+  const teamSize = getTeamSize(state.format);
+  return `${teamSize} ${teamSize === 1 ? team.slice(0, -1) : team}`;
+}
+
+/**
+ * Add a button switching between 1v1 and 2v2 while winners are being selected
+ * @param {Array} keyboard - Inline keyboard rows
+ * @param {object} state - Match creation state
+ */
+function addFormatToggle(keyboard, state) {
+  if (state.step !== 'select_winners') return;
+  
+  const otherFormat = state.format === MATCH_FORMAT.SINGLES ? MATCH_FORMAT.DOUBLES : MATCH_FORMAT.SINGLES;
+  keyboard.splice(keyboard.length - 1, 0, [{
+    text: `🔀 Switch to ${otherFormat}`,
+    callback_data: `format_${otherFormat}`
+  }]);
+}
+
+/**
+ * Split the players that can be selected into keyboard pages
+ * A search keeps only players whose username, name or alias contains the text. Without a
+ * search, long lists start with a page of the players from the recorder's last matches.
+ * @param {Array} players - Players that can be selected
+ * @param {object} view - Picker view ({ search, recentUsernames })
+ * @returns {object} Pages of players and whether the first page is the recent players page
+ */
+function getPlayerPages(players, view = {}) {
+  const search = (view.search || '').toLowerCase();
+  const matchingPlayers = search
+    ? players.filter(p => [p.username, p.name, p.alias].some(value => value && value.toLowerCase().includes(search)))
+    : players;
+  
+  const pages = [];
+  for (let i = 0; i < matchingPlayers.length; i += PLAYERS_PER_PAGE) {
+    pages.push(matchingPlayers.slice(i, i + PLAYERS_PER_PAGE));
+  }
+  if (pages.length === 0) {
+    pages.push([]);
+  }
+  
+  const recentPlayers = search ? [] : (view.recentUsernames || [])
+    .map(username => players.find(p => p.username === username))
+    .filter(Boolean)
+    .slice(0, PLAYERS_PER_PAGE);
+  const hasRecentPage = pages.length > 1 && recentPlayers.length > 0;
+  if (hasRecentPage) {
+    pages.unshift(recentPlayers);
+  }
+  
+  return { pages, hasRecentPage };
+}
+
 /**
  * Create inline keyboard for player selection
+ * @param {Array} players - Players that can be selected
+ * @param {Array} selectedPlayers - Players already selected for the team
+ * @param {object} view - Picker view ({ page, search, recentUsernames }), see getPickerView
  */
-function createPlayerSelectionKeyboard(players, selectedPlayers) {
+function createPlayerSelectionKeyboard(players, selectedPlayers, view = {}) {
   const keyboard = [];
   const playersPerRow = 2;
+  const { pages, hasRecentPage } = getPlayerPages(players, view);
+  const page = Math.min(Math.max(view.page || 0, 0), pages.length - 1);
+  const pagePlayers = pages[page];
   
-  for (let i = 0; i < players.length; i += playersPerRow) {
+  for (let i = 0; i < pagePlayers.length; i += playersPerRow) {
     const row = [];
-    for (let j = 0; j < playersPerRow && i + j < players.length; j++) {
-      const player = players[i + j];
+    for (let j = 0; j < playersPerRow && i + j < pagePlayers.length; j++) {
+      const player = pagePlayers[i + j];
       const isSelected = selectedPlayers.some(p => p.username === player.username);
       const buttonText = isSelected ? `✅ ${player.name || player.username}` : player.name || player.username;
       const callbackData = `player_${player.username}`;
@@ -129,6 +286,20 @@ function createPlayerSelectionKeyboard(players, selectedPlayers) {
     keyboard.push(row);
   }
   
+  // Add paging buttons
+  if (pages.length > 1) {
+    const pageLabel = hasRecentPage && page === 0 ? '⭐ Recent' : `${page + 1}/${pages.length}`;
+    const pageRow = [];
+    if (page > 0) {
+      pageRow.push({ text: '◀', callback_data: `page_${page - 1}` });
+    }
+    pageRow.push({ text: pageLabel, callback_data: `page_${page}` });
+    if (page < pages.length - 1) {
+      pageRow.push({ text: '▶', callback_data: `page_${page + 1}` });
+    }
+    keyboard.push(pageRow);
+  }
+  
   // Add control buttons
   const controlRow = [];
   if (selectedPlayers.length > 0) {
@@ -137,6 +308,12 @@ function createPlayerSelectionKeyboard(players, selectedPlayers) {
       callback_data: 'reset_selection'
     });
   }
+  if (view.search) {
+    controlRow.push({
+      text: '✖️ Clear search',
+      callback_data: 'search_clear'
+    });
+  }
   // Always add Cancel button
   controlRow.push({
     text: '❌ Cancel',
@@ -150,6 +327,296 @@ function createPlayerSelectionKeyboard(players, selectedPlayers) {
   return keyboard;
 }
 
+/**
+ * Get the page and search of the player selection keyboard from the wizard state
+ * @param {object} state - Match creation state
+ * @returns {object} Picker view ({ page, search, recentUsernames })
+ */
+function getPickerView(state) {
+  return {
+    page: state.page || 0,
+    search: state.search || '',
+    recentUsernames: state.recentUsernames || []
+  };
+}
+
+/**
+ * Describe the active search, or tell users of long player lists that they can search
+ * @param {object} state - Match creation state
+ * @param {Array} players - Players that can be selected
+ * @returns {string} HTML line to append to the selection message, or an empty string
+ */
+function formatPickerHint(state, players) {
+  if (state.search) {
+    const { pages } = getPlayerPages(players, getPickerView(state));
+    return pages[0].length > 0
+      ? `\n\n🔎 Search: <b>${escapeHtml(state.search)}</b>`
+      : `\n\n🔎 No players match <b>${escapeHtml(state.search)}</b>.`;
+  }
+  return players.length > PLAYERS_PER_PAGE ? '\n\n<i>🔎 Type part of a name to search.</i>' : '';
+}
+
+/**
+ * Get the usernames of the recorder and the players of their last matches, most recent first
+ * @param {string} username - Username of the player recording the match
+ * @returns {Promise<Array>} Usernames for the "recent players" page
+ */
+async function getRecentPlayerUsernames(username) {
+  if (!username) return [];
+  
+  try {
+    const matches = await matchService.getPlayerMatches(username, RECENT_MATCHES_LIMIT);
+    if (matches.length === 0) return [];
+    
+    const usernames = [username.replace('@', '')];
+    matches.forEach(match => {
+      match.players.forEach(p => {
+        if (p.username && !usernames.includes(p.username)) usernames.push(p.username);
+      });
+    });
+    return usernames;
+  } catch (error) {
+    // Recorders who are not registered have no matches to take players from
+    return [];
+  }
+}
+
+/**
+ * Show the player selection keyboard for the team currently being selected
+ * @param {object} state - Match creation state
+ */
+async function showPlayerPicker(state) {
+  const players = await playerService.getAllPlayers();
+  const isWinnersStep = state.step === 'select_winners';
+  const selection = isWinnersStep ? state.winners : state.losers;
+  const availablePlayers = isWinnersStep
+    ? players
+    : players.filter(p => !state.winners.some(w => w.username === p.username));
+  
+  const keyboard = createPlayerSelectionKeyboard(availablePlayers, selection, getPickerView(state));
+  addFormatToggle(keyboard, state);
+  if (isWinnersStep && selection.length === getTeamSize(state.format)) {
+    keyboard.push([{
+      text: '➡️ Continue',
+      callback_data: 'continue_selection'
+    }]);
+  }
+  
+  const stepText = formatTeamCount(state, isWinnersStep ? 'winners' : 'losers');
+  const selectedText = selection.map(p => p.name || p.username).join(', ');
+  
+  return {
+    text: `${getWizardTitle(state)}\n\nPlease select <b>${stepText}</b> for this match:\n\nSelected: ${selectedText || 'None'}` +
+          formatPickerHint(state, availablePlayers),
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: keyboard
+    }
+  };
+}
+
+/**
+ * Create inline numeric keypad for score entry
+ */
+function createScoreKeyboard() {
+  const keyboard = [];
+  const digitRows = [['1', '2', '3'], ['4', '5', '6'], ['7', '8', '9']];
+  
+  digitRows.forEach(row => {
+    keyboard.push(row.map(digit => ({
+      text: digit,
+      callback_data: `score_digit_${digit}`
+    })));
+  });
+  
+  keyboard.push([
+    { text: '⌫', callback_data: 'score_backspace' },
+    { text: '0', callback_data: 'score_digit_0' },
+    { text: '✅ OK', callback_data: 'score_next' }
+  ]);
+  keyboard.push([{ text: '❌ Cancel', callback_data: 'cancel_match_creation' }]);
+  
+  return keyboard;
+}
+
+/**
+ * Create the score entry message with keypad for the current match creation state
+ * @param {object} state - Match creation state
+ * @param {string} warning - Optional validation message to show above the score
+ */
+function createScoreEntryResponse(state, warning = null) {
+  const formatField = (field) => {
+    const value = state.scoreInput[field] || '_';
+    return state.scoreField === field ? `<b>${value}</b> ✏️` : value;
+  };
+  
+  let text = `${getWizardTitle(state)}\n\n` +
+             `Winners: ${state.winners.map(p => p.name || p.username).join(', ')}\n` +
+             `Losers: ${state.losers.map(p => p.name || p.username).join(', ')}\n\n`;
+  if (state.prediction) {
+    text += `🔮 <b>Prediction</b>\n${formatPrediction(state.prediction)}\n\n`;
+  }
+  text += `<b>Enter the final score</b> (${state.scoreField === 'winners' ? 'winners' : 'losers'} goals):\n\n` +
+          `Winners: ${formatField('winners')}\n` +
+          `Losers: ${formatField('losers')}`;
+  
+  if (warning) {
+    text += `\n\n⚠️ ${warning}`;
+  }
+  
+  return {
+    text,
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: createScoreKeyboard()
+    }
+  };
+}
+
+/**
+ * Move match creation to the score entry step
+ * New matches show the prediction for the chosen teams, so the recorder sees the stakes before saving
+ * @param {object} state - Match creation state
+ */
+async function startScoreEntry(state) {
+  state.step = 'enter_score';
+  state.scoreField = 'winners';
+  state.scoreInput = { winners: '', losers: '' };
+  state.timestamp = Date.now(); // Reset timestamp
+  if (state.mode !== 'edit') {
+    state.prediction = await matchService.predictMatch(
+      state.winners.map(p => p.username),
+      state.losers.map(p => p.username)
+    );
+  }
+  
+  return createScoreEntryResponse(state);
+}
+
+/**
+ * Create the position step message asking who played attack for the current team
+ * @param {object} state - Match creation state
+ */
+function createPositionSelectionResponse(state) {
+  const team = state.positionTeam;
+  const teamPlayers = state[team];
+  const teamLabel = team === 'winners' ? 'winners' : 'losers';
+  
+  const keyboard = [
+    teamPlayers.map(p => ({
+      text: `⚔️ ${p.name || p.username}`,
+      callback_data: `position_attack_${p.username}`
+    })),
+    [{ text: '⏭ Skip positions', callback_data: 'position_skip' }],
+    [{ text: '❌ Cancel', callback_data: 'cancel_match_creation' }]
+  ];
+  
+  return {
+    text: `🏆 <b>Creating New Match</b>\n\n` +
+          `Winners: ${state.winners.map(p => p.name || p.username).join(', ')}\n` +
+          `Losers: ${state.losers.map(p => p.name || p.username).join(', ')}\n\n` +
+          `Who played <b>attack</b> for the ${teamLabel}? The other player is recorded as defence.\n` +
+          `<i>This step is optional.</i>`,
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: keyboard
+    }
+  };
+}
+
+/**
+ * Move match creation to the optional position step
+ * @param {object} state - Match creation state
+ */
+function startPositionSelection(state) {
+  state.step = 'select_positions';
+  state.positionTeam = 'winners';
+  state.positions = {};
+  state.timestamp = Date.now(); // Reset timestamp
+  
+  return createPositionSelectionResponse(state);
+}
+
+/**
+ * Continue after both teams are chosen: 2v2 matches ask for positions, 1v1 go straight to the score
+ * When editing a match, the new teams are shown in the edit menu instead
+ * @param {object} state - Match creation state
+ */
+function startTeamDetails(state) {
+  if (state.mode === 'edit') {
+    return showMatchEditMenu(state);
+  }
+  return state.format === MATCH_FORMAT.SINGLES ? startScoreEntry(state) : startPositionSelection(state);
+}
+
+/**
+ * Create the wizard step of a match started from /teams: the teams are set, only the winning side is asked
+ * @param {object} state - Match creation state with the suggested teams
+ */
+function createWinnerSideResponse(state) {
+  const teamName = (team) => team.map(p => p.name || p.username).join(' + ');
+  const [team1, team2] = state.teams;
+  
+  return {
+    text: `🏆 <b>Creating New Match</b> (${state.format})\n\n` +
+          `🔵 ${teamName(team1)}\n` +
+          `🔴 ${teamName(team2)}\n\n` +
+          `Which team <b>won</b>?`,
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: `🏆 ${teamName(team1)}`, callback_data: 'side_1' }],
+        [{ text: `🏆 ${teamName(team2)}`, callback_data: 'side_2' }],
+        [{ text: '❌ Cancel', callback_data: 'cancel_match_creation' }]
+      ]
+    }
+  };
+}
+
+/**
+ * Get the heading of wizard messages
+ * @param {object} state - Match creation state
+ * @returns {string} HTML heading
+ */
+function getWizardTitle(state) {
+  return state.mode === 'edit' ? '✏️ <b>Editing Match</b>' : '🏆 <b>Creating New Match</b>';
+}
+
+/**
+ * Return to the /editmatch menu showing the corrected match
+ * @param {object} state - Match edit state
+ */
+function showMatchEditMenu(state) {
+  state.step = 'edit_menu';
+  state.timestamp = Date.now(); // Reset timestamp
+  
+  const scoreText = state.score
+    ? `${state.score.winners}–${state.score.losers}`
+    : `not recorded${state.isDryWin ? ' (dry win)' : ''}`;
+  
+  return {
+    text: `✏️ <b>Editing Match</b> <code>${state.matchId}</code>\n\n` +
+          `Winners: ${state.winners.map(p => p.name || p.username).join(', ')}\n` +
+          `Losers: ${state.losers.map(p => p.name || p.username).join(', ')}\n` +
+          `Score: ${scoreText}\n\n` +
+          `Choose what to change, then save. Elo is recalculated for this match and every later one.`,
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: '👥 Change players', callback_data: 'edit_players' },
+          { text: '🔁 Swap winner side', callback_data: 'edit_swap' }
+        ],
+        [{ text: '⚽ Change score', callback_data: 'edit_score' }],
+        [
+          { text: '💾 Save changes', callback_data: 'edit_save' },
+          { text: '❌ Cancel', callback_data: 'cancel_match_creation' }
+        ]
+      ]
+    }
+  };
+}
+
 /**
  * Handle player selection callback
  * @param {object} callbackQuery - Telegram callback query
@@ -186,14 +653,50 @@ async function handlePlayerSelection(callbackQuery, bot = null) {
         state.losers = [];
       }
       
-      const players = await playerService.getAllPlayers();
-      const currentSelection = state.step === 'select_winners' ? state.winners : state.losers;
-      const keyboard = createPlayerSelectionKeyboard(players, currentSelection);
+      return await showPlayerPicker(state);
+    }
+    
+    // Page through the player keyboard or drop the typed search
+    if (data.startsWith('page_') || data === 'search_clear') {
+      if (state.step !== 'select_winners' && state.step !== 'select_losers') {
+        return {
+          text: '❌ <b>Invalid action!</b>\n\nPlease complete the match creation process.',
+          parse_mode: 'HTML'
+        };
+      }
+      
+      if (data === 'search_clear') {
+        state.search = '';
+        state.page = 0;
+      } else {
+        state.page = parseInt(data.replace('page_', ''), 10) || 0;
+      }
+      state.timestamp = Date.now(); // Reset timestamp
+      
+      return await showPlayerPicker(state);
+    }
+    
+    // Switch between 1v1 and 2v2 before any losers are chosen
+    if (data.startsWith('format_')) {
+      const format = parseFormat(data.replace('format_', ''));
+      if (!format || state.step !== 'select_winners') {
+        return {
+          text: '❌ <b>Invalid action!</b>\n\nPlease complete the match creation process.',
+          parse_mode: 'HTML'
+        };
+      }
       
-      const stepText = state.step === 'select_winners' ? '2 winners' : '2 losers';
+      state.format = format;
+      state.winners = [];
+      state.timestamp = Date.now(); // Reset timestamp
+      
+      const players = await playerService.getAllPlayers();
+      const keyboard = createPlayerSelectionKeyboard(players, [], getPickerView(state));
+      addFormatToggle(keyboard, state);
       
       return {
-        text: `🏆 <b>Creating New Match</b>\n\nPlease select <b>${stepText}</b> for this match:`,
+        text: `${getWizardTitle(state)} (${format})\n\nPlease select <b>${formatTeamCount(state, 'winners')}</b> for this match:` +
+              formatPickerHint(state, players),
         parse_mode: 'HTML',
         reply_markup: {
           inline_keyboard: keyboard
@@ -205,7 +708,7 @@ async function handlePlayerSelection(callbackQuery, bot = null) {
     if (data === 'cancel_match_creation') {
       matchCreationState.delete(chatId);
       return {
-        text: '❌ <b>Match creation cancelled.</b>',
+        text: state.mode === 'edit' ? '❌ <b>Match edit cancelled.</b>' : '❌ <b>Match creation cancelled.</b>',
         parse_mode: 'HTML'
       };
     }
@@ -221,6 +724,7 @@ async function handlePlayerSelection(callbackQuery, bot = null) {
         };
       }
       
+      const teamSize = getTeamSize(state.format);
       const currentSelectionForPlayer = state.step === 'select_winners' ? state.winners : state.losers;
       const isAlreadySelected = currentSelectionForPlayer.some(p => p.username === player.username);
       
@@ -234,17 +738,17 @@ async function handlePlayerSelection(callbackQuery, bot = null) {
       } else {
         // Add player to selection
         if (state.step === 'select_winners') {
-          if (state.winners.length >= 2) {
+          if (state.winners.length >= teamSize) {
             return {
-              text: '❌ <b>Maximum 2 winners selected!</b>\n\nPlease deselect a player first.',
+              text: `❌ <b>Maximum ${formatTeamCount(state, 'winners')} selected!</b>\n\nPlease deselect a player first.`,
               parse_mode: 'HTML'
             };
           }
           state.winners.push(player);
         } else {
-          if (state.losers.length >= 2) {
+          if (state.losers.length >= teamSize) {
             return {
-              text: '❌ <b>Maximum 2 losers selected!</b>\n\nPlease deselect a player first.',
+              text: `❌ <b>Maximum ${formatTeamCount(state, 'losers')} selected!</b>\n\nPlease deselect a player first.`,
               parse_mode: 'HTML'
             };
           }
@@ -252,77 +756,31 @@ async function handlePlayerSelection(callbackQuery, bot = null) {
         }
       }
       
-      // Update keyboard
-      const players = await playerService.getAllPlayers();
-      const currentSelectionForKeyboard = state.step === 'select_winners' ? state.winners : state.losers;
-      
-      // Filter available players based on current step
-      let availablePlayers = players;
-      if (state.step === 'select_losers') {
-        // For losers selection, exclude winners and already selected losers
-        availablePlayers = players.filter(p => 
-          !state.winners.some(w => w.username === p.username) &&
-          !state.losers.some(l => l.username === p.username)
-        );
-      }
+      // A search only helps find one player, so the next pick starts from the full list again
+      state.search = '';
+      state.timestamp = Date.now(); // Reset timestamp
       
-      const keyboard = createPlayerSelectionKeyboard(availablePlayers, currentSelectionForKeyboard);
-      
-      // Add continue button if 2 players selected
-      if (currentSelectionForKeyboard.length === 2) {
-        // If we're selecting losers and have 2 losers, move to dry win question
-        if (state.step === 'select_losers') {
-          // Move to dry win question
-          state.step = 'ask_dry_win';
-          state.timestamp = Date.now(); // Reset timestamp
-          
-          const keyboard = [
-            [
-              { text: '✅ Yes, it was a dry win', callback_data: 'dry_win_yes' },
-              { text: '❌ No, it was not a dry win', callback_data: 'dry_win_no' }
-            ],
-            [{ text: '❌ Cancel', callback_data: 'cancel_match_creation' }]
-          ];
-          
-          return {
-            text: `🏆 <b>Creating New Match</b>\n\nWinners: ${state.winners.map(p => p.name || p.username).join(', ')}\nLosers: ${state.losers.map(p => p.name || p.username).join(', ')}\n\n<b>Was this a dry win?</b>\n(A dry win means the losing team scored 0 goals)`,
-            parse_mode: 'HTML',
-            reply_markup: {
-              inline_keyboard: keyboard
-            }
-          };
-        } else {
-          // For winners selection, show continue button
-          keyboard.push([{
-            text: '➡️ Continue',
-            callback_data: 'continue_selection'
-          }]);
-        }
+      // Once the losing team is complete, move to positions (2v2) or the score
+      if (state.step === 'select_losers' && state.losers.length === teamSize) {
+        return startTeamDetails(state);
       }
       
-      const stepText = state.step === 'select_winners' ? '2 winners' : '2 losers';
-      const selectedText = currentSelectionForKeyboard.map(p => p.name || p.username).join(', ');
-      
-      return {
-        text: `🏆 <b>Creating New Match</b>\n\nPlease select <b>${stepText}</b> for this match:\n\nSelected: ${selectedText || 'None'}`,
-        parse_mode: 'HTML',
-        reply_markup: {
-          inline_keyboard: keyboard
-        }
-      };
+      return await showPlayerPicker(state);
     }
     
     if (data === 'continue_selection') {
       if (state.step === 'select_winners') {
-        if (state.winners.length !== 2) {
+        if (state.winners.length !== getTeamSize(state.format)) {
           return {
-            text: '❌ <b>Please select exactly 2 winners!</b>',
+            text: `❌ <b>Please select exactly ${formatTeamCount(state, 'winners')}!</b>`,
             parse_mode: 'HTML'
           };
         }
         
         // Move to losers selection
         state.step = 'select_losers';
+        state.page = 0;
+        state.search = '';
         state.timestamp = Date.now(); // Reset timestamp
         
         const players = await playerService.getAllPlayers();
@@ -330,103 +788,156 @@ async function handlePlayerSelection(callbackQuery, bot = null) {
           !state.winners.some(w => w.username === p.username)
         );
         
-        const keyboard = createPlayerSelectionKeyboard(availablePlayers, []);
+        const keyboard = createPlayerSelectionKeyboard(availablePlayers, [], getPickerView(state));
         
         return {
-          text: `🏆 <b>Creating New Match</b>\n\nWinners selected: ${state.winners.map(p => p.name || p.username).join(', ')}\n\nPlease select <b>2 losers</b> for this match:`,
+          text: `${getWizardTitle(state)}\n\nWinners selected: ${state.winners.map(p => p.name || p.username).join(', ')}\n\nPlease select <b>${formatTeamCount(state, 'losers')}</b> for this match:` +
+                formatPickerHint(state, availablePlayers),
           parse_mode: 'HTML',
           reply_markup: {
             inline_keyboard: keyboard
           }
         };
       } else if (state.step === 'select_losers') {
-        if (state.losers.length !== 2) {
+        if (state.losers.length !== getTeamSize(state.format)) {
           return {
-            text: '❌ <b>Please select exactly 2 losers!</b>',
+            text: `❌ <b>Please select exactly ${formatTeamCount(state, 'losers')}!</b>`,
             parse_mode: 'HTML'
           };
         }
         
-        // Move to dry win question
-        state.step = 'ask_dry_win';
-        state.timestamp = Date.now(); // Reset timestamp
-        
-        const keyboard = [
-          [
-            { text: '✅ Yes, it was a dry win', callback_data: 'dry_win_yes' },
-            { text: '❌ No, it was not a dry win', callback_data: 'dry_win_no' }
-          ],
-          [{ text: '❌ Cancel', callback_data: 'cancel_match_creation' }]
-        ];
-        
+        return startTeamDetails(state);
+      }
+    }
+    
+    // Teams suggested by /teams only need the winning side
+    if (data.startsWith('side_')) {
+      if (state.step !== 'select_winner_side') {
         return {
-          text: `🏆 <b>Creating New Match</b>\n\nWinners: ${state.winners.map(p => p.name || p.username).join(', ')}\nLosers: ${state.losers.map(p => p.name || p.username).join(', ')}\n\n<b>Was this a dry win?</b>\n(A dry win means the losing team scored 0 goals)`,
-          parse_mode: 'HTML',
-          reply_markup: {
-            inline_keyboard: keyboard
-          }
+          text: '❌ <b>Invalid action!</b>\n\nPlease complete the match creation process.',
+          parse_mode: 'HTML'
         };
       }
+      
+      const [team1, team2] = state.teams;
+      const team1Won = data === 'side_1';
+      state.winners = team1Won ? team1 : team2;
+      state.losers = team1Won ? team2 : team1;
+      state.timestamp = Date.now(); // Reset timestamp
+      
+      return startTeamDetails(state);
     }
     
-    // Handle dry win selection
-    if (data === 'dry_win_yes' || data === 'dry_win_no') {
-      if (state.step !== 'ask_dry_win') {
+    // Handle optional attack/defence selection
+    if (data.startsWith('position_')) {
+      if (state.step !== 'select_positions') {
         return {
           text: '❌ <b>Invalid action!</b>\n\nPlease complete the match creation process.',
           parse_mode: 'HTML'
         };
       }
       
-      const isDryWin = data === 'dry_win_yes';
+      if (data === 'position_skip') {
+        return startScoreEntry(state);
+      }
       
-      // Record the match
-      const winnerUsernames = state.winners.map(p => p.username);
-      const loserUsernames = state.losers.map(p => p.username);
+      const team = state.positionTeam;
+      const attackerUsername = data.replace('position_attack_', '');
+      const attacker = state[team].find(p => p.username === attackerUsername);
+      if (!attacker) {
+        return createPositionSelectionResponse(state);
+      }
       
-      const result = await matchService.recordMatch(winnerUsernames, loserUsernames, 1, isDryWin);
+      const defender = state[team].find(p => p.username !== attackerUsername);
+      state.positions[team] = { attack: attacker.username, defence: defender.username };
+      state.timestamp = Date.now(); // Reset timestamp
       
-      // Clear the state
-      matchCreationState.delete(chatId);
+      if (team === 'winners') {
+        state.positionTeam = 'losers';
+        return createPositionSelectionResponse(state);
+      }
       
-      const { match: matchRecord, eloResult } = result;
+      return startScoreEntry(state);
+    }
+    
+    // Handle score keypad input
+    if (data.startsWith('score_')) {
+      if (state.step !== 'enter_score') {
+        return {
+          text: '❌ <b>Invalid action!</b>\n\nPlease complete the match creation process.',
+          parse_mode: 'HTML'
+        };
+      }
       
-      // Format Elo changes with + or - sign
-      const formatEloChange = (change) => change >= 0 ? `+${change}` : `${change}`;
+      state.timestamp = Date.now(); // Reset timestamp
+      const field = state.scoreField;
       
-      const dryWinText = isDryWin ? ' (Dry Win)' : '';
-      const matchNotification = `🏆 <b>New Match Recorded!</b>${dryWinText}\n\n` +
-              `<b>Teams:</b>\n` +
-              `Winners: @${matchRecord.winners[0].username} + @${matchRecord.winners[1].username}\n` +
-              `Losers: @${matchRecord.losers[0].username} + @${matchRecord.losers[1].username}\n\n` +
-              `📊 <b>Elo Changes:</b>\n` +
-              `Winners: ${formatEloChange(eloResult.team1Changes[0])}, ${formatEloChange(eloResult.team1Changes[1])}\n` +
-              `Losers: ${formatEloChange(eloResult.team2Changes[0])}, ${formatEloChange(eloResult.team2Changes[1])}`;
+      if (data.startsWith('score_digit_')) {
+        const digit = data.replace('score_digit_', '');
+        if (state.scoreInput[field].length < MAX_SCORE_DIGITS) {
+          // Avoid leading zeros (e.g. "07")
+          state.scoreInput[field] = state.scoreInput[field] === '0' ? digit : state.scoreInput[field] + digit;
+        }
+        return createScoreEntryResponse(state);
+      }
       
-      // Send notification to all users with chatId
-      if (bot) {
-        const players = await playerService.getAllPlayers();
-        const usersWithChatId = players.filter(p => p.chatId);
-        const matchParticipants = [...winnerUsernames, ...loserUsernames];
-        
-        for (const player of usersWithChatId) {
-          // Skip sending notification to players who participated in this match
-          if (matchParticipants.includes(player.username)) {
-            continue;
-          }
-          
-          try {
-            await bot.sendMessage(player.chatId, matchNotification, { parse_mode: 'HTML' });
-          } catch (error) {
-            console.error(`Failed to send match notification to ${player.username}:`, error);
-          }
+      if (data === 'score_backspace') {
+        if (state.scoreInput[field].length > 0) {
+          state.scoreInput[field] = state.scoreInput[field].slice(0, -1);
+        } else if (field === 'losers') {
+          // Go back to editing the winners score
+          state.scoreField = 'winners';
         }
+        return createScoreEntryResponse(state);
       }
       
-      return {
-        text: matchNotification,
-        parse_mode: 'HTML'
+      if (data !== 'score_next') {
+        return null;
+      }
+      
+      if (state.scoreInput[field] === '') {
+        return createScoreEntryResponse(state, 'Please enter a score first.');
+      }
+      
+      if (field === 'winners') {
+        state.scoreField = 'losers';
+        return createScoreEntryResponse(state);
+      }
+      
+      const score = {
+        winners: parseInt(state.scoreInput.winners, 10),
+        losers: parseInt(state.scoreInput.losers, 10)
       };
+      
+      if (score.winners <= score.losers) {
+        state.scoreInput.losers = '';
+        return createScoreEntryResponse(state, 'The winning team must score more goals than the losing team.');
+      }
+      
+      // When editing, keep the corrected score until the admin saves
+      if (state.mode === 'edit') {
+        state.score = score;
+        return showMatchEditMenu(state);
+      }
+      
+      // Record the match
+      const winnerUsernames = state.winners.map(p => p.username);
+      const loserUsernames = state.losers.map(p => p.username);
+      const pending = isMatchConfirmationEnabled();
+      
+      const hasPositions = state.positions && Object.keys(state.positions).length > 0;
+      
+      const result = await matchService.recordMatch(winnerUsernames, loserUsernames, 1, {
+        score,
+        recordedBy: callbackQuery.from.username,
+        pending,
+        ...(hasPositions ? { positions: state.positions } : {})
+      });
+      
+      // Clear the state
+      matchCreationState.delete(chatId);
+      
+      return await createRecordedMatchResponse(result, bot);
     }
     
     return null;
@@ -437,277 +948,2051 @@ async function handlePlayerSelection(callbackQuery, bot = null) {
 }
 
 /**
- * Handle /play command
- * @param {object} bot - Telegram bot instance
- * @param {object} msg - Telegram message object (from the user who sent /play)
+ * Handle text typed while players are being selected: filter the player keyboard by it
+ * @param {object} msg - Telegram message
+ * @returns {Promise<object|null>} Filtered player selection, or null when no player selection is waiting for input
  */
-async function handlePlay(bot, msg) {
-  // Only allow one play session at a time
-  if (playSession.active) {
-    console.log('A play session is already in progress. Please wait for it to finish or cancel it.');
-    return { 
-      text: 'A play session is already in progress. Please wait for it to finish or cancel it.',
-      reply_markup: {
-        inline_keyboard: [[
-          { text: '❌ Cancel Play Session', callback_data: 'cancel_play_session' }
-        ]]
-      },
-      parse_mode: 'HTML'
-    };
+async function handlePlayerSearch(msg) {
+  try {
+    const chatId = msg.chat.id;
+    const state = matchCreationState.get(chatId);
+    if (!state || state.userId !== msg.from.id) {
+      return null;
+    }
+    if (state.step !== 'select_winners' && state.step !== 'select_losers') {
+      return null;
+    }
+    if (Date.now() - state.timestamp > 5 * 60 * 1000) {
+      return null;
+    }
+    
+    const search = (msg.text || '').trim().replace('@', '');
+    if (!search) {
+      return null;
+    }
+    
+    state.search = search;
+    state.page = 0;
+    state.timestamp = Date.now(); // Reset timestamp
+    
+    return await showPlayerPicker(state);
+  } catch (error) {
+    console.error('❌ Error in handlePlayerSearch:', error.message);
+    throw error;
   }
-  playSession.active = true;
-  playSession.invited = [];
-  playSession.accepted = [];
-  playSession.declined = [];
-  playSession.messageIds = {};
+}
 
-  // Find all users with chatId
-  const playerService = require('../services/playerService');
-  const players = await playerService.getAllPlayers();
-  const usersWithChatId = players.filter(p => p.chatId);
+/**
+ * Helper function to build the reply for a freshly recorded match
+ * Pending matches are sent to the losing team for confirmation; confirmed ones are broadcast
+ * @param {Object} result - Result of matchService.recordMatch
+ * @param {Object} bot - Telegram bot instance (optional, for notifications)
+ * @returns {Promise<Object>} Bot response
+ */
+async function createRecordedMatchResponse(result, bot) {
+  const { match: matchRecord, eloResult, pending } = result;
+  
+  if (pending) {
+    const confirmer = await matchConfirmationService.requestConfirmation(bot, matchRecord);
+    const waitingText = confirmer
+      ? `Waiting for @${confirmer.username} to confirm the result.`
+      : `Nobody from the losing team could be asked, so the match will be confirmed automatically.`;
+    
+    return {
+      text: `⏳ <b>Match submitted!</b>\n\n` +
+            `${notificationService.formatMatchLine(matchRecord)}\n\n` +
+            `${waitingText}\n` +
+            `Elo is applied after confirmation or automatically after ${getConfirmationTimeoutMinutes()} minutes.` +
+            (matchRecord._id ? `\n\n🆔 Match ID: <code>${matchRecord._id}</code>` : ''),
+      parse_mode: 'HTML'
+    };
+  }
+  
+  const matchNotification = notificationService.formatMatchNotification(matchRecord, {
+    winners: eloResult.team1Changes,
+    losers: eloResult.team2Changes,
+    marginMultiplier: eloResult.marginMultiplier
+  });
+  
+  // Send notification to all users with chatId except the players of this match
+  const participants = [...matchRecord.winners, ...matchRecord.losers].map(p => p.username);
+  await notificationService.broadcastToPlayers(bot, matchNotification, participants);
+  
+  return {
+    text: matchNotification,
+    parse_mode: 'HTML'
+  };
+}
 
-  // Identify initiator
-  const initiatorUsername = msg.from.username;
-  playSession.invited = usersWithChatId.map(p => p.username).filter(u => u !== initiatorUsername);
-  playSession.accepted = [initiatorUsername];
+/**
+ * Helper function to escape user input for HTML messages
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
 
-  // Send invitation to each user except initiator
-  for (const player of usersWithChatId) {
-    if (player.username === initiatorUsername) continue;
-    const opts = {
-      reply_markup: {
-        inline_keyboard: [[
-          { text: 'Yes', callback_data: `play_yes_${player.username}` },
-          { text: 'No', callback_data: `play_no_${player.username}` }
-        ]]
-      },
-      parse_mode: 'HTML'
+/**
+ * Helper function to describe players that could not be found, with the closest known names
+ * @param {Array<string>} unknownNames - Names that did not match any username or alias
+ * @param {Array} players - All registered players
+ * @returns {string} HTML formatted error message
+ */
+function formatUnknownPlayers(unknownNames, players) {
+  const candidates = players.flatMap(p => [p.username, p.alias]);
+  
+  const lines = unknownNames.map(name => {
+    const suggestions = [];
+    findClosestMatches(name, candidates).forEach(candidate => {
+      const player = players.find(p => p.username === candidate || p.alias === candidate);
+      if (player && !suggestions.includes(player)) {
+        suggestions.push(player);
+      }
+    });
+    
+    if (suggestions.length === 0) {
+      return `❌ Unknown player <b>${escapeHtml(name)}</b>.`;
+    }
+    
+    const suggestionText = suggestions
+      .map(p => p.alias && p.alias !== p.username ? `@${p.username} (${p.alias})` : `@${p.username}`)
+      .join(' or ');
+    return `❌ Unknown player <b>${escapeHtml(name)}</b>. Did you mean ${suggestionText}?`;
+  });
+  
+  return `${lines.join('\n')}\n\nPlayers must register with /register before they can be added to a match.`;
+}
+
+/**
+ * Helper function to resolve the names of a parsed one-line result to registered players
+ * Every name is tried as a username first, then as an alias
+ * @param {Object} parsed - Parsed result with winners and losers names
+ * @returns {Promise<Object>} Usernames (winners first), or an error response to send instead
+ */
+async function resolveResultPlayers(parsed) {
+  const resolvedPlayers = [];
+  const unknownNames = [];
+  for (const name of [...parsed.winners, ...parsed.losers]) {
+    let player;
+    try {
+      player = await playerService.findPlayerByNameOrAlias(name);
+    } catch (error) {
+      return {
+        errorResponse: {
+          text: `❌ ${escapeHtml(error.message)}`,
+          parse_mode: 'HTML'
+        }
+      };
+    }
+    
+    if (player) {
+      resolvedPlayers.push(player);
+    } else {
+      unknownNames.push(name);
+    }
+  }
+  
+  if (unknownNames.length > 0) {
+    const players = await playerService.getAllPlayers();
+    return {
+      errorResponse: {
+        text: formatUnknownPlayers(unknownNames, players),
+        parse_mode: 'HTML'
+      }
     };
-    const sentMsg = await bot.sendMessage(player.chatId, '🎲 <b>Do you want to join a foosball match?</b>', opts);
-    playSession.messageIds[player.username] = sentMsg.message_id;
   }
-  return { text: `Invited ${usersWithChatId.length - 1} players to join the match.` };
+  
+  const usernames = resolvedPlayers.map(p => p.username);
+  if (new Set(usernames).size !== usernames.length) {
+    return {
+      errorResponse: {
+        text: '❌ All players must be different.',
+        parse_mode: 'HTML'
+      }
+    };
+  }
+  
+  return { usernames };
 }
 
 /**
- * Handle /stats command
+ * Handle /result command - record a match in one line
+ * Format: /result @alice @bob beat @carol @dave 10-4 (or /result @alice beat @carol 10-8 for 1v1)
+ * @param {object} msg - Telegram message object
+ * @param {object} bot - Telegram bot instance (optional, for notifications)
  */
-async function handleStats(msg) {
+async function handleResult(msg, bot = null) {
   try {
     const username = msg.from.username;
     
     if (!username) {
       return {
-        text: '❌ You need to have a Telegram username to view stats. Please set a username in your Telegram settings.',
+        text: '❌ You need to have a Telegram username to record matches. Please set a username in your Telegram settings and try again.',
         parse_mode: 'HTML'
       };
     }
     
-    let player = await playerService.getPlayerByUsername(username);
-    if (player && !player.chatId && msg.chat && msg.chat.id) {
-      await playerService.updatePlayerChatId(username, msg.chat.id);
+    const args = (msg.text || '').replace(/^\/result\S*/, '').trim();
+    if (!args) {
+      return {
+        text: `🏆 <b>Record a match in one line</b>\n\n${RESULT_USAGE}`,
+        parse_mode: 'HTML'
+      };
     }
-
-    const stats = await matchService.getPlayerStats(username);
     
-    return {
-      text: `📊 <b>Stats for @${username}</b>\n\n` +
-            `🏆 <b>Overall:</b>\n` +
-            `• Matches: ${stats.totalMatches}\n` +
-            `• Wins: ${stats.wins}\n` +
-            `• Losses: ${stats.losses}\n` +
-            `• Win Rate: ${stats.winRate}%\n` +
-            `• Current Elo: <b>${stats.currentElo}</b>\n\n` +
-            `📅 <b>Current Season (${getCurrentSeason()}):</b>\n` +
-            `• Matches: ${stats.seasonMatches}\n` +
-            `• Wins: ${stats.seasonWins}\n` +
-            `• Win Rate: ${stats.seasonWinRate}%\n\n` +
-            `🔥 <b>Recent Form:</b>\n` +
-            `• Last 5 matches: ${stats.recentForm}/5 wins`,
-      parse_mode: 'HTML'
-    };
-  } catch (error) {
-    if (error.message === 'Player not found') {
+    let parsed;
+    try {
+      parsed = parseResultText(args);
+    } catch (error) {
       return {
-        text: `❌ <b>Player not found!</b>\n\nYou need to register first using /register.`,
+        text: `❌ ${escapeHtml(error.message)}.\n\n${RESULT_USAGE}`,
         parse_mode: 'HTML'
       };
     }
+    
+    const { usernames, errorResponse } = await resolveResultPlayers(parsed);
+    if (errorResponse) {
+      return errorResponse;
+    }
+    
+    const teamSize = parsed.winners.length;
+    const result = await matchService.recordMatch(usernames.slice(0, teamSize), usernames.slice(teamSize), 1, {
+      score: parsed.score,
+      recordedBy: username,
+      pending: isMatchConfirmationEnabled()
+    });
+    
+    return await createRecordedMatchResponse(result, bot);
+  } catch (error) {
+    console.error('❌ Error in handleResult:', error.message);
     throw error;
   }
 }
 
 /**
- * Handle /leaderboard command
+ * Handle /addmatch command - admins enter a match that was played earlier
+ * Format: /addmatch 2024-06-14 12:30 @alice @bob beat @carol @dave 10-4
+ * Later matches are replayed so ratings and season standings stay correct
+ * @param {object} msg - Telegram message object
+ * @param {object} bot - Telegram bot instance (optional, for notifications)
  */
-async function handleLeaderboard(msg) {
+async function handleAddMatch(msg, bot = null) {
   try {
-    const leaderboard = await playerService.getAllTimeLeaderboard();
+    const username = msg.from.username;
     
-    if (leaderboard.length === 0) {
+    if (!isAdmin(username)) {
       return {
-        text: `📊 <b>All-Time Leaderboard</b>\n\nNo players registered yet. Use /register to join!`,
+        text: '❌ Only admins can add backdated matches.',
         parse_mode: 'HTML'
       };
     }
     
-    let text = `📊 <b>All-Time Leaderboard</b>\n\n`;
+    const args = getCommandArgs(msg.text);
+    if (!args) {
+      return {
+        text: `📝 <b>Add a backdated match</b>\n\n${ADDMATCH_USAGE}`,
+        parse_mode: 'HTML'
+      };
+    }
     
-    // Create table header
-    text += `<code># | Player     | ELO  | WR\n`;
-    text += `--|------------|------|-----\n`;
+    let parsed;
+    try {
+      parsed = parseBackdatedResultText(args);
+    } catch (error) {
+      return {
+        text: `❌ ${escapeHtml(error.message)}.\n\n${ADDMATCH_USAGE}`,
+        parse_mode: 'HTML'
+      };
+    }
     
-    leaderboard.forEach((player, index) => {
-      const rank = index + 1;
-      const displayName = getDisplayName(player);
-      
-      // Format the table row with compact spacing
-      text += formatCustomTableRow(rank, displayName, [
-        { value: player.elo, padding: 4 },
-        { value: `${player.winRate}%`, padding: 0 }
-      ]);
+    const { usernames, errorResponse } = await resolveResultPlayers(parsed);
+    if (errorResponse) {
+      return errorResponse;
+    }
+    
+    const teamSize = parsed.winners.length;
+    let result;
+    try {
+      result = await matchService.recordBackdatedMatch(
+        usernames.slice(0, teamSize),
+        usernames.slice(teamSize),
+        1,
+        parsed.playedAt,
+        { score: parsed.score, recordedBy: username }
+      );
+    } catch (error) {
+      if (error.message === 'Match date cannot be in the future') {
+        return {
+          text: `❌ ${error.message}.`,
+          parse_mode: 'HTML'
+        };
+      }
+      throw error;
+    }
+    
+    const { match, ratingChanges, seasons } = result;
+    const participantIds = match.players.map(p => p._id.toString());
+    const matchFormat = getMatchFormat(match);
+    const participantChanges = ratingChanges.filter(change =>
+      participantIds.includes(change.player._id.toString()) && change.format === matchFormat
+    );
+    const otherChanges = ratingChanges.filter(change =>
+      !participantIds.includes(change.player._id.toString()) && change.before !== change.after
+    ).length;
+    
+    const summary = formatMatchSummary(match);
+    let text = `✅ <b>Backdated match recorded!</b>\n\n${summary}\n\n📊 <b>Elo:</b>\n`;
+    participantChanges.forEach(change => {
+      text += `@${change.player.username}: ${change.before} → ${change.after}\n`;
     });
+    if (otherChanges > 0) {
+      text += `\n🔄 Ratings of ${otherChanges} other player(s) were recalculated from later matches.`;
+    }
+    if (seasons.length > 0) {
+      text += `\n📅 Season standings rebuilt: ${seasons.join(', ')}`;
+    }
     
-    text += `</code>`;
+    // Let the participants know their rating changed
+    if (bot) {
+      for (const change of participantChanges) {
+        const player = change.player;
+        if (!player.chatId || player.username === username) {
+          continue;
+        }
+        try {
+          await bot.sendMessage(
+            player.chatId,
+            `📝 <b>A match you played was added by @${username}</b>\n\n${summary}\n\nYour Elo: ${change.before} → ${change.after}`,
+            { parse_mode: 'HTML' }
+          );
+        } catch (error) {
+          console.error(`Failed to notify ${player.username} about backdated match:`, error);
+        }
+      }
+    }
     
     return {
       text: text.trim(),
       parse_mode: 'HTML'
     };
   } catch (error) {
+    console.error('❌ Error in handleAddMatch:', error.message);
     throw error;
   }
 }
 
 /**
- * Helper function to get display name for a player
- * @param {Object} player - Player object
- * @returns {string} Display name (alias or username)
- */
-function getDisplayName(player) {
-  return player.alias || player.username;
-}
-
-/**
- * Helper function to calculate points based on rank
- * @param {number} rank - Player rank (1-based)
- * @returns {number} Points (3 for 1st, 2 for 2nd, 1 for 3rd, 0 for others)
- */
-function calculateRankPoints(rank) {
-  return rank <= 3 ? (4 - rank) : 0;
-}
-
-/**
- * Helper function to format a table row
- * @param {number} rank - Player rank
- * @param {string} displayName - Player display name
- * @param {number} value - Value to display
- * @param {number} points - Points earned (optional)
- * @param {boolean} isSummary - Whether this is a summary table row
- * @returns {string} Formatted table row
- */
-function formatTableRow(rank, displayName, value, points = null, isSummary = false) {
-  const rankStr = rank.toString();
-  const nameStr = displayName.padEnd(10);
-  const valueStr = value.toString().padStart(isSummary ? 6 : 5);
-  
-  if (isSummary) {
-    const earned = value > 0 ? value : '-';
-    return `${rankStr} | ${nameStr} | ${valueStr}\n`;
-  } else {
-    const pointsDisplay = points > 0 ? points.toString() : '-';
-    return `${rankStr} | ${nameStr} | ${valueStr} | ${pointsDisplay.padStart(5)}\n`;
-  }
-}
-
-/**
- * Helper function to format a custom table row with multiple columns
- * @param {number} rank - Player rank
- * @param {string} displayName - Player display name
- * @param {Array} columns - Array of column values with their padding
- * @returns {string} Formatted table row
- */
-function formatCustomTableRow(rank, displayName, columns) {
-  const rankStr = rank.toString();
-  const nameStr = displayName.padEnd(10);
-  const columnStrs = columns.map(col => col.value.toString().padStart(col.padding));
-  return `${rankStr} | ${nameStr} | ${columnStrs.join(' | ')}\n`;
-}
-
-/**
- * Helper function to create a table
- * @param {string} title - Table title
- * @param {Array} data - Array of entries with player and value properties
- * @param {string} valueName - Name for the value column
- * @param {boolean} isSummary - Whether this is a summary table
- * @returns {string} Formatted table
+ * Format a match prediction: each team's win probability and the Elo every player gains or loses for either result
+ * @param {Object} prediction - Result of matchService.predictMatch
+ * @returns {string} HTML prediction
  */
-function createTable(title, data, valueName = 'Value', isSummary = false) {
-  if (!data || data.length === 0) return '';
+function formatPrediction(prediction) {
+  const { team1Players, team2Players, team1Ratings, team2Ratings, ifTeam1Wins, ifTeam2Wins } = prediction;
+  const name = (player) => escapeHtml(getDisplayName(player));
+  const teamName = (players) => players.map(name).join(' + ');
+  const formatTeam = (players, ratings, percent) =>
+    `${players.map((p, i) => `${name(p)} (${ratings[i]})`).join(' + ')}: <b>${percent}%</b>`;
+  const formatChanges = (players, changes) =>
+    players.map((p, i) => `${name(p)} ${notificationService.formatEloChange(changes[i])}`).join(', ');
   
-  let table = `<b>${title}</b>\n`;
+  // Rounded so both sides add up to 100%
+  const team1Percent = Math.round(prediction.team1WinProbability * 100);
   
-  if (isSummary) {
-    table += `<code># | Player     | ${valueName}\n`;
-    table += `--|------------|--------\n`;
-  } else {
-    table += `<code># | Player     | ${valueName} | Points\n`;
-    table += `--|------------|-------|-------\n`;
+  let text = `🔵 ${formatTeam(team1Players, team1Ratings, team1Percent)}\n` +
+             `🔴 ${formatTeam(team2Players, team2Ratings, 100 - team1Percent)}\n\n` +
+             `If ${teamName(team1Players)} win: ${formatChanges(team1Players, ifTeam1Wins.team1Changes)} · ` +
+             `${formatChanges(team2Players, ifTeam1Wins.team2Changes)}\n` +
+             `If ${teamName(team2Players)} win: ${formatChanges(team2Players, ifTeam2Wins.team2Changes)} · ` +
+             `${formatChanges(team1Players, ifTeam2Wins.team1Changes)}`;
+  if (getMarginSettings().curve !== MARGIN_CURVE.OFF) {
+    text += `\n<i>A bigger margin of victory increases these changes.</i>`;
   }
   
-  data.forEach((entry, index) => {
-    const rank = index + 1;
-    const displayName = getDisplayName(entry.player);
-    const points = isSummary ? null : calculateRankPoints(rank);
-    table += formatTableRow(rank, displayName, entry.value, points, isSummary);
-  });
-  
-  table += `</code>\n\n`;
-  return table;
+  return text;
 }
 
 /**
- * Handle /season command
+ * Handle /predict command - show who is favourite before a game
+ * Format: /predict @alice @bob vs @carol @dave (or /predict @alice vs @carol for 1v1)
+ * @param {object} msg - Telegram message object
  */
-async function handleSeason(msg) {
+async function handlePredict(msg) {
   try {
-    const currentSeason = getCurrentSeason();
-    const seasonData = await seasonService.getSeasonLeaderboard(currentSeason);
+    const args = getCommandArgs(msg.text);
+    if (!args) {
+      return {
+        text: `🔮 <b>Predict a match</b>\n\n${PREDICT_USAGE}`,
+        parse_mode: 'HTML'
+      };
+    }
     
-    if (!seasonData.summary || seasonData.summary.length === 0) {
+    let parsed;
+    try {
+      parsed = parseMatchupText(args);
+    } catch (error) {
       return {
-        text: `📊 <b>Season ${currentSeason}</b>\n\nNo matches played this season yet. Start playing to see season statistics!`,
+        text: `❌ ${escapeHtml(error.message)}.\n\n${PREDICT_USAGE}`,
         parse_mode: 'HTML'
       };
     }
     
-    let text = `📊 <b>Season ${currentSeason}</b>\n\n`;
+    const { usernames, errorResponse } = await resolveResultPlayers({ winners: parsed.team1, losers: parsed.team2 });
+    if (errorResponse) {
+      return errorResponse;
+    }
     
-    // Summary table
-    text += createTable('🏆 Season Summary', seasonData.summary, 'Points', true);
+    const teamSize = parsed.team1.length;
+    const prediction = await matchService.predictMatch(usernames.slice(0, teamSize), usernames.slice(teamSize));
     
-    // Category tables
-    const categoryConfigs = [
-      { key: 'eloGains', title: '🏆 Most Elo Points Gained', valueName: ' Elo ' },
-      { key: 'matchesPlayed', title: '🎮 Most Matches Played', valueName: 'Games' },
-      { key: 'dryWins', title: '💪 Most Dry Wins', valueName: 'Wins ' },
+    return {
+      text: `🔮 <b>Match Prediction (${prediction.format})</b>\n\n${formatPrediction(prediction)}`,
+      parse_mode: 'HTML'
+    };
+  } catch (error) {
+    console.error('❌ Error in handlePredict:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Handle /h2h command - head-to-head record of two players
+ * Format: /h2h @alice @bob
+ * @param {object} msg - Telegram message object
+ */
+async function handleH2H(msg) {
+  try {
+    const names = getCommandArgs(msg.text).split(/\s+/).filter(Boolean).map(name => name.replace('@', ''));
+    if (names.length !== 2) {
+      return {
+        text: `⚔️ <b>Head to Head</b>\n\n${H2H_USAGE}`,
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const { usernames, errorResponse } = await resolveResultPlayers({ winners: names, losers: [] });
+    if (errorResponse) {
+      return errorResponse;
+    }
+    
+    const h2h = await matchService.getHeadToHead(usernames[0], usernames[1]);
+    const [first, second] = h2h.players.map(player => escapeHtml(getDisplayName(player)));
+    const { against, together } = h2h;
+    const formatChange = change => notificationService.formatEloChange(change);
+    
+    let text = `⚔️ <b>Head to Head</b>\n<b>${first}</b> vs <b>${second}</b>\n\n`;
+    
+    text += `🥊 <b>Against each other:</b> ${against.matches} match${against.matches === 1 ? '' : 'es'}\n`;
+    if (against.matches > 0) {
+      text += `• ${first}: ${against.wins[0]} wins (${against.winRates[0]}%)\n`;
+      text += `• ${second}: ${against.wins[1]} wins (${against.winRates[1]}%)\n`;
+      text += `• Elo swapped: ${first} ${formatChange(against.eloChanges[0])}, ${second} ${formatChange(against.eloChanges[1])}\n`;
+    }
+    
+    text += `\n🤝 <b>As partners:</b> ${together.matches} match${together.matches === 1 ? '' : 'es'}\n`;
+    if (together.matches > 0) {
+      text += `• ${together.wins} wins, ${together.losses} losses (${together.winRate}%)\n`;
+      text += `• Elo gained: ${first} ${formatChange(together.eloChanges[0])}, ${second} ${formatChange(together.eloChanges[1])}\n`;
+    }
+    
+    if (h2h.recent.length > 0) {
+      text += `\n📜 <b>Last encounters:</b>\n`;
+      h2h.recent.forEach(match => {
+        const date = new Date(match.playedAt).toISOString().slice(0, 10);
+        text += `• ${date}: ${notificationService.formatMatchLine(match)}\n`;
+      });
+    }
+    
+    return {
+      text: text.trim(),
+      parse_mode: 'HTML'
+    };
+  } catch (error) {
+    console.error('❌ Error in handleH2H:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Handle /partners command - a player's best and worst partners, favourite victim and nemesis
+ * Format: /partners [@user]
+ * @param {object} msg - Telegram message object
+ */
+async function handlePartners(msg) {
+  try {
+    const name = getCommandArgs(msg.text).split(/\s+/).filter(Boolean)[0] || null;
+    if (!name && !msg.from.username) {
+      return {
+        text: '❌ You need to have a Telegram username to view your partners. Please set a username in your Telegram settings.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const player = await playerService.findPlayerByNameOrAlias(name || msg.from.username);
+    if (!player) {
+      return {
+        text: name
+          ? `❌ <b>Player not found:</b> ${escapeHtml(name)}`
+          : `❌ <b>Player not found!</b>\n\nYou need to register first using /register.`,
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const minMatches = getPartnerMinMatches();
+    const report = await matchService.getPartnerReport(player.username, minMatches);
+    const nameOf = entry => escapeHtml(getDisplayName(entry.player));
+    const formatRecord = entry => `${entry.wins}–${entry.matches - entry.wins}`;
+    
+    let text = `🤝 <b>Partners of ${escapeHtml(getDisplayName(player))}</b>\n\n`;
+    
+    if (report.bestPartner) {
+      text += `🌟 <b>Best partner:</b> ${nameOf(report.bestPartner)} (${formatRecord(report.bestPartner)}, ${report.bestPartner.winRate}%)\n`;
+    } else {
+      text += `🌟 <b>Best partner:</b> play ${minMatches} 2v2 matches with the same partner to find out\n`;
+    }
+    if (report.worstPartner) {
+      text += `💔 <b>Worst partner:</b> ${nameOf(report.worstPartner)} (${formatRecord(report.worstPartner)}, ${report.worstPartner.winRate}%)\n`;
+    }
+    if (report.favouriteVictim) {
+      text += `🎯 <b>Favourite victim:</b> ${nameOf(report.favouriteVictim)} (beaten ${report.favouriteVictim.wins}×, ${report.favouriteVictim.wins}–${report.favouriteVictim.losses})\n`;
+    }
+    if (report.nemesis) {
+      text += `😈 <b>Nemesis:</b> ${nameOf(report.nemesis)} (lost ${report.nemesis.losses}×, ${report.nemesis.wins}–${report.nemesis.losses})\n`;
+    }
+    
+    if (report.partners.length > 0) {
+      text += `\n<code># | Partner    |  M |     WR |    EXP |  ELO\n`;
+      text += `--|------------|----|--------|--------|-----\n`;
+      report.partners.slice(0, PARTNERS_TABLE_SIZE).forEach((partner, index) => {
+        text += formatCustomTableRow(index + 1, getDisplayName(partner.player), [
+          { value: partner.matches, padding: 2 },
+          { value: `${partner.winRate}%`, padding: 6 },
+          { value: partner.expectedWinRate === null ? '-' : `${partner.expectedWinRate}%`, padding: 6 },
+          { value: notificationService.formatEloChange(partner.eloChange), padding: 4 }
+        ]);
+      });
+      text += `</code>\n`;
+      text += `<i>WR = win rate together, EXP = win rate expected from both teams' Elo before each match, ` +
+              `ELO = Elo won or lost together. Best and worst partner need ${minMatches} matches together.</i>`;
+    } else {
+      text += `\nNo 2v2 matches yet.`;
+    }
+    
+    return {
+      text: text.trim(),
+      parse_mode: 'HTML'
+    };
+  } catch (error) {
+    console.error('❌ Error in handlePartners:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Create the duo team leaderboard, sorted by team Elo
+ * @param {number} minMatches - Matches together a duo needs to be listed
+ * @returns {Promise<object>} Response object
+ */
+async function createTeamLeaderboardResponse(minMatches) {
+  const teams = await teamService.getTeamLeaderboard(minMatches);
+  const title = '👥 <b>Team Leaderboard</b>';
+  
+  if (teams.length === 0) {
+    return {
+      text: `${title}\n\nNo duo has played ${minMatches} 2v2 matches together yet.`,
+      parse_mode: 'HTML'
+    };
+  }
+  
+  let text = `${title}\n\n`;
+  text += `<code># | Team       | ELO  |  M | STK | WR\n`;
+  text += `--|------------|------|----|-----|-----\n`;
+  teams.forEach((team, index) => {
+    const teamName = team.players.map(player => getDisplayName(player)).join(' + ');
+    text += formatCustomTableRow(index + 1, teamName, [
+      { value: team.elo, padding: 4 },
+      { value: team.matches, padding: 2 },
+      { value: formatTeamStreak(team.currentStreak), padding: 3 },
+      { value: `${team.winRate}%`, padding: 0 }
+    ]);
+  });
+  text += `</code>`;
+  
+  text += `\n<i>Duos with at least ${minMatches} 2v2 matches together; STK = current streak</i>`;
+  
+  return {
+    text: text.trim(),
+    parse_mode: 'HTML'
+  };
+}
+
+/**
+ * Handle /teams command - split four players into the fairest two teams, or show the team leaderboard
+ * Format: /teams @alice @bob @carol @dave or /teams leaderboard [min matches]
+ * @param {object} msg - Telegram message object
+ */
+async function handleTeams(msg) {
+  try {
+    const args = getCommandArgs(msg.text).split(/\s+/).filter(Boolean);
+    if (args[0] && args[0].toLowerCase() === 'leaderboard') {
+      const minMatches = parseInt(args[1], 10);
+      return await createTeamLeaderboardResponse(minMatches > 0 ? minMatches : getTeamLeaderboardMinMatches());
+    }
+    
+    const names = args.map(name => name.replace('@', ''));
+    if (names.length !== 4) {
+      return {
+        text: `⚖️ <b>Balanced Teams</b>\n\n${TEAMS_USAGE}`,
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const { usernames, errorResponse } = await resolveResultPlayers({ winners: names, losers: [] });
+    if (errorResponse) {
+      return errorResponse;
+    }
+    
+    const recentMatches = getTeamsRecentMatches();
+    const splits = await matchService.suggestTeams(usernames, { recentMatches });
+    const [best] = splits;
+    teamSuggestions.set(msg.chat.id, {
+      teams: [best.team1Players, best.team2Players].map(team => team.map(p => p.username)),
+      timestamp: Date.now()
+    });
+    
+    const teamName = (players) => players.map(p => escapeHtml(getDisplayName(p))).join(' + ');
+    const formatSplit = (split) => {
+      const percent = Math.round(split.team1WinProbability * 100);
+      return `${teamName(split.team1Players)} vs ${teamName(split.team2Players)}: ${percent}% / ${100 - percent}%` +
+             (split.repeatedPartners > 0 ? ' 🔁' : '');
+    };
+    
+    let text = `⚖️ <b>Balanced Teams</b>\n\n`;
+    text += `🔵 <b>${teamName(best.team1Players)}</b>\n`;
+    text += `🔴 <b>${teamName(best.team2Players)}</b>\n\n`;
+    text += `<b>All splits:</b>\n`;
+    splits.forEach(split => {
+      text += `• ${formatSplit(split)}\n`;
+    });
+    if (splits.some(split => split.repeatedPartners > 0)) {
+      text += `\n<i>🔁 Repeats a partnership from the players' last ${recentMatches} doubles matches, so it is only suggested when every split does.</i>`;
+    }
+    
+    return {
+      text,
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [[{ text: '🏆 Start match with these teams', callback_data: 'teams_start' }]]
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error in handleTeams:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Handle the "start match" button of a /teams suggestion
+ * Starts the /match wizard with both teams filled in, so only the winning side needs picking
+ * @param {object} callbackQuery - Telegram callback query
+ */
+async function handleTeamsStart(callbackQuery) {
+  try {
+    const chatId = callbackQuery.message.chat.id;
+    const suggestion = teamSuggestions.get(chatId);
+    
+    if (!suggestion || Date.now() - suggestion.timestamp > TEAM_SUGGESTION_TTL_MS) {
+      teamSuggestions.delete(chatId);
+      return {
+        text: '❌ <b>These teams have expired!</b>\n\nUse /teams to split the players again.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    if (matchCreationState.has(chatId)) {
+      return {
+        text: '❌ <b>Match creation already in progress!</b>\n\nPlease complete the current match or wait for it to timeout.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const teams = [];
+    for (const usernames of suggestion.teams) {
+      const team = [];
+      for (const username of usernames) {
+        const player = await playerService.getPlayerByUsername(username);
+        if (!player) {
+          return {
+            text: '❌ <b>Player not found!</b>\n\nUse /teams to split the players again.',
+            parse_mode: 'HTML'
+          };
+        }
+        team.push(player);
+      }
+      teams.push(team);
+    }
+    
+    const state = {
+      userId: callbackQuery.from.id,
+      step: 'select_winner_side',
+      format: MATCH_FORMAT.DOUBLES,
+      teams,
+      winners: [],
+      losers: [],
+      timestamp: Date.now()
+    };
+    matchCreationState.set(chatId, state);
+    teamSuggestions.delete(chatId);
+    
+    return createWinnerSideResponse(state);
+  } catch (error) {
+    console.error('❌ Error in handleTeamsStart:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Handle /play command
+ * @param {object} bot - Telegram bot instance
+ * @param {object} msg - Telegram message object (from the user who sent /play)
+ */
+async function handlePlay(bot, msg) {
+  // Only allow one play session at a time
+  if (playSession.active) {
+    console.log('A play session is already in progress. Please wait for it to finish or cancel it.');
+    return { 
+      text: 'A play session is already in progress. Please wait for it to finish or cancel it.',
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '❌ Cancel Play Session', callback_data: 'cancel_play_session' }
+        ]]
+      },
+      parse_mode: 'HTML'
+    };
+  }
+  playSession.active = true;
+  playSession.invited = [];
+  playSession.accepted = [];
+  playSession.declined = [];
+  playSession.messageIds = {};
+
+  // Find all users with chatId
+  const playerService = require('../services/playerService');
+  const players = await playerService.getAllPlayers();
+  const usersWithChatId = players.filter(p => p.chatId);
+
+  // Identify initiator
+  const initiatorUsername = msg.from.username;
+  playSession.invited = usersWithChatId.map(p => p.username).filter(u => u !== initiatorUsername);
+  playSession.accepted = [initiatorUsername];
+
+  // Send invitation to each user except initiator
+  for (const player of usersWithChatId) {
+    if (player.username === initiatorUsername) continue;
+    const opts = {
+      reply_markup: {
+        inline_keyboard: [[
+          { text: 'Yes', callback_data: `play_yes_${player.username}` },
+          { text: 'No', callback_data: `play_no_${player.username}` }
+        ]]
+      },
+      parse_mode: 'HTML'
+    };
+    const sentMsg = await bot.sendMessage(player.chatId, '🎲 <b>Do you want to join a foosball match?</b>', opts);
+    playSession.messageIds[player.username] = sentMsg.message_id;
+  }
+  return { text: `Invited ${usersWithChatId.length - 1} players to join the match.` };
+}
+
+/**
+ * Handle /stats command
+ * Usage: /stats [1v1|2v2] - doubles by default
+ */
+async function handleStats(msg) {
+  try {
+    const username = msg.from.username;
+    const format = parseFormat(getCommandArgs(msg.text)) || MATCH_FORMAT.DOUBLES;
+    
+    if (!username) {
+      return {
+        text: '❌ You need to have a Telegram username to view stats. Please set a username in your Telegram settings.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    let player = await playerService.getPlayerByUsername(username);
+    if (player && !player.chatId && msg.chat && msg.chat.id) {
+      await playerService.updatePlayerChatId(username, msg.chat.id);
+    }
+
+    const stats = await matchService.getPlayerStats(username, format);
+    
+    // Goals line is only shown once the player has matches with a recorded score
+    const formatGoals = (goals) => goals && goals.scoredMatches > 0
+      ? `• Goals: ${goals.goalsFor}–${goals.goalsAgainst} (${formatGoalDifference(goals.goalDifference)})\n`
+      : '';
+    
+    // Position section is only shown once the player has matches with a recorded position;
+    // like the position ratings it covers all seasons
+    const formatPositions = (positions) => {
+      if (!positions || (positions.attack.matches === 0 && positions.defence.matches === 0)) {
+        return '';
+      }
+      const formatPosition = (entry) => `${entry.matches} matches, ${entry.wins} wins (${entry.winRate}%)` +
+        (typeof entry.rating === 'number' ? ` · rating <b>${entry.rating}</b>` : '');
+      return `🎯 <b>Positions (all time):</b>\n` +
+             `• ⚔️ Attack: ${formatPosition(positions.attack)}\n` +
+             `• 🛡 Defence: ${formatPosition(positions.defence)}\n\n`;
+    };
+    
+    const ratingLine = isGlickoActive()
+      ? `• Rating: <b>${formatGlickoRating(stats.glicko)}</b>\n\n`
+      : `• Current Elo: <b>${stats.currentElo}</b>${stats.provisional ? ' (provisional)' : ''}\n\n`;
+    
+    return {
+      text: `📊 <b>${format} Stats for @${username}</b>\n\n` +
+            `🏆 <b>Overall:</b>\n` +
+            `• Matches: ${stats.totalMatches}\n` +
+            `• Wins: ${stats.wins}\n` +
+            `• Losses: ${stats.losses}\n` +
+            `• Win Rate: ${stats.winRate}%\n` +
+            formatGoals(stats.goals) +
+            ratingLine +
+            formatPositions(stats.positions) +
+            `📅 <b>Current Season (${getCurrentSeason()}):</b>\n` +
+            `• Matches: ${stats.seasonMatches}\n` +
+            `• Wins: ${stats.seasonWins}\n` +
+            `• Win Rate: ${stats.seasonWinRate}%\n` +
+            formatGoals(stats.seasonGoals) +
+            `\n🔥 <b>Recent Form:</b>\n` +
+            `• Last 5 matches: ${stats.recentForm}/5 wins\n\n` +
+            `<i>Use /stats ${format === MATCH_FORMAT.SINGLES ? MATCH_FORMAT.DOUBLES : MATCH_FORMAT.SINGLES} for your ${format === MATCH_FORMAT.SINGLES ? 'doubles' : 'singles'} stats.</i>`,
+      parse_mode: 'HTML'
+    };
+  } catch (error) {
+    if (error.message === 'Player not found') {
+      return {
+        text: `❌ <b>Player not found!</b>\n\nYou need to register first using /register.`,
+        parse_mode: 'HTML'
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Split a leaderboard into the players to list, active ones first
+ * @param {Array} leaderboard - Players, best first, with an inactive flag
+ * @returns {Object} Players to list, the inactive ones among them and the inactivity settings
+ */
+function getRankedPlayers(leaderboard) {
+  // Inactive players are left out or listed below the active ones
+  const inactivity = getInactivitySettings();
+  const activePlayers = leaderboard.filter(player => !player.inactive);
+  const inactivePlayers = inactivity.display === INACTIVE_DISPLAY.HIDE
+    ? []
+    : leaderboard.filter(player => player.inactive);
+  return { rankedPlayers: [...activePlayers, ...inactivePlayers], inactivePlayers, inactivity };
+}
+
+/**
+ * Create the attack or defence leaderboard, ranked by position rating
+ * @param {string} position - 'attack' or 'defence'
+ * @returns {Promise<object>} Response with the leaderboard table
+ */
+async function createPositionLeaderboardResponse(position) {
+  const leaderboard = await playerService.getPositionLeaderboard(position);
+  const title = position === POSITIONS.ATTACK ? '⚔️ <b>Attack Leaderboard</b>' : '🛡 <b>Defence Leaderboard</b>';
+  const { rankedPlayers, inactivePlayers, inactivity } = getRankedPlayers(leaderboard);
+  
+  if (rankedPlayers.length === 0) {
+    return {
+      text: `${title}\n\nNo ${position} ratings yet. Record the positions of both teams in a 2v2 match to start them!`,
+      parse_mode: 'HTML'
+    };
+  }
+  
+  let text = `${title}\n\n`;
+  text += `<code># | Player     | ELO  |  M | WR\n`;
+  text += `--|------------|------|----|-----\n`;
+  rankedPlayers.forEach((player, index) => {
+    const displayName = player.inactive ? `${getDisplayName(player)}~` : getDisplayName(player);
+    text += formatCustomTableRow(index + 1, displayName, [
+      { value: player.rating, padding: 4 },
+      { value: player.totalMatches, padding: 2 },
+      { value: `${player.winRate}%`, padding: 0 }
+    ]);
+  });
+  text += `</code>`;
+  
+  text += `\n<i>Rating from 2v2 matches where both teams' positions were recorded; M = matches at ${position}</i>`;
+  if (inactivePlayers.length > 0) {
+    text += `\n<i>~ Inactive: no match in the last ${inactivity.days} days</i>`;
+  }
+  
+  return {
+    text: text.trim(),
+    parse_mode: 'HTML'
+  };
+}
+
+/**
+ * Handle /leaderboard command
+ * Usage: /leaderboard [1v1|2v2|attack|defence] - doubles by default
+ */
+async function handleLeaderboard(msg) {
+  try {
+    const args = getCommandArgs(msg && msg.text);
+    const position = parsePosition(args);
+    if (position) {
+      return await createPositionLeaderboardResponse(position);
+    }
+    
+    const format = parseFormat(args) || MATCH_FORMAT.DOUBLES;
+    const leaderboard = await playerService.getAllTimeLeaderboard(format);
+    const title = format === MATCH_FORMAT.SINGLES ? 'All-Time 1v1 Leaderboard' : 'All-Time Leaderboard';
+    
+    if (leaderboard.length === 0) {
+      const emptyText = format === MATCH_FORMAT.SINGLES
+        ? 'No 1v1 matches played yet. Use /match 1v1 to record one!'
+        : 'No players registered yet. Use /register to join!';
+      return {
+        text: `📊 <b>${title}</b>\n\n${emptyText}`,
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const { rankedPlayers, inactivePlayers, inactivity } = getRankedPlayers(leaderboard);
+    
+    if (rankedPlayers.length === 0) {
+      return {
+        text: `📊 <b>${title}</b>\n\nNo active players right now. Play a match to get back on the board!`,
+        parse_mode: 'HTML'
+      };
+    }
+    
+    let text = `📊 <b>${title}</b>\n\n`;
+    const glickoActive = isGlickoActive();
+    
+    // Create table header
+    if (glickoActive) {
+      text += `<code># | Player     | RATING     | WR\n`;
+      text += `--|------------|------------|-----\n`;
+    } else {
+      text += `<code># | Player     | ELO  | WR\n`;
+      text += `--|------------|------|-----\n`;
+    }
+    
+    rankedPlayers.forEach((player, index) => {
+      const rank = index + 1;
+      // Glicko-2 shows uncertainty through the deviation, Elo marks provisional ratings
+      let displayName = !glickoActive && player.provisional ? `${getDisplayName(player)}*` : getDisplayName(player);
+      if (player.inactive) {
+        displayName += '~';
+      }
+      
+      // Format the table row with compact spacing
+      text += formatCustomTableRow(rank, displayName, [
+        glickoActive
+          ? { value: formatGlickoRating(player.glicko), padding: 10 }
+          : { value: player.rating, padding: 4 },
+        { value: `${player.winRate}%`, padding: 0 }
+      ]);
+    });
+    
+    text += `</code>`;
+    
+    if (glickoActive) {
+      text += `\n<i>Glicko-2 rating ± deviation: the smaller the deviation, the more certain the rating</i>`;
+    } else if (leaderboard.some(player => player.provisional)) {
+      text += `\n<i>* Provisional rating: fewer than ${getKFactorSchedule().provisionalMatches} matches played</i>`;
+    }
+    if (inactivePlayers.length > 0) {
+      text += `\n<i>~ Inactive: no match in the last ${inactivity.days} days</i>`;
+    }
+    
+    return {
+      text: text.trim(),
+      parse_mode: 'HTML'
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Handle /ratingcompare command (admin only)
+ * Replays the whole match history through Elo and Glicko-2 from scratch and shows both rankings side by side
+ * Usage: /ratingcompare [1v1|2v2] - doubles by default
+ */
+async function handleRatingCompare(msg) {
+  try {
+    if (!isAdmin(msg.from.username)) {
+      return {
+        text: '❌ Only admins can compare rating engines.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const format = parseFormat(getCommandArgs(msg.text)) || MATCH_FORMAT.DOUBLES;
+    const eloRanking = await ratingReplayService.replayHistory(RATING_ENGINE.ELO, format);
+    const glickoRanking = await ratingReplayService.replayHistory(RATING_ENGINE.GLICKO2, format);
+    
+    if (eloRanking.length === 0) {
+      return {
+        text: `⚖️ <b>Rating Engines (${format})</b>\n\nNo ${format} matches played yet.`,
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const glickoByPlayer = new Map(glickoRanking.map((entry, index) => [
+      entry.player._id.toString(),
+      { ...entry, rank: index + 1 }
+    ]));
+    
+    let text = `⚖️ <b>Rating Engines (${format})</b>\n\n`;
+    text += `<code># | Player     |  ELO | GLICKO-2   | #G\n`;
+    text += `--|------------|------|------------|---\n`;
+    eloRanking.forEach((entry, index) => {
+      const glicko = glickoByPlayer.get(entry.player._id.toString());
+      text += formatCustomTableRow(index + 1, getDisplayName(entry.player), [
+        { value: entry.rating, padding: 4 },
+        { value: formatGlickoRating(glicko), padding: 10 },
+        { value: glicko.rank, padding: 2 }
+      ]);
+    });
+    text += `</code>\n`;
+    text += `<i>Both engines replay every ${format} match from the start with default ratings; nothing is saved. ` +
+            `#G is the Glicko-2 rank. Players are currently ranked by ${isGlickoActive() ? 'Glicko-2' : 'Elo'}.</i>`;
+    
+    return {
+      text,
+      parse_mode: 'HTML'
+    };
+  } catch (error) {
+    console.error('❌ Error in handleRatingCompare:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Handle /recalculate command (admin only)
+ * Rebuilds every rating from the match history with the current rating settings
+ * Usage: /recalculate - preview the before/after report without saving
+ *        /recalculate confirm - recalculate and save
+ */
+async function handleRecalculate(msg) {
+  try {
+    if (!isAdmin(msg.from.username)) {
+      return {
+        text: '❌ Only admins can recalculate ratings.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const dryRun = getCommandArgs(msg.text).toLowerCase() !== 'confirm';
+    const report = await ratingReplayService.recalculateAllRatings({ dryRun });
+    
+    let text = `🔁 <b>${dryRun ? 'Rating Recalculation Preview' : 'Ratings Recalculated'}</b>\n\n`;
+    text += `<pre>${escapeHtml(ratingReplayService.formatRecalculationReport(report))}</pre>`;
+    if (dryRun) {
+      text += `\n<i>Nothing was saved. Use /recalculate confirm to apply these ratings.</i>`;
+    }
+    
+    return {
+      text,
+      parse_mode: 'HTML'
+    };
+  } catch (error) {
+    console.error('❌ Error in handleRecalculate:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Format one rating history entry as two lines: the rating change, then the match it came from
+ * @param {Object} entry - Rating history entry with a populated match
+ * @param {Object} player - Player the history belongs to
+ * @param {Object} markers - Peak and lowest entries ({ peak, lowest })
+ * @returns {string} Formatted entry
+ */
+function formatHistoryEntry(entry, player, markers) {
+  const date = new Date(entry.playedAt).toISOString().slice(0, 10);
+  const change = entry.ratingAfter - entry.ratingBefore;
+  const isEntry = (other) => other && other._id.toString() === entry._id.toString();
+  
+  let icon = entry.won ? '✅' : '❌';
+  if (entry.reason === RATING_CHANGE_REASON.DECAY) icon = '💤';
+  if (entry.reason === RATING_CHANGE_REASON.RESET) icon = '🔄';
+  let marker = '';
+  if (isEntry(markers.peak)) marker = ' ⛰️ peak';
+  else if (isEntry(markers.lowest)) marker = ' 🕳 low';
+  
+  let text = `${icon} ${date} <b>${notificationService.formatEloChange(change)}</b> → ${entry.ratingAfter}${marker}\n`;
+  
+  const match = entry.match;
+  if (entry.reason === RATING_CHANGE_REASON.DECAY) {
+    text += `   <i>inactivity decay</i>\n`;
+  } else if (entry.reason === RATING_CHANGE_REASON.RESET) {
+    text += `   <i>season soft reset</i>\n`;
+  } else if (match && match.winners && match.losers) {
+    const playerId = player._id.toString();
+    const ownTeam = entry.won ? match.winners : match.losers;
+    const opponents = entry.won ? match.losers : match.winners;
+    const names = (players) => players.map(p => escapeHtml(getDisplayName(p))).join(' & ');
+    const partners = ownTeam.filter(p => p._id.toString() !== playerId);
+    const score = hasScore(match) ? ` · ${formatScore(match.score)}` : '';
+    text += `   ${partners.length > 0 ? `with ${names(partners)} ` : ''}vs ${names(opponents)}${score}\n`;
+  }
+  
+  return text;
+}
+
+/**
+ * Build one page of a player's rating history with buttons for older and newer entries
+ * @param {Object} player - Player object
+ * @param {string} format - Match format
+ * @param {number} pageSize - Entries per page
+ * @param {number} page - Page number, 0 for the newest entries
+ * @returns {Promise<Object>} Response with text and inline keyboard
+ */
+async function buildHistoryPage(player, format, pageSize, page) {
+  const { entries, total, peak, lowest } = await ratingHistoryService.getPlayerHistory(player._id, format, { page, pageSize });
+  const title = `📈 <b>Rating History: ${escapeHtml(getDisplayName(player))} (${format})</b>\n\n`;
+  
+  if (total === 0) {
+    return {
+      text: title + `No ${format} rating changes recorded yet.`,
+      parse_mode: 'HTML'
+    };
+  }
+  
+  const formatMarker = (entry) => `${entry.ratingAfter} (${new Date(entry.playedAt).toISOString().slice(0, 10)})`;
+  const pageCount = Math.ceil(total / pageSize);
+  
+  let text = title;
+  text += `⛰️ Peak: <b>${formatMarker(peak)}</b>\n`;
+  text += `🕳 Lowest: <b>${formatMarker(lowest)}</b>\n\n`;
+  entries.forEach(entry => {
+    text += formatHistoryEntry(entry, player, { peak, lowest });
+  });
+  text += `\n<i>Page ${page + 1} of ${pageCount}, newest first</i>`;
+  
+  const navigation = [];
+  const callbackData = (target) => `history_${player._id}_${format}_${pageSize}_${target}`;
+  if (page < pageCount - 1) {
+    navigation.push({ text: '⬅️ Older', callback_data: callbackData(page + 1) });
+  }
+  if (page > 0) {
+    navigation.push({ text: 'Newer ➡️', callback_data: callbackData(page - 1) });
+  }
+  
+  return {
+    text,
+    parse_mode: 'HTML',
+    reply_markup: navigation.length > 0 ? { inline_keyboard: [navigation] } : undefined
+  };
+}
+
+/**
+ * Handle /history command
+ * Lists a player's recent rating changes with the running Elo, newest first
+ * Usage: /history [@user] [n] [1v1|2v2] - your own doubles history and 10 entries per page by default
+ */
+async function handleHistory(msg) {
+  try {
+    let format = MATCH_FORMAT.DOUBLES;
+    let pageSize = HISTORY_PAGE_SIZE;
+    let name = null;
+    
+    for (const arg of getCommandArgs(msg.text).split(/\s+/).filter(Boolean)) {
+      if (/^\d+$/.test(arg)) {
+        pageSize = Math.min(Math.max(parseInt(arg, 10), 1), MAX_HISTORY_PAGE_SIZE);
+      } else if (parseFormat(arg)) {
+        format = parseFormat(arg);
+      } else {
+        name = arg;
+      }
+    }
+    
+    if (!name && !msg.from.username) {
+      return {
+        text: '❌ You need to have a Telegram username to view your history. Please set a username in your Telegram settings.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const player = await playerService.findPlayerByNameOrAlias(name || msg.from.username);
+    if (!player) {
+      return {
+        text: name
+          ? `❌ <b>Player not found:</b> ${escapeHtml(name)}`
+          : `❌ <b>Player not found!</b>\n\nYou need to register first using /register.`,
+        parse_mode: 'HTML'
+      };
+    }
+    
+    return await buildHistoryPage(player, format, pageSize, 0);
+  } catch (error) {
+    console.error('❌ Error in handleHistory:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Handle /chart command - Elo progression of up to four players as a PNG line chart
+ * Usage: /chart [@user ...] [season] [1v1|2v2] - your own doubles rating over all seasons by default
+ * @param {Object} msg - Telegram message object
+ * @returns {Promise<Object>} Photo response ({ photo, caption, parse_mode }) or text response
+ */
+async function handleChart(msg) {
+  try {
+    let format = MATCH_FORMAT.DOUBLES;
+    let season = null;
+    const names = [];
+    
+    for (const arg of getCommandArgs(msg.text).split(/\s+/).filter(Boolean)) {
+      if (/^\d{4}-\d{2}$/.test(arg)) {
+        season = arg;
+      } else if (parseFormat(arg)) {
+        format = parseFormat(arg);
+      } else {
+        names.push(arg);
+      }
+    }
+    
+    if (names.length > MAX_CHART_PLAYERS) {
+      return {
+        text: `❌ A chart can compare up to ${MAX_CHART_PLAYERS} players.`,
+        parse_mode: 'HTML'
+      };
+    }
+    if (names.length === 0 && !msg.from.username) {
+      return {
+        text: '❌ You need to have a Telegram username to view your chart. Please set a username in your Telegram settings.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const players = [];
+    for (const name of names.length > 0 ? names : [msg.from.username]) {
+      const player = await playerService.findPlayerByNameOrAlias(name);
+      if (!player) {
+        return {
+          text: names.length > 0
+            ? `❌ <b>Player not found:</b> ${escapeHtml(name)}`
+            : `❌ <b>Player not found!</b>\n\nYou need to register first using /register.`,
+          parse_mode: 'HTML'
+        };
+      }
+      players.push(player);
+    }
+    
+    const series = [];
+    for (const [index, player] of players.entries()) {
+      const points = await ratingHistoryService.getRatingSeries(player._id, format, season);
+      series.push({ player, color: CHART_COLORS[index], points });
+    }
+    
+    const period = season ? `season ${season}` : 'all seasons';
+    const charted = series.filter(entry => entry.points.length > 0);
+    if (charted.length === 0) {
+      return {
+        text: `📈 <b>Elo Chart (${format}, ${period})</b>\n\nNo rating changes to chart yet.`,
+        parse_mode: 'HTML'
+      };
+    }
+    
+    let caption = `📈 <b>Elo Chart (${format}, ${period})</b>\n`;
+    series.forEach(({ player, color, points }) => {
+      const name = escapeHtml(getDisplayName(player));
+      caption += points.length > 0
+        ? `${color.emoji} ${name}: ${points[points.length - 1].rating}\n`
+        : `⚪ ${name}: no rating changes\n`;
+    });
+    caption += `<i>Dashed lines mark the start of a season</i>`;
+    
+    return {
+      photo: renderEloChart(charted.map(({ color, points }) => ({ color: color.hex, points }))),
+      caption,
+      parse_mode: 'HTML'
+    };
+  } catch (error) {
+    console.error('❌ Error in handleChart:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Handle the older/newer buttons of a /history message
+ * @param {Object} callbackQuery - Callback query with data "history_<playerId>_<format>_<pageSize>_<page>"
+ * @returns {Promise<Object>} Response for the requested page
+ */
+async function handleHistoryPage(callbackQuery) {
+  try {
+    const [, playerId, format, pageSize, page] = callbackQuery.data.split('_');
+    const player = await playerService.getPlayerById(playerId);
+    
+    if (!player) {
+      return {
+        text: '❌ <b>Player not found!</b>',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    return await buildHistoryPage(player, parseFormat(format) || MATCH_FORMAT.DOUBLES, parseInt(pageSize, 10), parseInt(page, 10));
+  } catch (error) {
+    console.error('❌ Error in handleHistoryPage:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Helper function to get display name for a player
+ * @param {Object} player - Player object
+ * @returns {string} Display name (alias or username)
+ */
+function getDisplayName(player) {
+  return player.alias || player.username;
+}
+
+/**
+ * Helper function to calculate points based on rank
+ * @param {number} rank - Player rank (1-based)
+ * @returns {number} Points (3 for 1st, 2 for 2nd, 1 for 3rd, 0 for others)
+ */
+function calculateRankPoints(rank) {
+  return rank <= 3 ? (4 - rank) : 0;
+}
+
+/**
+ * Helper function to format a table row
+ * @param {number} rank - Player rank
+ * @param {string} displayName - Player display name
+ * @param {number} value - Value to display
+ * @param {number} points - Points earned (optional)
+ * @param {boolean} isSummary - Whether this is a summary table row
+ * @returns {string} Formatted table row
+ */
+function formatTableRow(rank, displayName, value, points = null, isSummary = false) {
+  const rankStr = rank.toString();
+  const nameStr = displayName.padEnd(10);
+  const valueStr = value.toString().padStart(isSummary ? 6 : 5);
+  
+  if (isSummary) {
+    const earned = value > 0 ? value : '-';
+    return `${rankStr} | ${nameStr} | ${valueStr}\n`;
+  } else {
+    const pointsDisplay = points > 0 ? points.toString() : '-';
+    return `${rankStr} | ${nameStr} | ${valueStr} | ${pointsDisplay.padStart(5)}\n`;
+  }
+}
+
+/**
+ * Helper function to format a custom table row with multiple columns
+ * @param {number} rank - Player rank
+ * @param {string} displayName - Player display name
+ * @param {Array} columns - Array of column values with their padding
+ * @returns {string} Formatted table row
+ */
+function formatCustomTableRow(rank, displayName, columns) {
+  const rankStr = rank.toString();
+  const nameStr = displayName.padEnd(10);
+  const columnStrs = columns.map(col => col.value.toString().padStart(col.padding));
+  return `${rankStr} | ${nameStr} | ${columnStrs.join(' | ')}\n`;
+}
+
+/**
+ * Helper function to create a table
+ * @param {string} title - Table title
+ * @param {Array} data - Array of entries with player and value properties
+ * @param {string} valueName - Name for the value column
+ * @param {boolean} isSummary - Whether this is a summary table
+ * @returns {string} Formatted table
+ */
+function createTable(title, data, valueName = 'Value', isSummary = false) {
+  if (!data || data.length === 0) return '';
+  
+  let table = `<b>${title}</b>\n`;
+  
+  if (isSummary) {
+    table += `<code># | Player     | ${valueName}\n`;
+    table += `--|------------|--------\n`;
+  } else {
+    table += `<code># | Player     | ${valueName} | Points\n`;
+    table += `--|------------|-------|-------\n`;
+  }
+  
+  data.forEach((entry, index) => {
+    const rank = index + 1;
+    const displayName = getDisplayName(entry.player);
+    const points = isSummary ? null : calculateRankPoints(rank);
+    table += formatTableRow(rank, displayName, entry.value, points, isSummary);
+  });
+  
+  table += `</code>\n\n`;
+  return table;
+}
+
+/**
+ * Handle /season command
+ * Usage: /season [1v1|2v2] - doubles by default
+ */
+async function handleSeason(msg) {
+  try {
+    const currentSeason = getCurrentSeason();
+    const format = parseFormat(getCommandArgs(msg && msg.text)) || MATCH_FORMAT.DOUBLES;
+    const seasonData = await seasonService.getSeasonLeaderboard(currentSeason, format);
+    const title = format === MATCH_FORMAT.SINGLES ? `Season ${currentSeason} (1v1)` : `Season ${currentSeason}`;
+    
+    if (!seasonData.summary || seasonData.summary.length === 0) {
+      return {
+        text: `📊 <b>${title}</b>\n\nNo matches played this season yet. Start playing to see season statistics!`,
+        parse_mode: 'HTML'
+      };
+    }
+    
+    let text = `📊 <b>${title}</b>\n\n`;
+    
+    // Summary table
+    text += createTable('🏆 Season Summary', seasonData.summary, 'Points', true);
+    
+    // Category tables
+    const categoryConfigs = [
+      { key: 'eloGains', title: '🏆 Most Elo Points Gained', valueName: ' Elo ' },
+      { key: 'matchesPlayed', title: '🎮 Most Matches Played', valueName: 'Games' },
+      { key: 'dryWins', title: '💪 Most Dry Wins', valueName: 'Wins ' },
       { key: 'totalWins', title: '🏅 Most Wins', valueName: 'Wins ' },
       { key: 'longestStreak', title: '🔥 Longest Win Streak', valueName: 'Games' }
     ];
     
-    categoryConfigs.forEach(config => {
-      const categoryData = seasonData.categories[config.key];
-      if (categoryData && categoryData.length > 0) {
-        text += createTable(config.title, categoryData, config.valueName, false);
+    categoryConfigs.forEach(config => {
+      const categoryData = seasonData.categories[config.key];
+      if (categoryData && categoryData.length > 0) {
+        text += createTable(config.title, categoryData, config.valueName, false);
+      }
+    });
+    
+    // Goal difference table (informational, not part of the points system)
+    if (seasonData.goalDifference && seasonData.goalDifference.length > 0) {
+      const goalDifferenceData = seasonData.goalDifference.map(entry => ({
+        ...entry,
+        value: formatGoalDifference(entry.value)
+      }));
+      text += createTable('⚽ Best Goal Difference', goalDifferenceData, 'GD', true);
+    }
+    
+    return {
+      text: text.trim(),
+      parse_mode: 'HTML'
+    };
+  } catch (error) {
+    console.error('❌ Error in handleSeason:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Helper function to format a short match summary
+ * @param {Object} match - Match object with populated winners and losers
+ * @returns {string} Match summary (teams, score and date)
+ */
+function formatMatchSummary(match) {
+  const playedAt = new Date(match.playedAt).toISOString().slice(0, 16).replace('T', ' ');
+  
+  return `${notificationService.formatMatchLine(match)}\n📅 ${playedAt} UTC`;
+}
+
+/**
+ * Check whether a user may undo a match
+ * Admins can undo any match; the recorder can undo their own match within the undo window
+ * @param {Object} match - Match object
+ * @param {string} username - Username of the user trying to undo
+ * @returns {Object} Object with allowed flag and reason when not allowed
+ */
+function checkUndoPermission(match, username) {
+  if (isAdmin(username)) {
+    return { allowed: true };
+  }
+  
+  if (match.recordedBy !== username) {
+    return {
+      allowed: false,
+      reason: '❌ Only the player who recorded this match or an admin can undo it.'
+    };
+  }
+  
+  const windowMinutes = getUndoWindowMinutes();
+  const recordedAt = new Date(match.recordedAt || match.playedAt).getTime();
+  if (Date.now() - recordedAt > windowMinutes * 60 * 1000) {
+    return {
+      allowed: false,
+      reason: `❌ The ${windowMinutes}-minute undo window has passed. Ask an admin to void this match.`
+    };
+  }
+  
+  return { allowed: true };
+}
+
+/**
+ * Handle /undo command - Ask for confirmation before voiding a match
+ * Usage: /undo (your last recorded match) or /undo <match_id>
+ */
+async function handleUndo(msg) {
+  try {
+    const username = msg.from.username;
+    
+    if (!username) {
+      return {
+        text: '❌ You need to have a Telegram username to undo matches.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const parts = (msg.text || '').trim().split(/\s+/);
+    const matchId = parts[1];
+    
+    let match;
+    if (matchId) {
+      match = await matchService.getMatchById(matchId);
+      if (!match) {
+        return {
+          text: '❌ <b>Match not found!</b>\n\nPlease check the match ID and try again.',
+          parse_mode: 'HTML'
+        };
+      }
+    } else {
+      match = await matchService.getLastRecordedMatch(username);
+      if (!match) {
+        return {
+          text: '❌ You have not recorded any matches that can be undone.\n\nUse <code>/undo &lt;match_id&gt;</code> to undo a specific match.',
+          parse_mode: 'HTML'
+        };
+      }
+    }
+    
+    if (match.status === MATCH_STATUS.VOIDED) {
+      return {
+        text: '❌ This match has already been voided.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const permission = checkUndoPermission(match, username);
+    if (!permission.allowed) {
+      return {
+        text: permission.reason,
+        parse_mode: 'HTML'
+      };
+    }
+    
+    return {
+      text: `↩️ <b>Undo this match?</b>\n\n${formatMatchSummary(match)}\n\n` +
+            `Elo changes will be rolled back and later matches recalculated.`,
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '✅ Yes, void it', callback_data: `undo_confirm_${match._id}` },
+          { text: '❌ Keep it', callback_data: 'undo_cancel' }
+        ]]
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error in handleUndo:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Handle undo confirmation callback
+ * @param {object} callbackQuery - Telegram callback query
+ * @param {object} bot - Telegram bot instance (optional, for notifications)
+ */
+async function handleUndoCallback(callbackQuery, bot = null) {
+  try {
+    const data = callbackQuery.data;
+    const username = callbackQuery.from.username;
+    
+    if (data === 'undo_cancel') {
+      return {
+        text: '↩️ Undo cancelled. The match stays recorded.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const matchId = data.replace('undo_confirm_', '');
+    const match = await matchService.getMatchById(matchId);
+    
+    if (!match) {
+      return {
+        text: '❌ <b>Match not found!</b>',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    if (match.status === MATCH_STATUS.VOIDED) {
+      return {
+        text: '❌ This match has already been voided.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const permission = checkUndoPermission(match, username);
+    if (!permission.allowed) {
+      return {
+        text: permission.reason,
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const { match: voidedMatch, ratingChanges } = await matchService.voidMatch(matchId, username);
+    
+    // Only ratings of the voided match's format are shown for its players
+    const participantIds = voidedMatch.players.map(p => p._id.toString());
+    const matchFormat = getMatchFormat(voidedMatch);
+    const participantChanges = ratingChanges.filter(change => 
+      participantIds.includes(change.player._id.toString()) && change.format === matchFormat
+    );
+    const otherChanges = ratingChanges.filter(change =>
+      !participantIds.includes(change.player._id.toString())
+    ).length;
+    
+    const summary = formatMatchSummary(voidedMatch);
+    if (match.status !== MATCH_STATUS.CONFIRMED) {
+      return {
+        text: `✅ <b>Match voided!</b>\n\n${summary}\n\nThe match was not confirmed yet, so no Elo had been applied.`,
+        parse_mode: 'HTML'
+      };
+    }
+    
+    let text = `✅ <b>Match voided!</b>\n\n${summary}\n\n📊 <b>Elo restored:</b>\n`;
+    participantChanges.forEach(change => {
+      text += `@${change.player.username}: ${change.before} → ${change.after}\n`;
+    });
+    if (otherChanges > 0) {
+      text += `\n🔄 Ratings of ${otherChanges} other player(s) were recalculated from later matches.`;
+    }
+    
+    // Tell the other participants that the match was voided
+    if (bot) {
+      for (const player of voidedMatch.players) {
+        if (!player.chatId || player.username === username) {
+          continue;
+        }
+        
+        const change = participantChanges.find(c => c.player._id.toString() === player._id.toString());
+        const eloText = change ? `\n\nYour Elo: ${change.before} → <b>${change.after}</b>` : '';
+        
+        try {
+          await bot.sendMessage(
+            player.chatId,
+            `↩️ <b>Match voided by @${username}</b>\n\n${summary}${eloText}`,
+            { parse_mode: 'HTML' }
+          );
+        } catch (error) {
+          console.error(`Failed to send undo notification to ${player.username}:`, error);
+        }
+      }
+    }
+    
+    return {
+      text: text.trim(),
+      parse_mode: 'HTML'
+    };
+  } catch (error) {
+    console.error('❌ Error in handleUndoCallback:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Handle /editmatch command - admins correct the players, winning side or score of a match
+ * Usage: /editmatch <match_id>
+ */
+async function handleEditMatch(msg) {
+  try {
+    const chatId = msg.chat.id;
+    const username = msg.from.username;
+    
+    if (!isAdmin(username)) {
+      return {
+        text: '❌ Only admins can edit matches.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const matchId = getCommandArgs(msg.text);
+    if (!matchId) {
+      return {
+        text: '✏️ <b>Edit a match</b>\n\nUsage: <code>/editmatch &lt;match_id&gt;</code>\nThe match ID is shown in match notifications.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    if (matchCreationState.has(chatId)) {
+      return {
+        text: '❌ <b>Match creation already in progress!</b>\n\nPlease complete the current match or wait for it to timeout.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const match = await matchService.getMatchById(matchId);
+    if (!match) {
+      return {
+        text: '❌ Match not found.',
+        parse_mode: 'HTML'
+      };
+    }
+    if (match.status === MATCH_STATUS.VOIDED) {
+      return {
+        text: '❌ Voided matches cannot be edited.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const state = {
+      mode: 'edit',
+      matchId: match._id.toString(),
+      originalLine: notificationService.formatMatchLine(match),
+      userId: msg.from.id,
+      format: getMatchFormat(match),
+      winners: [...match.winners],
+      losers: [...match.losers],
+      score: hasScore(match) ? { winners: match.score.winners, losers: match.score.losers } : null,
+      isDryWin: match.isDryWin,
+      timestamp: Date.now()
+    };
+    matchCreationState.set(chatId, state);
+    
+    return showMatchEditMenu(state);
+  } catch (error) {
+    console.error('❌ Error in handleEditMatch:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Handle /editmatch menu buttons (change players, swap sides, change score, save)
+ * Player selection and score entry reuse the /match wizard
+ * @param {object} callbackQuery - Telegram callback query
+ * @param {object} bot - Telegram bot instance (optional, for notifications)
+ */
+async function handleMatchEditAction(callbackQuery, bot = null) {
+  try {
+    const data = callbackQuery.data;
+    const chatId = callbackQuery.message.chat.id;
+    const username = callbackQuery.from.username;
+    
+    const state = matchCreationState.get(chatId);
+    if (!state || state.mode !== 'edit' || state.userId !== callbackQuery.from.id) {
+      return {
+        text: '❌ <b>Invalid action!</b>\n\nThis match edit session has expired or belongs to another user.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    // Check if session has expired (5 minutes)
+    if (Date.now() - state.timestamp > 5 * 60 * 1000) {
+      matchCreationState.delete(chatId);
+      return {
+        text: '❌ <b>Match edit session expired!</b>\n\nPlease start again with /editmatch.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    if (data === 'edit_players') {
+      state.step = 'select_winners';
+      state.winners = [];
+      state.losers = [];
+      state.page = 0;
+      state.search = '';
+      state.recentUsernames = await getRecentPlayerUsernames(username);
+      state.timestamp = Date.now(); // Reset timestamp
+      
+      const players = await playerService.getAllPlayers();
+      const keyboard = createPlayerSelectionKeyboard(players, [], getPickerView(state));
+      addFormatToggle(keyboard, state);
+      
+      return {
+        text: `${getWizardTitle(state)} (${state.format})\n\nPlease select <b>${formatTeamCount(state, 'winners')}</b> for this match:` +
+              formatPickerHint(state, players),
+        parse_mode: 'HTML',
+        reply_markup: {
+          inline_keyboard: keyboard
+        }
+      };
+    }
+    
+    if (data === 'edit_swap') {
+      [state.winners, state.losers] = [state.losers, state.winners];
+      return showMatchEditMenu(state);
+    }
+    
+    if (data === 'edit_score') {
+      return startScoreEntry(state);
+    }
+    
+    if (data !== 'edit_save') {
+      return null;
+    }
+    
+    let result;
+    try {
+      result = await matchService.editMatch(state.matchId, {
+        winners: state.winners.map(p => p.username),
+        losers: state.losers.map(p => p.username),
+        score: state.score
+      }, username);
+    } catch (error) {
+      if (error.message === 'No changes to save') {
+        const menu = showMatchEditMenu(state);
+        return { ...menu, text: `⚠️ Nothing has been changed yet.\n\n${menu.text}` };
+      }
+      if (error.message === 'Match not found' || error.message === 'Voided matches cannot be edited') {
+        matchCreationState.delete(chatId);
+        return {
+          text: `❌ ${error.message}.`,
+          parse_mode: 'HTML'
+        };
+      }
+      throw error;
+    }
+    
+    matchCreationState.delete(chatId);
+    
+    const { match, before, ratingChanges, seasons } = result;
+    const involvedIds = [
+      ...before.winners,
+      ...before.losers,
+      ...match.players.map(p => p._id.toString())
+    ];
+    const involvedChanges = ratingChanges.filter(change =>
+      involvedIds.includes(change.player._id.toString()) && change.before !== change.after
+    );
+    const otherChanges = ratingChanges.filter(change =>
+      !involvedIds.includes(change.player._id.toString()) && change.before !== change.after
+    ).length;
+    
+    const summary = formatMatchSummary(match);
+    let text = `✅ <b>Match updated!</b>\n\n${summary}\n<i>Was: ${state.originalLine}</i>\n`;
+    if (involvedChanges.length > 0) {
+      text += `\n📊 <b>Elo:</b>\n`;
+      involvedChanges.forEach(change => {
+        text += `@${change.player.username}: ${change.before} → ${change.after}\n`;
+      });
+    }
+    if (otherChanges > 0) {
+      text += `\n🔄 Ratings of ${otherChanges} other player(s) were recalculated from later matches.`;
+    }
+    if (seasons.length > 0) {
+      text += `\n📅 Season standings rebuilt: ${seasons.join(', ')}`;
+    }
+    
+    // Tell the players of the old and the new roster about the correction
+    if (bot) {
+      for (const change of involvedChanges) {
+        const player = change.player;
+        if (!player.chatId || player.username === username) {
+          continue;
+        }
+        try {
+          await bot.sendMessage(
+            player.chatId,
+            `✏️ <b>A match you played was corrected by @${username}</b>\n\n${summary}\n\nYour Elo: ${change.before} → ${change.after}`,
+            { parse_mode: 'HTML' }
+          );
+        } catch (error) {
+          console.error(`Failed to notify ${player.username} about edited match:`, error);
+        }
       }
-    });
+    }
     
     return {
       text: text.trim(),
       parse_mode: 'HTML'
     };
   } catch (error) {
-    console.error('❌ Error in handleSeason:', error.message);
+    console.error('❌ Error in handleMatchEditAction:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Handle Confirm/Dispute answers for a pending match
+ * @param {object} callbackQuery - Telegram callback query
+ * @param {object} bot - Telegram bot instance (optional, for notifications)
+ */
+async function handleMatchConfirmation(callbackQuery, bot = null) {
+  try {
+    const data = callbackQuery.data;
+    const username = callbackQuery.from.username;
+    const isConfirm = data.startsWith('confirm_match_');
+    const matchId = data.replace(isConfirm ? 'confirm_match_' : 'dispute_match_', '');
+    
+    const match = await matchService.getMatchById(matchId);
+    if (!match) {
+      return {
+        text: '❌ <b>Match not found!</b>',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    if (match.status !== MATCH_STATUS.PENDING) {
+      return {
+        text: `ℹ️ This match has already been handled (status: <b>${match.status}</b>).`,
+        parse_mode: 'HTML'
+      };
+    }
+    
+    if (!matchConfirmationService.canRespond(match, username)) {
+      return {
+        text: '❌ Only a player from the losing team who did not record the match can confirm or dispute it.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    if (!isConfirm) {
+      const disputedMatch = await matchService.disputeMatch(matchId, username);
+      await matchConfirmationService.announceDisputedMatch(bot, disputedMatch, username);
+      
+      return {
+        text: `⚠️ <b>Match disputed</b>\n\n${notificationService.formatMatchLine(disputedMatch)}\n\n` +
+              `No Elo was applied. An admin will review the result.`,
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const { match: confirmedMatch } = await matchService.confirmMatch(matchId, { confirmedBy: username });
+    const notification = await matchConfirmationService.announceConfirmedMatch(bot, confirmedMatch);
+    
+    return {
+      text: `✅ <b>Match confirmed!</b>\n\n${notification}`,
+      parse_mode: 'HTML'
+    };
+  } catch (error) {
+    console.error('❌ Error in handleMatchConfirmation:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Handle /disputes command (admin only)
+ */
+async function handleDisputes(msg) {
+  try {
+    const username = msg.from.username;
+    
+    if (!isAdmin(username)) {
+      return {
+        text: '❌ Only admins can review disputed matches.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const disputes = await matchService.getDisputedMatches();
+    if (disputes.length === 0) {
+      return {
+        text: '✅ <b>No disputed matches!</b>',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    let text = `⚠️ <b>Disputed Matches (${disputes.length})</b>\n\n`;
+    const keyboard = [];
+    disputes.forEach((match, index) => {
+      const disputedBy = match.confirmation && match.confirmation.respondedBy
+        ? ` — disputed by @${match.confirmation.respondedBy}`
+        : '';
+      text += `${index + 1}. ${formatMatchSummary(match)}${disputedBy}\n\n`;
+      keyboard.push([
+        { text: `✅ Approve #${index + 1}`, callback_data: `dispute_resolve_approve_${match._id}` },
+        { text: `🗑 Void #${index + 1}`, callback_data: `dispute_resolve_void_${match._id}` }
+      ]);
+    });
+    text += 'Approving applies the Elo changes; voiding discards the match.';
+    
+    return {
+      text,
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: keyboard
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error in handleDisputes:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Handle admin decision on a disputed match
+ * @param {object} callbackQuery - Telegram callback query
+ * @param {object} bot - Telegram bot instance (optional, for notifications)
+ */
+async function handleDisputeResolution(callbackQuery, bot = null) {
+  try {
+    const data = callbackQuery.data;
+    const username = callbackQuery.from.username;
+    
+    if (!isAdmin(username)) {
+      return {
+        text: '❌ Only admins can resolve disputed matches.',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const approve = data.startsWith('dispute_resolve_approve_');
+    const matchId = data.replace(approve ? 'dispute_resolve_approve_' : 'dispute_resolve_void_', '');
+    
+    const match = await matchService.getMatchById(matchId);
+    if (!match) {
+      return {
+        text: '❌ <b>Match not found!</b>',
+        parse_mode: 'HTML'
+      };
+    }
+    
+    if (match.status !== MATCH_STATUS.DISPUTED) {
+      return {
+        text: `ℹ️ This match is no longer disputed (status: <b>${match.status}</b>).`,
+        parse_mode: 'HTML'
+      };
+    }
+    
+    if (approve) {
+      const { match: confirmedMatch } = await matchService.confirmMatch(matchId, { confirmedBy: username });
+      const notification = await matchConfirmationService.announceConfirmedMatch(bot, confirmedMatch);
+      
+      return {
+        text: `✅ <b>Dispute resolved: match approved</b>\n\n${notification}`,
+        parse_mode: 'HTML'
+      };
+    }
+    
+    const { match: voidedMatch } = await matchService.voidMatch(matchId, username);
+    const summary = formatMatchSummary(voidedMatch);
+    
+    if (bot) {
+      for (const player of voidedMatch.players) {
+        if (!player.chatId) continue;
+        try {
+          await bot.sendMessage(
+            player.chatId,
+            `🗑 <b>Disputed match voided by @${username}</b>\n\n${summary}`,
+            { parse_mode: 'HTML' }
+          );
+        } catch (error) {
+          console.error(`Failed to send dispute notification to ${player.username}:`, error);
+        }
+      }
+    }
+    
+    return {
+      text: `🗑 <b>Dispute resolved: match voided</b>\n\n${summary}`,
+      parse_mode: 'HTML'
+    };
+  } catch (error) {
+    console.error('❌ Error in handleDisputeResolution:', error.message);
     throw error;
   }
 }
@@ -782,16 +3067,35 @@ async function handleHelp(msg) {
                    `• <code>/register</code> - Register yourself as a player\n` +
                    `• <code>/alias &lt;name&gt;</code> - Set your display name for the leaderboard\n\n` +
                    `🏆 <b>Match Recording:</b>\n` +
-                   `• <code>/match</code> - Start interactive match creation\n` +
-                   `• Select 2 winners and 2 losers using buttons\n\n` +
+                   `• <code>/match</code> - Start interactive match creation (<code>/match 1v1</code> for singles)\n` +
+                   `• Select 2 winners and 2 losers using buttons, optionally mark who played attack and defence, then enter the final score\n` +
+                   `• Use ◀ ▶ to page through players, or type part of a name to search\n` +
+                   `• <code>/result @a @b beat @c @d 10-4</code> - Record a match in one line (aliases work too, <code>/result @a beat @c 10-8</code> for 1v1)\n` +
+                   `• A player from the losing team confirms the result before Elo is applied\n` +
+                   `• <code>/predict @a @b vs @c @d</code> - Show each side's win probability and the Elo at stake\n` +
+                   `• <code>/teams @a @b @c @d</code> - Split four players into the fairest two teams and start the match with them\n` +
+                   `• <code>/undo</code> - Undo the last match you recorded (within ${getUndoWindowMinutes()} minutes)\n\n` +
                    `📊 <b>Statistics:</b>\n` +
                    `• <code>/stats</code> - View your personal statistics\n` +
                    `• <code>/leaderboard</code> - View all-time leaderboard table with ELO, matches, and win rate\n` +
-                   `• <code>/season</code> - View current season statistics with rankings\n\n` +
+                   `• <code>/season</code> - View current season statistics with rankings\n` +
+                   `• <code>/history [@user] [n]</code> - View rating changes match by match, with peak and lowest rating\n` +
+                   `• <code>/teams leaderboard</code> - Rank the duos that play together by their team Elo\n` +
+                   `• <code>/h2h @a @b</code> - Compare two players against each other and as partners\n` +
+                   `• <code>/partners [@user]</code> - Best and worst partner, favourite victim and nemesis\n` +
+                   `• <code>/chart [@user ...] [season]</code> - Elo progression as a chart, comparing up to ${MAX_CHART_PLAYERS} players\n` +
+                   `Add <code>1v1</code> to /stats, /leaderboard or /season for singles; 1v1 has its own rating.\n` +
+                   `<code>/leaderboard attack</code> or <code>/leaderboard defence</code> ranks the 2v2 position ratings.\n\n` +
                    `🎲 <b>Play:</b>\n` +
                    `• <code>/play</code> - Invite players to join a match\n\n` +
                    `⚙️ <b>Admin:</b>\n` +
-                   `• <code>/newseason</code> - Manually trigger season transition\n\n` +
+                   `• <code>/newseason</code> - Manually trigger season transition\n` +
+                   `• <code>/undo &lt;match_id&gt;</code> - Void any match and roll back its Elo\n` +
+                   `• <code>/addmatch 2024-06-14 12:30 @a @b beat @c @d 10-4</code> - Add a match played earlier and recalculate later ratings\n` +
+                   `• <code>/editmatch &lt;match_id&gt;</code> - Change the players, winning side or score of a match\n` +
+                   `• <code>/disputes</code> - Review disputed matches\n` +
+                   `• <code>/ratingcompare</code> - Replay all matches through Elo and Glicko-2 and compare the rankings\n` +
+                   `• <code>/recalculate [confirm]</code> - Rebuild all ratings and seasons from the match history (preview without confirm)\n\n` +
                    `❓ <b>Help:</b>\n` +
                    `• <code>/help</code> - Show this help message\n\n` +
                    `<i>All players start with 1000 Elo rating. Matches are grouped into monthly seasons.</i>`;
@@ -857,14 +3161,34 @@ module.exports = {
   handleRegister,
   handleMatch,
   handlePlayerSelection,
+  handlePlayerSearch,
+  handleResult,
+  handleAddMatch,
   handleStats,
   handleLeaderboard,
+  handleRatingCompare,
+  handleRecalculate,
+  handlePredict,
+  handleH2H,
+  handlePartners,
+  handleChart,
+  handleTeams,
+  handleTeamsStart,
+  handleHistory,
+  handleHistoryPage,
   handleSeason,
   handleAlias,
   handleHelp,
   handleUnknown,
   handleNewSeason,
   handlePlay,
+  handleUndo,
+  handleUndoCallback,
+  handleEditMatch,
+  handleMatchEditAction,
+  handleMatchConfirmation,
+  handleDisputes,
+  handleDisputeResolution,
   playSession,
   // Helper functions for testing
   __getMatchCreationState: () => matchCreationState,
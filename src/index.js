@@ -7,14 +7,34 @@ const {
   handleRegister,
   handleMatch,
   handlePlayerSelection,
+  handlePlayerSearch,
+  handleResult,
+  handleAddMatch,
   handleStats,
   handleLeaderboard,
+  handleRatingCompare,
+  handleRecalculate,
+  handlePredict,
+  handleH2H,
+  handlePartners,
+  handleChart,
+  handleTeams,
+  handleTeamsStart,
+  handleHistory,
+  handleHistoryPage,
   handleSeason,
   handleAlias,
   handleHelp,
   handleUnknown,
   handleNewSeason,
-  handlePlay
+  handlePlay,
+  handleUndo,
+  handleUndoCallback,
+  handleEditMatch,
+  handleMatchEditAction,
+  handleMatchConfirmation,
+  handleDisputes,
+  handleDisputeResolution
 } = require('./handlers/commandHandlers');
 const playerService = require('./services/playerService');
 const cronService = require('./services/cronService');
@@ -109,7 +129,7 @@ bot.onText(/^\/register$/, async (msg) => {
 });
 
 // Handle /match command
-bot.onText(/^\/match$/, async (msg) => {
+bot.onText(/^\/match(?:\s+\S+)?$/, async (msg) => {
   try {
     console.log('📨 Received /match command from:', msg.from.username);
     const chatId = msg.chat.id;
@@ -199,7 +219,22 @@ bot.on('callback_query', async (callbackQuery) => {
     console.log('📨 Received callback query from:', callbackQuery.from.username);
     console.log('📝 Callback data:', callbackQuery.data);
     
-    const response = await handlePlayerSelection(callbackQuery, bot);
+    let response;
+    if (data.startsWith('undo_')) {
+      response = await handleUndoCallback(callbackQuery, bot);
+    } else if (data.startsWith('confirm_match_') || data.startsWith('dispute_match_')) {
+      response = await handleMatchConfirmation(callbackQuery, bot);
+    } else if (data.startsWith('dispute_resolve_')) {
+      response = await handleDisputeResolution(callbackQuery, bot);
+    } else if (data.startsWith('edit_')) {
+      response = await handleMatchEditAction(callbackQuery, bot);
+    } else if (data.startsWith('teams_')) {
+      response = await handleTeamsStart(callbackQuery);
+    } else if (data.startsWith('history_')) {
+      response = await handleHistoryPage(callbackQuery);
+    } else {
+      response = await handlePlayerSelection(callbackQuery, bot);
+    }
     
     if (response) {
       await bot.editMessageText(response.text, {
@@ -221,8 +256,34 @@ bot.on('callback_query', async (callbackQuery) => {
   }
 });
 
+// Handle /result command
+bot.onText(/^\/result(?:\s+.*)?$/, async (msg) => {
+  try {
+    console.log('📨 Received /result command from:', msg.from.username);
+    const chatId = msg.chat.id;
+    const response = await handleResult(msg, bot);
+    await bot.sendMessage(chatId, response.text, { parse_mode: response.parse_mode });
+  } catch (error) {
+    console.error('Error handling /result command:', error);
+    await bot.sendMessage(msg.chat.id, '❌ An error occurred while recording the match. Please try again.');
+  }
+});
+
+// Handle /addmatch command (admin)
+bot.onText(/^\/addmatch(?:\s+.*)?$/, async (msg) => {
+  try {
+    console.log('📨 Received /addmatch command from:', msg.from.username);
+    const chatId = msg.chat.id;
+    const response = await handleAddMatch(msg, bot);
+    await bot.sendMessage(chatId, response.text, { parse_mode: response.parse_mode });
+  } catch (error) {
+    console.error('Error handling /addmatch command:', error);
+    await bot.sendMessage(msg.chat.id, '❌ An error occurred while adding the match. Please try again.');
+  }
+});
+
 // Handle /stats command
-bot.onText(/^\/stats$/, async (msg) => {
+bot.onText(/^\/stats(?:\s+\S+)?$/, async (msg) => {
   try {
     console.log('📨 Received /stats command from:', msg.from.username);
     const chatId = msg.chat.id;
@@ -235,7 +296,7 @@ bot.onText(/^\/stats$/, async (msg) => {
 });
 
 // Handle /leaderboard command
-bot.onText(/^\/leaderboard$/, async (msg) => {
+bot.onText(/^\/leaderboard(?:\s+\S+)?$/, async (msg) => {
   try {
     console.log('📨 Received /leaderboard command from:', msg.from.username);
     const chatId = msg.chat.id;
@@ -247,8 +308,127 @@ bot.onText(/^\/leaderboard$/, async (msg) => {
   }
 });
 
+// Handle /ratingcompare command
+bot.onText(/^\/ratingcompare(?:\s+\S+)?$/, async (msg) => {
+  try {
+    console.log('📨 Received /ratingcompare command from:', msg.from.username);
+    const chatId = msg.chat.id;
+    const response = await handleRatingCompare(msg);
+    await bot.sendMessage(chatId, response.text, { parse_mode: response.parse_mode });
+  } catch (error) {
+    console.error('Error handling /ratingcompare command:', error);
+    await bot.sendMessage(msg.chat.id, '❌ An error occurred while comparing rating engines. Please try again.');
+  }
+});
+
+// Handle /recalculate command
+bot.onText(/^\/recalculate(?:\s+\S+)?$/, async (msg) => {
+  try {
+    console.log('📨 Received /recalculate command from:', msg.from.username);
+    const chatId = msg.chat.id;
+    const response = await handleRecalculate(msg);
+    await bot.sendMessage(chatId, response.text, { parse_mode: response.parse_mode });
+  } catch (error) {
+    console.error('Error handling /recalculate command:', error);
+    await bot.sendMessage(msg.chat.id, '❌ An error occurred while recalculating ratings. Please try again.');
+  }
+});
+
+// Handle /predict command
+bot.onText(/^\/predict(?:\s+.*)?$/, async (msg) => {
+  try {
+    console.log('📨 Received /predict command from:', msg.from.username);
+    const chatId = msg.chat.id;
+    const response = await handlePredict(msg);
+    await bot.sendMessage(chatId, response.text, { parse_mode: response.parse_mode });
+  } catch (error) {
+    console.error('Error handling /predict command:', error);
+    await bot.sendMessage(msg.chat.id, '❌ An error occurred while predicting the match. Please try again.');
+  }
+});
+
+// Handle /h2h command
+bot.onText(/^\/h2h(?:\s+.*)?$/, async (msg) => {
+  try {
+    console.log('📨 Received /h2h command from:', msg.from.username);
+    const chatId = msg.chat.id;
+    const response = await handleH2H(msg);
+    await bot.sendMessage(chatId, response.text, { parse_mode: response.parse_mode });
+  } catch (error) {
+    console.error('Error handling /h2h command:', error);
+    await bot.sendMessage(msg.chat.id, '❌ An error occurred while loading the head-to-head record. Please try again.');
+  }
+});
+
+// Handle /partners command
+bot.onText(/^\/partners(?:\s+.*)?$/, async (msg) => {
+  try {
+    console.log('📨 Received /partners command from:', msg.from.username);
+    const chatId = msg.chat.id;
+    const response = await handlePartners(msg);
+    await bot.sendMessage(chatId, response.text, { parse_mode: response.parse_mode });
+  } catch (error) {
+    console.error('Error handling /partners command:', error);
+    await bot.sendMessage(msg.chat.id, '❌ An error occurred while loading the partner report. Please try again.');
+  }
+});
+
+// Handle /chart command
+bot.onText(/^\/chart(?:\s+.*)?$/, async (msg) => {
+  try {
+    console.log('📨 Received /chart command from:', msg.from.username);
+    const chatId = msg.chat.id;
+    const response = await handleChart(msg);
+    if (response.photo) {
+      await bot.sendPhoto(
+        chatId,
+        response.photo,
+        { caption: response.caption, parse_mode: response.parse_mode },
+        { filename: 'elo-chart.png', contentType: 'image/png' }
+      );
+    } else {
+      await bot.sendMessage(chatId, response.text, { parse_mode: response.parse_mode });
+    }
+  } catch (error) {
+    console.error('Error handling /chart command:', error);
+    await bot.sendMessage(msg.chat.id, '❌ An error occurred while drawing the chart. Please try again.');
+  }
+});
+
+// Handle /teams command
+bot.onText(/^\/teams(?:\s+.*)?$/, async (msg) => {
+  try {
+    console.log('📨 Received /teams command from:', msg.from.username);
+    const chatId = msg.chat.id;
+    const response = await handleTeams(msg);
+    await bot.sendMessage(chatId, response.text, {
+      parse_mode: response.parse_mode,
+      reply_markup: response.reply_markup
+    });
+  } catch (error) {
+    console.error('Error handling /teams command:', error);
+    await bot.sendMessage(msg.chat.id, '❌ An error occurred while splitting the teams. Please try again.');
+  }
+});
+
+// Handle /history command
+bot.onText(/^\/history(?:\s+.*)?$/, async (msg) => {
+  try {
+    console.log('📨 Received /history command from:', msg.from.username);
+    const chatId = msg.chat.id;
+    const response = await handleHistory(msg);
+    await bot.sendMessage(chatId, response.text, {
+      parse_mode: response.parse_mode,
+      reply_markup: response.reply_markup
+    });
+  } catch (error) {
+    console.error('Error handling /history command:', error);
+    await bot.sendMessage(msg.chat.id, '❌ An error occurred while fetching the rating history. Please try again.');
+  }
+});
+
 // Handle /season command
-bot.onText(/^\/season$/, async (msg) => {
+bot.onText(/^\/season(?:\s+\S+)?$/, async (msg) => {
   try {
     console.log('📨 Received /season command from:', msg.from.username);
     const chatId = msg.chat.id;
@@ -299,6 +479,54 @@ bot.onText(/^\/newseason$/, async (msg) => {
   }
 });
 
+// Handle /undo command
+bot.onText(/^\/undo(?:\s+(\S+))?$/, async (msg) => {
+  try {
+    console.log('📨 Received /undo command from:', msg.from.username);
+    const chatId = msg.chat.id;
+    const response = await handleUndo(msg);
+    await bot.sendMessage(chatId, response.text, { 
+      parse_mode: response.parse_mode,
+      reply_markup: response.reply_markup 
+    });
+  } catch (error) {
+    console.error('Error handling /undo command:', error);
+    await bot.sendMessage(msg.chat.id, '❌ An error occurred while undoing the match. Please try again.');
+  }
+});
+
+// Handle /editmatch command (admin)
+bot.onText(/^\/editmatch(?:\s+\S+)?$/, async (msg) => {
+  try {
+    console.log('📨 Received /editmatch command from:', msg.from.username);
+    const chatId = msg.chat.id;
+    const response = await handleEditMatch(msg);
+    await bot.sendMessage(chatId, response.text, { 
+      parse_mode: response.parse_mode,
+      reply_markup: response.reply_markup 
+    });
+  } catch (error) {
+    console.error('Error handling /editmatch command:', error);
+    await bot.sendMessage(msg.chat.id, '❌ An error occurred while loading the match. Please try again.');
+  }
+});
+
+// Handle /disputes command
+bot.onText(/^\/disputes$/, async (msg) => {
+  try {
+    console.log('📨 Received /disputes command from:', msg.from.username);
+    const chatId = msg.chat.id;
+    const response = await handleDisputes(msg);
+    await bot.sendMessage(chatId, response.text, { 
+      parse_mode: response.parse_mode,
+      reply_markup: response.reply_markup 
+    });
+  } catch (error) {
+    console.error('Error handling /disputes command:', error);
+    await bot.sendMessage(msg.chat.id, '❌ An error occurred while loading disputed matches. Please try again.');
+  }
+});
+
 // Handle all other messages (including unknown commands)
 bot.on('message', async (msg) => {
   try {
@@ -309,6 +537,18 @@ bot.on('message', async (msg) => {
         await playerService.updatePlayerChatId(msg.from.username, msg.chat.id);
       }
     }
+    // Text typed while players are being selected filters the player keyboard
+    if (msg.text && !msg.text.startsWith('/')) {
+      const searchResponse = await handlePlayerSearch(msg);
+      if (searchResponse) {
+        await bot.sendMessage(msg.chat.id, searchResponse.text, {
+          parse_mode: searchResponse.parse_mode,
+          reply_markup: searchResponse.reply_markup
+        });
+        return;
+      }
+    }
+    
     // Only respond to commands that start with /
     if (msg.text && !msg.text.startsWith('/')) {
       console.log('📨 Received unknown command from:', msg.from.username);
@@ -1,19 +1,49 @@
 const mongoose = require('mongoose');
+const { MATCH_STATUS } = require('../utils/matchStatus');
+const { MATCH_FORMAT } = require('../utils/matchFormat');
+
+// Teams and result of a match before or after an edit
+const matchSnapshotSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    enum: Object.values(MATCH_FORMAT)
+  },
+  winners: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Player' }],
+  losers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Player' }],
+  score: {
+    winners: Number,
+    losers: Number
+  },
+  isDryWin: Boolean
+}, { _id: false });
+
+// Change of one player's Glicko-2 state in a match
+const glickoChangeSchema = new mongoose.Schema({
+  rating: Number,
+  deviation: Number,
+  volatility: Number
+}, { _id: false });
 
 const matchSchema = new mongoose.Schema({
-  // All 4 players in the match
+  // 1v1 (singles) or 2v2 (doubles)
+  format: {
+    type: String,
+    enum: Object.values(MATCH_FORMAT),
+    default: MATCH_FORMAT.DOUBLES
+  },
+  // All players in the match (2 for singles, 4 for doubles)
   players: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Player',
     required: true
   }],
-  // Winning team players (2 players)
+  // Winning team players (1 or 2 players)
   winners: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Player',
     required: true
   }],
-  // Losing team players (2 players)
+  // Losing team players (1 or 2 players)
   losers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Player',
@@ -28,15 +58,116 @@ const matchSchema = new mongoose.Schema({
   // Elo changes for each player
   eloChanges: {
     winners: [Number], // Elo changes for winning players
-    losers: [Number]   // Elo changes for losing players
+    losers: [Number],  // Elo changes for losing players
+    // K-factor each player's change was calculated with (same order as winners/losers)
+    kFactors: {
+      winners: [Number],
+      losers: [Number]
+    },
+    // Margin-of-victory multiplier the K-factors were scaled by (1 when not used)
+    marginMultiplier: Number
+  },
+  // Glicko-2 changes for each player (same order as winners/losers), rolled back like Elo changes
+  glickoChanges: {
+    winners: [glickoChangeSchema],
+    losers: [glickoChangeSchema]
+  },
+  // Attack/defence rating changes (same order as winners/losers, each for the position the player played),
+  // only stored when the positions of both teams were recorded
+  positionEloChanges: {
+    winners: [Number],
+    losers: [Number]
+  },
+  // Optional attack/defence positions for each team in doubles matches (player references)
+  positions: {
+    winners: {
+      attack: { type: mongoose.Schema.Types.ObjectId, ref: 'Player' },
+      defence: { type: mongoose.Schema.Types.ObjectId, ref: 'Player' }
+    },
+    losers: {
+      attack: { type: mongoose.Schema.Types.ObjectId, ref: 'Player' },
+      defence: { type: mongoose.Schema.Types.ObjectId, ref: 'Player' }
+    }
   },
   playedAt: {
     type: Date,
     default: Date.now
   },
+  // When the match was entered into the bot
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Username of the player who recorded the match
+  recordedBy: {
+    type: String,
+    trim: true
+  },
+  // Only confirmed matches count towards ratings and stats; voided ones are kept for history
+  status: {
+    type: String,
+    enum: Object.values(MATCH_STATUS),
+    default: MATCH_STATUS.CONFIRMED
+  },
+  // Confirmation by the losing team (see MATCH_STATUS.PENDING)
+  confirmation: {
+    requestedFrom: {
+      type: String,
+      trim: true
+    },
+    respondedBy: {
+      type: String,
+      trim: true
+    },
+    respondedAt: {
+      type: Date
+    },
+    autoConfirmed: {
+      type: Boolean,
+      default: false
+    }
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidedBy: {
+    type: String,
+    trim: true
+  },
+  // Admin corrections made with /editmatch, oldest first
+  editHistory: [{
+    editedBy: {
+      type: String,
+      trim: true
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now
+    },
+    before: matchSnapshotSchema,
+    after: matchSnapshotSchema
+  }],
   isDryWin: {
     type: Boolean,
     default: false
+  },
+  // Final score in goals (optional for matches recorded before scores were tracked)
+  score: {
+    winners: {
+      type: Number,
+      min: 0
+    },
+    losers: {
+      type: Number,
+      min: 0,
+      validate: {
+        validator: function(value) {
+          const winnersScore = this.get('score.winners');
+          return winnersScore === undefined || winnersScore === null || value < winnersScore;
+        },
+        message: 'Losing team score must be lower than winning team score'
+      }
+    }
   }
 });
 
@@ -45,5 +176,8 @@ matchSchema.index({ season: 1, playedAt: -1 });
 matchSchema.index({ 'players': 1, playedAt: -1 });
 matchSchema.index({ 'winners': 1, playedAt: -1 });
 matchSchema.index({ 'losers': 1, playedAt: -1 });
+matchSchema.index({ recordedBy: 1, recordedAt: -1 });
+matchSchema.index({ status: 1, recordedAt: 1 });
+matchSchema.index({ format: 1, playedAt: -1 });
 
 module.exports = mongoose.model('Match', matchSchema); 
\ No newline at end of file
@@ -25,6 +25,45 @@ const playerSchema = new mongoose.Schema({
     of: Number,
     default: new Map()
   },
+  // Singles (1v1) rating, kept separate from the doubles rating above
+  singlesElo: {
+    type: Number,
+    default: 1000,
+    min: 0
+  },
+  singlesSeasonStartElo: {
+    type: Map,
+    of: Number,
+    default: new Map()
+  },
+  // Doubles ratings per position (see utils/positions), only changed by matches with recorded positions
+  attackElo: {
+    type: Number,
+    default: 1000,
+    min: 0
+  },
+  defenceElo: {
+    type: Number,
+    default: 1000,
+    min: 0
+  },
+  // Glicko-2 state per format (see utils/glicko), kept up to date alongside Elo
+  glicko: {
+    rating: { type: Number, default: 1000 },
+    deviation: { type: Number, default: 350 },
+    volatility: { type: Number, default: 0.06 }
+  },
+  singlesGlicko: {
+    rating: { type: Number, default: 1000 },
+    deviation: { type: Number, default: 350 },
+    volatility: { type: Number, default: 0.06 }
+  },
+  // Inactivity tracking (see services/inactivityService); since is null while the player is active
+  inactivity: {
+    since: { type: Date, default: null },
+    nudgedAt: { type: Date, default: null },
+    decayedAt: { type: Date, default: null }
+  },
   chatId: {
     type: String,
     required: false,
@@ -39,5 +78,8 @@ const playerSchema = new mongoose.Schema({
 // Index for efficient queries
 playerSchema.index({ username: 1 });
 playerSchema.index({ elo: -1 });
+playerSchema.index({ singlesElo: -1 });
+playerSchema.index({ attackElo: -1 });
+playerSchema.index({ defenceElo: -1 });
 
 module.exports = mongoose.model('Player', playerSchema); 
\ No newline at end of file
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { MATCH_FORMAT } = require('../utils/matchFormat');
+const { RATING_CHANGE_REASON } = require('../utils/ratingHistory');
+
+// One change of a player's Elo rating, with the rating before and after it
+const ratingHistorySchema = new mongoose.Schema({
+  player: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true
+  },
+  // Match that changed the rating (null for changes outside matches, e.g. inactivity decay)
+  match: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match',
+    default: null
+  },
+  format: {
+    type: String,
+    enum: Object.values(MATCH_FORMAT),
+    default: MATCH_FORMAT.DOUBLES
+  },
+  reason: {
+    type: String,
+    enum: Object.values(RATING_CHANGE_REASON),
+    default: RATING_CHANGE_REASON.MATCH
+  },
+  season: {
+    type: String,
+    match: /^\d{4}-\d{2}$/
+  },
+  ratingBefore: {
+    type: Number,
+    required: true
+  },
+  ratingAfter: {
+    type: Number,
+    required: true
+  },
+  // Whether the player won the match (not set for changes outside matches)
+  won: Boolean,
+  // How an adjustment outside matches was calculated, so replays can calculate it again from a changed rating
+  adjustment: {
+    rate: Number, // Share of the distance to the target rating that was removed (per day for decay)
+    target: String, // Soft reset target setting ('baseline' or 'mean')
+    targetRating: Number, // Rating moved towards: the baseline, or the average rating when the target is 'mean'
+    days: Number // Days of decay the entry covers
+  },
+  playedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for a player's history, newest first, and for replacing a match's entries
+ratingHistorySchema.index({ player: 1, format: 1, playedAt: -1 });
+ratingHistorySchema.index({ match: 1 });
+
+module.exports = mongoose.model('RatingHistory', ratingHistorySchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { MATCH_FORMAT } = require('../utils/matchFormat');
 
 const seasonSchema = new mongoose.Schema({
   season: {
@@ -6,6 +7,12 @@ const seasonSchema = new mongoose.Schema({
     required: true,
     match: /^\d{4}-\d{2}$/
   },
+  // Singles and doubles have separate season standings
+  format: {
+    type: String,
+    enum: Object.values(MATCH_FORMAT),
+    default: MATCH_FORMAT.DOUBLES
+  },
   playerStats: {
     type: Map,
     of: {
@@ -19,6 +26,9 @@ const seasonSchema = new mongoose.Schema({
       dryWins: { type: Number, default: 0 },
       totalWins: { type: Number, default: 0 },
       longestStreak: { type: Number, default: 0 },
+      goalsFor: { type: Number, default: 0 },
+      goalsAgainst: { type: Number, default: 0 },
+      goalDifference: { type: Number, default: 0 },
       totalPoints: { type: Number, default: 0 }
     },
     default: new Map()
@@ -30,7 +40,7 @@ const seasonSchema = new mongoose.Schema({
 });
 
 // Indexes for efficient queries
-seasonSchema.index({ season: 1 });
+seasonSchema.index({ season: 1, format: 1 });
 
 // Method to add or update player stats using player ID as key
 seasonSchema.methods.addOrUpdatePlayerStats = function(playerId, stats) {
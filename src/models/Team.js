@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A fixed 2v2 pair, rated as one unit (see utils/teams)
+const teamSchema = new mongoose.Schema({
+  // Both player IDs sorted and joined, so each pair has exactly one team
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The two players, sorted by ID
+  players: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player',
+    required: true
+  }],
+  elo: {
+    type: Number,
+    default: 1000,
+    min: 0
+  },
+  // Counted doubles matches played together
+  matches: {
+    type: Number,
+    default: 0
+  },
+  wins: {
+    type: Number,
+    default: 0
+  },
+  // Positive for wins in a row, negative for losses in a row
+  currentStreak: {
+    type: Number,
+    default: 0
+  },
+  longestWinStreak: {
+    type: Number,
+    default: 0
+  },
+  longestLossStreak: {
+    type: Number,
+    default: 0
+  },
+  lastPlayedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for the team leaderboard and a player's teams
+teamSchema.index({ elo: -1 });
+teamSchema.index({ players: 1 });
+
+module.exports = mongoose.model('Team', teamSchema);
\ No newline at end of file
@@ -1,8 +1,12 @@
 const cron = require('node-cron');
 const seasonTransitionService = require('./seasonTransitionService');
+const matchConfirmationService = require('./matchConfirmationService');
+const inactivityService = require('./inactivityService');
 
 let botInstance = null;
 let seasonTransitionJob = null;
+let matchConfirmationJob = null;
+let inactivityJob = null;
 
 /**
  * Initialize the cron service with bot instance
@@ -25,6 +29,36 @@ function initializeCronService(bot) {
     scheduled: false, // Don't start immediately, we'll start it manually
     timezone: "UTC" // Use UTC timezone
   });
+
+  // Auto-confirm pending matches that nobody answered within the confirmation timeout
+  matchConfirmationJob = cron.schedule('*/5 * * * *', async () => {
+    try {
+      const confirmed = await matchConfirmationService.autoConfirmExpiredMatches(botInstance);
+      if (confirmed.length > 0) {
+        console.log(`✅ Auto-confirmed ${confirmed.length} pending match(es)`);
+      }
+    } catch (error) {
+      console.error('❌ Error in match confirmation cron job:', error);
+    }
+  }, {
+    scheduled: false,
+    timezone: "UTC"
+  });
+
+  // Mark inactive players, nudge them and decay their ratings once a day at 09:00
+  inactivityJob = cron.schedule('0 9 * * *', async () => {
+    try {
+      const summary = await inactivityService.processInactivePlayers(botInstance);
+      if (summary.markedInactive.length > 0 || summary.decayed.length > 0) {
+        console.log(`💤 Marked ${summary.markedInactive.length} player(s) inactive, decayed ${summary.decayed.length} rating(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Error in inactivity cron job:', error);
+    }
+  }, {
+    scheduled: false,
+    timezone: "UTC"
+  });
   
   console.log('✅ Cron service initialized');
 }
@@ -36,6 +70,14 @@ function startCronJobs() {
   if (seasonTransitionJob) {
     seasonTransitionJob.start();
     console.log('▶️ Season transition cron job started (runs 1st of every month at 00:01 UTC)');
+    if (matchConfirmationJob) {
+      matchConfirmationJob.start();
+      console.log('▶️ Match confirmation cron job started (runs every 5 minutes)');
+    }
+    if (inactivityJob) {
+      inactivityJob.start();
+      console.log('▶️ Inactivity cron job started (runs every day at 09:00 UTC)');
+    }
   } else {
     console.error('❌ Cron jobs not initialized. Call initializeCronService first.');
   }
@@ -49,6 +91,14 @@ function stopCronJobs() {
     seasonTransitionJob.stop();
     console.log('⏹️ Season transition cron job stopped');
   }
+  if (matchConfirmationJob) {
+    matchConfirmationJob.stop();
+    console.log('⏹️ Match confirmation cron job stopped');
+  }
+  if (inactivityJob) {
+    inactivityJob.stop();
+    console.log('⏹️ Inactivity cron job stopped');
+  }
 }
 
 /**
@@ -60,6 +110,14 @@ function getCronStatus() {
     seasonTransitionJob: {
       running: seasonTransitionJob ? seasonTransitionJob.running : false,
       nextRun: seasonTransitionJob ? seasonTransitionJob.nextDate() : null
+    },
+    matchConfirmationJob: {
+      running: matchConfirmationJob ? matchConfirmationJob.running : false,
+      nextRun: matchConfirmationJob ? matchConfirmationJob.nextDate() : null
+    },
+    inactivityJob: {
+      running: inactivityJob ? inactivityJob.running : false,
+      nextRun: inactivityJob ? inactivityJob.nextDate() : null
     }
   };
 }
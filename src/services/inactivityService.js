@@ -0,0 +1,161 @@
+const Player = require('../models/Player');
+const Match = require('../models/Match');
+const { COUNTED_MATCH_FILTER } = require('../utils/matchStatus');
+const { MATCH_FORMAT, DEFAULT_RATING, getRatingField } = require('../utils/matchFormat');
+const { getDecayedRating, getSeasonForDate } = require('../utils/elo');
+const { RATING_CHANGE_REASON, createAdjustmentHistoryEntries } = require('../utils/ratingHistory');
+const { getInactivitySettings } = require('../config/settings');
+const ratingHistoryService = require('./ratingHistoryService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the date of each player's last counted match, in any format
+ * @returns {Promise<Map>} Player ID -> date of the last match
+ */
+async function getLastMatchDates() {
+  try {
+    const results = await Match.aggregate([
+      { $match: COUNTED_MATCH_FILTER },
+      { $unwind: '$players' },
+      { $group: { _id: '$players', lastMatchAt: { $max: '$playedAt' } } }
+    ]);
+    return new Map(results.map(result => [result._id.toString(), result.lastMatchAt]));
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Check whether two dates fall on the same UTC day
+ * @param {Date} a - First date
+ * @param {Date} b - Second date
+ * @returns {boolean} True for the same day
+ */
+function isSameDay(a, b) {
+  return new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+}
+
+/**
+ * Send the "we miss you" message to a player who was just marked inactive
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} player - Inactive player with a chatId
+ * @param {number} idleDays - Days since the player's last match
+ * @param {Object} settings - Inactivity settings
+ * @returns {Promise<boolean>} True if the message was sent
+ */
+async function sendInactivityNudge(bot, player, idleDays, settings) {
+  if (!bot || !player.chatId) return false;
+
+  let text = `👋 <b>We miss you at the table!</b>\n\n` +
+    `You haven't played a match for ${idleDays} days, so you are now listed as inactive on the leaderboard.`;
+  if (settings.decayRate > 0) {
+    text += `\n\n📉 Unless you play within ${settings.decayGraceDays} days, ` +
+      `your rating will start to decay towards ${settings.baseline}.`;
+  }
+  text += `\n\nUse /play or /match to get back in the game!`;
+
+  try {
+    await bot.sendMessage(player.chatId, text, { parse_mode: 'HTML' });
+    return true;
+  } catch (error) {
+    console.error(`Failed to send inactivity nudge to ${player.username}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Decay both Elo ratings of an inactive player once per day
+ * @param {Object} player - Inactive player document
+ * @param {Object} settings - Inactivity settings
+ * @param {Date} now - Current date
+ * @returns {Object|null} Rating changes per format (e.g. { '2v2': -12 }), null when decay is not due
+ */
+function decayPlayerRatings(player, settings, now) {
+  const decayStart = new Date(player.inactivity.since.getTime() + settings.decayGraceDays * DAY_MS);
+  if (settings.decayRate <= 0 || now < decayStart) return null;
+  if (player.inactivity.decayedAt && isSameDay(player.inactivity.decayedAt, now)) return null;
+
+  const changes = {};
+  for (const format of [MATCH_FORMAT.DOUBLES, MATCH_FORMAT.SINGLES]) {
+    const ratingField = getRatingField(format);
+    const rating = typeof player[ratingField] === 'number' ? player[ratingField] : DEFAULT_RATING;
+    const decayed = getDecayedRating(rating, settings.baseline, settings.decayRate);
+    if (decayed !== rating) {
+      player[ratingField] = decayed;
+      changes[format] = decayed - rating;
+    }
+  }
+
+  player.set('inactivity.decayedAt', now);
+  return changes;
+}
+
+/**
+ * Mark players without a recent match inactive, nudge them and decay their ratings
+ * Players who played again are marked active. Run once a day by the cron service.
+ * @param {Object} bot - Telegram bot instance
+ * @param {Date} now - Current date (default: now)
+ * @returns {Promise<Object>} Usernames marked inactive, reactivated and nudged, and the decayed ratings
+ */
+async function processInactivePlayers(bot, now = new Date()) {
+  try {
+    const settings = getInactivitySettings();
+    const lastMatchDates = await getLastMatchDates();
+    const players = await Player.find();
+    const summary = { markedInactive: [], reactivated: [], nudged: [], decayed: [] };
+
+    for (const player of players) {
+      const lastActivity = lastMatchDates.get(player._id.toString()) || player.createdAt;
+      const idleDays = Math.floor((now - new Date(lastActivity)) / DAY_MS);
+      const inactiveSince = player.inactivity && player.inactivity.since;
+
+      if (idleDays < settings.days) {
+        if (inactiveSince) {
+          player.set('inactivity', { since: null, nudgedAt: null, decayedAt: null });
+          await player.save();
+          summary.reactivated.push(player.username);
+        }
+        continue;
+      }
+
+      if (!inactiveSince) {
+        player.set('inactivity.since', now);
+        summary.markedInactive.push(player.username);
+        if (await sendInactivityNudge(bot, player, idleDays, settings)) {
+          player.set('inactivity.nudgedAt', now);
+          summary.nudged.push(player.username);
+        }
+        await player.save();
+        continue;
+      }
+
+      const changes = decayPlayerRatings(player, settings, now);
+      if (changes) {
+        await player.save();
+        if (Object.keys(changes).length > 0) {
+          // The settings are stored so replays can decay the replayed rating again
+          const decaySettings = {};
+          Object.keys(changes).forEach(format => {
+            decaySettings[format] = { rate: settings.decayRate, targetRating: settings.baseline, days: 1 };
+          });
+          await ratingHistoryService.recordEntries(createAdjustmentHistoryEntries(
+            player, changes, now, RATING_CHANGE_REASON.DECAY, getSeasonForDate(now), decaySettings
+          ));
+          summary.decayed.push({ username: player.username, changes });
+        }
+      }
+    }
+
+    return summary;
+  } catch (error) {
+    throw error;
+  }
+}
+
+module.exports = {
+  getLastMatchDates,
+  getDecayedRating,
+  sendInactivityNudge,
+  processInactivePlayers
+};
\ No newline at end of file
@@ -0,0 +1,156 @@
+const matchService = require('./matchService');
+const playerService = require('./playerService');
+const notificationService = require('./notificationService');
+const { getConfirmationTimeoutMinutes } = require('../config/settings');
+
+/**
+ * Pick the losing player who should confirm a match
+ * Prefers a loser with a chat who did not record the match themselves
+ * @param {Object} match - Match with populated losers
+ * @returns {Object|null} Player who should confirm, or null if nobody can be asked
+ */
+function selectConfirmer(match) {
+  const candidates = match.losers.filter(p => p.username !== match.recordedBy);
+  return candidates.find(p => p.chatId) || null;
+}
+
+/**
+ * Check whether a user is allowed to confirm or dispute a match
+ * Any player of the losing team may answer, except the player who recorded the match
+ * @param {Object} match - Match with populated losers
+ * @param {string} username - Username of the responding user
+ * @returns {boolean} True if the user may respond
+ */
+function canRespond(match, username) {
+  const cleanUsername = (username || '').replace('@', '');
+  if (!cleanUsername || cleanUsername === match.recordedBy) return false;
+  return match.losers.some(p => p.username === cleanUsername);
+}
+
+/**
+ * Send the Confirm/Dispute prompt for a pending match to one player of the losing team
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} match - Pending match with populated winners and losers
+ * @returns {Promise<Object|null>} Player who was asked, or null if no loser could be reached
+ */
+async function requestConfirmation(bot, match) {
+  const confirmer = selectConfirmer(match);
+  if (!confirmer) {
+    return null;
+  }
+
+  match.set('confirmation.requestedFrom', confirmer.username);
+  await match.save();
+
+  if (bot) {
+    const timeoutMinutes = getConfirmationTimeoutMinutes();
+    const text = `🤝 <b>Please confirm this match</b>\n\n` +
+      `${notificationService.formatMatchLine(match)}\n` +
+      (match.recordedBy ? `📝 Recorded by @${match.recordedBy}\n` : '') +
+      `\nElo is applied once the result is confirmed. ` +
+      `Without an answer it is confirmed automatically after ${timeoutMinutes} minutes.`;
+
+    try {
+      await bot.sendMessage(confirmer.chatId, text, {
+        parse_mode: 'HTML',
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '✅ Confirm', callback_data: `confirm_match_${match._id}` },
+            { text: '⚠️ Dispute', callback_data: `dispute_match_${match._id}` }
+          ]]
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to send confirmation request to ${confirmer.username}:`, error);
+    }
+  }
+
+  return confirmer;
+}
+
+/**
+ * Announce a confirmed match to the participants and all other players
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} match - Confirmed match with populated winners and losers
+ * @returns {Promise<string>} Notification text
+ */
+async function announceConfirmedMatch(bot, match) {
+  const text = notificationService.formatMatchNotification(match, match.eloChanges);
+
+  if (bot) {
+    for (const player of [...match.winners, ...match.losers]) {
+      if (!player.chatId) continue;
+      try {
+        await bot.sendMessage(player.chatId, text, { parse_mode: 'HTML' });
+      } catch (error) {
+        console.error(`Failed to send match notification to ${player.username}:`, error);
+      }
+    }
+
+    const participants = [...match.winners, ...match.losers].map(p => p.username);
+    await notificationService.broadcastToPlayers(bot, text, participants);
+  }
+
+  return text;
+}
+
+/**
+ * Let the recorder and the admins know that a match was disputed
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} match - Disputed match with populated winners and losers
+ * @param {string} disputedBy - Username of the player who disputed the match
+ * @returns {Promise<void>}
+ */
+async function announceDisputedMatch(bot, match, disputedBy) {
+  if (!bot) return;
+
+  const text = `⚠️ <b>Match disputed</b>\n\n` +
+    `${notificationService.formatMatchLine(match)}\n` +
+    `Disputed by @${disputedBy}\n\n` +
+    `The match does not count until an admin resolves it with /disputes.\n` +
+    `🆔 Match ID: <code>${match._id}</code>`;
+
+  await notificationService.notifyAdmins(bot, text);
+
+  if (match.recordedBy && match.recordedBy !== disputedBy) {
+    const recorder = await playerService.getPlayerByUsername(match.recordedBy);
+    if (recorder && recorder.chatId) {
+      try {
+        await bot.sendMessage(recorder.chatId, text, { parse_mode: 'HTML' });
+      } catch (error) {
+        console.error(`Failed to send dispute notification to ${recorder.username}:`, error);
+      }
+    }
+  }
+}
+
+/**
+ * Confirm every pending match that was not answered within the confirmation timeout
+ * @param {Object} bot - Telegram bot instance
+ * @returns {Promise<Array>} Auto-confirmed matches
+ */
+async function autoConfirmExpiredMatches(bot) {
+  const expired = await matchService.getExpiredPendingMatches(getConfirmationTimeoutMinutes());
+  const confirmed = [];
+
+  for (const pendingMatch of expired) {
+    try {
+      const { match } = await matchService.confirmMatch(pendingMatch._id, { autoConfirmed: true });
+      await announceConfirmedMatch(bot, match);
+      confirmed.push(match);
+    } catch (error) {
+      console.error(`Failed to auto-confirm match ${pendingMatch._id}:`, error);
+    }
+  }
+
+  return confirmed;
+}
+
+module.exports = {
+  selectConfirmer,
+  canRespond,
+  requestConfirmation,
+  announceConfirmedMatch,
+  announceDisputedMatch,
+  autoConfirmExpiredMatches
+};
\ No newline at end of file
@@ -1,93 +1,923 @@
+const mongoose = require('mongoose');
 const Match = require('../models/Match');
-const { calculateTeamEloChanges, getCurrentSeason } = require('../utils/elo');
+const { runInTransaction } = require('../config/database');
+const {
+  calculateTeamEloChanges,
+  getExpectedTeamScore,
+  getAverageRating,
+  getCurrentSeason,
+  getSeasonForDate,
+  getPlayerKFactor,
+  isProvisional
+} = require('../utils/elo');
+const { calculateTeamGlickoChanges, getPlayerGlicko } = require('../utils/glicko');
+const { calculateGoalStats, getMarginOfVictory } = require('../utils/goals');
+const {
+  calculatePositionStats,
+  calculatePositionEloChanges,
+  getMatchPositions,
+  getPlayerPositionRating
+} = require('../utils/positions');
+const { COUNTED_MATCH_FILTER, MATCH_STATUS, isCountedMatch } = require('../utils/matchStatus');
+const { createMatchHistoryEntries } = require('../utils/ratingHistory');
+const {
+  calculatePartnerStats,
+  calculateOpponentStats,
+  pickBestAndWorstPartner,
+  pickVictimAndNemesis
+} = require('../utils/partners');
+const {
+  MATCH_FORMAT,
+  getMatchFormat,
+  getFormatForTeamSize,
+  getFormatFilter,
+  getPlayerRating
+} = require('../utils/matchFormat');
+const { getKFactorSchedule, getEloSplitMode, getMarginSettings, getGlickoTau } = require('../config/settings');
 const playerService = require('./playerService');
 const seasonService = require('./seasonService');
+const ratingReplayService = require('./ratingReplayService');
+const ratingHistoryService = require('./ratingHistoryService');
+const teamService = require('./teamService');
 
 /**
- * Record a new 2v2 match
- * @param {Array} team1Usernames - Array of 2 player usernames for team 1
- * @param {Array} team2Usernames - Array of 2 player usernames for team 2
+ * Validate a match score
+ * @param {Object} score - Score object with winners and losers goals
+ * @throws {Error} If the score is not valid
+ */
+function validateScore(score) {
+  if (!score || !Number.isInteger(score.winners) || !Number.isInteger(score.losers)) {
+    throw new Error('Score must contain whole numbers for both teams');
+  }
+  if (score.winners < 0 || score.losers < 0) {
+    throw new Error('Score cannot be negative');
+  }
+  if (score.winners <= score.losers) {
+    throw new Error('Winning team must score more goals than the losing team');
+  }
+}
+
+/**
+ * Resolve attack/defence positions given as usernames into player IDs
+ * @param {Object} positions - Positions per team ({ winners: { attack, defence }, losers: { attack, defence } })
+ * @param {Array} winners - Winning player objects
+ * @param {Array} losers - Losing player objects
+ * @returns {Object} Positions with player IDs; teams without positions are left out
+ * @throws {Error} If a team's positions do not match its players
+ */
+function resolvePositions(positions, winners, losers) {
+  const resolved = {};
+
+  for (const [team, teamPlayers] of [['winners', winners], ['losers', losers]]) {
+    const teamPositions = positions[team];
+    if (!teamPositions) continue;
+
+    const attack = teamPlayers.find(p => p.username === (teamPositions.attack || '').replace('@', ''));
+    const defence = teamPlayers.find(p => p.username === (teamPositions.defence || '').replace('@', ''));
+    if (!attack || !defence || attack === defence) {
+      throw new Error('Positions must assign attack and defence to the two players of the same team');
+    }
+
+    resolved[team] = { attack: attack._id, defence: defence._id };
+  }
+
+  return resolved;
+}
+
+/**
+ * Validate the teams and details of a new match and load its players
+ * @param {Array} team1Usernames - Array of 1 or 2 player usernames for team 1
+ * @param {Array} team2Usernames - Array of player usernames for team 2 (same size as team 1)
+ * @param {number} winnerTeam - 1 for team1 wins, 2 for team2 wins
+ * @param {Object} options - Match details (score, isDryWin, positions)
+ * @returns {Promise<Object>} Format, teams in input order, winners, losers and dry win flag
+ * @throws {Error} If the teams, score or positions are not valid
+ */
+async function prepareMatchTeams(team1Usernames, team2Usernames, winnerTeam, options = {}) {
+  const { score = null, positions = null } = options;
+  let isDryWin = options.isDryWin || false;
+
+  // Validate teams
+  const format = team1Usernames.length === team2Usernames.length
+    ? getFormatForTeamSize(team1Usernames.length)
+    : null;
+  if (!format) {
+    throw new Error('Both teams must have the same number of players: 1 for 1v1 or 2 for 2v2');
+  }
+  if (positions && format !== MATCH_FORMAT.DOUBLES) {
+    throw new Error('Positions can only be recorded for 2v2 matches');
+  }
+
+  // Validate score and derive dry win from it
+  if (score) {
+    validateScore(score);
+    isDryWin = score.losers === 0;
+  }
+
+  // Get all players
+  const allUsernames = [...team1Usernames, ...team2Usernames];
+  const players = [];
+  for (const username of allUsernames) {
+    const player = await playerService.getPlayerByUsername(username);
+    if (!player) {
+      throw new Error(`Player @${username} not found. Please register first.`);
+    }
+    players.push(player);
+  }
+
+  // Check for duplicate players
+  const uniquePlayers = [...new Set(players.map(p => p._id.toString()))];
+  if (uniquePlayers.length !== players.length) {
+    throw new Error('All players must be different');
+  }
+
+  // Determine winners and losers
+  const teamSize = team1Usernames.length;
+  const team1Players = players.slice(0, teamSize);
+  const team2Players = players.slice(teamSize);
+
+  return {
+    format,
+    players,
+    team1Players,
+    team2Players,
+    winners: winnerTeam === 1 ? team1Players : team2Players,
+    losers: winnerTeam === 1 ? team2Players : team1Players,
+    isDryWin
+  };
+}
+
+/**
+ * Build the data of a new match document
+ * @param {Object} teams - Result of prepareMatchTeams
+ * @param {Object} options - Match details (score, recordedBy, positions)
+ * @param {Date} playedAt - When the match was played (default: now)
+ * @returns {Object} Match data
+ */
+function buildMatchData(teams, options, playedAt = null) {
+  const { score = null, recordedBy = null, positions = null } = options;
+  const { format, players, winners, losers, isDryWin } = teams;
+
+  const matchData = {
+    players: players.map(p => p._id),
+    winners: winners.map(p => p._id),
+    losers: losers.map(p => p._id),
+    season: playedAt ? getSeasonForDate(playedAt) : getCurrentSeason(),
+    format,
+    isDryWin
+  };
+  if (playedAt) {
+    matchData.playedAt = playedAt;
+  }
+  if (score) {
+    matchData.score = { winners: score.winners, losers: score.losers };
+  }
+  if (recordedBy) {
+    matchData.recordedBy = recordedBy.replace('@', '');
+  }
+  if (positions) {
+    matchData.positions = resolvePositions(positions, winners, losers);
+  }
+
+  return matchData;
+}
+
+/**
+ * Get each player's K-factor from the matches they have played and their rating in a format
+ * @param {Array} players - Player objects
+ * @param {string} format - Match format
+ * @returns {Promise<Array>} K-factor per player, in the same order
+ */
+async function getKFactors(players, format) {
+  const schedule = getKFactorSchedule();
+  const kFactors = [];
+  for (const player of players) {
+    const matchesPlayed = await playerService.getMatchesPlayed(player._id, format);
+    kFactors.push(getPlayerKFactor(matchesPlayed, getPlayerRating(player, format), schedule));
+  }
+  return kFactors;
+}
+
+/**
+ * Calculate a match's attack/defence rating changes from its players' current position ratings
+ * @param {Object} match - Match with winners, losers, positions and score
+ * @param {Array} players - Player objects of the match
+ * @param {Object} kFactors - K-factor per player ({ winners, losers }) of the overall Elo calculation
+ * @returns {Object|null} Changes ({ winners, losers }), null unless both teams' positions are recorded
+ */
+function getPositionEloChanges(match, players, kFactors) {
+  const getRating = (playerId, position) =>
+    getPlayerPositionRating(players.find(p => p._id.toString() === playerId), position);
+  const result = calculatePositionEloChanges(match, getRating, {
+    kFactors,
+    split: getEloSplitMode(),
+    marginSettings: getMarginSettings()
+  });
+  return result ? { winners: result.winners, losers: result.losers } : null;
+}
+
+/**
+ * Record a new match
+ * Teams of one player are recorded as 1v1 and rated separately from 2v2
+ * @param {Array} team1Usernames - Array of 1 or 2 player usernames for team 1
+ * @param {Array} team2Usernames - Array of player usernames for team 2 (same size as team 1)
  * @param {number} winnerTeam - 1 for team1 wins, 2 for team2 wins
- * @param {boolean} isDryWin - Whether this was a dry win (losing team scored 0 goals)
+ * @param {Object} options - Additional match details
+ * @param {Object} options.score - Final score ({ winners, losers }); dry win is derived from it
+ * @param {boolean} options.isDryWin - Whether this was a dry win, used when no score is given
+ * @param {string} options.recordedBy - Username of the player recording the match
+ * @param {boolean} options.pending - Save the match as pending confirmation without applying Elo
+ * @param {Object} options.positions - Optional attack/defence usernames per team ({ winners, losers }), 2v2 only
  * @returns {Promise<Object>} Created match object
  */
-async function recordMatch(team1Usernames, team2Usernames, winnerTeam, isDryWin = false) {
+async function recordMatch(team1Usernames, team2Usernames, winnerTeam, options = {}) {
   try {
-    // Validate teams
-    if (team1Usernames.length !== 2 || team2Usernames.length !== 2) {
-      throw new Error('Each team must have exactly 2 players');
+    const { pending = false } = options;
+
+    // Ratings are read and written in one transaction: nothing is saved if any step fails,
+    // and a conflict with a match recorded at the same time retries with fresh ratings
+    return await runInTransaction(async () => {
+      const teams = await prepareMatchTeams(team1Usernames, team2Usernames, winnerTeam, options);
+      const { format, team1Players, team2Players, winners, losers } = teams;
+
+      // Get current Elo ratings for the match format
+      const team1Ratings = team1Players.map(p => getPlayerRating(p, format));
+      const team2Ratings = team2Players.map(p => getPlayerRating(p, format));
+
+      // Calculate Elo changes with each player's own K-factor, scaled by the margin of the win
+      const eloResult = calculateTeamEloChanges(team1Ratings, team2Ratings, winnerTeam, {
+        kFactors: {
+          team1: await getKFactors(team1Players, format),
+          team2: await getKFactors(team2Players, format)
+        },
+        split: getEloSplitMode(),
+        margin: getMarginOfVictory({ score: options.score, isDryWin: teams.isDryWin }),
+        marginSettings: getMarginSettings()
+      });
+
+      // Determine Elo changes for winners and losers
+      const eloChanges = {
+        winners: winnerTeam === 1 ? eloResult.team1Changes : eloResult.team2Changes,
+        losers: winnerTeam === 1 ? eloResult.team2Changes : eloResult.team1Changes,
+        kFactors: {
+          winners: winnerTeam === 1 ? eloResult.team1KFactors : eloResult.team2KFactors,
+          losers: winnerTeam === 1 ? eloResult.team2KFactors : eloResult.team1KFactors
+        },
+        marginMultiplier: eloResult.marginMultiplier
+      };
+
+      // Glicko-2 is kept up to date alongside Elo so either engine can be displayed
+      const glickoResult = calculateTeamGlickoChanges(
+        team1Players.map(p => getPlayerGlicko(p, format)),
+        team2Players.map(p => getPlayerGlicko(p, format)),
+        winnerTeam,
+        { tau: getGlickoTau() }
+      );
+      const glickoChanges = {
+        winners: winnerTeam === 1 ? glickoResult.team1Changes : glickoResult.team2Changes,
+        losers: winnerTeam === 1 ? glickoResult.team2Changes : glickoResult.team1Changes
+      };
+
+      // Create match record
+      const matchData = buildMatchData(teams, options);
+      const match = new Match(matchData);
+
+      if (pending) {
+        // Elo is applied once the losing team confirms; eloResult is only a preview
+        match.status = MATCH_STATUS.PENDING;
+        await match.save();
+        // Duo teams are created with the match; their ratings change once it is confirmed
+        await teamService.ensureMatchTeams(match);
+        await match.populate('players winners losers');
+      } else {
+        match.status = MATCH_STATUS.CONFIRMED;
+        const positionEloChanges = getPositionEloChanges(match, [...winners, ...losers], eloChanges.kFactors);
+        await applyEloChanges(match, winners, losers, eloChanges, glickoChanges, positionEloChanges);
+      }
+
+      return {
+        match,
+        eloResult,
+        glickoResult,
+        winners,
+        losers,
+        pending,
+        format
+      };
+    });
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Record a match that was played in the past (admin entry)
+ * The match is confirmed straight away and every counted match played after it is
+ * replayed in chronological order, so later Elo changes, current ratings and the
+ * affected seasons are recalculated as if it had been recorded on time
+ * @param {Array} team1Usernames - Array of 1 or 2 player usernames for team 1
+ * @param {Array} team2Usernames - Array of player usernames for team 2 (same size as team 1)
+ * @param {number} winnerTeam - 1 for team1 wins, 2 for team2 wins
+ * @param {Date} playedAt - When the match was played
+ * @param {Object} options - Additional match details (score, isDryWin, recordedBy, positions)
+ * @returns {Promise<Object>} Recorded match, rating changes and rebuilt seasons
+ */
+async function recordBackdatedMatch(team1Usernames, team2Usernames, winnerTeam, playedAt, options = {}) {
+  try {
+    const playedAtDate = new Date(playedAt);
+    if (!playedAt || isNaN(playedAtDate.getTime())) {
+      throw new Error('Match date is not valid');
+    }
+    if (playedAtDate > new Date()) {
+      throw new Error('Match date cannot be in the future');
+    }
+
+    // The replay rewrites absolute ratings, so it runs in one transaction: a match recorded
+    // at the same time conflicts and retries instead of being overwritten, and a failed
+    // replay leaves nothing half-applied
+    return await runInTransaction(async () => {
+      const teams = await prepareMatchTeams(team1Usernames, team2Usernames, winnerTeam, options);
+      const match = new Match(buildMatchData(teams, options, playedAtDate));
+      match.status = MATCH_STATUS.CONFIRMED;
+
+      // The new match is counted, so the replay calculates its Elo along with every later match
+      const replayResult = await ratingReplayService.replayMatchesFrom(playedAtDate, async () => {
+        await match.save();
+      });
+
+      // Reload to pick up the Elo changes written during the replay
+      const recordedMatch = await Match.findById(match._id).populate('players winners losers');
+
+      return {
+        match: recordedMatch,
+        ratingChanges: replayResult.ratingChanges,
+        seasons: replayResult.seasons
+      };
+    });
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Predict a match before it is played: each team's win probability and the Elo every player
+ * would gain or lose for either result, with the K-factors and team split a recorded match would use
+ * The margin of victory is not known yet, so the changes are those of a one-goal win
+ * (scaled by the margin multiplier when the margin-of-victory curve is on)
+ * @param {Array} team1Usernames - Array of 1 or 2 player usernames for team 1
+ * @param {Array} team2Usernames - Array of player usernames for team 2 (same size as team 1)
+ * @returns {Promise<Object>} Format, teams, ratings, team 1 win probability and the Elo changes for each result
+ */
+async function predictMatch(team1Usernames, team2Usernames) {
+  try {
+    const { format, team1Players, team2Players } = await prepareMatchTeams(team1Usernames, team2Usernames, 1);
+
+    const team1Ratings = team1Players.map(p => getPlayerRating(p, format));
+    const team2Ratings = team2Players.map(p => getPlayerRating(p, format));
+    const options = {
+      kFactors: {
+        team1: await getKFactors(team1Players, format),
+        team2: await getKFactors(team2Players, format)
+      },
+      split: getEloSplitMode(),
+      margin: { goalDifference: 1, isDryWin: false },
+      marginSettings: getMarginSettings()
+    };
+    const team1Win = calculateTeamEloChanges(team1Ratings, team2Ratings, 1, options);
+    const team2Win = calculateTeamEloChanges(team1Ratings, team2Ratings, 2, options);
+
+    return {
+      format,
+      team1Players,
+      team2Players,
+      team1Ratings,
+      team2Ratings,
+      team1WinProbability: getExpectedTeamScore(getAverageRating(team1Ratings), getAverageRating(team2Ratings)),
+      ifTeam1Wins: { team1Changes: team1Win.team1Changes, team2Changes: team1Win.team2Changes },
+      ifTeam2Wins: { team1Changes: team2Win.team1Changes, team2Changes: team2Win.team2Changes }
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Suggest the fairest way to split four players into two 2v2 teams
+ * All three possible splits are rated with the current doubles ratings. Splits that repeat a
+ * partnership from the players' recent matches are avoided, then the one closest to 50/50 wins.
+ * @param {Array} usernames - Usernames of the four players
+ * @param {Object} options - Suggestion options
+ * @param {number} options.recentMatches - Number of recent 2v2 matches checked for repeated partnerships (0 turns it off)
+ * @returns {Promise<Object>} Every split, best first ({ team1Players, team2Players, team1Ratings, team2Ratings, team1WinProbability, repeatedPartners })
+ * @throws {Error} If there are not four different registered players
+ */
+async function suggestTeams(usernames, options = {}) {
+  try {
+    const { recentMatches = 0 } = options;
+    if (usernames.length !== 4) {
+      throw new Error('Exactly 4 players are needed to split into two teams');
     }
 
-    // Get all players
-    const allUsernames = [...team1Usernames, ...team2Usernames];
     const players = [];
-    for (const username of allUsernames) {
+    for (const username of usernames) {
       const player = await playerService.getPlayerByUsername(username);
       if (!player) {
         throw new Error(`Player @${username} not found. Please register first.`);
       }
       players.push(player);
     }
-
-    // Check for duplicate players
-    const uniquePlayers = [...new Set(players.map(p => p._id.toString()))];
-    if (uniquePlayers.length !== 4) {
+    const playerIds = players.map(p => p._id.toString());
+    if (new Set(playerIds).size !== players.length) {
       throw new Error('All players must be different');
     }
 
-    // Determine winners and losers
-    const team1Players = players.slice(0, 2);
-    const team2Players = players.slice(2, 4);
-    
-    const winners = winnerTeam === 1 ? team1Players : team2Players;
-    const losers = winnerTeam === 1 ? team2Players : team1Players;
+    // Partnerships ("idA|idB", sorted) from the latest doubles matches of any of the four players
+    const pairKey = (a, b) => [a.toString(), b.toString()].sort().join('|');
+    const recentPartners = new Set();
+    if (recentMatches > 0) {
+      const matches = await Match.find({
+        ...COUNTED_MATCH_FILTER,
+        ...getFormatFilter(MATCH_FORMAT.DOUBLES),
+        players: { $in: players.map(p => p._id) }
+      })
+        .sort({ playedAt: -1 })
+        .limit(recentMatches);
+      matches.forEach(match => {
+        [match.winners, match.losers].forEach(team => {
+          if (team.length === 2) recentPartners.add(pairKey(team[0], team[1]));
+        });
+      });
+    }
 
-    // Get current Elo ratings
-    const team1Ratings = team1Players.map(p => p.elo);
-    const team2Ratings = team2Players.map(p => p.elo);
+    // The first player's partner decides the split
+    const splits = [[[0, 1], [2, 3]], [[0, 2], [1, 3]], [[0, 3], [1, 2]]].map(([team1, team2]) => {
+      const team1Players = team1.map(index => players[index]);
+      const team2Players = team2.map(index => players[index]);
+      const team1Ratings = team1Players.map(p => getPlayerRating(p, MATCH_FORMAT.DOUBLES));
+      const team2Ratings = team2Players.map(p => getPlayerRating(p, MATCH_FORMAT.DOUBLES));
+      return {
+        team1Players,
+        team2Players,
+        team1Ratings,
+        team2Ratings,
+        team1WinProbability: getExpectedTeamScore(getAverageRating(team1Ratings), getAverageRating(team2Ratings)),
+        repeatedPartners: [team1Players, team2Players]
+          .filter(team => recentPartners.has(pairKey(team[0]._id, team[1]._id)))
+          .length
+      };
+    });
 
-    // Calculate Elo changes
-    const eloResult = calculateTeamEloChanges(team1Ratings, team2Ratings, winnerTeam);
+    const imbalance = split => Math.abs(split.team1WinProbability - 0.5);
+    splits.sort((a, b) => (a.repeatedPartners > 0) - (b.repeatedPartners > 0) || imbalance(a) - imbalance(b));
 
-    // Determine Elo changes for winners and losers
-    const winnerChanges = winnerTeam === 1 ? eloResult.team1Changes : eloResult.team2Changes;
-    const loserChanges = winnerTeam === 1 ? eloResult.team2Changes : eloResult.team1Changes;
+    return splits;
+  } catch (error) {
+    throw error;
+  }
+}
 
-    // Use the provided isDryWin parameter instead of auto-detecting
+/**
+ * Save a match with its Elo and Glicko-2 changes, update player ratings, rating history and season statistics
+ * The ratings of the match's format are updated (singles or doubles), the attack/defence
+ * ratings when position changes are given, and the duo team ratings for doubles. Callers run this
+ * inside a transaction so the match, ratings and season stats are saved together.
+ * @param {Object} match - Match document
+ * @param {Array} winners - Winning player objects, with their ratings before the match
+ * @param {Array} losers - Losing player objects, with their ratings before the match
+ * @param {Object} eloChanges - Elo changes ({ winners, losers }) with the K-factors and margin multiplier used
+ * @param {Object} glickoChanges - Glicko-2 changes ({ winners, losers })
+ * @param {Object|null} positionEloChanges - Attack/defence rating changes ({ winners, losers }), null without positions for both teams
+ * @returns {Promise<void>}
+ */
+async function applyEloChanges(match, winners, losers, eloChanges, glickoChanges, positionEloChanges = null) {
+  const { winners: winnerChanges, losers: loserChanges } = eloChanges;
+  match.eloChanges = eloChanges;
+  match.glickoChanges = glickoChanges;
+  if (positionEloChanges) {
+    match.positionEloChanges = positionEloChanges;
+  }
 
-    // Create match record
-    const match = new Match({
-      players: players.map(p => p._id),
-      winners: winners.map(p => p._id),
-      losers: losers.map(p => p._id),
-      season: getCurrentSeason(),
-      eloChanges: {
-        winners: winnerChanges,
-        losers: loserChanges
-      },
-      isDryWin
+  await match.save();
+
+  // Update player Elo ratings
+  const format = getMatchFormat(match);
+  for (let i = 0; i < winners.length; i++) {
+    await playerService.incrementPlayerElo(winners[i]._id, winnerChanges[i], format);
+  }
+  for (let i = 0; i < losers.length; i++) {
+    await playerService.incrementPlayerElo(losers[i]._id, loserChanges[i], format);
+  }
+  for (let i = 0; i < winners.length; i++) {
+    await playerService.incrementPlayerGlicko(winners[i]._id, glickoChanges.winners[i], format);
+  }
+  for (let i = 0; i < losers.length; i++) {
+    await playerService.incrementPlayerGlicko(losers[i]._id, glickoChanges.losers[i], format);
+  }
+  if (positionEloChanges) {
+    const positions = getMatchPositions(match);
+    for (let i = 0; i < winners.length; i++) {
+      await playerService.incrementPlayerPositionElo(winners[i]._id, positionEloChanges.winners[i], positions.winners[i]);
+    }
+    for (let i = 0; i < losers.length; i++) {
+      await playerService.incrementPlayerPositionElo(losers[i]._id, positionEloChanges.losers[i], positions.losers[i]);
+    }
+  }
+  await playerService.markPlayersActive([...winners, ...losers].map(player => player._id));
+  await teamService.applyMatchToTeams(match);
+
+  // Record each player's rating before and after the match
+  const getRatings = (players, changes) => players.map((player, index) => {
+    const before = getPlayerRating(player, format);
+    return { player, before, after: before + changes[index] };
+  });
+  await ratingHistoryService.recordEntries(
+    createMatchHistoryEntries(match, getRatings(winners, winnerChanges), getRatings(losers, loserChanges))
+  );
+
+  // Populate references for response
+  await match.populate('players winners losers');
+
+  // Update season statistics
+  await seasonService.updateSeasonStats(match);
+}
+
+/**
+ * Confirm a pending (or disputed) match and apply its Elo changes
+ * Elo is calculated from the players' current ratings, or by replaying history
+ * when matches played later have already been confirmed
+ * @param {string} matchId - Match ID
+ * @param {Object} options - Confirmation details
+ * @param {string} options.confirmedBy - Username of the player or admin confirming the match
+ * @param {boolean} options.autoConfirmed - Whether the match was confirmed by the timeout (pending matches only)
+ * @returns {Promise<Object>} Confirmed match with Elo and Glicko-2 results (team 1 = winners, null after a replay)
+ */
+async function confirmMatch(matchId, options = {}) {
+  try {
+    const { confirmedBy = null, autoConfirmed = false } = options;
+
+    // Confirming twice at the same time conflicts, so only one confirmation applies Elo
+    return await runInTransaction(async () => {
+      const match = await Match.findById(matchId);
+      if (!match) {
+        throw new Error('Match not found');
+      }
+      // Disputed matches wait for an admin, so the timeout only confirms pending ones
+      const awaitingStatuses = autoConfirmed
+        ? [MATCH_STATUS.PENDING]
+        : [MATCH_STATUS.PENDING, MATCH_STATUS.DISPUTED];
+      if (!awaitingStatuses.includes(match.status)) {
+        throw new Error('Match is not awaiting confirmation');
+      }
+
+      const markConfirmed = () => {
+        match.status = MATCH_STATUS.CONFIRMED;
+        match.set('confirmation.respondedBy', confirmedBy ? confirmedBy.replace('@', '') : null);
+        match.set('confirmation.respondedAt', new Date());
+        match.set('confirmation.autoConfirmed', autoConfirmed);
+      };
+
+      // Matches of the same format played after this one were already applied: replay them in chronological order
+      const format = getMatchFormat(match);
+      const hasLaterMatches = await Match.exists({
+        ...COUNTED_MATCH_FILTER,
+        ...getFormatFilter(format),
+        playedAt: { $gt: match.playedAt }
+      });
+      if (hasLaterMatches) {
+        const replayResult = await ratingReplayService.replayMatchesFrom(match.playedAt, async () => {
+          markConfirmed();
+          await match.save();
+        });
+
+        // Reload to pick up the Elo changes written during the replay
+        const replayedMatch = await Match.findById(matchId).populate('players winners losers');
+
+        return {
+          match: replayedMatch,
+          eloResult: null,
+          glickoResult: null,
+          ratingChanges: replayResult.ratingChanges
+        };
+      }
+
+      // Load players with their current Elo
+      const winners = [];
+      for (const playerId of match.winners) {
+        winners.push(await playerService.getPlayerById(playerId));
+      }
+      const losers = [];
+      for (const playerId of match.losers) {
+        losers.push(await playerService.getPlayerById(playerId));
+      }
+
+      const eloResult = calculateTeamEloChanges(
+        winners.map(p => getPlayerRating(p, format)),
+        losers.map(p => getPlayerRating(p, format)),
+        1,
+        {
+          kFactors: {
+            team1: await getKFactors(winners, format),
+            team2: await getKFactors(losers, format)
+          },
+          split: getEloSplitMode(),
+          margin: getMarginOfVictory(match),
+          marginSettings: getMarginSettings()
+        }
+      );
+
+      const glickoResult = calculateTeamGlickoChanges(
+        winners.map(p => getPlayerGlicko(p, format)),
+        losers.map(p => getPlayerGlicko(p, format)),
+        1,
+        { tau: getGlickoTau() }
+      );
+
+      const kFactors = {
+        winners: eloResult.team1KFactors,
+        losers: eloResult.team2KFactors
+      };
+
+      markConfirmed();
+      await applyEloChanges(match, winners, losers, {
+        winners: eloResult.team1Changes,
+        losers: eloResult.team2Changes,
+        kFactors,
+        marginMultiplier: eloResult.marginMultiplier
+      }, {
+        winners: glickoResult.team1Changes,
+        losers: glickoResult.team2Changes
+      }, getPositionEloChanges(match, [...winners, ...losers], kFactors));
+
+      return {
+        match,
+        eloResult,
+        glickoResult
+      };
+    });
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Dispute a pending match; it stays uncounted until an admin resolves it
+ * @param {string} matchId - Match ID
+ * @param {string} disputedBy - Username of the player disputing the match
+ * @returns {Promise<Object>} Disputed match
+ */
+async function disputeMatch(matchId, disputedBy) {
+  try {
+    // The status only changes while the match is still pending, in the same transaction as
+    // confirmations, so a dispute and an auto-confirmation at the same time can't both win
+    return await runInTransaction(async () => {
+      const match = await Match.findOneAndUpdate(
+        { _id: matchId, status: MATCH_STATUS.PENDING },
+        {
+          $set: {
+            status: MATCH_STATUS.DISPUTED,
+            'confirmation.respondedBy': disputedBy ? disputedBy.replace('@', '') : null,
+            'confirmation.respondedAt': new Date()
+          }
+        },
+        { new: true }
+      ).populate('players winners losers');
+
+      if (!match) {
+        if (!await Match.exists({ _id: matchId })) {
+          throw new Error('Match not found');
+        }
+        throw new Error('Match is not awaiting confirmation');
+      }
+
+      return match;
     });
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get disputed matches waiting for an admin decision, oldest first
+ * @returns {Promise<Array>} Array of disputed matches
+ */
+async function getDisputedMatches() {
+  try {
+    return await Match.find({ status: MATCH_STATUS.DISPUTED })
+      .populate('players winners losers')
+      .sort({ recordedAt: 1 });
+  } catch (error) {
+    throw error;
+  }
+}
 
-    await match.save();
+/**
+ * Get pending matches that were recorded longer ago than the confirmation timeout
+ * @param {number} timeoutMinutes - Confirmation timeout in minutes
+ * @returns {Promise<Array>} Array of expired pending matches
+ */
+async function getExpiredPendingMatches(timeoutMinutes) {
+  try {
+    const cutoff = new Date(Date.now() - timeoutMinutes * 60 * 1000);
+    return await Match.find({
+      status: MATCH_STATUS.PENDING,
+      recordedAt: { $lte: cutoff }
+    }).sort({ recordedAt: 1 });
+  } catch (error) {
+    throw error;
+  }
+}
 
-    // Update player Elo ratings
-    for (let i = 0; i < 2; i++) {
-      await playerService.updatePlayerElo(winners[i]._id, winners[i].elo + winnerChanges[i]);
-      await playerService.updatePlayerElo(losers[i]._id, losers[i].elo + loserChanges[i]);
+/**
+ * Get a match by ID with populated players
+ * @param {string} matchId - Match ID
+ * @returns {Promise<Object|null>} Match object or null
+ */
+async function getMatchById(matchId) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(matchId)) {
+      return null;
     }
+    return await Match.findById(matchId).populate('players winners losers');
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get the most recent match recorded by a user that has not been voided
+ * @param {string} username - Username of the recorder
+ * @returns {Promise<Object|null>} Match object or null
+ */
+async function getLastRecordedMatch(username) {
+  try {
+    const cleanUsername = username.replace('@', '');
+    return await Match.findOne({ status: { $ne: MATCH_STATUS.VOIDED }, recordedBy: cleanUsername })
+      .sort({ recordedAt: -1 })
+      .populate('players winners losers');
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Void a recorded match and roll back its Elo changes
+ * Later matches are replayed so ratings stay consistent, and season stats are rebuilt
+ * @param {string} matchId - Match ID
+ * @param {string} voidedBy - Username of the player voiding the match
+ * @returns {Promise<Object>} Voided match, rating changes and rebuilt seasons
+ */
+async function voidMatch(matchId, voidedBy) {
+  try {
+    // Voiding twice at the same time conflicts, and the rollback and replay are committed
+    // together, so Elo applied meanwhile by another match is not overwritten
+    return await runInTransaction(async () => {
+      const match = await Match.findById(matchId);
+      if (!match) {
+        throw new Error('Match not found');
+      }
+      if (match.status === MATCH_STATUS.VOIDED) {
+        throw new Error('Match is already voided');
+      }
 
-    // Populate references for response
-    await match.populate('players winners losers');
+      const markVoided = async () => {
+        match.status = MATCH_STATUS.VOIDED;
+        match.voidedAt = new Date();
+        match.voidedBy = voidedBy ? voidedBy.replace('@', '') : null;
+        await match.save();
+      };
 
-    // Update season statistics
-    await seasonService.updateSeasonStats(match);
+      // Pending and disputed matches never had Elo applied, so there is nothing to roll back
+      if (!isCountedMatch(match)) {
+        await markVoided();
+        await match.populate('players winners losers');
+        return {
+          match,
+          ratingChanges: [],
+          seasons: []
+        };
+      }
 
-    return {
-      match,
-      eloResult,
-      winners,
-      losers
-    };
+      const replayResult = await ratingReplayService.replayMatchesFrom(match.playedAt, markVoided);
+
+      await match.populate('players winners losers');
+
+      return {
+        match,
+        ratingChanges: replayResult.ratingChanges,
+        seasons: replayResult.seasons
+      };
+    });
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Take a snapshot of the teams and result of a match for the edit history
+ * @param {Object} match - Match object (player references may be populated)
+ * @returns {Object} Snapshot with format, winner and loser IDs, score and dry win flag
+ */
+function createMatchSnapshot(match) {
+  const toId = ref => (ref._id || ref).toString();
+  const snapshot = {
+    format: getMatchFormat(match),
+    winners: match.winners.map(toId),
+    losers: match.losers.map(toId),
+    isDryWin: Boolean(match.isDryWin)
+  };
+  if (match.score && Number.isInteger(match.score.winners) && Number.isInteger(match.score.losers)) {
+    snapshot.score = { winners: match.score.winners, losers: match.score.losers };
+  }
+  return snapshot;
+}
+
+/**
+ * Edit the players, winning side or score of a match (admin correction)
+ * Counted matches are rolled back and every match from this one onwards is replayed,
+ * so Elo changes, current ratings and season statistics follow the corrected result.
+ * Each edit is appended to the match's edit history.
+ * @param {string} matchId - Match ID
+ * @param {Object} changes - Corrected match details
+ * @param {Array} changes.winners - Usernames of the winning team
+ * @param {Array} changes.losers - Usernames of the losing team
+ * @param {Object} changes.score - Final score ({ winners, losers }), or null to keep the match unscored
+ * @param {string} editedBy - Username of the admin editing the match
+ * @returns {Promise<Object>} Edited match, its state before the edit, rating changes and rebuilt seasons
+ */
+async function editMatch(matchId, changes, editedBy) {
+  try {
+    const { winners: winnerUsernames, losers: loserUsernames, score = null } = changes;
+
+    // The edit, rollback and replay are committed together or not at all; a match
+    // recorded meanwhile conflicts and is retried on top of the replayed ratings
+    return await runInTransaction(async () => {
+      const match = await Match.findById(matchId);
+      if (!match) {
+        throw new Error('Match not found');
+      }
+      if (match.status === MATCH_STATUS.VOIDED) {
+        throw new Error('Voided matches cannot be edited');
+      }
+
+      const teams = await prepareMatchTeams(winnerUsernames, loserUsernames, 1, {
+        score,
+        isDryWin: !score && match.isDryWin
+      });
+
+      const before = createMatchSnapshot(match);
+      const after = createMatchSnapshot({
+        format: teams.format,
+        winners: teams.winners,
+        losers: teams.losers,
+        score,
+        isDryWin: teams.isDryWin
+      });
+      if (JSON.stringify(before) === JSON.stringify(after)) {
+        throw new Error('No changes to save');
+      }
+
+      const applyEdit = async () => {
+        match.format = teams.format;
+        match.players = teams.players.map(p => p._id);
+        match.winners = teams.winners.map(p => p._id);
+        match.losers = teams.losers.map(p => p._id);
+        match.isDryWin = teams.isDryWin;
+        if (score) {
+          match.score = { winners: score.winners, losers: score.losers };
+        }
+        // Positions refer to the old roster, so they no longer apply once players change
+        const rosterChanged = [...before.winners, ...before.losers].sort().join() !==
+          [...after.winners, ...after.losers].sort().join();
+        if (rosterChanged) {
+          match.set('positions', undefined);
+        }
+        match.editHistory.push({
+          editedBy: editedBy ? editedBy.replace('@', '') : null,
+          editedAt: new Date(),
+          before,
+          after
+        });
+        await match.save();
+      };
+
+      // Pending and disputed matches never had Elo applied, so there is nothing to replay
+      let replayResult = { ratingChanges: [], seasons: [] };
+      if (isCountedMatch(match)) {
+        replayResult = await ratingReplayService.replayMatchesFrom(match.playedAt, applyEdit);
+      } else {
+        await applyEdit();
+      }
+
+      // Reload to pick up the Elo changes written during the replay
+      const editedMatch = await Match.findById(matchId).populate('players winners losers');
+
+      return {
+        match: editedMatch,
+        before,
+        ratingChanges: replayResult.ratingChanges,
+        seasons: replayResult.seasons
+      };
+    });
   } catch (error) {
     throw error;
   }
@@ -107,6 +937,7 @@ async function getPlayerMatches(username, limit = 10) {
     }
 
     const matches = await Match.find({
+      ...COUNTED_MATCH_FILTER,
       players: player._id
     })
     .populate('players winners losers')
@@ -122,9 +953,10 @@ async function getPlayerMatches(username, limit = 10) {
 /**
  * Get player's statistics
  * @param {string} username - Player's username
- * @returns {Promise<Object>} Player statistics
+ * @param {string} format - Match format (default: 2v2)
+ * @returns {Promise<Object>} Player statistics for the format
  */
-async function getPlayerStats(username) {
+async function getPlayerStats(username, format = MATCH_FORMAT.DOUBLES) {
   try {
     const player = await playerService.getPlayerByUsername(username);
     if (!player) {
@@ -132,6 +964,8 @@ async function getPlayerStats(username) {
     }
 
     const allMatches = await Match.find({
+      ...COUNTED_MATCH_FILTER,
+      ...getFormatFilter(format),
       players: player._id
     }).populate('players winners losers');
 
@@ -158,17 +992,170 @@ async function getPlayerStats(username) {
       match.winners.some(p => p._id.toString() === player._id.toString())
     ).length;
 
+    // Goal statistics (only matches with a recorded score are counted)
+    const goals = calculateGoalStats(allMatches, player._id);
+    const seasonGoals = calculateGoalStats(seasonMatches, player._id);
+
+    // Attack/defence statistics (only matches with recorded positions are counted) and position ratings
+    const positions = calculatePositionStats(allMatches, player._id);
+    if (format === MATCH_FORMAT.DOUBLES) {
+      Object.entries(positions).forEach(([position, entry]) => {
+        entry.rating = getPlayerPositionRating(player, position);
+      });
+    }
+
     return {
       player,
+      format,
       totalMatches,
       wins,
       losses,
       winRate,
-      currentElo: player.elo,
+      currentElo: getPlayerRating(player, format),
+      glicko: getPlayerGlicko(player, format),
+      provisional: isProvisional(totalMatches, getKFactorSchedule()),
       seasonMatches: seasonMatches.length,
       seasonWins,
       seasonWinRate,
-      recentForm: recentWins
+      recentForm: recentWins,
+      goals,
+      seasonGoals,
+      positions
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get the head-to-head record of two players, as opponents and as partners
+ * Counts and Elo totals are calculated by the database, so only the recent encounters are loaded
+ * @param {string} username1 - First player's username
+ * @param {string} username2 - Second player's username
+ * @param {number} recentLimit - Number of recent encounters to return (default: 5)
+ * @returns {Promise<Object>} Both players, their record against each other and together, and the last encounters
+ */
+async function getHeadToHead(username1, username2, recentLimit = 5) {
+  try {
+    const players = [];
+    for (const username of [username1, username2]) {
+      const player = await playerService.getPlayerByUsername(username);
+      if (!player) {
+        throw new Error('Player not found');
+      }
+      players.push(player);
+    }
+    const ids = players.map(player => player._id);
+    if (ids[0].toString() === ids[1].toString()) {
+      throw new Error('Players must be different');
+    }
+
+    // Elo change of a player in the match, from the stored changes of their team
+    const eloChangeOf = (id) => ({
+      $cond: [
+        { $in: [id, '$winners'] },
+        { $arrayElemAt: ['$eloChanges.winners', { $indexOfArray: ['$winners', id] }] },
+        { $arrayElemAt: ['$eloChanges.losers', { $indexOfArray: ['$losers', id] }] }
+      ]
+    });
+
+    const groups = await Match.aggregate([
+      { $match: { ...COUNTED_MATCH_FILTER, players: { $all: ids } } },
+      {
+        $project: {
+          firstWon: { $in: [ids[0], '$winners'] },
+          secondWon: { $in: [ids[1], '$winners'] },
+          firstEloChange: eloChangeOf(ids[0]),
+          secondEloChange: eloChangeOf(ids[1])
+        }
+      },
+      {
+        // Both players on the winning side (or both on the losing side) means they were partners
+        $group: {
+          _id: { $eq: ['$firstWon', '$secondWon'] },
+          matches: { $sum: 1 },
+          firstWins: { $sum: { $cond: ['$firstWon', 1, 0] } },
+          secondWins: { $sum: { $cond: ['$secondWon', 1, 0] } },
+          firstEloChange: { $sum: '$firstEloChange' },
+          secondEloChange: { $sum: '$secondEloChange' }
+        }
+      }
+    ]);
+
+    const getGroup = (together) => groups.find(group => group._id === together) ||
+      { matches: 0, firstWins: 0, secondWins: 0, firstEloChange: 0, secondEloChange: 0 };
+    const winRate = (wins, matches) => matches > 0 ? (wins / matches * 100).toFixed(1) : 0;
+    const against = getGroup(false);
+    const together = getGroup(true);
+
+    const recent = await Match.find({
+      ...COUNTED_MATCH_FILTER,
+      players: { $all: ids },
+      $nor: [{ winners: { $all: ids } }, { losers: { $all: ids } }]
+    })
+    .populate('players winners losers')
+    .sort({ playedAt: -1 })
+    .limit(recentLimit);
+
+    return {
+      players,
+      against: {
+        matches: against.matches,
+        wins: [against.firstWins, against.secondWins],
+        winRates: [winRate(against.firstWins, against.matches), winRate(against.secondWins, against.matches)],
+        eloChanges: [against.firstEloChange, against.secondEloChange]
+      },
+      together: {
+        matches: together.matches,
+        wins: together.firstWins,
+        losses: together.matches - together.firstWins,
+        winRate: winRate(together.firstWins, together.matches),
+        eloChanges: [together.firstEloChange, together.secondEloChange]
+      },
+      recent
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get a player's partner and opponent report
+ * Partners come from 2v2 matches, opponents from matches in any format
+ * @param {string} username - Player's username
+ * @param {number} minMatches - Matches together a partner needs to count as best or worst partner
+ * @returns {Promise<Object>} Partners, best and worst partner, favourite victim and nemesis
+ */
+async function getPartnerReport(username, minMatches) {
+  try {
+    const player = await playerService.getPlayerByUsername(username);
+    if (!player) {
+      throw new Error('Player not found');
+    }
+
+    const matches = await Match.find({
+      ...COUNTED_MATCH_FILTER,
+      players: player._id
+    }).populate('players winners losers');
+
+    // Ratings before each doubles match, for the expected results with each partner
+    const doublesMatchIds = matches
+      .filter(match => getMatchFormat(match) === MATCH_FORMAT.DOUBLES)
+      .map(match => match._id);
+    const ratings = await ratingHistoryService.getMatchRatings(doublesMatchIds);
+
+    const partners = calculatePartnerStats(matches, player._id, ratings);
+    const { best, worst } = pickBestAndWorstPartner(partners, minMatches);
+    const { victim, nemesis } = pickVictimAndNemesis(calculateOpponentStats(matches, player._id));
+
+    return {
+      player,
+      minMatches,
+      partners,
+      bestPartner: best,
+      worstPartner: worst,
+      favouriteVictim: victim,
+      nemesis
     };
   } catch (error) {
     throw error;
@@ -182,7 +1169,7 @@ async function getPlayerStats(username) {
  */
 async function getRecentMatches(limit = 10) {
   try {
-    return await Match.find()
+    return await Match.find(COUNTED_MATCH_FILTER)
       .populate('players winners losers')
       .sort({ playedAt: -1 })
       .limit(limit);
@@ -198,7 +1185,7 @@ async function getRecentMatches(limit = 10) {
  */
 async function getSeasonMatches(season) {
   try {
-    return await Match.find({ season })
+    return await Match.find({ ...COUNTED_MATCH_FILTER, season })
       .populate('players winners losers')
       .sort({ playedAt: -1 });
   } catch (error) {
@@ -208,7 +1195,21 @@ async function getSeasonMatches(season) {
 
 module.exports = {
   recordMatch,
+  recordBackdatedMatch,
+  predictMatch,
+  suggestTeams,
+  validateScore,
+  getMatchById,
+  getLastRecordedMatch,
+  voidMatch,
+  editMatch,
+  confirmMatch,
+  disputeMatch,
+  getDisputedMatches,
+  getExpiredPendingMatches,
   getPlayerMatches,
+  getHeadToHead,
+  getPartnerReport,
   getPlayerStats,
   getRecentMatches,
   getSeasonMatches
@@ -0,0 +1,141 @@
+const playerService = require('./playerService');
+const { formatScore, hasScore } = require('../utils/goals');
+const { isAdmin, isGlickoActive } = require('../config/settings');
+const { MATCH_FORMAT, getMatchFormat } = require('../utils/matchFormat');
+const { getPlayerGlicko, formatGlickoRating } = require('../utils/glicko');
+
+/**
+ * Format an Elo change with an explicit sign
+ * @param {number} change - Elo change
+ * @returns {string} Formatted Elo change (e.g. "+12", "-8")
+ */
+function formatEloChange(change) {
+  return change >= 0 ? `+${change}` : `${change}`;
+}
+
+/**
+ * Format a match as a single line (e.g. "@a + @b beat @c + @d (10–6)")
+ * @param {Object} match - Match with populated winners and losers
+ * @returns {string} Match description
+ */
+function formatMatchLine(match) {
+  const winners = match.winners.map(p => `@${p.username}`).join(' + ');
+  const losers = match.losers.map(p => `@${p.username}`).join(' + ');
+  const scoreText = hasScore(match) ? ` (${formatScore(match.score)})` : '';
+  return `${winners} beat ${losers}${scoreText}`;
+}
+
+/**
+ * Format the margin-of-victory multiplier of a match
+ * @param {number} multiplier - Margin multiplier stored with the Elo changes
+ * @returns {string} Multiplier note (e.g. " (margin ×1.35)"), empty when the changes were not scaled
+ */
+function formatMarginMultiplier(multiplier) {
+  return typeof multiplier === 'number' && multiplier !== 1 ? ` (margin ×${multiplier.toFixed(2)})` : '';
+}
+
+/**
+ * Format each player's Glicko-2 rating after a match with the change it made
+ * @param {Array} players - Populated players of one team
+ * @param {Array} changes - Glicko-2 changes of the team, in the same order
+ * @param {string} format - Match format
+ * @returns {string} Ratings (e.g. "@a 1040 ± 180 (+40), @b 990 ± 95 (+12)")
+ */
+function formatGlickoChanges(players, changes, format) {
+  return players
+    .map((p, i) => `@${p.username} ${formatGlickoRating(getPlayerGlicko(p, format))} (${formatEloChange(Math.round(changes[i].rating))})`)
+    .join(', ');
+}
+
+/**
+ * Format the "New Match Recorded" notification
+ * With the Glicko-2 engine active, players' new ratings are shown with their deviation
+ * @param {Object} match - Match with populated winners and losers
+ * @param {Object} eloChanges - Elo changes ({ winners, losers }) in team order, with the optional marginMultiplier
+ * @returns {string} HTML formatted notification
+ */
+function formatMatchNotification(match, eloChanges) {
+  const format = getMatchFormat(match);
+  const dryWinText = match.isDryWin ? ' (Dry Win)' : '';
+  const formatText = format === MATCH_FORMAT.SINGLES ? ' (1v1)' : '';
+  const scoreText = hasScore(match) ? `⚽ <b>Score:</b> ${formatScore(match.score)}\n\n` : '';
+  const formatTeam = players => players.map(p => `@${p.username}`).join(' + ');
+  const formatChanges = changes => changes.map(formatEloChange).join(', ');
+
+  const glickoChanges = match.glickoChanges;
+  const ratingsText = isGlickoActive() && glickoChanges && glickoChanges.winners && glickoChanges.winners.length > 0
+    ? `📊 <b>Ratings:</b>\n` +
+      `Winners: ${formatGlickoChanges(match.winners, glickoChanges.winners, format)}\n` +
+      `Losers: ${formatGlickoChanges(match.losers, glickoChanges.losers, format)}`
+    : `📊 <b>Elo Changes:</b>${formatMarginMultiplier(eloChanges.marginMultiplier)}\n` +
+      `Winners: ${formatChanges(eloChanges.winners)}\n` +
+      `Losers: ${formatChanges(eloChanges.losers)}`;
+
+  return `🏆 <b>New Match Recorded!</b>${formatText}${dryWinText}\n\n` +
+    scoreText +
+    `<b>Teams:</b>\n` +
+    `Winners: ${formatTeam(match.winners)}\n` +
+    `Losers: ${formatTeam(match.losers)}\n\n` +
+    ratingsText +
+    (match._id ? `\n\n🆔 Match ID: <code>${match._id}</code>` : '');
+}
+
+/**
+ * Send a notification to every registered player with a chat, except the given usernames
+ * @param {Object} bot - Telegram bot instance
+ * @param {string} text - HTML formatted message
+ * @param {Array<string>} excludeUsernames - Usernames that should not be notified (e.g. match participants)
+ * @returns {Promise<void>}
+ */
+async function broadcastToPlayers(bot, text, excludeUsernames = []) {
+  if (!bot) return;
+
+  const players = await playerService.getAllPlayers();
+  const usersWithChatId = players.filter(p => p.chatId);
+
+  for (const player of usersWithChatId) {
+    if (excludeUsernames.includes(player.username)) {
+      continue;
+    }
+
+    try {
+      await bot.sendMessage(player.chatId, text, { parse_mode: 'HTML' });
+    } catch (error) {
+      console.error(`Failed to send match notification to ${player.username}:`, error);
+    }
+  }
+}
+
+/**
+ * Send a message to every admin who has a chat with the bot
+ * @param {Object} bot - Telegram bot instance
+ * @param {string} text - HTML formatted message
+ * @param {Object} options - Extra sendMessage options (e.g. reply_markup)
+ * @returns {Promise<number>} Number of admins notified
+ */
+async function notifyAdmins(bot, text, options = {}) {
+  if (!bot) return 0;
+
+  const players = await playerService.getAllPlayers();
+  const admins = players.filter(p => p.chatId && isAdmin(p.username));
+
+  let notified = 0;
+  for (const admin of admins) {
+    try {
+      await bot.sendMessage(admin.chatId, text, { parse_mode: 'HTML', ...options });
+      notified++;
+    } catch (error) {
+      console.error(`Failed to send admin notification to ${admin.username}:`, error);
+    }
+  }
+
+  return notified;
+}
+
+module.exports = {
+  formatEloChange,
+  formatMatchLine,
+  formatMatchNotification,
+  broadcastToPlayers,
+  notifyAdmins
+};
\ No newline at end of file
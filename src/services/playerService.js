@@ -1,5 +1,18 @@
 const Player = require('../models/Player');
 const Match = require('../models/Match');
+const { COUNTED_MATCH_FILTER } = require('../utils/matchStatus');
+const {
+  MATCH_FORMAT,
+  DEFAULT_RATING,
+  getFormatFilter,
+  getPlayerRating,
+  getRatingField,
+  getGlickoField
+} = require('../utils/matchFormat');
+const { isProvisional } = require('../utils/elo');
+const { getDefaultGlicko, getPlayerGlicko } = require('../utils/glicko');
+const { getMatchPositions, getPositionRatingField, getPlayerPositionRating } = require('../utils/positions');
+const { getKFactorSchedule, isGlickoActive } = require('../config/settings');
 
 /**
  * Register a new player
@@ -49,6 +62,56 @@ async function getPlayerByUsername(username) {
   }
 }
 
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Get player by alias (case-insensitive)
+ * @param {string} alias - Player alias
+ * @returns {Promise<Object|null>} Player object or null
+ * @throws {Error} If more than one player uses the alias
+ */
+async function getPlayerByAlias(alias) {
+  try {
+    const cleanAlias = alias.trim();
+    if (!cleanAlias) return null;
+
+    const players = await Player.find({
+      alias: { $regex: `^${escapeRegex(cleanAlias)}$`, $options: 'i' }
+    });
+
+    if (players.length > 1) {
+      throw new Error(`Alias "${cleanAlias}" is used by more than one player. Please use a username instead.`);
+    }
+
+    return players[0] || null;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Find a player by username or, failing that, by alias
+ * @param {string} nameOrAlias - Telegram username (with or without @) or alias
+ * @returns {Promise<Object|null>} Player object or null
+ */
+async function findPlayerByNameOrAlias(nameOrAlias) {
+  try {
+    const player = await getPlayerByUsername(nameOrAlias);
+    if (player) return player;
+
+    return await getPlayerByAlias(nameOrAlias.replace('@', ''));
+  } catch (error) {
+    throw error;
+  }
+}
+
 /**
  * Get player by ID
  * @param {string} playerId - Player ID
@@ -66,13 +129,14 @@ async function getPlayerById(playerId) {
  * Update player's Elo rating
  * @param {string} playerId - Player ID
  * @param {number} newElo - New Elo rating
+ * @param {string} format - Match format whose rating is updated (default: 2v2)
  * @returns {Promise<Object>} Updated player object
  */
-async function updatePlayerElo(playerId, newElo) {
+async function updatePlayerElo(playerId, newElo, format = MATCH_FORMAT.DOUBLES) {
   try {
     return await Player.findByIdAndUpdate(
       playerId,
-      { elo: newElo },
+      { [getRatingField(format)]: newElo },
       { new: true }
     );
   } catch (error) {
@@ -80,6 +144,133 @@ async function updatePlayerElo(playerId, newElo) {
   }
 }
 
+/**
+ * Apply an Elo change to a player's rating atomically
+ * The change is added with $inc on the database, so concurrent matches cannot overwrite each other's updates
+ * @param {string} playerId - Player ID
+ * @param {number} change - Elo change (negative for a loss)
+ * @param {string} format - Match format whose rating is updated (default: 2v2)
+ * @returns {Promise<Object>} Updated player object
+ */
+async function incrementPlayerElo(playerId, change, format = MATCH_FORMAT.DOUBLES) {
+  try {
+    const ratingField = getRatingField(format);
+
+    // Players registered before 1v1 ratings existed have no singles rating stored yet
+    await Player.updateOne(
+      { _id: playerId, [ratingField]: { $exists: false } },
+      { $set: { [ratingField]: DEFAULT_RATING } }
+    );
+
+    return await Player.findByIdAndUpdate(
+      playerId,
+      { $inc: { [ratingField]: change } },
+      { new: true }
+    );
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Apply a Glicko-2 change to a player's rating, deviation and volatility atomically
+ * @param {string} playerId - Player ID
+ * @param {Object} change - Change in rating, deviation and volatility
+ * @param {string} format - Match format whose Glicko-2 state is updated (default: 2v2)
+ * @returns {Promise<Object>} Updated player object
+ */
+async function incrementPlayerGlicko(playerId, change, format = MATCH_FORMAT.DOUBLES) {
+  try {
+    const glickoField = getGlickoField(format);
+
+    // Players registered before Glicko-2 ratings existed start from the default state
+    await Player.updateOne(
+      { _id: playerId, [`${glickoField}.rating`]: { $exists: false } },
+      { $set: { [glickoField]: getDefaultGlicko() } }
+    );
+
+    return await Player.findByIdAndUpdate(
+      playerId,
+      {
+        $inc: {
+          [`${glickoField}.rating`]: change.rating,
+          [`${glickoField}.deviation`]: change.deviation,
+          [`${glickoField}.volatility`]: change.volatility
+        }
+      },
+      { new: true }
+    );
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Apply an Elo change to a player's attack or defence rating atomically
+ * @param {string} playerId - Player ID
+ * @param {number} change - Elo change (negative for a loss)
+ * @param {string} position - Position whose rating is updated ('attack' or 'defence')
+ * @returns {Promise<Object>} Updated player object
+ */
+async function incrementPlayerPositionElo(playerId, change, position) {
+  try {
+    const ratingField = getPositionRatingField(position);
+
+    // Players registered before position ratings existed start from the default rating
+    await Player.updateOne(
+      { _id: playerId, [ratingField]: { $exists: false } },
+      { $set: { [ratingField]: DEFAULT_RATING } }
+    );
+
+    return await Player.findByIdAndUpdate(
+      playerId,
+      { $inc: { [ratingField]: change } },
+      { new: true }
+    );
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Mark players active again after they played a match
+ * @param {Array} playerIds - IDs of the players of the match
+ * @returns {Promise<Object>} Update result
+ */
+async function markPlayersActive(playerIds) {
+  try {
+    return await Player.updateMany(
+      { _id: { $in: playerIds }, 'inactivity.since': { $ne: null } },
+      { $set: { inactivity: { since: null, nudgedAt: null, decayedAt: null } } }
+    );
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Count the counted matches a player has played in a format
+ * @param {string} playerId - Player ID
+ * @param {string} format - Match format (default: 2v2)
+ * @param {Date} before - Only count matches played before this date (default: all matches)
+ * @returns {Promise<number>} Number of matches
+ */
+async function getMatchesPlayed(playerId, format = MATCH_FORMAT.DOUBLES, before = null) {
+  try {
+    const filter = {
+      ...COUNTED_MATCH_FILTER,
+      ...getFormatFilter(format),
+      players: playerId
+    };
+    if (before) {
+      filter.playedAt = { $lt: before };
+    }
+    return await Match.countDocuments(filter);
+  } catch (error) {
+    throw error;
+  }
+}
+
 /**
  * Update player's chatId by username
  * @param {string} username - Telegram username
@@ -136,6 +327,7 @@ async function getSeasonLeaderboard(season) {
     const playersWithStats = await Promise.all(
       players.map(async (player) => {
         const seasonMatches = await Match.find({
+          ...COUNTED_MATCH_FILTER,
           season,
           players: player._id
         }).populate('players winners losers');
@@ -163,17 +355,23 @@ async function getSeasonLeaderboard(season) {
 
 /**
  * Get players for all-time leaderboard with comprehensive stats
- * @returns {Promise<Array>} Array of players with all-time stats
+ * Singles leaderboards only list players who have played a singles match.
+ * Players are ranked by Glicko-2 rating when that engine is active, otherwise by Elo.
+ * @param {string} format - Match format (default: 2v2)
+ * @returns {Promise<Array>} Array of players with all-time stats, their Elo and Glicko-2 rating for the format and whether they are inactive
  */
-async function getAllTimeLeaderboard() {
+async function getAllTimeLeaderboard(format = MATCH_FORMAT.DOUBLES) {
   try {
     // Get all players with their current Elo
-    const players = await Player.find().sort({ elo: -1 });
+    const players = await Player.find().sort({ [getRatingField(format)]: -1 });
+    const schedule = getKFactorSchedule();
     
-    // Get all matches for each player
+    // Get all matches of this format for each player
     const playersWithStats = await Promise.all(
       players.map(async (player) => {
         const allMatches = await Match.find({
+          ...COUNTED_MATCH_FILTER,
+          ...getFormatFilter(format),
           players: player._id
         }).populate('players winners losers');
         
@@ -186,14 +384,73 @@ async function getAllTimeLeaderboard() {
         
         return {
           ...player.toObject(),
+          rating: getPlayerRating(player, format),
+          glicko: getPlayerGlicko(player, format),
           totalWins: wins,
           totalMatches: totalMatches,
-          winRate: winRate
+          winRate: winRate,
+          provisional: isProvisional(totalMatches, schedule),
+          inactive: Boolean(player.inactivity && player.inactivity.since)
         };
       })
     );
     
-    return playersWithStats.sort((a, b) => b.elo - a.elo);
+    const glickoActive = isGlickoActive();
+    return playersWithStats
+      .filter(player => format !== MATCH_FORMAT.SINGLES || player.totalMatches > 0)
+      .sort((a, b) => glickoActive ? b.glicko.rating - a.glicko.rating : b.rating - a.rating);
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get players for the attack or defence leaderboard
+ * Only players who played the position in a match with both teams' positions recorded are listed
+ * @param {string} position - 'attack' or 'defence'
+ * @returns {Promise<Array>} Players with their position rating, matches and wins at the position and whether they are inactive, best first
+ */
+async function getPositionLeaderboard(position) {
+  try {
+    const players = await Player.find().sort({ [getPositionRatingField(position)]: -1 });
+    const matches = await Match.find({
+      ...COUNTED_MATCH_FILTER,
+      ...getFormatFilter(MATCH_FORMAT.DOUBLES),
+      'positions.winners.attack': { $exists: true },
+      'positions.losers.attack': { $exists: true }
+    });
+
+    // Matches and wins at the position per player ID
+    const counts = new Map();
+    matches.forEach(match => {
+      const positions = getMatchPositions(match);
+      if (!positions) return;
+      [['winners', true], ['losers', false]].forEach(([team, won]) => {
+        match[team].forEach((playerId, index) => {
+          if (positions[team][index] !== position) return;
+          const id = playerId.toString();
+          const entry = counts.get(id) || { matches: 0, wins: 0 };
+          entry.matches++;
+          if (won) entry.wins++;
+          counts.set(id, entry);
+        });
+      });
+    });
+
+    return players
+      .filter(player => counts.has(player._id.toString()))
+      .map(player => {
+        const { matches: totalMatches, wins } = counts.get(player._id.toString());
+        return {
+          ...player.toObject(),
+          rating: getPlayerPositionRating(player, position),
+          totalWins: wins,
+          totalMatches,
+          winRate: (wins / totalMatches * 100).toFixed(1),
+          inactive: Boolean(player.inactivity && player.inactivity.since)
+        };
+      })
+      .sort((a, b) => b.rating - a.rating);
   } catch (error) {
     throw error;
   }
@@ -202,11 +459,19 @@ async function getAllTimeLeaderboard() {
 module.exports = {
   registerPlayer,
   getPlayerByUsername,
+  getPlayerByAlias,
+  findPlayerByNameOrAlias,
   getPlayerById,
   updatePlayerElo,
+  incrementPlayerElo,
+  incrementPlayerGlicko,
+  incrementPlayerPositionElo,
+  markPlayersActive,
+  getMatchesPlayed,
   getAllPlayers,
   getSeasonLeaderboard,
   getAllTimeLeaderboard,
+  getPositionLeaderboard,
   updatePlayerChatId,
   updatePlayerAlias
 }; 
\ No newline at end of file
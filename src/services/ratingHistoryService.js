@@ -0,0 +1,178 @@
+const RatingHistory = require('../models/RatingHistory');
+const { MATCH_FORMAT } = require('../utils/matchFormat');
+const { RATING_CHANGE_REASON, getAdjustmentDate } = require('../utils/ratingHistory');
+const { getSeasonForDate } = require('../utils/elo');
+const { getMatchRatingKey } = require('../utils/partners');
+
+/**
+ * Save rating history entries
+ * @param {Array} entries - Rating history entries
+ * @returns {Promise<Array>} Saved entries
+ */
+async function recordEntries(entries) {
+  try {
+    if (entries.length === 0) return [];
+    return await RatingHistory.insertMany(entries);
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Replace the rating history of matches whose Elo changes were recalculated
+ * Entries of matches that are no longer counted (e.g. voided) are removed
+ * @param {Array} matchIds - IDs of every match that was rolled back or replayed
+ * @param {Array} entries - New entries of the replayed matches
+ * @returns {Promise<Array>} Saved entries
+ */
+async function replaceMatchEntries(matchIds, entries) {
+  try {
+    await RatingHistory.deleteMany({ match: { $in: matchIds } });
+    return await recordEntries(entries);
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Replace the rating history of every match, e.g. after every rating was recalculated from scratch
+ * Adjustments outside matches (decay, soft resets) are kept; the recalculation replays and updates them
+ * itself, and the reset entries record which seasons were already soft reset (see hasSeasonReset)
+ * @param {Array} entries - New match entries
+ * @returns {Promise<Array>} Saved entries
+ */
+async function replaceAllEntries(entries) {
+  try {
+    await RatingHistory.deleteMany({ reason: RATING_CHANGE_REASON.MATCH });
+    return await recordEntries(entries);
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get the stored rating adjustments outside matches (inactivity decay and soft resets), in the order they apply
+ * @param {Date|null} fromDate - Only adjustments applied at or after this date, or null for all of them
+ * @returns {Promise<Array>} Rating history entries, oldest first (see getAdjustmentDate)
+ */
+async function getAdjustmentEntries(fromDate = null) {
+  try {
+    const filter = fromDate
+      ? {
+        $or: [
+          { reason: RATING_CHANGE_REASON.DECAY, playedAt: { $gte: fromDate } },
+          // Resets apply at the start of their season, not when the transition ran
+          { reason: RATING_CHANGE_REASON.RESET, season: { $gte: getSeasonForDate(fromDate) } }
+        ]
+      }
+      : { reason: { $in: [RATING_CHANGE_REASON.DECAY, RATING_CHANGE_REASON.RESET] } };
+
+    const entries = await RatingHistory.find(filter).sort({ playedAt: 1, _id: 1 });
+    return entries
+      .filter(entry => !fromDate || getAdjustmentDate(entry) >= fromDate)
+      .sort((a, b) => getAdjustmentDate(a) - getAdjustmentDate(b));
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Check whether the soft reset of a season was already applied
+ * @param {string} season - Season identifier
+ * @returns {Promise<boolean>} True if reset entries exist for the season
+ */
+async function hasSeasonReset(season) {
+  try {
+    return Boolean(await RatingHistory.exists({ reason: RATING_CHANGE_REASON.RESET, season }));
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get every player's rating before and after each of the given matches
+ * @param {Array} matchIds - Match IDs
+ * @returns {Promise<Map>} "matchId|playerId" -> { before, after }
+ */
+async function getMatchRatings(matchIds) {
+  try {
+    const entries = await RatingHistory.find({ match: { $in: matchIds }, reason: RATING_CHANGE_REASON.MATCH });
+    return new Map(entries.map(entry => [
+      getMatchRatingKey(entry.match, entry.player),
+      { before: entry.ratingBefore, after: entry.ratingAfter }
+    ]));
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get one page of a player's rating history, newest first, with their peak and lowest rating
+ * @param {string} playerId - Player ID
+ * @param {string} format - Match format (default: 2v2)
+ * @param {Object} options - Paging options
+ * @param {number} options.page - Page number, 0 for the newest entries (default: 0)
+ * @param {number} options.pageSize - Entries per page (default: 10)
+ * @returns {Promise<Object>} Entries (with populated match players), total number of entries, peak and lowest entry
+ */
+async function getPlayerHistory(playerId, format = MATCH_FORMAT.DOUBLES, options = {}) {
+  try {
+    const { page = 0, pageSize = 10 } = options;
+    const filter = { player: playerId, format };
+
+    const [entries, total, peak, lowest] = await Promise.all([
+      RatingHistory.find(filter)
+        .sort({ playedAt: -1, _id: -1 })
+        .skip(page * pageSize)
+        .limit(pageSize)
+        .populate({ path: 'match', populate: { path: 'winners losers' } }),
+      RatingHistory.countDocuments(filter),
+      RatingHistory.findOne(filter).sort({ ratingAfter: -1, playedAt: -1 }),
+      RatingHistory.findOne(filter).sort({ ratingAfter: 1, playedAt: -1 })
+    ]);
+
+    return { entries, total, peak, lowest };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get a player's rating over time, oldest first, e.g. for a chart
+ * Each point is tagged with the season of its match (Match.season); changes outside
+ * matches (decay, soft resets) keep the season they were recorded in
+ * @param {string} playerId - Player ID
+ * @param {string} format - Match format (default: 2v2)
+ * @param {string|null} season - Only changes of this season (YYYY-MM), or null for all of them
+ * @returns {Promise<Array>} Points ({ date, rating, season }), starting with the rating before the first change
+ */
+async function getRatingSeries(playerId, format = MATCH_FORMAT.DOUBLES, season = null) {
+  try {
+    const filter = { player: playerId, format };
+    if (season) filter.season = season;
+
+    const entries = await RatingHistory.find(filter)
+      .sort({ playedAt: 1, _id: 1 })
+      .populate({ path: 'match', select: 'season' });
+    if (entries.length === 0) return [];
+
+    const getSeason = entry => (entry.match && entry.match.season) || entry.season;
+    return [
+      { date: entries[0].playedAt, rating: entries[0].ratingBefore, season: getSeason(entries[0]) },
+      ...entries.map(entry => ({ date: entry.playedAt, rating: entry.ratingAfter, season: getSeason(entry) }))
+    ];
+  } catch (error) {
+    throw error;
+  }
+}
+
+module.exports = {
+  recordEntries,
+  replaceMatchEntries,
+  replaceAllEntries,
+  getAdjustmentEntries,
+  hasSeasonReset,
+  getMatchRatings,
+  getPlayerHistory,
+  getRatingSeries
+};
\ No newline at end of file
@@ -0,0 +1,908 @@
+const Match = require('../models/Match');
+const Player = require('../models/Player');
+const Season = require('../models/Season');
+const { calculateTeamEloChanges, getSeasonForDate, getPlayerKFactor, getRegressedRating } = require('../utils/elo');
+const {
+  RATING_ENGINE,
+  calculateTeamGlickoChanges,
+  getDefaultGlicko,
+  getPlayerGlicko,
+  addGlickoChange
+} = require('../utils/glicko');
+const { COUNTED_MATCH_FILTER } = require('../utils/matchStatus');
+const { getMarginOfVictory } = require('../utils/goals');
+const {
+  RATING_CHANGE_REASON,
+  createMatchHistoryEntries,
+  createAdjustmentHistoryEntries,
+  hasAdjustmentSettings,
+  getAdjustedRating,
+  getAdjustmentDate
+} = require('../utils/ratingHistory');
+const {
+  POSITIONS,
+  getPlayerPosition,
+  getPositionRatingField,
+  getPlayerPositionRating,
+  calculatePositionEloChanges
+} = require('../utils/positions');
+const {
+  MATCH_FORMAT,
+  DEFAULT_RATING,
+  getMatchFormat,
+  getFormatFilter,
+  getPlayerRating,
+  getRatingField,
+  getSeasonStartField,
+  getGlickoField
+} = require('../utils/matchFormat');
+const { getKFactorSchedule, getEloSplitMode, getMarginSettings, getGlickoTau } = require('../config/settings');
+const { runInTransaction } = require('../config/database');
+const playerService = require('./playerService');
+const seasonService = require('./seasonService');
+const ratingHistoryService = require('./ratingHistoryService');
+const teamService = require('./teamService');
+
+/**
+ * Get counted matches played at or after a date, oldest first
+ * @param {Date} fromDate - Earliest match date to include
+ * @returns {Promise<Array>} Array of matches
+ */
+async function getCountedMatchesFrom(fromDate) {
+  return await Match.find({
+    ...COUNTED_MATCH_FILTER,
+    playedAt: { $gte: fromDate }
+  }).sort({ playedAt: 1 });
+}
+
+/**
+ * Get the Elo change stored on a match for a player
+ * @param {Object} match - Match object
+ * @param {string} playerId - Player ID
+ * @returns {number} Elo change (0 if the player did not take part)
+ */
+function getStoredEloChange(match, playerId) {
+  if (!match.eloChanges) return 0;
+
+  const winnerIndex = match.winners.findIndex(id => id.toString() === playerId);
+  if (winnerIndex !== -1) return match.eloChanges.winners[winnerIndex] || 0;
+
+  const loserIndex = match.losers.findIndex(id => id.toString() === playerId);
+  if (loserIndex !== -1) return match.eloChanges.losers[loserIndex] || 0;
+
+  return 0;
+}
+
+/**
+ * Get the Glicko-2 change stored on a match for a player
+ * @param {Object} match - Match object
+ * @param {string} playerId - Player ID
+ * @returns {Object|null} Glicko-2 change, or null if none was stored (e.g. matches recorded before Glicko-2)
+ */
+function getStoredGlickoChange(match, playerId) {
+  if (!match.glickoChanges) return null;
+
+  const winnerIndex = match.winners.findIndex(id => id.toString() === playerId);
+  if (winnerIndex !== -1) return (match.glickoChanges.winners || [])[winnerIndex] || null;
+
+  const loserIndex = match.losers.findIndex(id => id.toString() === playerId);
+  if (loserIndex !== -1) return (match.glickoChanges.losers || [])[loserIndex] || null;
+
+  return null;
+}
+
+/**
+ * Create an empty rating map for every match format
+ * @returns {Object} Map of player ID to rating, keyed by format
+ */
+function createFormatRatings() {
+  return Object.values(MATCH_FORMAT).reduce((byFormat, format) => {
+    byFormat[format] = new Map();
+    return byFormat;
+  }, {});
+}
+
+/**
+ * Create an empty rating map for every position
+ * @returns {Object} Map of player ID to rating, keyed by position
+ */
+function createPositionRatings() {
+  return Object.values(POSITIONS).reduce((byPosition, position) => {
+    byPosition[position] = new Map();
+    return byPosition;
+  }, {});
+}
+
+/**
+ * Apply the attack/defence rating changes of a match to the tracked position ratings
+ * Players without a tracked rating start from the default rating
+ * @param {Object} positionRatings - Map of player ID to rating, keyed by position
+ * @param {Object} match - Match object with positions
+ * @param {Object} changes - Changes per team ({ winners, losers }), same order as the match's winners and losers
+ * @param {number} direction - 1 to apply the changes, -1 to roll them back
+ */
+function addPositionChanges(positionRatings, match, changes, direction = 1) {
+  ['winners', 'losers'].forEach(team => {
+    match[team].forEach((playerId, index) => {
+      const id = playerId.toString();
+      const position = getPlayerPosition(match, id);
+      const change = (changes[team] || [])[index];
+      if (!position || !change) return;
+      const rating = positionRatings[position].has(id) ? positionRatings[position].get(id) : DEFAULT_RATING;
+      positionRatings[position].set(id, rating + direction * change);
+    });
+  });
+}
+
+/**
+ * Get the change a stored rating adjustment (e.g. inactivity decay) made
+ * @param {Object} entry - Rating history entry of the adjustment
+ * @returns {number} Rating change
+ */
+function getAdjustmentChange(entry) {
+  return entry.ratingAfter - entry.ratingBefore;
+}
+
+/**
+ * Apply a stored rating adjustment again to the tracked ratings
+ * The adjustment is calculated again from the replayed rating (see getAdjustedRating), and the entry's ratings are updated to match
+ * @param {Object} ratings - Map of player ID to Elo rating, keyed by format
+ * @param {Object} entry - Rating history entry of the adjustment
+ * @returns {number} Player's rating after the adjustment
+ */
+function applyAdjustment(ratings, entry) {
+  const id = entry.player.toString();
+  const formatRatings = ratings[entry.format];
+  const before = formatRatings.has(id) ? formatRatings.get(id) : DEFAULT_RATING;
+  const after = getAdjustedRating(entry, before);
+  formatRatings.set(id, after);
+  entry.ratingBefore = before;
+  entry.ratingAfter = after;
+  return after;
+}
+
+/**
+ * Apply a season's soft reset again to every tracked player who was registered when it ran
+ * Each format is reset with the settings stored on its entries. Players with a reset entry have it
+ * updated; players the replay moved away from the target rating get a new entry.
+ * @param {Object} ratings - Map of player ID to Elo rating, keyed by format
+ * @param {Object} reset - Soft reset of a season ({ season, appliedAt, entries }), see mergeAdjustments
+ * @param {Function} wasRegistered - Check whether a player ID was registered at a date
+ * @returns {Array} Reset ratings ({ entry, rating, isNew }), one per player and format
+ */
+function replaySeasonReset(ratings, reset, wasRegistered) {
+  const results = [];
+  const formats = [...new Set(reset.entries.map(entry => entry.format))];
+
+  formats.forEach(format => {
+    const entries = reset.entries.filter(entry => entry.format === format);
+    const { rate, target, targetRating } = entries[0].adjustment;
+    const playerIds = new Set([...ratings[format].keys(), ...entries.map(entry => entry.player.toString())]);
+
+    playerIds.forEach(id => {
+      const entry = entries.find(stored => stored.player.toString() === id);
+      if (entry) {
+        results.push({ entry, rating: applyAdjustment(ratings, entry), isNew: false });
+        return;
+      }
+      if (!wasRegistered(id, reset.appliedAt)) return;
+
+      const before = ratings[format].get(id);
+      const after = getRegressedRating(before, targetRating, rate);
+      if (after === before) return;
+
+      ratings[format].set(id, after);
+      const [newEntry] = createAdjustmentHistoryEntries(
+        { _id: id, [getRatingField(format)]: after },
+        { [format]: after - before },
+        reset.appliedAt,
+        RATING_CHANGE_REASON.RESET,
+        reset.season,
+        { [format]: { rate, target, targetRating } }
+      );
+      results.push({ entry: newEntry, rating: after, isNew: true });
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Merge matches and rating adjustments into the order they are replayed in
+ * Soft resets that stored their settings become one event per season, so they reach every tracked player
+ * @param {Array} matches - Matches, oldest first
+ * @param {Array} adjustments - Rating history entries of adjustments, in the order they apply
+ * @returns {Array} Events ({ match }, { adjustment } or { reset }), oldest first; adjustments go first at the same moment
+ */
+function mergeAdjustments(matches, adjustments) {
+  const events = [];
+  const resets = new Map(); // season -> { season, appliedAt, entries }
+
+  adjustments.forEach(entry => {
+    const date = getAdjustmentDate(entry);
+    if (entry.reason !== RATING_CHANGE_REASON.RESET || !hasAdjustmentSettings(entry)) {
+      events.push({ date, adjustment: entry });
+      return;
+    }
+    if (!resets.has(entry.season)) {
+      const reset = { season: entry.season, appliedAt: new Date(entry.playedAt), entries: [] };
+      resets.set(entry.season, reset);
+      events.push({ date, reset });
+    }
+    resets.get(entry.season).entries.push(entry);
+  });
+
+  return [
+    ...events,
+    ...matches.map(match => ({ date: new Date(match.playedAt), match }))
+  ].sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Apply an adjustment event of mergeAdjustments again to the tracked ratings
+ * @param {Object} ratings - Map of player ID to Elo rating, keyed by format
+ * @param {Object} event - Event with an adjustment entry or a season's soft reset
+ * @param {Function} wasRegistered - Check whether a player ID was registered at a date
+ * @returns {Array} Adjusted ratings ({ entry, rating, isNew })
+ */
+function replayAdjustmentEvent(ratings, event, wasRegistered) {
+  if (event.reset) {
+    return replaySeasonReset(ratings, event.reset, wasRegistered);
+  }
+  return [{ entry: event.adjustment, rating: applyAdjustment(ratings, event.adjustment), isNew: false }];
+}
+
+/**
+ * Get a player's rating at the start of a season from their replayed timeline
+ * The soft reset of a season counts as part of its start, so the season starts from the reset rating
+ * @param {Array} timeline - Ratings after each replayed match and adjustment ({ season, rating, adjustment }), oldest first
+ * @param {string} season - Season identifier
+ * @param {number} fallback - Rating when nothing was replayed before the season
+ * @returns {number} Rating at the start of the season
+ */
+function getSeasonStartRating(timeline, season, fallback) {
+  const previousEntries = timeline.filter(entry => entry.season < season ||
+    (entry.season === season && entry.adjustment === RATING_CHANGE_REASON.RESET));
+  return previousEntries.length > 0 ? previousEntries[previousEntries.length - 1].rating : fallback;
+}
+
+/**
+ * Load players that are not tracked yet and start them from their current ratings
+ * @param {Object} ratings - Map of player ID to Elo rating, keyed by format
+ * @param {Object} glickoRatings - Map of player ID to Glicko-2 state, keyed by format
+ * @param {Object} positionRatings - Map of player ID to attack/defence rating, keyed by position
+ * @param {Map} playerDocs - Map of player ID to player document
+ * @param {Array} playerIds - Player IDs that must be tracked
+ */
+async function trackPlayers(ratings, glickoRatings, positionRatings, playerDocs, playerIds) {
+  const missingIds = playerIds.filter(id => !playerDocs.has(id));
+  if (missingIds.length === 0) return;
+
+  const players = await Player.find({ _id: { $in: missingIds } });
+  players.forEach(player => {
+    const id = player._id.toString();
+    playerDocs.set(id, player);
+    Object.values(MATCH_FORMAT).forEach(format => {
+      if (!ratings[format].has(id)) {
+        ratings[format].set(id, getPlayerRating(player, format));
+      }
+      if (!glickoRatings[format].has(id)) {
+        glickoRatings[format].set(id, getPlayerGlicko(player, format));
+      }
+    });
+    Object.values(POSITIONS).forEach(position => {
+      if (!positionRatings[position].has(id)) {
+        positionRatings[position].set(id, getPlayerPositionRating(player, position));
+      }
+    });
+  });
+}
+
+/**
+ * Recalculate Elo and Glicko-2 for every counted match played at or after a date
+ *
+ * Ratings are first rolled back by the Elo, Glicko-2 and attack/defence changes stored on those matches, then
+ * `applyChange` runs (e.g. to void, insert or edit a match) and finally every counted
+ * match from `fromDate` onwards is replayed in chronological order, each player using the
+ * K-factor for the matches they had played at that point and each match its margin multiplier. Match Elo changes, player
+ * ratings, season start Elo, rating history and season statistics are all rewritten.
+ * Singles and doubles ratings are replayed independently, and attack/defence ratings along with doubles.
+ * Rating decay and soft resets from `fromDate` onwards are rolled back too and applied again in date
+ * order between the matches, so the result does not depend on when a match was voided, edited or backdated.
+ * Decay and soft resets are calculated again from the replayed ratings with their stored settings.
+ * Duo teams are rebuilt from the whole doubles history when a doubles match was affected.
+ *
+ * @param {Date} fromDate - Date of the earliest affected match
+ * @param {Function} applyChange - Async callback that modifies matches between rollback and replay
+ * @returns {Promise<Object>} Replayed matches, rating changes per player and format, and rebuilt seasons
+ */
+async function replayMatchesFrom(fromDate, applyChange = async () => {}) {
+  try {
+    const fromSeason = getSeasonForDate(fromDate);
+    const ratings = createFormatRatings();
+    const glickoRatings = createFormatRatings();
+    const positionRatings = createPositionRatings();
+    const playerDocs = new Map();
+    const affectedSeasons = new Map(); // "season|format" -> { season, format }
+    const touchedFormats = new Map(); // playerId -> Set of formats
+
+    const markAffected = (match, playerIds) => {
+      const format = getMatchFormat(match);
+      affectedSeasons.set(`${match.season}|${format}`, { season: match.season, format });
+      playerIds.forEach(id => {
+        if (!touchedFormats.has(id)) touchedFormats.set(id, new Set());
+        touchedFormats.get(id).add(format);
+      });
+    };
+
+    // Roll back every match and rating adjustment that is currently applied
+    const appliedMatches = await getCountedMatchesFrom(fromDate);
+    const adjustments = await ratingHistoryService.getAdjustmentEntries(fromDate);
+    const appliedPlayerIds = [...new Set([
+      ...appliedMatches.flatMap(match => match.players.map(id => id.toString())),
+      ...adjustments.map(entry => entry.player.toString())
+    ])];
+    await trackPlayers(ratings, glickoRatings, positionRatings, playerDocs, appliedPlayerIds);
+
+    const originalRatings = createFormatRatings();
+    Object.values(MATCH_FORMAT).forEach(format => {
+      ratings[format].forEach((rating, id) => originalRatings[format].set(id, rating));
+    });
+    appliedMatches.forEach(match => {
+      const formatRatings = ratings[getMatchFormat(match)];
+      const formatGlicko = glickoRatings[getMatchFormat(match)];
+      const playerIds = match.players.map(id => id.toString());
+      markAffected(match, playerIds);
+      playerIds.forEach(playerId => {
+        formatRatings.set(playerId, formatRatings.get(playerId) - getStoredEloChange(match, playerId));
+        formatGlicko.set(playerId, addGlickoChange(formatGlicko.get(playerId), getStoredGlickoChange(match, playerId), -1));
+      });
+      if (match.positionEloChanges) {
+        addPositionChanges(positionRatings, match, match.positionEloChanges, -1);
+      }
+    });
+    adjustments.forEach(entry => {
+      const formatRatings = ratings[entry.format];
+      const id = entry.player.toString();
+      formatRatings.set(id, formatRatings.get(id) - getAdjustmentChange(entry));
+    });
+    const baselineRatings = createFormatRatings();
+    Object.values(MATCH_FORMAT).forEach(format => {
+      ratings[format].forEach((rating, id) => baselineRatings[format].set(id, rating));
+    });
+
+    await applyChange();
+
+    // Replay the (possibly changed) match history and the adjustments in order
+    const matchesToReplay = await getCountedMatchesFrom(fromDate);
+    const timelines = new Map(); // "format|playerId" -> [{ season, rating }]
+    const schedule = getKFactorSchedule();
+    const split = getEloSplitMode();
+    const marginSettings = getMarginSettings();
+    const tau = getGlickoTau();
+    const matchesPlayed = new Map(); // "format|playerId" -> counted matches played so far
+    const historyEntries = [];
+
+    // K-factors depend on how many matches each player had played at the time of the match
+    const getKFactor = async (format, playerId) => {
+      const key = `${format}|${playerId}`;
+      if (!matchesPlayed.has(key)) {
+        matchesPlayed.set(key, await playerService.getMatchesPlayed(playerId, format, fromDate));
+      }
+      return getPlayerKFactor(matchesPlayed.get(key), ratings[format].get(playerId), schedule);
+    };
+
+    // Players registered after a soft reset ran were not reset
+    const wasRegistered = (playerId, date) => {
+      const player = playerDocs.get(playerId);
+      return !player || !player.createdAt || new Date(player.createdAt) <= date;
+    };
+    const newAdjustmentEntries = [];
+
+    for (const event of mergeAdjustments(matchesToReplay, adjustments)) {
+      if (!event.match) {
+        replayAdjustmentEvent(ratings, event, wasRegistered).forEach(({ entry, rating, isNew }) => {
+          if (isNew) newAdjustmentEntries.push(entry);
+          const timelineKey = `${entry.format}|${entry.player.toString()}`;
+          if (!timelines.has(timelineKey)) timelines.set(timelineKey, []);
+          timelines.get(timelineKey).push({ season: entry.season, rating, adjustment: entry.reason });
+        });
+        continue;
+      }
+
+      const match = event.match;
+      const format = getMatchFormat(match);
+      const formatRatings = ratings[format];
+      const formatGlicko = glickoRatings[format];
+      const winnerIds = match.winners.map(id => id.toString());
+      const loserIds = match.losers.map(id => id.toString());
+      await trackPlayers(ratings, glickoRatings, positionRatings, playerDocs, [...winnerIds, ...loserIds]);
+      [...winnerIds, ...loserIds].forEach(id => {
+        if (!baselineRatings[format].has(id)) baselineRatings[format].set(id, formatRatings.get(id));
+      });
+
+      const kFactors = { team1: [], team2: [] };
+      for (const id of winnerIds) kFactors.team1.push(await getKFactor(format, id));
+      for (const id of loserIds) kFactors.team2.push(await getKFactor(format, id));
+
+      const eloResult = calculateTeamEloChanges(
+        winnerIds.map(id => formatRatings.get(id)),
+        loserIds.map(id => formatRatings.get(id)),
+        1,
+        { kFactors, split, margin: getMarginOfVictory(match), marginSettings }
+      );
+
+      const glickoResult = calculateTeamGlickoChanges(
+        winnerIds.map(id => formatGlicko.get(id)),
+        loserIds.map(id => formatGlicko.get(id)),
+        1,
+        { tau }
+      );
+
+      match.eloChanges = {
+        winners: eloResult.team1Changes,
+        losers: eloResult.team2Changes,
+        kFactors: {
+          winners: eloResult.team1KFactors,
+          losers: eloResult.team2KFactors
+        },
+        marginMultiplier: eloResult.marginMultiplier
+      };
+      match.glickoChanges = {
+        winners: glickoResult.team1Changes,
+        losers: glickoResult.team2Changes
+      };
+
+      // Attack/defence ratings, for doubles matches with both teams' positions recorded
+      const positionResult = calculatePositionEloChanges(
+        match,
+        (id, position) => positionRatings[position].get(id),
+        { kFactors: { winners: eloResult.team1KFactors, losers: eloResult.team2KFactors }, split, marginSettings }
+      );
+      match.positionEloChanges = positionResult
+        ? { winners: positionResult.winners, losers: positionResult.losers }
+        : { winners: [], losers: [] };
+      addPositionChanges(positionRatings, match, match.positionEloChanges);
+      await match.save();
+      historyEntries.push(...createMatchHistoryEntries(
+        match,
+        winnerIds.map((id, index) => ({ player: id, before: formatRatings.get(id), after: eloResult.newTeam1Ratings[index] })),
+        loserIds.map((id, index) => ({ player: id, before: formatRatings.get(id), after: eloResult.newTeam2Ratings[index] }))
+      ));
+
+      [...winnerIds, ...loserIds].forEach(id => {
+        const key = `${format}|${id}`;
+        matchesPlayed.set(key, matchesPlayed.get(key) + 1);
+      });
+
+      winnerIds.forEach((id, index) => formatRatings.set(id, eloResult.newTeam1Ratings[index]));
+      loserIds.forEach((id, index) => formatRatings.set(id, eloResult.newTeam2Ratings[index]));
+      winnerIds.forEach((id, index) => formatGlicko.set(id, glickoResult.newTeam1[index]));
+      loserIds.forEach((id, index) => formatGlicko.set(id, glickoResult.newTeam2[index]));
+
+      [...winnerIds, ...loserIds].forEach(id => {
+        const timelineKey = `${format}|${id}`;
+        if (!timelines.has(timelineKey)) timelines.set(timelineKey, []);
+        timelines.get(timelineKey).push({ season: match.season, rating: formatRatings.get(id) });
+      });
+      markAffected(match, [...winnerIds, ...loserIds]);
+    }
+
+    // Save ratings and fix season start Elo for seasons that began after the replay start
+    const ratingChanges = [];
+    for (const [playerId, player] of playerDocs) {
+      const formats = [...(touchedFormats.get(playerId) || [])];
+
+      for (const format of formats) {
+        const ratingField = getRatingField(format);
+        const seasonStartField = getSeasonStartField(format);
+        const before = originalRatings[format].has(playerId)
+          ? originalRatings[format].get(playerId)
+          : getPlayerRating(player, format);
+        const after = ratings[format].get(playerId);
+        const timeline = timelines.get(`${format}|${playerId}`) || [];
+
+        if (!player[seasonStartField]) {
+          player[seasonStartField] = new Map();
+        }
+
+        // Seasons that began after the replay start, plus replayed seasons without a start
+        // rating yet (e.g. a backdated match in a month the player had not played before)
+        const seasonsToFix = new Set(
+          [...player[seasonStartField].keys()].filter(season => season > fromSeason)
+        );
+        timeline.forEach(entry => {
+          if (!player[seasonStartField].has(entry.season)) seasonsToFix.add(entry.season);
+        });
+
+        for (const season of seasonsToFix) {
+          player[seasonStartField].set(season, getSeasonStartRating(timeline, season, baselineRatings[format].get(playerId)));
+        }
+
+        player[ratingField] = after;
+        player[getGlickoField(format)] = glickoRatings[format].get(playerId);
+        ratingChanges.push({ player, format, before, after });
+      }
+
+      if (formats.includes(MATCH_FORMAT.DOUBLES)) {
+        Object.values(POSITIONS).forEach(position => {
+          player[getPositionRatingField(position)] = positionRatings[position].get(playerId);
+        });
+      }
+
+      await player.save();
+    }
+
+    // Replace the rating history of every rolled back and replayed match
+    const historyMatchIds = [...new Set(
+      [...appliedMatches, ...matchesToReplay].map(match => match._id.toString())
+    )];
+    await ratingHistoryService.replaceMatchEntries(historyMatchIds, historyEntries);
+    for (const entry of adjustments) {
+      await entry.save();
+    }
+    await ratingHistoryService.recordEntries(newAdjustmentEntries);
+
+    // Rebuild statistics for every season and format touched before or after the change
+    const rebuilt = [...affectedSeasons.values()].sort((a, b) =>
+      a.season.localeCompare(b.season) || a.format.localeCompare(b.format)
+    );
+    for (const { season, format } of rebuilt) {
+      await seasonService.rebuildSeasonStats(season, format);
+    }
+
+    // Team ratings depend on every earlier match of the pair, so they are rebuilt from scratch
+    if (rebuilt.some(entry => entry.format === MATCH_FORMAT.DOUBLES)) {
+      await teamService.rebuildTeams();
+    }
+
+    return {
+      matches: matchesToReplay,
+      ratingChanges,
+      seasons: [...new Set(rebuilt.map(entry => entry.season))]
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Replay the whole counted history of a format through one rating engine, from scratch
+ * Every player starts from the default rating and nothing is saved, so the result can be
+ * compared with the stored ratings or with the other engine
+ * @param {string} engine - Rating engine ('elo' or 'glicko2')
+ * @param {string} format - Match format (default: 2v2)
+ * @returns {Promise<Array>} Players with their replayed rating (and deviation for Glicko-2) and matches played, best first
+ */
+async function replayHistory(engine, format = MATCH_FORMAT.DOUBLES) {
+  try {
+    const matches = await Match.find({
+      ...COUNTED_MATCH_FILTER,
+      ...getFormatFilter(format)
+    }).sort({ playedAt: 1 });
+
+    const schedule = getKFactorSchedule();
+    const split = getEloSplitMode();
+    const marginSettings = getMarginSettings();
+    const tau = getGlickoTau();
+    const ratings = new Map(); // playerId -> Elo rating or Glicko-2 state
+    const matchesPlayed = new Map(); // playerId -> matches replayed so far
+
+    const getRating = id => ratings.has(id)
+      ? ratings.get(id)
+      : (engine === RATING_ENGINE.GLICKO2 ? getDefaultGlicko() : DEFAULT_RATING);
+
+    for (const match of matches) {
+      const winnerIds = match.winners.map(id => id.toString());
+      const loserIds = match.losers.map(id => id.toString());
+
+      if (engine === RATING_ENGINE.GLICKO2) {
+        const result = calculateTeamGlickoChanges(winnerIds.map(getRating), loserIds.map(getRating), 1, { tau });
+        winnerIds.forEach((id, index) => ratings.set(id, result.newTeam1[index]));
+        loserIds.forEach((id, index) => ratings.set(id, result.newTeam2[index]));
+      } else {
+        const getKFactor = id => getPlayerKFactor(matchesPlayed.get(id) || 0, getRating(id), schedule);
+        const result = calculateTeamEloChanges(winnerIds.map(getRating), loserIds.map(getRating), 1, {
+          kFactors: { team1: winnerIds.map(getKFactor), team2: loserIds.map(getKFactor) },
+          split,
+          margin: getMarginOfVictory(match),
+          marginSettings
+        });
+        winnerIds.forEach((id, index) => ratings.set(id, result.newTeam1Ratings[index]));
+        loserIds.forEach((id, index) => ratings.set(id, result.newTeam2Ratings[index]));
+      }
+
+      [...winnerIds, ...loserIds].forEach(id => matchesPlayed.set(id, (matchesPlayed.get(id) || 0) + 1));
+    }
+
+    const players = await Player.find({ _id: { $in: [...ratings.keys()] } });
+    return players
+      .map(player => {
+        const id = player._id.toString();
+        const rating = ratings.get(id);
+        return engine === RATING_ENGINE.GLICKO2
+          ? { player, rating: rating.rating, deviation: rating.deviation, matches: matchesPlayed.get(id) }
+          : { player, rating, matches: matchesPlayed.get(id) };
+      })
+      .sort((a, b) => b.rating - a.rating);
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Check whether a match's stored Elo changes differ from recalculated ones
+ * @param {Object} stored - Elo changes stored on the match
+ * @param {Object} recalculated - Recalculated Elo changes
+ * @returns {boolean} True if any player's change differs
+ */
+function hasDifferentEloChanges(stored, recalculated) {
+  if (!stored) return true;
+  const same = (a, b) => (a || []).length === b.length && b.every((change, index) => a[index] === change);
+  return !same(stored.winners, recalculated.winners) || !same(stored.losers, recalculated.losers);
+}
+
+/**
+ * Rebuild every rating from the match history
+ *
+ * Every player starts again from the default rating and every counted match is replayed
+ * in `playedAt` order through the current rating settings (K-factor schedule, team split,
+ * margin of victory, Glicko-2 tau). Match Elo, Glicko-2 and attack/defence changes, player ratings,
+ * season start Elo and the rating history are rewritten and every season is rebuilt, all in one transaction.
+ * Stored rating decay of inactive players and seasonal soft resets (at the start of their season) are
+ * applied again in date order between the matches, and their history entries are updated to the replayed ratings.
+ * Decay and soft resets are calculated again from the replayed ratings with their stored settings, as the cron jobs would have.
+ *
+ * @param {Object} options - Recalculation options
+ * @param {boolean} options.dryRun - Only calculate the report, without saving anything
+ * @returns {Promise<Object>} Report: matches replayed and changed, decay and soft resets replayed and those whose change differs, rating changes per player and format, seasons rebuilt
+ */
+async function recalculateAllRatings(options = {}) {
+  const { dryRun = false } = options;
+
+  const recalculate = async () => {
+    const players = await Player.find();
+    const matches = await Match.find(COUNTED_MATCH_FILTER).sort({ playedAt: 1 });
+    const adjustments = await ratingHistoryService.getAdjustmentEntries();
+
+    const schedule = getKFactorSchedule();
+    const split = getEloSplitMode();
+    const marginSettings = getMarginSettings();
+    const tau = getGlickoTau();
+    const ratings = createFormatRatings();
+    const glickoRatings = createFormatRatings();
+    const positionRatings = createPositionRatings();
+    const matchesPlayed = new Map(); // "format|playerId" -> matches replayed so far
+    const timelines = new Map(); // "format|playerId" -> [{ season, rating }]
+    const seasons = new Map(); // "season|format" -> { season, format }
+    const historyEntries = [];
+    let changedMatches = 0;
+
+    // Players registered after a soft reset ran were not reset
+    const registeredAt = new Map(players.map(player => [player._id.toString(), player.createdAt]));
+    const wasRegistered = (playerId, date) => !registeredAt.get(playerId) || new Date(registeredAt.get(playerId)) <= date;
+    const newAdjustmentEntries = [];
+    const replayedAdjustments = []; // { entry, before } with the change stored before the replay
+    const storedAdjustmentChanges = new Map(adjustments.map(entry => [entry, getAdjustmentChange(entry)]));
+
+    for (const event of mergeAdjustments(matches, adjustments)) {
+      if (!event.match) {
+        replayAdjustmentEvent(ratings, event, wasRegistered).forEach(({ entry, rating, isNew }) => {
+          if (isNew) newAdjustmentEntries.push(entry);
+          replayedAdjustments.push({ entry, before: isNew ? 0 : storedAdjustmentChanges.get(entry) });
+          const key = `${entry.format}|${entry.player.toString()}`;
+          if (!timelines.has(key)) timelines.set(key, []);
+          timelines.get(key).push({ season: entry.season, rating, adjustment: entry.reason });
+        });
+        continue;
+      }
+
+      const match = event.match;
+      const format = getMatchFormat(match);
+      const winnerIds = match.winners.map(id => id.toString());
+      const loserIds = match.losers.map(id => id.toString());
+      const getRating = id => ratings[format].has(id) ? ratings[format].get(id) : DEFAULT_RATING;
+      const getGlicko = id => glickoRatings[format].get(id) || getDefaultGlicko();
+      const getKFactor = id => getPlayerKFactor(matchesPlayed.get(`${format}|${id}`) || 0, getRating(id), schedule);
+
+      const eloResult = calculateTeamEloChanges(winnerIds.map(getRating), loserIds.map(getRating), 1, {
+        kFactors: { team1: winnerIds.map(getKFactor), team2: loserIds.map(getKFactor) },
+        split,
+        margin: getMarginOfVictory(match),
+        marginSettings
+      });
+      const glickoResult = calculateTeamGlickoChanges(winnerIds.map(getGlicko), loserIds.map(getGlicko), 1, { tau });
+
+      const eloChanges = {
+        winners: eloResult.team1Changes,
+        losers: eloResult.team2Changes,
+        kFactors: {
+          winners: eloResult.team1KFactors,
+          losers: eloResult.team2KFactors
+        },
+        marginMultiplier: eloResult.marginMultiplier
+      };
+      if (hasDifferentEloChanges(match.eloChanges, eloChanges)) changedMatches++;
+      match.eloChanges = eloChanges;
+      match.glickoChanges = {
+        winners: glickoResult.team1Changes,
+        losers: glickoResult.team2Changes
+      };
+      const positionResult = calculatePositionEloChanges(
+        match,
+        (id, position) => positionRatings[position].has(id) ? positionRatings[position].get(id) : DEFAULT_RATING,
+        { kFactors: eloChanges.kFactors, split, marginSettings }
+      );
+      match.positionEloChanges = positionResult
+        ? { winners: positionResult.winners, losers: positionResult.losers }
+        : { winners: [], losers: [] };
+      addPositionChanges(positionRatings, match, match.positionEloChanges);
+      historyEntries.push(...createMatchHistoryEntries(
+        match,
+        winnerIds.map((id, index) => ({ player: id, before: getRating(id), after: eloResult.newTeam1Ratings[index] })),
+        loserIds.map((id, index) => ({ player: id, before: getRating(id), after: eloResult.newTeam2Ratings[index] }))
+      ));
+
+      winnerIds.forEach((id, index) => ratings[format].set(id, eloResult.newTeam1Ratings[index]));
+      loserIds.forEach((id, index) => ratings[format].set(id, eloResult.newTeam2Ratings[index]));
+      winnerIds.forEach((id, index) => glickoRatings[format].set(id, glickoResult.newTeam1[index]));
+      loserIds.forEach((id, index) => glickoRatings[format].set(id, glickoResult.newTeam2[index]));
+
+      [...winnerIds, ...loserIds].forEach(id => {
+        const key = `${format}|${id}`;
+        matchesPlayed.set(key, (matchesPlayed.get(key) || 0) + 1);
+        if (!timelines.has(key)) timelines.set(key, []);
+        timelines.get(key).push({ season: match.season, rating: ratings[format].get(id) });
+      });
+      seasons.set(`${match.season}|${format}`, { season: match.season, format });
+    }
+
+    // Player ratings, and season start Elo as the rating after the player's last match or adjustment before each season
+    const ratingChanges = [];
+    for (const player of players) {
+      const id = player._id.toString();
+
+      for (const format of Object.values(MATCH_FORMAT)) {
+        const key = `${format}|${id}`;
+        const seasonStartField = getSeasonStartField(format);
+        const timeline = timelines.get(key) || [];
+        const before = getPlayerRating(player, format);
+        const after = ratings[format].has(id) ? ratings[format].get(id) : DEFAULT_RATING;
+
+        const seasonStartElo = new Map();
+        const playerSeasons = new Set([
+          ...(player[seasonStartField] ? player[seasonStartField].keys() : []),
+          ...timeline.map(entry => entry.season)
+        ]);
+        [...playerSeasons].sort().forEach(season => {
+          seasonStartElo.set(season, getSeasonStartRating(timeline, season, DEFAULT_RATING));
+        });
+
+        if (timeline.length > 0 || before !== after) {
+          ratingChanges.push({ player, format, before, after, matches: timeline.filter(entry => !entry.adjustment).length });
+        }
+
+        if (!dryRun) {
+          player[getRatingField(format)] = after;
+          player[seasonStartField] = seasonStartElo;
+          player[getGlickoField(format)] = glickoRatings[format].get(id) || getDefaultGlicko();
+        }
+      }
+
+      if (!dryRun) {
+        Object.values(POSITIONS).forEach(position => {
+          player[getPositionRatingField(position)] = positionRatings[position].has(id)
+            ? positionRatings[position].get(id)
+            : DEFAULT_RATING;
+        });
+      }
+    }
+
+    // Seasons with counted matches, plus existing seasons so stale statistics are cleared
+    const seasonDocs = await Season.find();
+    seasonDocs.forEach(doc => {
+      const format = doc.format || MATCH_FORMAT.DOUBLES;
+      seasons.set(`${doc.season}|${format}`, { season: doc.season, format });
+    });
+    const rebuilt = [...seasons.values()].sort((a, b) =>
+      a.season.localeCompare(b.season) || a.format.localeCompare(b.format)
+    );
+
+    if (!dryRun) {
+      for (const match of matches) {
+        await match.save();
+      }
+      for (const player of players) {
+        await player.save();
+      }
+      await ratingHistoryService.replaceAllEntries(historyEntries);
+      for (const entry of adjustments) {
+        await entry.save();
+      }
+      await ratingHistoryService.recordEntries(newAdjustmentEntries);
+      for (const { season, format } of rebuilt) {
+        await seasonService.rebuildSeasonStats(season, format);
+      }
+      await teamService.rebuildTeams();
+    }
+
+    // Decay and soft resets that now change a rating by a different amount (or that are new)
+    const playersById = new Map(players.map(player => [player._id.toString(), player]));
+    const changedAdjustments = replayedAdjustments
+      .filter(({ entry, before }) => getAdjustmentChange(entry) !== before)
+      .map(({ entry, before }) => ({
+        player: playersById.get(entry.player.toString()),
+        format: entry.format,
+        reason: entry.reason,
+        date: getAdjustmentDate(entry),
+        before,
+        after: getAdjustmentChange(entry)
+      }));
+
+    return {
+      dryRun,
+      matches: matches.length,
+      changedMatches,
+      adjustments: replayedAdjustments.length,
+      changedAdjustments,
+      ratingChanges: ratingChanges.sort((a, b) =>
+        Math.abs(b.after - b.before) - Math.abs(a.after - a.before) || b.after - a.after
+      ),
+      seasons: [...new Set(rebuilt.map(entry => entry.season))]
+    };
+  };
+
+  try {
+    return dryRun ? await recalculate() : await runInTransaction(recalculate);
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Format the report of a full rating recalculation as plain text
+ * @param {Object} report - Report returned by recalculateAllRatings
+ * @returns {string} Report with the before and after rating of every player whose rating changed, and every decay or soft reset whose change differs
+ */
+function formatRecalculationReport(report) {
+  const lines = [
+    `Rating recalculation${report.dryRun ? ' (dry run, nothing saved)' : ''}`,
+    `Matches replayed: ${report.matches} (Elo changes differ on ${report.changedMatches})`,
+    `Seasons rebuilt: ${report.seasons.length > 0 ? report.seasons.join(', ') : 'none'}`
+  ];
+
+  if (report.adjustments > 0) {
+    const changed = report.changedAdjustments || [];
+    const formatChange = change => `${change > 0 ? '+' : ''}${change}`;
+    lines.push('', `Decay and soft resets replayed: ${report.adjustments} (${changed.length} changed)`);
+    changed.forEach(change => {
+      const name = change.player ? change.player.alias || change.player.username : 'unknown';
+      const date = new Date(change.date).toISOString().slice(0, 10);
+      lines.push(`${name.padEnd(12)} ${change.format} ${change.reason} ${date}: ${formatChange(change.before)} → ${formatChange(change.after)}`);
+    });
+  }
+
+  for (const format of [MATCH_FORMAT.DOUBLES, MATCH_FORMAT.SINGLES]) {
+    const changes = report.ratingChanges.filter(change => change.format === format);
+    const changed = changes.filter(change => change.after !== change.before);
+    if (changes.length === 0) continue;
+
+    lines.push('', `${format}: ${changed.length} of ${changes.length} ratings changed`);
+    changed.forEach(change => {
+      const name = change.player.alias || change.player.username;
+      const diff = change.after - change.before;
+      lines.push(`${name.padEnd(12)} ${String(change.before).padStart(4)} → ${String(change.after).padStart(4)} (${diff > 0 ? '+' : ''}${diff})`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  replayMatchesFrom,
+  replayHistory,
+  recalculateAllRatings,
+  formatRecalculationReport,
+  getStoredEloChange,
+  getStoredGlickoChange
+};
\ No newline at end of file
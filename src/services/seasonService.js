@@ -2,19 +2,29 @@ const Season = require('../models/Season');
 const Match = require('../models/Match');
 const Player = require('../models/Player');
 const { getCurrentSeason } = require('../utils/elo');
+const { calculateGoalStats, hasScore } = require('../utils/goals');
+const { COUNTED_MATCH_FILTER } = require('../utils/matchStatus');
+const {
+  MATCH_FORMAT,
+  getMatchFormat,
+  getFormatFilter,
+  getRatingField,
+  getSeasonStartField
+} = require('../utils/matchFormat');
 
 /**
  * Get or create season statistics for a given season
  * @param {string} season - Season identifier (YYYY-MM)
+ * @param {string} format - Match format (default: 2v2)
  * @returns {Promise<Object>} Season document
  */
-async function getSeasonStats(season) {
+async function getSeasonStats(season, format = MATCH_FORMAT.DOUBLES) {
   try {
-    let seasonDoc = await Season.findOne({ season }).populate('playerStats.playerId');
+    let seasonDoc = await Season.findOne({ season, ...getFormatFilter(format) }).populate('playerStats.playerId');
     
     if (!seasonDoc) {
       // Create new season document
-      seasonDoc = new Season({ season });
+      seasonDoc = new Season({ season, format });
       await seasonDoc.save();
     }
     
@@ -116,14 +126,17 @@ function calculateWinStreak(matches, playerId) {
 
 /**
  * Detect if a match was a dry win (losing team scored 0 goals)
- * Note: Since we don't track goals, we'll use a different approach
- * For now, we'll consider it a dry win if the losing team's Elo change is very negative
- * This is a placeholder - in a real implementation, you'd track actual goals
+ * Uses the recorded score when available. Matches recorded before scores were
+ * tracked fall back to treating a large Elo loss as a dry win
  * @param {Object} match - Match object
  * @returns {boolean} True if it was a dry win
  */
 function detectDryWin(match) {
-  // For now, we'll consider it a dry win if the losing team lost significant Elo
+  if (hasScore(match)) {
+    return match.score.losers === 0;
+  }
+  
+  // Fallback: consider it a dry win if the losing team lost significant Elo
   // This is a simplified approach - in reality, you'd track actual goals
   const loserEloChanges = match.eloChanges.losers;
   const avgLoserChange = loserEloChanges.reduce((sum, change) => sum + change, 0) / loserEloChanges.length;
@@ -136,21 +149,25 @@ function detectDryWin(match) {
  * Ensure player has season start Elo recorded
  * @param {string} playerId - Player ID
  * @param {string} season - Season identifier
+ * @param {string} format - Match format (default: 2v2)
  * @returns {Promise<void>}
  */
-async function ensureSeasonStartElo(playerId, season) {
+async function ensureSeasonStartElo(playerId, season, format = MATCH_FORMAT.DOUBLES) {
   try {
     const player = await Player.findById(playerId);
     if (!player) return;
     
-    // Initialize seasonStartElo map if it doesn't exist
-    if (!player.seasonStartElo) {
-      player.seasonStartElo = new Map();
+    const seasonStartField = getSeasonStartField(format);
+    const ratingField = getRatingField(format);
+    
+    // Initialize season start map if it doesn't exist
+    if (!player[seasonStartField]) {
+      player[seasonStartField] = new Map();
     }
     
     // If this player doesn't have a season start Elo for this season, record it
-    if (!player.seasonStartElo.has(season)) {
-      player.seasonStartElo.set(season, player.elo);
+    if (!player[seasonStartField].has(season)) {
+      player[seasonStartField].set(season, player[ratingField]);
       await player.save();
     }
   } catch (error) {
@@ -158,6 +175,108 @@ async function ensureSeasonStartElo(playerId, season) {
   }
 }
 
+/**
+ * Sum a player's Elo changes across matches
+ * @param {Array} matches - Array of matches the player took part in
+ * @param {string} playerId - Player ID
+ * @returns {number} Total Elo change
+ */
+function sumEloChanges(matches, playerId) {
+  return matches.reduce((total, match) => {
+    if (!match.eloChanges) return total;
+    
+    const winnerIndex = match.winners.findIndex(p => (p._id || p).toString() === playerId.toString());
+    if (winnerIndex !== -1) {
+      return total + (match.eloChanges.winners[winnerIndex] || 0);
+    }
+    
+    const loserIndex = match.losers.findIndex(p => (p._id || p).toString() === playerId.toString());
+    if (loserIndex !== -1) {
+      return total + (match.eloChanges.losers[loserIndex] || 0);
+    }
+    
+    return total;
+  }, 0);
+}
+
+/**
+ * Calculate a player's statistics for a season from their counted matches
+ * @param {string} playerId - Player ID
+ * @param {string} season - Season identifier (YYYY-MM)
+ * @param {string} format - Match format (default: 2v2)
+ * @returns {Promise<Object>} Player season stats
+ */
+async function calculatePlayerSeasonStats(playerId, season, format = MATCH_FORMAT.DOUBLES) {
+  // Get all matches of this format for this player in this season
+  const playerMatches = await Match.find({
+    ...COUNTED_MATCH_FILTER,
+    ...getFormatFilter(format),
+    season,
+    players: playerId
+  }).populate('players winners losers').sort({ playedAt: 1 });
+  
+  // Calculate player stats
+  const matchesPlayed = playerMatches.length;
+  const wins = playerMatches.filter(m => 
+    m.winners.some(p => p._id.toString() === playerId.toString())
+  ).length;
+  
+  const dryWins = playerMatches.filter(m => 
+    m.isDryWin && m.winners.some(p => p._id.toString() === playerId.toString())
+  ).length;
+  
+  // Calculate goals from matches with a recorded score
+  const { goalsFor, goalsAgainst, goalDifference } = calculateGoalStats(playerMatches, playerId);
+  
+  let eloGains;
+  if (season === getCurrentSeason()) {
+    // Ensure season start Elo is recorded
+    await ensureSeasonStartElo(playerId, season, format);
+    
+    // Calculate Elo gains as difference between current Elo and season start Elo
+    const playerDoc = await Player.findById(playerId);
+    const currentElo = playerDoc[getRatingField(format)];
+    const seasonStartElo = playerDoc[getSeasonStartField(format)].get(season) || currentElo;
+    eloGains = Math.max(0, currentElo - seasonStartElo); // Only count positive gains
+  } else {
+    // Current Elo says nothing about a past season, so sum that season's match changes instead
+    eloGains = Math.max(0, sumEloChanges(playerMatches, playerId));
+  }
+  
+  // Calculate longest win streak
+  const longestStreak = calculateWinStreak(playerMatches, playerId);
+  
+  return {
+    eloGains,
+    matchesPlayed,
+    dryWins,
+    totalWins: wins,
+    longestStreak,
+    goalsFor,
+    goalsAgainst,
+    goalDifference
+  };
+}
+
+/**
+ * Recalculate total points for every player in a season document and save it
+ * @param {Object} seasonDoc - Season document
+ * @returns {Promise<Object>} Saved season document
+ */
+async function saveSeasonWithPoints(seasonDoc) {
+  // Calculate total points for all players
+  const playerStatsArray = seasonDoc.getPlayerStatsArray();
+  calculateTotalPoints(playerStatsArray);
+  
+  // Update the Map with calculated total points
+  playerStatsArray.forEach(stat => {
+    seasonDoc.playerStats.set(stat.playerId.toString(), stat);
+  });
+  
+  await seasonDoc.save();
+  return seasonDoc;
+}
+
 /**
  * Update season statistics after a match is recorded
  * @param {Object} match - Match object with populated players, winners, losers
@@ -166,7 +285,8 @@ async function ensureSeasonStartElo(playerId, season) {
 async function updateSeasonStats(match) {
   try {
     const season = match.season;
-    let seasonDoc = await getSeasonStats(season);
+    const format = getMatchFormat(match);
+    let seasonDoc = await getSeasonStats(season, format);
     
     // Get all players involved in the match
     const allPlayers = [...match.winners, ...match.losers];
@@ -174,55 +294,43 @@ async function updateSeasonStats(match) {
     // Update stats for each player
     for (const player of allPlayers) {
       const playerId = player._id;
-      
-      // Get all matches for this player in this season
-      const playerMatches = await Match.find({
-        season,
-        players: playerId
-      }).populate('players winners losers').sort({ playedAt: 1 });
-      
-      // Calculate player stats
-      const matchesPlayed = playerMatches.length;
-      const wins = playerMatches.filter(m => 
-        m.winners.some(p => p._id.toString() === playerId.toString())
-      ).length;
-      
-      const dryWins = playerMatches.filter(m => 
-        m.isDryWin && m.winners.some(p => p._id.toString() === playerId.toString())
-      ).length;
-      
-      // Ensure season start Elo is recorded
-      await ensureSeasonStartElo(playerId, season);
-      
-      // Calculate Elo gains as difference between current Elo and season start Elo
-      const playerDoc = await Player.findById(playerId);
-      const seasonStartElo = playerDoc.seasonStartElo.get(season) || playerDoc.elo;
-      const eloGains = Math.max(0, playerDoc.elo - seasonStartElo); // Only count positive gains
-      
-      // Calculate longest win streak
-      const longestStreak = calculateWinStreak(playerMatches, playerId);
+      const stats = await calculatePlayerSeasonStats(playerId, season, format);
       
       // Update or add player stats
-      seasonDoc.addOrUpdatePlayerStats(playerId, {
-        eloGains,
-        matchesPlayed,
-        dryWins,
-        totalWins: wins,
-        longestStreak
-      });
+      seasonDoc.addOrUpdatePlayerStats(playerId, stats);
     }
     
-    // Calculate total points for all players
-    const playerStatsArray = seasonDoc.getPlayerStatsArray();
-    calculateTotalPoints(playerStatsArray);
+    return await saveSeasonWithPoints(seasonDoc);
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Rebuild season statistics from scratch for every player with counted matches in the season
+ * Used after matches are voided or ratings are replayed
+ * @param {string} season - Season identifier (YYYY-MM)
+ * @param {string} format - Match format (default: 2v2)
+ * @returns {Promise<Object>} Rebuilt season document
+ */
+async function rebuildSeasonStats(season, format = MATCH_FORMAT.DOUBLES) {
+  try {
+    const seasonDoc = await getSeasonStats(season, format);
+    const seasonMatches = await Match.find({ ...COUNTED_MATCH_FILTER, ...getFormatFilter(format), season });
     
-    // Update the Map with calculated total points
-    playerStatsArray.forEach(stat => {
-      seasonDoc.playerStats.set(stat.playerId.toString(), stat);
-    });
+    const playerIds = [...new Set(
+      seasonMatches.flatMap(match => match.players.map(p => (p._id || p).toString()))
+    )];
     
-    await seasonDoc.save();
-    return seasonDoc;
+    // Drop stale stats (e.g. players whose only match was voided)
+    seasonDoc.playerStats.clear();
+    
+    for (const playerId of playerIds) {
+      const stats = await calculatePlayerSeasonStats(playerId, season, format);
+      seasonDoc.addOrUpdatePlayerStats(playerId, stats);
+    }
+    
+    return await saveSeasonWithPoints(seasonDoc);
   } catch (error) {
     throw error;
   }
@@ -231,11 +339,12 @@ async function updateSeasonStats(match) {
 /**
  * Get formatted season leaderboard data
  * @param {string} season - Season identifier (YYYY-MM)
+ * @param {string} format - Match format (default: 2v2)
  * @returns {Promise<Object>} Formatted leaderboard data
  */
-async function getSeasonLeaderboard(season) {
+async function getSeasonLeaderboard(season, format = MATCH_FORMAT.DOUBLES) {
   try {
-    const seasonDoc = await getSeasonStats(season);
+    const seasonDoc = await getSeasonStats(season, format);
     
     // Get player stats as array
     const playerStatsArray = seasonDoc.getPlayerStatsArray();
@@ -243,6 +352,7 @@ async function getSeasonLeaderboard(season) {
     if (!playerStatsArray || playerStatsArray.length === 0) {
       return {
         season,
+        format,
         summary: [],
         categories: {
           eloGains: [],
@@ -250,7 +360,8 @@ async function getSeasonLeaderboard(season) {
           dryWins: [],
           totalWins: [],
           longestStreak: []
-        }
+        },
+        goalDifference: []
       };
     }
     
@@ -313,10 +424,24 @@ async function getSeasonLeaderboard(season) {
         }))
     };
     
+    // Goal difference table (informational, does not award points)
+    const goalDifference = playerStatsArray
+      .filter(stat => (stat.goalsFor || 0) + (stat.goalsAgainst || 0) > 0)
+      .sort((a, b) => b.goalDifference - a.goalDifference)
+      .map((stat, index) => ({
+        rank: index + 1,
+        player: stat.playerId,
+        value: stat.goalDifference,
+        goalsFor: stat.goalsFor,
+        goalsAgainst: stat.goalsAgainst
+      }));
+    
     return {
       season,
+      format,
       summary,
-      categories
+      categories,
+      goalDifference
     };
   } catch (error) {
     throw error;
@@ -326,6 +451,9 @@ async function getSeasonLeaderboard(season) {
 module.exports = {
   getSeasonStats,
   updateSeasonStats,
+  rebuildSeasonStats,
+  calculatePlayerSeasonStats,
+  sumEloChanges,
   calculateCategoryPoints,
   calculateTotalPoints,
   calculateWinStreak,
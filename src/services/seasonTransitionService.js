@@ -1,7 +1,13 @@
 const Season = require('../models/Season');
 const Player = require('../models/Player');
-const { getCurrentSeason } = require('../utils/elo');
+const { getCurrentSeason, getRegressedRating } = require('../utils/elo');
+const { MATCH_FORMAT, getSeasonStartField, getPlayerRating } = require('../utils/matchFormat');
+const { RATING_CHANGE_REASON, createAdjustmentHistoryEntries } = require('../utils/ratingHistory');
+const { SEASON_RESET_TARGET, getSeasonResetSettings } = require('../config/settings');
+const { runInTransaction } = require('../config/database');
 const seasonService = require('./seasonService');
+const playerService = require('./playerService');
+const ratingHistoryService = require('./ratingHistoryService');
 
 /**
  * Get the next season identifier based on current date
@@ -9,8 +15,8 @@ const seasonService = require('./seasonService');
  */
 function getNextSeason() {
   const now = new Date();
-  const currentYear = now.getFullYear();
-  const currentMonth = now.getMonth() + 1; // getMonth() returns 0-11
+  const currentYear = now.getUTCFullYear();
+  const currentMonth = now.getUTCMonth() + 1; // getUTCMonth() returns 0-11
   
   // If we're in December, next season is January of next year
   if (currentMonth === 12) {
@@ -27,8 +33,8 @@ function getNextSeason() {
  */
 function getPreviousSeason() {
   const now = new Date();
-  const currentYear = now.getFullYear();
-  const currentMonth = now.getMonth() + 1; // getMonth() returns 0-11
+  const currentYear = now.getUTCFullYear();
+  const currentMonth = now.getUTCMonth() + 1; // getUTCMonth() returns 0-11
   
   // If we're in January, previous season is December of last year
   if (currentMonth === 1) {
@@ -67,8 +73,9 @@ async function getSeasonWinners(season) {
  * @param {Array} winners - Array of season winners
  * @param {string} season - Season identifier
  * @param {boolean} isWinner - Whether this player is a winner
+ * @param {Object|null} reset - Soft reset applied at the start of the new season (see applySeasonReset)
  */
-async function sendSeasonNotification(bot, player, winners, season, isWinner) {
+async function sendSeasonNotification(bot, player, winners, season, isWinner, reset = null) {
   if (!player.chatId) {
     console.log(`No chatId for player ${player.username}, skipping notification`);
     return;
@@ -98,6 +105,10 @@ async function sendSeasonNotification(bot, player, winners, season, isWinner) {
       message += '\n';
     }
     
+    if (reset) {
+      message += formatSeasonReset(reset, reset.changes.get(player._id.toString()));
+    }
+    
     message += `🎮 A new season has started! Use /season to view current season stats.`;
     
     await bot.sendMessage(player.chatId, message, { parse_mode: 'HTML' });
@@ -106,6 +117,27 @@ async function sendSeasonNotification(bot, player, winners, season, isWinner) {
   }
 }
 
+/**
+ * Format the soft reset part of the season notification
+ * @param {Object} reset - Applied soft reset (see applySeasonReset)
+ * @param {Object} playerChanges - The player's ratings before and after the reset per format, if any changed
+ * @returns {string} Message part
+ */
+function formatSeasonReset(reset, playerChanges) {
+  const target = reset.target === SEASON_RESET_TARGET.MEAN
+    ? `the average rating (${Object.entries(reset.targets).map(([format, rating]) => `${format}: ${rating}`).join(', ')})`
+    : reset.targets[MATCH_FORMAT.DOUBLES];
+  let message = `🔄 <b>Soft reset:</b> all ratings moved ${Math.round(reset.rate * 100)}% of the way towards ${target}.\n`;
+
+  if (playerChanges) {
+    Object.entries(playerChanges).forEach(([format, { before, after }]) => {
+      message += `• ${format}: ${before} → <b>${after}</b>\n`;
+    });
+  }
+
+  return message + '\n';
+}
+
 /**
  * Get rank suffix (1st, 2nd, 3rd, etc.)
  * @param {number} rank - Rank number
@@ -120,6 +152,7 @@ function getRankSuffix(rank) {
 
 /**
  * Ensure all players have season start Elo recorded for the new season
+ * Both the doubles and the singles rating are recorded
  * @param {string} season - Season identifier
  * @returns {Promise<void>}
  */
@@ -129,6 +162,7 @@ async function ensureAllPlayersSeasonStartElo(season) {
     
     for (const player of players) {
       await seasonService.ensureSeasonStartElo(player._id, season);
+      await seasonService.ensureSeasonStartElo(player._id, season, MATCH_FORMAT.SINGLES);
     }
     
     console.log(`✅ Ensured season start Elo for ${players.length} players in season ${season}`);
@@ -137,6 +171,85 @@ async function ensureAllPlayersSeasonStartElo(season) {
   }
 }
 
+/**
+ * Regress every player's Elo ratings towards the baseline or the average rating at the start of a season
+ * The new season starts from the regressed ratings, so the reset does not count against season gains.
+ * The ratings before the reset are kept in the rating history. Glicko-2 ratings are not reset.
+ * Runs in one transaction, so a failure resets nobody, and each reset is added with $inc so
+ * a match confirmed at the same time is not overwritten.
+ * @param {string} season - Identifier of the season that starts
+ * @returns {Promise<Object|null>} Rate, target, target rating per format and the changes per player ID, null when the reset is off or was already applied
+ */
+async function applySeasonReset(season) {
+  try {
+    const settings = getSeasonResetSettings();
+    if (settings.rate <= 0) {
+      return null;
+    }
+
+    return await runInTransaction(async () => {
+      if (await ratingHistoryService.hasSeasonReset(season)) {
+        return null;
+      }
+
+      const players = await Player.find({});
+      const formats = [MATCH_FORMAT.DOUBLES, MATCH_FORMAT.SINGLES];
+      const targets = {};
+      formats.forEach(format => {
+        targets[format] = settings.target === SEASON_RESET_TARGET.MEAN && players.length > 0
+          ? Math.round(players.reduce((sum, player) => sum + getPlayerRating(player, format), 0) / players.length)
+          : settings.baseline;
+      });
+
+      const now = new Date();
+      const changes = new Map();
+      const historyEntries = [];
+
+      for (const player of players) {
+        const playerChanges = {};
+
+        for (const format of formats) {
+          const before = getPlayerRating(player, format);
+          const after = getRegressedRating(before, targets[format], settings.rate);
+          if (after === before) continue;
+
+          const updatedPlayer = await playerService.incrementPlayerElo(player._id, after - before, format);
+
+          // Shift a start recorded by an earlier match of the season along with the rating
+          const seasonStartField = getSeasonStartField(format);
+          const seasonStart = player[seasonStartField] ? player[seasonStartField].get(season) : undefined;
+          const seasonStartPath = `${seasonStartField}.${season}`;
+          await Player.updateOne(
+            { _id: player._id },
+            seasonStart === undefined
+              ? { $set: { [seasonStartPath]: after } }
+              : { $inc: { [seasonStartPath]: after - before } }
+          );
+
+          playerChanges[format] = { before, after };
+          // The settings are stored so replays can reset the replayed rating again
+          historyEntries.push(...createAdjustmentHistoryEntries(
+            updatedPlayer, { [format]: after - before }, now, RATING_CHANGE_REASON.RESET, season,
+            { [format]: { rate: settings.rate, target: settings.target, targetRating: targets[format] } }
+          ));
+        }
+
+        if (Object.keys(playerChanges).length > 0) {
+          changes.set(player._id.toString(), playerChanges);
+        }
+      }
+
+      await ratingHistoryService.recordEntries(historyEntries);
+      console.log(`✅ Soft reset ${changes.size} players' ratings for season ${season}`);
+
+      return { rate: settings.rate, target: settings.target, targets, changes };
+    });
+  } catch (error) {
+    console.error('Error applying the season soft reset:', error);
+    return null;
+  }
+}
+
 /**
  * Create a new season and notify players about the previous season results
  * @param {Object} bot - Telegram bot instance
@@ -157,6 +270,9 @@ async function createNewSeasonAndNotify(bot) {
     await newSeasonDoc.save();
     console.log(`✅ Created new season: ${newSeason}`);
     
+    // Regress ratings before the season start Elo is recorded (off unless SEASON_RESET_RATE is set)
+    const reset = await applySeasonReset(newSeason);
+    
     // Ensure all players have season start Elo recorded for new season
     await ensureAllPlayersSeasonStartElo(newSeason);
     
@@ -166,7 +282,7 @@ async function createNewSeasonAndNotify(bot) {
     // Send notifications to all players
     for (const player of allPlayers) {
       const isWinner = winners.some(w => w.player._id.toString() === player._id.toString());
-      await sendSeasonNotification(bot, player, winners, previousSeason, isWinner);
+      await sendSeasonNotification(bot, player, winners, previousSeason, isWinner, reset);
     }
     
     console.log(`✅ Season transition completed. Notified ${allPlayers.length} players.`);
@@ -182,5 +298,6 @@ module.exports = {
   getSeasonWinners,
   sendSeasonNotification,
   ensureAllPlayersSeasonStartElo,
+  applySeasonReset,
   createNewSeasonAndNotify
 }; 
\ No newline at end of file
@@ -0,0 +1,149 @@
+const Team = require('../models/Team');
+const Match = require('../models/Match');
+const { COUNTED_MATCH_FILTER } = require('../utils/matchStatus');
+const { MATCH_FORMAT, DEFAULT_RATING, getMatchFormat, getFormatFilter } = require('../utils/matchFormat');
+const { getTeamPlayerIds, getTeamKey, calculateTeamResultChanges, addTeamResult } = require('../utils/teams');
+const { getKFactorSchedule, getMarginSettings } = require('../config/settings');
+
+/**
+ * Get the team of two players, creating it on their first match together
+ * @param {Array} playerIds - IDs (or populated players) of both players
+ * @returns {Promise<Object>} Team document
+ */
+async function findOrCreateTeam(playerIds) {
+  try {
+    const key = getTeamKey(playerIds);
+    return await Team.findOneAndUpdate(
+      { key },
+      { $setOnInsert: { key, players: getTeamPlayerIds(playerIds) } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get (or create) both teams of a doubles match
+ * @param {Object} match - Match with winners and losers
+ * @returns {Promise<Object|null>} Teams ({ winners, losers }), null for singles matches
+ */
+async function ensureMatchTeams(match) {
+  try {
+    if (getMatchFormat(match) !== MATCH_FORMAT.DOUBLES) return null;
+    return {
+      winners: await findOrCreateTeam(match.winners),
+      losers: await findOrCreateTeam(match.losers)
+    };
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Apply a counted doubles match to the ratings, counts and streaks of both its teams
+ * Callers run this inside the transaction that applies the players' Elo
+ * @param {Object} match - Confirmed match
+ * @returns {Promise<Object|null>} Team Elo changes ({ winners, losers }), null for singles matches
+ */
+async function applyMatchToTeams(match) {
+  try {
+    const teams = await ensureMatchTeams(match);
+    if (!teams) return null;
+
+    const changes = calculateTeamResultChanges(match, teams.winners, teams.losers, {
+      schedule: getKFactorSchedule(),
+      marginSettings: getMarginSettings()
+    });
+    addTeamResult(teams.winners, true, changes.winners, match.playedAt);
+    addTeamResult(teams.losers, false, changes.losers, match.playedAt);
+    await teams.winners.save();
+    await teams.losers.save();
+
+    return changes;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Recalculate every team from the counted doubles history, oldest match first
+ * Used after a match is voided, edited, backdated or confirmed late, and after a full
+ * rating recalculation, so teams always match the history. Teams whose only matches are
+ * no longer counted are kept with zero matches.
+ * @returns {Promise<number>} Number of teams saved
+ */
+async function rebuildTeams() {
+  try {
+    const matches = await Match.find({
+      ...COUNTED_MATCH_FILTER,
+      ...getFormatFilter(MATCH_FORMAT.DOUBLES)
+    }).sort({ playedAt: 1 });
+    const teams = new Map((await Team.find()).map(team => [team.key, team]));
+    const schedule = getKFactorSchedule();
+    const marginSettings = getMarginSettings();
+
+    teams.forEach(team => {
+      team.set({
+        elo: DEFAULT_RATING,
+        matches: 0,
+        wins: 0,
+        currentStreak: 0,
+        longestWinStreak: 0,
+        longestLossStreak: 0,
+        lastPlayedAt: null
+      });
+    });
+
+    const getTeam = (playerIds) => {
+      const key = getTeamKey(playerIds);
+      if (!teams.has(key)) {
+        teams.set(key, new Team({ key, players: getTeamPlayerIds(playerIds) }));
+      }
+      return teams.get(key);
+    };
+
+    for (const match of matches) {
+      const winnerTeam = getTeam(match.winners);
+      const loserTeam = getTeam(match.losers);
+      const changes = calculateTeamResultChanges(match, winnerTeam, loserTeam, { schedule, marginSettings });
+      addTeamResult(winnerTeam, true, changes.winners, match.playedAt);
+      addTeamResult(loserTeam, false, changes.losers, match.playedAt);
+    }
+
+    for (const team of teams.values()) {
+      await team.save();
+    }
+    return teams.size;
+  } catch (error) {
+    throw error;
+  }
+}
+
+/**
+ * Get the team leaderboard, sorted by team Elo
+ * @param {number} minMatches - Matches a team needs to be listed (at least 1)
+ * @returns {Promise<Array>} Teams with populated players and their win rate
+ */
+async function getTeamLeaderboard(minMatches) {
+  try {
+    const teams = await Team.find({ matches: { $gte: Math.max(minMatches, 1) } })
+      .sort({ elo: -1, matches: -1 })
+      .populate('players');
+
+    return teams.map(team => ({
+      ...team.toObject(),
+      winRate: (team.wins / team.matches * 100).toFixed(1)
+    }));
+  } catch (error) {
+    throw error;
+  }
+}
+
+module.exports = {
+  findOrCreateTeam,
+  ensureMatchTeams,
+  applyMatchToTeams,
+  rebuildTeams,
+  getTeamLeaderboard
+};
\ No newline at end of file
@@ -1,10 +1,45 @@
 /**
  * Team Elo Rating System Utilities
- * Uses standard Elo formula with K-factor of 32 for team-based matches
+ * Uses the standard Elo formula for team-based matches with a K-factor per player
+ * Teams of any size (1v1, 2v2) are rated by their average rating
  */
 
 const K_FACTOR = 32; // Standard for amateur play
 
+// Default K-factor schedule: new players move fast, then K tapers with experience and rating
+const DEFAULT_K_SCHEDULE = {
+  provisionalMatches: 10, // Matches a player's rating stays provisional
+  provisionalK: 48, // K-factor during the provisional period
+  k: K_FACTOR, // K-factor right after the provisional period
+  minK: 16, // Lowest K-factor, reached after taperMatches
+  taperMatches: 100, // Matches played after which K stops tapering
+  highRating: 1400, // Players rated at or above this use at most highRatingK
+  highRatingK: 16
+};
+
+// Curves turning the goal difference into an Elo multiplier
+const MARGIN_CURVE = {
+  OFF: 'off', // Every win counts the same
+  LINEAR: 'linear', // The multiplier grows evenly with every extra goal
+  LOG: 'log' // Early goals of the margin count most
+};
+
+// Goal difference of a dry win in a game to 10, where the margin multiplier reaches 1 + weight
+const FULL_MARGIN = 10;
+
+// Default margin-of-victory settings
+const DEFAULT_MARGIN_SETTINGS = {
+  curve: MARGIN_CURVE.OFF,
+  weight: 0.5, // Extra multiplier for a win by FULL_MARGIN goals (1.5x by default)
+  damping: 2.2 // Autocorrelation damping, so favourites don't snowball (0 turns it off)
+};
+
+// How a team's Elo change is shared between teammates
+const ELO_SPLIT = {
+  EQUAL: 'equal', // Every player moves by their own K-factor times the team result
+  RATING_SHARE: 'rating-share' // Weaker partners gain more on a win and lose less on a loss
+};
+
 /**
  * Calculate expected score for a team based on average team rating
  * @param {number} teamARating - Average rating of team A
@@ -15,44 +50,224 @@ function getExpectedTeamScore(teamARating, teamBRating) {
   return 1 / (1 + Math.pow(10, (teamBRating - teamARating) / 400));
 }
 
+/**
+ * Calculate the average rating of a team
+ * @param {Array} ratings - Player ratings of the team
+ * @returns {number} Average rating
+ */
+function getAverageRating(ratings) {
+  return ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+}
+
+/**
+ * Move a rating part of the way towards a target, e.g. for a seasonal soft reset
+ * @param {number} rating - Current rating
+ * @param {number} target - Rating to regress towards
+ * @param {number} rate - Share of the distance to the target removed (0-1)
+ * @returns {number} Regressed rating, rounded
+ */
+function getRegressedRating(rating, target, rate) {
+  if (rate <= 0) return rating;
+  return Math.round(rating - (rating - target) * Math.min(rate, 1));
+}
+
+/**
+ * Move a rating part of the way towards the baseline, for inactivity decay
+ * Only ratings above the baseline decay, so players below it gain nothing by not playing
+ * @param {number} rating - Current rating
+ * @param {number} baseline - Rating that decay moves towards
+ * @param {number} rate - Share of the distance to the baseline lost (0-1)
+ * @returns {number} Decayed rating, rounded
+ */
+function getDecayedRating(rating, baseline, rate) {
+  if (rating <= baseline) return rating;
+  return getRegressedRating(rating, baseline, rate);
+}
+
+/**
+ * Get the K-factor of a player
+ * Provisional players use the provisional K; afterwards K tapers linearly from `k` to `minK`
+ * as matches are played, and highly rated players are capped at `highRatingK`
+ * @param {number} matchesPlayed - Counted matches the player played before this one
+ * @param {number} rating - Player's current rating
+ * @param {object} schedule - K-factor schedule (default: DEFAULT_K_SCHEDULE)
+ * @returns {number} K-factor
+ */
+function getPlayerKFactor(matchesPlayed, rating, schedule = DEFAULT_K_SCHEDULE) {
+  if (isProvisional(matchesPlayed, schedule)) {
+    return schedule.provisionalK;
+  }
+
+  const taperLength = Math.max(schedule.taperMatches - schedule.provisionalMatches, 1);
+  const taperProgress = Math.min((matchesPlayed - schedule.provisionalMatches) / taperLength, 1);
+  let k = schedule.k - (schedule.k - schedule.minK) * taperProgress;
+
+  if (rating >= schedule.highRating) {
+    k = Math.min(k, schedule.highRatingK);
+  }
+
+  return Math.round(k);
+}
+
+/**
+ * Check whether a player's rating is still provisional
+ * @param {number} matchesPlayed - Counted matches the player played
+ * @param {object} schedule - K-factor schedule (default: DEFAULT_K_SCHEDULE)
+ * @returns {boolean} True during the first `provisionalMatches` matches
+ */
+function isProvisional(matchesPlayed, schedule = DEFAULT_K_SCHEDULE) {
+  return matchesPlayed < schedule.provisionalMatches;
+}
+
+/**
+ * Get the K-factor of a player in a team
+ * @param {number|Array} k - One K-factor for the team, or one per player
+ * @param {number} index - Player index in the team
+ * @returns {number} K-factor
+ */
+function getKForPlayer(k, index) {
+  return Array.isArray(k) ? k[index] : k;
+}
+
+/**
+ * Get how a team's Elo change is shared between its players
+ * In rating-share mode each player's expected contribution is their share of the team's
+ * total rating: on a win the partner who contributed less gets the larger part of the gain,
+ * on a loss the partner expected to contribute more takes the larger part of the loss.
+ * Teams of one player always take the whole change.
+ * @param {Array} teamRatings - Player ratings of the team
+ * @param {boolean} teamWon - Whether the team won
+ * @param {string} split - Split mode (default: equal)
+ * @returns {Array} Weight per player; weights add up to 1
+ */
+function getTeamSplitWeights(teamRatings, teamWon, split = ELO_SPLIT.EQUAL) {
+  const teamSize = teamRatings.length;
+  if (split !== ELO_SPLIT.RATING_SHARE || teamSize < 2) {
+    return teamRatings.map(() => 1 / teamSize);
+  }
+
+  const totalRating = teamRatings.reduce((sum, rating) => sum + rating, 0);
+  const shares = teamRatings.map(rating => rating / totalRating);
+  return teamWon
+    ? shares.map(share => (1 - share) / (teamSize - 1))
+    : shares;
+}
+
+/**
+ * Calculate the new ratings of a team's players
+ * Each player moves by their K-factor times the team's result against expectation, scaled by
+ * their split weight (equal weights leave the change unscaled)
+ * @param {Array} teamRatings - Player ratings of the team
+ * @param {number|Array} k - K-factor, or one K-factor per player
+ * @param {number} scoreDelta - Team result minus expected score (positive on a win)
+ * @param {string} split - Split mode
+ * @returns {Array} New player ratings
+ */
+function getNewTeamRatings(teamRatings, k, scoreDelta, split) {
+  const weights = getTeamSplitWeights(teamRatings, scoreDelta > 0, split);
+  return teamRatings.map((rating, i) =>
+    Math.round(rating + getKForPlayer(k, i) * scoreDelta * weights[i] * teamRatings.length)
+  );
+}
+
+/**
+ * Get the Elo multiplier for the margin of a win
+ * The curve grows from 1 for a one-goal win to 1 + weight for a win by FULL_MARGIN goals
+ * (larger margins are capped). Matches without a score use the dry-win flag: a dry win counts
+ * as a full margin, other unscored wins are not scaled. Autocorrelation damping then lowers the
+ * multiplier when the favourite wins and raises it for an upset (damping / (damping + advantage / 1000)),
+ * so strong teams don't keep gaining extra points from big wins they were expected to have.
+ * @param {Object} margin - Margin of the win ({ goalDifference, isDryWin }), goalDifference null without a score
+ * @param {number} winnerAdvantage - Winning team's average rating minus the losing team's
+ * @param {Object} settings - Margin-of-victory settings (default: DEFAULT_MARGIN_SETTINGS, curve off)
+ * @returns {number} Multiplier rounded to 3 decimals (1 when the curve is off)
+ */
+function getMarginMultiplier(margin, winnerAdvantage = 0, settings = DEFAULT_MARGIN_SETTINGS) {
+  if (!margin || ![MARGIN_CURVE.LINEAR, MARGIN_CURVE.LOG].includes(settings.curve)) {
+    return 1;
+  }
+
+  let goalDifference = null;
+  if (Number.isInteger(margin.goalDifference) && margin.goalDifference > 0) {
+    goalDifference = Math.min(margin.goalDifference, FULL_MARGIN);
+  } else if (margin.isDryWin) {
+    goalDifference = FULL_MARGIN;
+  }
+  if (goalDifference === null) {
+    return 1;
+  }
+
+  let multiplier = settings.curve === MARGIN_CURVE.LINEAR
+    ? 1 + settings.weight * (goalDifference - 1) / (FULL_MARGIN - 1)
+    : 1 + settings.weight * Math.log(goalDifference) / Math.log(FULL_MARGIN);
+
+  if (settings.damping > 0) {
+    // The denominator is kept at half the damping or more, so upsets gain at most double
+    multiplier *= settings.damping / Math.max(settings.damping + winnerAdvantage / 1000, settings.damping / 2);
+  }
+
+  return Math.round(multiplier * 1000) / 1000;
+}
+
 /**
  * Update team Elo ratings based on match result
- * @param {Array} teamARatings - Array of 2 player ratings for team A
- * @param {Array} teamBRatings - Array of 2 player ratings for team B
+ * @param {Array} teamARatings - Player ratings for team A
+ * @param {Array} teamBRatings - Player ratings for team B
  * @param {boolean} teamAWins - True if team A wins, false if team B wins
- * @param {number} k - K-factor (default: 32)
+ * @param {number|Array} teamAK - K-factor, or one K-factor per team A player (default: 32)
+ * @param {number|Array} teamBK - K-factor, or one K-factor per team B player (default: same as team A)
+ * @param {string} split - How each team's change is shared between teammates (default: equal)
  * @returns {Array} Array containing [newTeamARatings, newTeamBRatings]
  */
-function updateTeamElo(teamARatings, teamBRatings, teamAWins, k = 32) {
-  const avgA = (teamARatings[0] + teamARatings[1]) / 2;
-  const avgB = (teamBRatings[0] + teamBRatings[1]) / 2;
+function updateTeamElo(teamARatings, teamBRatings, teamAWins, teamAK = K_FACTOR, teamBK = teamAK, split = ELO_SPLIT.EQUAL) {
+  const avgA = getAverageRating(teamARatings);
+  const avgB = getAverageRating(teamBRatings);
   const expectedA = 1 / (1 + Math.pow(10, (avgB - avgA) / 400));
   const resultA = teamAWins ? 1 : 0;
 
-  const deltaA = k * (resultA - expectedA);
-  const deltaB = k * ((1 - resultA) - (1 - expectedA));
+  const scoreDeltaA = resultA - expectedA;
+  const scoreDeltaB = (1 - resultA) - (1 - expectedA);
 
-  const newTeamARatings = teamARatings.map(r => Math.round(r + deltaA));
-  const newTeamBRatings = teamBRatings.map(r => Math.round(r + deltaB));
+  const newTeamARatings = getNewTeamRatings(teamARatings, teamAK, scoreDeltaA, split);
+  const newTeamBRatings = getNewTeamRatings(teamBRatings, teamBK, scoreDeltaB, split);
 
   return [newTeamARatings, newTeamBRatings];
 }
 
 /**
- * Calculate Elo changes for a 2v2 match
- * @param {Array} team1Ratings - Array of 2 player ratings for team 1
- * @param {Array} team2Ratings - Array of 2 player ratings for team 2
+ * Calculate Elo changes for a 1v1 or 2v2 match
+ * @param {Array} team1Ratings - Player ratings for team 1
+ * @param {Array} team2Ratings - Player ratings for team 2
  * @param {number} winnerTeam - 1 if team1 wins, 2 if team2 wins
- * @returns {object} Object with new ratings and changes
+ * @param {object} options - Optional calculation settings
+ * @param {object} options.kFactors - K-factor per player ({ team1: [], team2: [] }, default: 32 for everyone)
+ * @param {string} options.split - How each team's change is shared between teammates (default: equal)
+ * @param {object} options.margin - Margin of the win ({ goalDifference, isDryWin }) for the margin multiplier
+ * @param {object} options.marginSettings - Margin-of-victory settings (default: off)
+ * @returns {object} Object with new ratings, changes, the K-factors and the margin multiplier used
  */
-function calculateTeamEloChanges(team1Ratings, team2Ratings, winnerTeam) {
+function calculateTeamEloChanges(team1Ratings, team2Ratings, winnerTeam, options = {}) {
+  const {
+    kFactors = {},
+    split = ELO_SPLIT.EQUAL,
+    margin = null,
+    marginSettings = DEFAULT_MARGIN_SETTINGS
+  } = options;
   const team1Wins = winnerTeam === 1;
+  const team1KFactors = kFactors.team1 || team1Ratings.map(() => K_FACTOR);
+  const team2KFactors = kFactors.team2 || team2Ratings.map(() => K_FACTOR);
+
+  const team1Advantage = getAverageRating(team1Ratings) - getAverageRating(team2Ratings);
+  const marginMultiplier = getMarginMultiplier(margin, team1Wins ? team1Advantage : -team1Advantage, marginSettings);
   
+  // The margin multiplier scales every player's K-factor for this match
   const [newTeam1Ratings, newTeam2Ratings] = updateTeamElo(
     team1Ratings,
     team2Ratings,
     team1Wins,
-    K_FACTOR
+    team1KFactors.map(k => k * marginMultiplier),
+    team2KFactors.map(k => k * marginMultiplier),
+    split
   );
   
   // Calculate individual Elo changes
@@ -69,26 +284,63 @@ function calculateTeamEloChanges(team1Ratings, team2Ratings, winnerTeam) {
     newTeam2Ratings,
     team1Changes,
     team2Changes,
+    team1KFactors,
+    team2KFactors,
+    marginMultiplier,
     expectedTeam1Score: getExpectedTeamScore(
-      (team1Ratings[0] + team1Ratings[1]) / 2,
-      (team2Ratings[0] + team2Ratings[1]) / 2
+      getAverageRating(team1Ratings),
+      getAverageRating(team2Ratings)
     )
   };
 }
 
+/**
+ * Get season identifier (YYYY-MM format) for a given date
+ * Seasons follow UTC months, like the season transition cron job and backdated match times
+ * @param {Date} date - Date to get the season for
+ * @returns {string} Season identifier
+ */
+function getSeasonForDate(date) {
+  const d = new Date(date);
+  const year = d.getUTCFullYear();
+  const month = String(d.getUTCMonth() + 1).padStart(2, '0');
+  return `${year}-${month}`;
+}
+
+/**
+ * Get the moment a season starts
+ * @param {string} season - Season identifier (YYYY-MM)
+ * @returns {Date} Midnight UTC on the first day of the season
+ */
+function getSeasonStartDate(season) {
+  const [year, month] = season.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, 1));
+}
+
 /**
  * Get current season identifier (YYYY-MM format)
  * @returns {string} Current season
  */
 function getCurrentSeason() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  return `${year}-${month}`;
+  return getSeasonForDate(new Date());
 }
 
 module.exports = {
   calculateTeamEloChanges,
+  getExpectedTeamScore,
+  getAverageRating,
+  getRegressedRating,
+  getDecayedRating,
+  getTeamSplitWeights,
+  getMarginMultiplier,
   getCurrentSeason,
-  K_FACTOR
+  getSeasonForDate,
+  getSeasonStartDate,
+  getPlayerKFactor,
+  isProvisional,
+  K_FACTOR,
+  DEFAULT_K_SCHEDULE,
+  ELO_SPLIT,
+  MARGIN_CURVE,
+  DEFAULT_MARGIN_SETTINGS
 }; 
\ No newline at end of file
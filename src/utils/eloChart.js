@@ -0,0 +1,146 @@
+/**
+ * Elo Chart Utilities
+ * Renders Elo progression as a PNG line chart (see utils/png): one line per player over
+ * time, horizontal grid lines with ratings, and a dashed line where each season starts.
+ */
+
+const { createImage, fillRect, drawLine, drawText, getTextWidth, encodePng } = require('./png');
+
+// Line colours of the overlaid players, with the emoji used for them in the caption
+const CHART_COLORS = [
+  { hex: '#1f77b4', emoji: '🔵' },
+  { hex: '#d62728', emoji: '🔴' },
+  { hex: '#2ca02c', emoji: '🟢' },
+  { hex: '#ff7f0e', emoji: '🟠' }
+];
+const MAX_CHART_PLAYERS = CHART_COLORS.length;
+
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 480;
+const MARGIN = { left: 60, right: 24, top: 30, bottom: 36 };
+const RATING_STEPS = [5, 10, 20, 25, 50, 100, 200, 250, 500, 1000];
+const MAX_GRID_LINES = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AXIS_COLOR = '#444444';
+const GRID_COLOR = '#e3e3e3';
+const SEASON_COLOR = '#a0a0a0';
+const LABEL_COLOR = '#555555';
+
+/**
+ * Pick a round distance between rating grid lines
+ * @param {number} range - Highest minus lowest rating shown
+ * @returns {number} Rating step between grid lines
+ */
+function getRatingStep(range) {
+  return RATING_STEPS.find(step => range / step <= MAX_GRID_LINES) || RATING_STEPS[RATING_STEPS.length - 1];
+}
+
+/**
+ * Find where each season starts in the charted points
+ * @param {Array} series - Series with points ({ date, rating, season })
+ * @returns {Array} Season boundaries ({ season, date }), oldest first, without the first charted season
+ */
+function getSeasonBoundaries(series) {
+  const firstDates = new Map(); // season -> earliest point
+  series.forEach(({ points }) => points.forEach(point => {
+    if (!point.season) return;
+    const date = new Date(point.date);
+    if (!firstDates.has(point.season) || date < firstDates.get(point.season)) {
+      firstDates.set(point.season, date);
+    }
+  }));
+
+  return [...firstDates.entries()]
+    .map(([season, date]) => ({ season, date }))
+    .sort((a, b) => a.date - b.date)
+    .slice(1);
+}
+
+/**
+ * Render the Elo progression of up to four players as a PNG
+ * @param {Array} series - One entry per player ({ color, points: [{ date, rating, season }] }), points oldest first
+ * @returns {Buffer} PNG file contents
+ */
+function renderEloChart(series) {
+  const image = createImage(CHART_WIDTH, CHART_HEIGHT);
+  const plot = {
+    left: MARGIN.left,
+    right: CHART_WIDTH - MARGIN.right,
+    top: MARGIN.top,
+    bottom: CHART_HEIGHT - MARGIN.bottom
+  };
+  const points = series.flatMap(entry => entry.points);
+
+  // Time axis, padded by a day on each side when everything happened on the same day
+  const times = points.map(point => new Date(point.date).getTime());
+  let minTime = Math.min(...times);
+  let maxTime = Math.max(...times);
+  if (minTime === maxTime) {
+    minTime -= DAY_MS;
+    maxTime += DAY_MS;
+  }
+
+  // Rating axis, rounded out to whole grid steps
+  const lowest = Math.min(...points.map(point => point.rating));
+  const highest = Math.max(...points.map(point => point.rating));
+  const step = getRatingStep(Math.max(highest - lowest, 1));
+  const minRating = Math.floor(lowest / step) * step;
+  const maxRating = Math.max(Math.ceil(highest / step) * step, minRating + step);
+
+  const toX = time => plot.left + (time - minTime) / (maxTime - minTime) * (plot.right - plot.left);
+  const toY = rating => plot.bottom - (rating - minRating) / (maxRating - minRating) * (plot.bottom - plot.top);
+
+  // Grid lines with their ratings
+  for (let rating = minRating; rating <= maxRating; rating += step) {
+    const y = Math.round(toY(rating));
+    drawLine(image, plot.left, y, plot.right, y, GRID_COLOR);
+    const label = String(rating);
+    drawText(image, label, plot.left - 8 - getTextWidth(label), y - 5, LABEL_COLOR);
+  }
+
+  // Season boundaries, labelled above the plot unless the label would overlap the previous one
+  let lastLabelEnd = -Infinity;
+  getSeasonBoundaries(series).forEach(({ season, date }) => {
+    const x = Math.round(toX(date.getTime()));
+    drawLine(image, x, plot.top, x, plot.bottom, SEASON_COLOR, { dash: 4 });
+    const labelX = Math.min(x - getTextWidth(season) / 2, plot.right - getTextWidth(season));
+    if (labelX > lastLabelEnd + 8) {
+      drawText(image, season, labelX, plot.top - 18, LABEL_COLOR);
+      lastLabelEnd = labelX + getTextWidth(season);
+    }
+  });
+
+  // Axes, with the first and last date below
+  drawLine(image, plot.left, plot.top, plot.left, plot.bottom, AXIS_COLOR);
+  drawLine(image, plot.left, plot.bottom, plot.right, plot.bottom, AXIS_COLOR);
+  const firstDate = new Date(minTime).toISOString().slice(0, 10);
+  const lastDate = new Date(maxTime).toISOString().slice(0, 10);
+  drawText(image, firstDate, plot.left, plot.bottom + 12, LABEL_COLOR);
+  drawText(image, lastDate, plot.right - getTextWidth(lastDate), plot.bottom + 12, LABEL_COLOR);
+
+  // One line per player; a player with a single point gets a marker instead
+  series.forEach(({ color, points: playerPoints }) => {
+    const coordinates = playerPoints.map(point => [toX(new Date(point.date).getTime()), toY(point.rating)]);
+    if (coordinates.length === 1) {
+      const [x, y] = coordinates[0];
+      fillRect(image, Math.round(x) - 3, Math.round(y) - 3, 7, 7, color);
+      return;
+    }
+    for (let i = 1; i < coordinates.length; i++) {
+      const [x0, y0] = coordinates[i - 1];
+      const [x1, y1] = coordinates[i];
+      drawLine(image, Math.round(x0), Math.round(y0), Math.round(x1), Math.round(y1), color, { thickness: 3 });
+    }
+  });
+
+  return encodePng(image);
+}
+
+module.exports = {
+  CHART_COLORS,
+  MAX_CHART_PLAYERS,
+  getRatingStep,
+  getSeasonBoundaries,
+  renderEloChart
+};
\ No newline at end of file
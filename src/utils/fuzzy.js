@@ -0,0 +1,62 @@
+/**
+ * Fuzzy Matching Utilities
+ * Used to suggest player names when a typed name does not match anyone
+ */
+
+/**
+ * Calculate the Levenshtein (edit) distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Minimum number of single-character edits to turn a into b
+ */
+function levenshteinDistance(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previousRow = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const currentRow = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+      currentRow[j] = Math.min(
+        previousRow[j] + 1, // deletion
+        currentRow[j - 1] + 1, // insertion
+        previousRow[j - 1] + substitutionCost // substitution
+      );
+    }
+    previousRow = currentRow;
+  }
+
+  return previousRow[b.length];
+}
+
+/**
+ * Find the candidates closest to an input string
+ * Comparison is case-insensitive; candidates further away than the threshold are dropped
+ * @param {string} input - Typed value
+ * @param {Array<string>} candidates - Known values
+ * @param {number} limit - Maximum number of suggestions (default: 3)
+ * @returns {Array<string>} Closest candidates, best match first
+ */
+function findClosestMatches(input, candidates, limit = 3) {
+  const cleanInput = (input || '').toLowerCase();
+  // Allow roughly one typo per three characters, but at least two
+  const maxDistance = Math.max(2, Math.floor(cleanInput.length / 3));
+
+  return [...new Set(candidates.filter(Boolean))]
+    .map(candidate => ({
+      candidate,
+      distance: levenshteinDistance(cleanInput, candidate.toLowerCase())
+    }))
+    .filter(entry => entry.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(entry => entry.candidate);
+}
+
+module.exports = {
+  levenshteinDistance,
+  findClosestMatches
+};
\ No newline at end of file
@@ -0,0 +1,272 @@
+/**
+ * Glicko-2 Rating System Utilities
+ * Each player has a rating, a rating deviation (how uncertain the rating is) and a
+ * volatility (how erratic their results are). Every match is treated as one rating period.
+ * Ratings use the same scale as Elo, centred on the default rating of 1000.
+ *
+ * Team play: each player is rated against the opposing team as one composite opponent
+ * (average rating, root-mean-square deviation). The expected result comes from the two
+ * team ratings, while each player's own deviation and volatility decide how far they move.
+ */
+
+const { DEFAULT_RATING, getGlickoField } = require('./matchFormat');
+
+// Rating engines the bot can rank players by
+const RATING_ENGINE = {
+  ELO: 'elo',
+  GLICKO2: 'glicko2'
+};
+
+const GLICKO_SCALE = 173.7178; // Conversion factor between the Glicko and Glicko-2 scales
+const DEFAULT_DEVIATION = 350; // Deviation of a new player, also the highest deviation allowed
+const DEFAULT_VOLATILITY = 0.06;
+const DEFAULT_TAU = 0.5; // System constant limiting how fast volatility changes
+const CONVERGENCE_TOLERANCE = 0.000001;
+
+/**
+ * Create the Glicko-2 state of a new player
+ * @returns {Object} Rating, deviation and volatility
+ */
+function getDefaultGlicko() {
+  return {
+    rating: DEFAULT_RATING,
+    deviation: DEFAULT_DEVIATION,
+    volatility: DEFAULT_VOLATILITY
+  };
+}
+
+/**
+ * Get a player's Glicko-2 state for a format
+ * @param {Object} player - Player object
+ * @param {string} format - Match format
+ * @returns {Object} Rating, deviation and volatility (defaults for players without Glicko-2 games)
+ */
+function getPlayerGlicko(player, format) {
+  const glicko = player[getGlickoField(format)];
+  if (!glicko || typeof glicko.rating !== 'number') {
+    return getDefaultGlicko();
+  }
+  return {
+    rating: glicko.rating,
+    deviation: glicko.deviation,
+    volatility: glicko.volatility
+  };
+}
+
+/**
+ * Reduce the impact of a game by the opponent's deviation
+ * @param {number} phi - Opponent deviation on the Glicko-2 scale
+ * @returns {number} Weight between 0 and 1
+ */
+function g(phi) {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+/**
+ * Calculate the expected score on the Glicko-2 scale
+ * @param {number} mu - Player (or team) rating on the Glicko-2 scale
+ * @param {number} opponentMu - Opponent rating on the Glicko-2 scale
+ * @param {number} opponentPhi - Opponent deviation on the Glicko-2 scale
+ * @returns {number} Expected score (0-1)
+ */
+function getExpectedScore(mu, opponentMu, opponentPhi) {
+  return 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)));
+}
+
+/**
+ * Calculate the new volatility with the Illinois algorithm (step 5 of the Glicko-2 paper)
+ * @param {number} sigma - Current volatility
+ * @param {number} phi - Current deviation on the Glicko-2 scale
+ * @param {number} variance - Estimated variance of the rating from the games
+ * @param {number} delta - Estimated improvement in rating
+ * @param {number} tau - System constant
+ * @returns {number} New volatility
+ */
+function getNewVolatility(sigma, phi, variance, delta, tau) {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const denominator = phi * phi + variance + ex;
+    return ex * (delta * delta - phi * phi - variance - ex) / (2 * denominator * denominator) -
+      (x - a) / (tau * tau);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + variance) {
+    B = Math.log(delta * delta - phi * phi - variance);
+  } else {
+    let k = 1;
+    while (f(a - k * tau) < 0) k++;
+    B = a - k * tau;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/**
+ * Update a player's Glicko-2 state after one rating period
+ * @param {Object} player - Player state ({ rating, deviation, volatility })
+ * @param {Array} games - Games of the period ({ rating, deviation, score }), score is 1 for a win and 0 for a loss
+ * @param {number} tau - System constant (default: 0.5)
+ * @param {number} ownRating - Rating used for the expected score, e.g. the team rating (default: the player's rating)
+ * @returns {Object} New rating, deviation and volatility
+ */
+function updateGlicko(player, games, tau = DEFAULT_TAU, ownRating = player.rating) {
+  const mu = (player.rating - DEFAULT_RATING) / GLICKO_SCALE;
+  const phi = player.deviation / GLICKO_SCALE;
+  const expectedMu = (ownRating - DEFAULT_RATING) / GLICKO_SCALE;
+
+  // A player without games only becomes less certain
+  if (games.length === 0) {
+    const idlePhi = Math.sqrt(phi * phi + player.volatility * player.volatility);
+    return {
+      rating: player.rating,
+      deviation: Math.min(idlePhi * GLICKO_SCALE, DEFAULT_DEVIATION),
+      volatility: player.volatility
+    };
+  }
+
+  const scaledGames = games.map(game => {
+    const opponentMu = (game.rating - DEFAULT_RATING) / GLICKO_SCALE;
+    const opponentPhi = game.deviation / GLICKO_SCALE;
+    return {
+      weight: g(opponentPhi),
+      expected: getExpectedScore(expectedMu, opponentMu, opponentPhi),
+      score: game.score
+    };
+  });
+
+  const variance = 1 / scaledGames.reduce((sum, game) =>
+    sum + game.weight * game.weight * game.expected * (1 - game.expected), 0);
+  const improvement = scaledGames.reduce((sum, game) =>
+    sum + game.weight * (game.score - game.expected), 0);
+
+  const volatility = getNewVolatility(player.volatility, phi, variance, variance * improvement, tau);
+  const preRatingPhi = Math.sqrt(phi * phi + volatility * volatility);
+  const newPhi = 1 / Math.sqrt(1 / (preRatingPhi * preRatingPhi) + 1 / variance);
+  const newMu = mu + newPhi * newPhi * improvement;
+
+  return {
+    rating: newMu * GLICKO_SCALE + DEFAULT_RATING,
+    deviation: Math.min(newPhi * GLICKO_SCALE, DEFAULT_DEVIATION),
+    volatility
+  };
+}
+
+/**
+ * Combine a team into one composite player
+ * @param {Array} team - Glicko-2 states of the team's players
+ * @returns {Object} Average rating and root-mean-square deviation
+ */
+function getTeamComposite(team) {
+  return {
+    rating: team.reduce((sum, player) => sum + player.rating, 0) / team.length,
+    deviation: Math.sqrt(team.reduce((sum, player) => sum + player.deviation * player.deviation, 0) / team.length)
+  };
+}
+
+/**
+ * Calculate the difference between two Glicko-2 states
+ * @param {Object} before - State before the match
+ * @param {Object} after - State after the match
+ * @returns {Object} Change in rating, deviation and volatility
+ */
+function getGlickoChange(before, after) {
+  return {
+    rating: after.rating - before.rating,
+    deviation: after.deviation - before.deviation,
+    volatility: after.volatility - before.volatility
+  };
+}
+
+/**
+ * Add (or with direction -1, remove) a stored change to a Glicko-2 state
+ * @param {Object} glicko - Rating, deviation and volatility
+ * @param {Object} change - Change in rating, deviation and volatility (missing values count as 0)
+ * @param {number} direction - 1 to apply the change, -1 to roll it back
+ * @returns {Object} New rating, deviation and volatility
+ */
+function addGlickoChange(glicko, change, direction = 1) {
+  if (!change) return { ...glicko };
+  return {
+    rating: glicko.rating + direction * (change.rating || 0),
+    deviation: glicko.deviation + direction * (change.deviation || 0),
+    volatility: glicko.volatility + direction * (change.volatility || 0)
+  };
+}
+
+/**
+ * Calculate Glicko-2 changes for a 1v1 or 2v2 match
+ * @param {Array} team1 - Glicko-2 states of team 1 ({ rating, deviation, volatility })
+ * @param {Array} team2 - Glicko-2 states of team 2
+ * @param {number} winnerTeam - 1 if team1 wins, 2 if team2 wins
+ * @param {Object} options - Optional calculation settings
+ * @param {number} options.tau - System constant (default: 0.5)
+ * @returns {Object} Object with new states, changes and the expected score of team 1
+ */
+function calculateTeamGlickoChanges(team1, team2, winnerTeam, options = {}) {
+  const { tau = DEFAULT_TAU } = options;
+  const composite1 = getTeamComposite(team1);
+  const composite2 = getTeamComposite(team2);
+
+  const updateTeam = (team, ownComposite, opponentComposite, score) => team.map(player =>
+    updateGlicko(player, [{ ...opponentComposite, score }], tau, ownComposite.rating)
+  );
+
+  const newTeam1 = updateTeam(team1, composite1, composite2, winnerTeam === 1 ? 1 : 0);
+  const newTeam2 = updateTeam(team2, composite2, composite1, winnerTeam === 1 ? 0 : 1);
+
+  const combinedPhi = Math.sqrt(composite1.deviation ** 2 + composite2.deviation ** 2) / GLICKO_SCALE;
+
+  return {
+    newTeam1,
+    newTeam2,
+    team1Changes: newTeam1.map((after, index) => getGlickoChange(team1[index], after)),
+    team2Changes: newTeam2.map((after, index) => getGlickoChange(team2[index], after)),
+    expectedTeam1Score: getExpectedScore(
+      (composite1.rating - DEFAULT_RATING) / GLICKO_SCALE,
+      (composite2.rating - DEFAULT_RATING) / GLICKO_SCALE,
+      combinedPhi
+    )
+  };
+}
+
+/**
+ * Format a Glicko-2 rating with its deviation
+ * @param {Object} glicko - Rating and deviation
+ * @returns {string} Formatted rating (e.g. "1034 ± 87")
+ */
+function formatGlickoRating(glicko) {
+  return `${Math.round(glicko.rating)} ± ${Math.round(glicko.deviation)}`;
+}
+
+module.exports = {
+  RATING_ENGINE,
+  GLICKO_SCALE,
+  DEFAULT_DEVIATION,
+  DEFAULT_VOLATILITY,
+  DEFAULT_TAU,
+  getDefaultGlicko,
+  getPlayerGlicko,
+  updateGlicko,
+  getTeamComposite,
+  addGlickoChange,
+  calculateTeamGlickoChanges,
+  formatGlickoRating
+};
\ No newline at end of file
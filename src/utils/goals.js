@@ -0,0 +1,99 @@
+/**
+ * Goal Statistics Utilities
+ * Helpers for working with recorded match scores
+ */
+
+/**
+ * Check whether a match has a recorded score
+ * @param {Object} match - Match object
+ * @returns {boolean} True if both team scores are recorded
+ */
+function hasScore(match) {
+  return Boolean(match.score) &&
+    typeof match.score.winners === 'number' &&
+    typeof match.score.losers === 'number';
+}
+
+/**
+ * Get the margin of a match's win, used for the Elo margin-of-victory multiplier
+ * @param {Object} match - Match object (or match data) with score and isDryWin
+ * @returns {Object} Goal difference (null without a recorded score) and dry win flag
+ */
+function getMarginOfVictory(match) {
+  return {
+    goalDifference: hasScore(match) ? match.score.winners - match.score.losers : null,
+    isDryWin: Boolean(match.isDryWin)
+  };
+}
+
+/**
+ * Get goals scored and conceded by a player in a single match
+ * @param {Object} match - Match object with winners and score
+ * @param {string} playerId - Player ID
+ * @returns {Object|null} Object with goalsFor and goalsAgainst, or null if the match has no score
+ */
+function getPlayerMatchGoals(match, playerId) {
+  if (!hasScore(match)) return null;
+
+  const isWinner = match.winners.some(p => (p._id || p).toString() === playerId.toString());
+
+  return {
+    goalsFor: isWinner ? match.score.winners : match.score.losers,
+    goalsAgainst: isWinner ? match.score.losers : match.score.winners
+  };
+}
+
+/**
+ * Calculate goal statistics for a player across matches
+ * Matches recorded without a score are skipped
+ * @param {Array} matches - Array of matches the player took part in
+ * @param {string} playerId - Player ID
+ * @returns {Object} Goals for, goals against, goal difference and number of scored matches
+ */
+function calculateGoalStats(matches, playerId) {
+  const stats = {
+    goalsFor: 0,
+    goalsAgainst: 0,
+    goalDifference: 0,
+    scoredMatches: 0
+  };
+
+  (matches || []).forEach(match => {
+    const goals = getPlayerMatchGoals(match, playerId);
+    if (!goals) return;
+
+    stats.goalsFor += goals.goalsFor;
+    stats.goalsAgainst += goals.goalsAgainst;
+    stats.scoredMatches++;
+  });
+
+  stats.goalDifference = stats.goalsFor - stats.goalsAgainst;
+  return stats;
+}
+
+/**
+ * Format a score for display (e.g. "10–7")
+ * @param {Object} score - Score object with winners and losers
+ * @returns {string} Formatted score
+ */
+function formatScore(score) {
+  return `${score.winners}–${score.losers}`;
+}
+
+/**
+ * Format a goal difference with an explicit sign
+ * @param {number} difference - Goal difference
+ * @returns {string} Formatted goal difference (e.g. "+5", "-3", "0")
+ */
+function formatGoalDifference(difference) {
+  return difference > 0 ? `+${difference}` : `${difference}`;
+}
+
+module.exports = {
+  hasScore,
+  getMarginOfVictory,
+  getPlayerMatchGoals,
+  calculateGoalStats,
+  formatScore,
+  formatGoalDifference
+};
\ No newline at end of file
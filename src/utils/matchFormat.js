@@ -0,0 +1,124 @@
+/**
+ * Match Format Utilities
+ * Singles (1v1) and doubles (2v2) matches are rated separately:
+ * doubles use Player.elo and singles use Player.singlesElo
+ */
+
+const MATCH_FORMAT = {
+  SINGLES: '1v1',
+  DOUBLES: '2v2'
+};
+
+const DEFAULT_RATING = 1000;
+
+// Player fields holding the rating, the season start ratings and the Glicko-2 state for each format
+const RATING_FIELDS = {
+  [MATCH_FORMAT.SINGLES]: { rating: 'singlesElo', seasonStart: 'singlesSeasonStartElo', glicko: 'singlesGlicko' },
+  [MATCH_FORMAT.DOUBLES]: { rating: 'elo', seasonStart: 'seasonStartElo', glicko: 'glicko' }
+};
+
+/**
+ * Get the format of a match
+ * Matches recorded before formats were introduced are doubles
+ * @param {Object} match - Match object
+ * @returns {string} Match format
+ */
+function getMatchFormat(match) {
+  return match && match.format === MATCH_FORMAT.SINGLES ? MATCH_FORMAT.SINGLES : MATCH_FORMAT.DOUBLES;
+}
+
+/**
+ * Get the number of players per team for a format
+ * @param {string} format - Match format
+ * @returns {number} Players per team
+ */
+function getTeamSize(format) {
+  return format === MATCH_FORMAT.SINGLES ? 1 : 2;
+}
+
+/**
+ * Get the match format for a team size
+ * @param {number} teamSize - Players per team
+ * @returns {string|null} Match format or null if the size is not supported
+ */
+function getFormatForTeamSize(teamSize) {
+  if (teamSize === 1) return MATCH_FORMAT.SINGLES;
+  if (teamSize === 2) return MATCH_FORMAT.DOUBLES;
+  return null;
+}
+
+/**
+ * Get the Player field that stores the rating for a format
+ * @param {string} format - Match format
+ * @returns {string} Rating field name
+ */
+function getRatingField(format) {
+  return RATING_FIELDS[format === MATCH_FORMAT.SINGLES ? MATCH_FORMAT.SINGLES : MATCH_FORMAT.DOUBLES].rating;
+}
+
+/**
+ * Get the Player field that stores season start ratings for a format
+ * @param {string} format - Match format
+ * @returns {string} Season start rating field name
+ */
+function getSeasonStartField(format) {
+  return RATING_FIELDS[format === MATCH_FORMAT.SINGLES ? MATCH_FORMAT.SINGLES : MATCH_FORMAT.DOUBLES].seasonStart;
+}
+
+/**
+ * Get the Player field that stores the Glicko-2 rating, deviation and volatility for a format
+ * @param {string} format - Match format
+ * @returns {string} Glicko-2 field name
+ */
+function getGlickoField(format) {
+  return RATING_FIELDS[format === MATCH_FORMAT.SINGLES ? MATCH_FORMAT.SINGLES : MATCH_FORMAT.DOUBLES].glicko;
+}
+
+/**
+ * Get a player's rating for a format
+ * @param {Object} player - Player object
+ * @param {string} format - Match format
+ * @returns {number} Rating (players without singles games start at the default rating)
+ */
+function getPlayerRating(player, format) {
+  const rating = player[getRatingField(format)];
+  return typeof rating === 'number' ? rating : DEFAULT_RATING;
+}
+
+/**
+ * Build a Match query filter for a format
+ * Doubles also matches documents without a format field
+ * @param {string} format - Match format
+ * @returns {Object} MongoDB filter
+ */
+function getFormatFilter(format) {
+  return format === MATCH_FORMAT.SINGLES
+    ? { format: MATCH_FORMAT.SINGLES }
+    : { format: { $ne: MATCH_FORMAT.SINGLES } };
+}
+
+/**
+ * Parse a format argument typed by a user
+ * @param {string} text - User input (e.g. "1v1", "singles", "2v2", "doubles")
+ * @returns {string|null} Match format or null if not recognised
+ */
+function parseFormat(text) {
+  const value = (text || '').trim().toLowerCase();
+  if (['1v1', 'singles', 'single', '1'].includes(value)) return MATCH_FORMAT.SINGLES;
+  if (['2v2', 'doubles', 'double', '2'].includes(value)) return MATCH_FORMAT.DOUBLES;
+  return null;
+}
+
+module.exports = {
+  MATCH_FORMAT,
+  DEFAULT_RATING,
+  getMatchFormat,
+  getTeamSize,
+  getFormatForTeamSize,
+  getRatingField,
+  getSeasonStartField,
+  getGlickoField,
+  getPlayerRating,
+  getFormatFilter,
+  parseFormat
+};
\ No newline at end of file
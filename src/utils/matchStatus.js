@@ -0,0 +1,33 @@
+/**
+ * Match Status Utilities
+ * A match only counts towards ratings and statistics while it is confirmed
+ */
+
+const MATCH_STATUS = {
+  PENDING: 'pending',     // Waiting for the losing team to confirm
+  CONFIRMED: 'confirmed',
+  DISPUTED: 'disputed',   // Rejected by the losing team, waiting for an admin
+  VOIDED: 'voided'
+};
+
+// Statuses whose Elo changes are not applied to player ratings
+const UNCOUNTED_STATUSES = [MATCH_STATUS.PENDING, MATCH_STATUS.DISPUTED, MATCH_STATUS.VOIDED];
+
+// Query filter for counted matches (matches recorded before statuses existed have no status)
+const COUNTED_MATCH_FILTER = { status: { $nin: UNCOUNTED_STATUSES } };
+
+/**
+ * Check whether a match counts towards ratings and statistics
+ * @param {Object} match - Match object
+ * @returns {boolean} True if the match is counted
+ */
+function isCountedMatch(match) {
+  return !UNCOUNTED_STATUSES.includes(match.status);
+}
+
+module.exports = {
+  MATCH_STATUS,
+  UNCOUNTED_STATUSES,
+  COUNTED_MATCH_FILTER,
+  isCountedMatch
+};
\ No newline at end of file
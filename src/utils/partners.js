@@ -0,0 +1,147 @@
+/**
+ * Partner and Opponent Utilities
+ * Helpers for a player's record with each partner and against each opponent
+ *
+ * Performance against expectation: for every 2v2 match with a partner, the Elo win probability
+ * of the player's team is taken from both teams' ratings before the match. Winning more often
+ * than those probabilities add up to means the pair does better together than their ratings say.
+ */
+
+const { getExpectedTeamScore, getAverageRating } = require('./elo');
+const { getMatchFormat, MATCH_FORMAT } = require('./matchFormat');
+
+/**
+ * Get the ID of a player reference (populated document or plain ObjectId)
+ * @param {Object|string} ref - Player reference
+ * @returns {string} Player ID as string
+ */
+function refId(ref) {
+  return (ref._id || ref).toString();
+}
+
+/**
+ * Get the key of a player's rating in a match, as used by the ratings map
+ * @param {string} matchId - Match ID
+ * @param {string} playerId - Player ID
+ * @returns {string} Key (e.g. "matchId|playerId")
+ */
+function getMatchRatingKey(matchId, playerId) {
+  return `${matchId.toString()}|${playerId.toString()}`;
+}
+
+/**
+ * Calculate a player's record with each partner in 2v2 matches
+ * @param {Array} matches - Counted matches of the player with populated winners and losers
+ * @param {string} playerId - Player ID
+ * @param {Map} ratings - "matchId|playerId" -> { before, after } Elo of every player in the matches
+ * @returns {Array} Partner entries ({ player, matches, wins, winRate, eloChange, expectedWinRate }), most matches first
+ */
+function calculatePartnerStats(matches, playerId, ratings = new Map()) {
+  const id = playerId.toString();
+  const partners = new Map();
+
+  matches.filter(match => getMatchFormat(match) === MATCH_FORMAT.DOUBLES).forEach(match => {
+    const won = match.winners.some(p => refId(p) === id);
+    const team = won ? match.winners : match.losers;
+    const opponents = won ? match.losers : match.winners;
+    const partner = team.find(p => refId(p) !== id);
+    if (!partner) return;
+
+    const entry = partners.get(refId(partner)) ||
+      { player: partner, matches: 0, wins: 0, eloChange: 0, expectedWins: 0, expectedMatches: 0 };
+    entry.matches++;
+    if (won) entry.wins++;
+
+    const own = ratings.get(getMatchRatingKey(match._id, id));
+    if (own) entry.eloChange += own.after - own.before;
+
+    // Expected score of the player's team, only when every player's rating before the match is known
+    const before = players => players.map(p => ratings.get(getMatchRatingKey(match._id, refId(p))));
+    const teamRatings = before(team);
+    const opponentRatings = before(opponents);
+    if ([...teamRatings, ...opponentRatings].every(Boolean)) {
+      entry.expectedWins += getExpectedTeamScore(
+        getAverageRating(teamRatings.map(rating => rating.before)),
+        getAverageRating(opponentRatings.map(rating => rating.before))
+      );
+      entry.expectedMatches++;
+    }
+
+    partners.set(refId(partner), entry);
+  });
+
+  return [...partners.values()]
+    .map(({ expectedWins, expectedMatches, ...entry }) => ({
+      ...entry,
+      winRate: (entry.wins / entry.matches * 100).toFixed(1),
+      expectedWinRate: expectedMatches > 0 ? (expectedWins / expectedMatches * 100).toFixed(1) : null
+    }))
+    .sort((a, b) => b.matches - a.matches || b.wins - a.wins);
+}
+
+/**
+ * Calculate a player's wins and losses against each opponent, in any format
+ * @param {Array} matches - Counted matches of the player with populated winners and losers
+ * @param {string} playerId - Player ID
+ * @returns {Array} Opponent entries ({ player, matches, wins, losses })
+ */
+function calculateOpponentStats(matches, playerId) {
+  const id = playerId.toString();
+  const opponents = new Map();
+
+  matches.forEach(match => {
+    const won = match.winners.some(p => refId(p) === id);
+    (won ? match.losers : match.winners).forEach(opponent => {
+      const entry = opponents.get(refId(opponent)) || { player: opponent, matches: 0, wins: 0, losses: 0 };
+      entry.matches++;
+      if (won) entry.wins++;
+      else entry.losses++;
+      opponents.set(refId(opponent), entry);
+    });
+  });
+
+  return [...opponents.values()];
+}
+
+/**
+ * Pick the best and worst partner by win rate
+ * Ties go to the partner with more matches together
+ * @param {Array} partners - Partner entries from calculatePartnerStats
+ * @param {number} minMatches - Matches together a partner needs to be considered
+ * @returns {Object} Best and worst partner ({ best, worst }), null when no partner qualifies (worst also with only one)
+ */
+function pickBestAndWorstPartner(partners, minMatches) {
+  const qualified = partners
+    .filter(partner => partner.matches >= minMatches)
+    .sort((a, b) => b.wins / b.matches - a.wins / a.matches || b.matches - a.matches);
+
+  return {
+    best: qualified[0] || null,
+    worst: qualified.length > 1 ? qualified[qualified.length - 1] : null
+  };
+}
+
+/**
+ * Pick the opponent a player beats most ("favourite victim") and the one who beats them most ("nemesis")
+ * Ties go to the more one-sided record
+ * @param {Array} opponents - Opponent entries from calculateOpponentStats
+ * @returns {Object} Favourite victim and nemesis ({ victim, nemesis }), null without a win or loss
+ */
+function pickVictimAndNemesis(opponents) {
+  const victim = opponents
+    .filter(opponent => opponent.wins > 0)
+    .sort((a, b) => b.wins - a.wins || a.losses - b.losses)[0] || null;
+  const nemesis = opponents
+    .filter(opponent => opponent.losses > 0)
+    .sort((a, b) => b.losses - a.losses || a.wins - b.wins)[0] || null;
+
+  return { victim, nemesis };
+}
+
+module.exports = {
+  getMatchRatingKey,
+  calculatePartnerStats,
+  calculateOpponentStats,
+  pickBestAndWorstPartner,
+  pickVictimAndNemesis
+};
\ No newline at end of file
@@ -0,0 +1,233 @@
+/**
+ * PNG Drawing Utilities
+ * A minimal RGB canvas with lines, rectangles and digit labels, encoded as PNG with
+ * Node's built-in zlib, so charts can be rendered without a browser or native modules.
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// 3x5 pixel glyphs for axis labels, one string per row ('#' = pixel set)
+const GLYPHS = {
+  '0': ['###', '#.#', '#.#', '#.#', '###'],
+  '1': ['.#.', '##.', '.#.', '.#.', '###'],
+  '2': ['###', '..#', '###', '#..', '###'],
+  '3': ['###', '..#', '###', '..#', '###'],
+  '4': ['#.#', '#.#', '###', '..#', '..#'],
+  '5': ['###', '#..', '###', '..#', '###'],
+  '6': ['###', '#..', '###', '#.#', '###'],
+  '7': ['###', '..#', '.#.', '.#.', '.#.'],
+  '8': ['###', '#.#', '###', '#.#', '###'],
+  '9': ['###', '#.#', '###', '..#', '###'],
+  '-': ['...', '...', '###', '...', '...'],
+  '.': ['...', '...', '...', '...', '.#.'],
+  ' ': ['...', '...', '...', '...', '...']
+};
+const GLYPH_WIDTH = 3;
+const GLYPH_HEIGHT = 5;
+
+let crcTable = null;
+
+/**
+ * Calculate the CRC-32 of a buffer, as used by PNG chunks
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Parse a hex colour
+ * @param {string} hex - Colour (e.g. "#1f77b4")
+ * @returns {Array<number>} Red, green and blue (0-255)
+ */
+function parseColor(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Create a blank image
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {string} background - Background colour (default: white)
+ * @returns {Object} Image ({ width, height, pixels }), pixels as RGB bytes row by row
+ */
+function createImage(width, height, background = '#ffffff') {
+  const pixels = Buffer.alloc(width * height * 3);
+  const [r, g, b] = parseColor(background);
+  for (let i = 0; i < pixels.length; i += 3) {
+    pixels[i] = r;
+    pixels[i + 1] = g;
+    pixels[i + 2] = b;
+  }
+  return { width, height, pixels };
+}
+
+/**
+ * Set one pixel; pixels outside the image are ignored
+ * @param {Object} image - Image
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @param {string} color - Hex colour
+ */
+function setPixel(image, x, y, color) {
+  const px = Math.round(x);
+  const py = Math.round(y);
+  if (px < 0 || py < 0 || px >= image.width || py >= image.height) return;
+  const [r, g, b] = parseColor(color);
+  const offset = (py * image.width + px) * 3;
+  image.pixels[offset] = r;
+  image.pixels[offset + 1] = g;
+  image.pixels[offset + 2] = b;
+}
+
+/**
+ * Fill a rectangle
+ * @param {Object} image - Image
+ * @param {number} x - Left column
+ * @param {number} y - Top row
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {string} color - Hex colour
+ */
+function fillRect(image, x, y, width, height, color) {
+  for (let row = Math.round(y); row < Math.round(y + height); row++) {
+    for (let col = Math.round(x); col < Math.round(x + width); col++) {
+      setPixel(image, col, row, color);
+    }
+  }
+}
+
+/**
+ * Draw a straight line
+ * @param {Object} image - Image
+ * @param {number} x0 - Start column
+ * @param {number} y0 - Start row
+ * @param {number} x1 - End column
+ * @param {number} y1 - End row
+ * @param {string} color - Hex colour
+ * @param {Object} options - Optional line style
+ * @param {number} options.thickness - Line width in pixels (default: 1)
+ * @param {number} options.dash - Length of dashes and gaps in pixels (default: 0, solid)
+ */
+function drawLine(image, x0, y0, x1, y1, color, options = {}) {
+  const { thickness = 1, dash = 0 } = options;
+  const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+  const offset = Math.floor((thickness - 1) / 2);
+
+  for (let i = 0; i <= steps; i++) {
+    if (dash > 0 && Math.floor(i / dash) % 2 === 1) continue;
+    const x = x0 + (x1 - x0) * i / steps;
+    const y = y0 + (y1 - y0) * i / steps;
+    fillRect(image, Math.round(x) - offset, Math.round(y) - offset, thickness, thickness, color);
+  }
+}
+
+/**
+ * Get the width of a label drawn with drawText
+ * @param {string} text - Label
+ * @param {number} scale - Pixel size of the glyphs (default: 2)
+ * @returns {number} Width in pixels
+ */
+function getTextWidth(text, scale = 2) {
+  return text.length > 0 ? (text.length * (GLYPH_WIDTH + 1) - 1) * scale : 0;
+}
+
+/**
+ * Draw a label of digits, dashes, dots and spaces; other characters are skipped
+ * @param {Object} image - Image
+ * @param {string} text - Label
+ * @param {number} x - Left column
+ * @param {number} y - Top row
+ * @param {string} color - Hex colour
+ * @param {number} scale - Pixel size of the glyphs (default: 2)
+ */
+function drawText(image, text, x, y, color, scale = 2) {
+  [...text].forEach((char, index) => {
+    const glyph = GLYPHS[char];
+    if (!glyph) return;
+    const left = x + index * (GLYPH_WIDTH + 1) * scale;
+    glyph.forEach((row, rowIndex) => {
+      [...row].forEach((cell, colIndex) => {
+        if (cell === '#') {
+          fillRect(image, left + colIndex * scale, y + rowIndex * scale, scale, scale, color);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Build one PNG chunk
+ * @param {string} type - Chunk type (e.g. "IHDR")
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Length, type, data and CRC
+ */
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode an image as PNG (8-bit RGB, no filtering)
+ * @param {Object} image - Image from createImage
+ * @returns {Buffer} PNG file contents
+ */
+function encodePng(image) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(image.width, 0);
+  header.writeUInt32BE(image.height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Colour type: RGB
+  header[10] = 0; // Compression
+  header[11] = 0; // Filter method
+  header[12] = 0; // No interlace
+
+  // Every row starts with its filter type (0 = none)
+  const rowLength = image.width * 3;
+  const raw = Buffer.alloc((rowLength + 1) * image.height);
+  for (let row = 0; row < image.height; row++) {
+    raw[row * (rowLength + 1)] = 0;
+    image.pixels.copy(raw, row * (rowLength + 1) + 1, row * rowLength, (row + 1) * rowLength);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk('IHDR', header),
+    createChunk('IDAT', zlib.deflateSync(raw)),
+    createChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  crc32,
+  createImage,
+  setPixel,
+  fillRect,
+  drawLine,
+  getTextWidth,
+  drawText,
+  encodePng
+};
\ No newline at end of file
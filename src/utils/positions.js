@@ -0,0 +1,175 @@
+/**
+ * Player Position Utilities
+ * Helpers for attack/defence positions recorded on 2v2 matches
+ *
+ * Position ratings: besides the overall doubles Elo, every player has an attack and a defence
+ * rating. They only change in matches where the positions of both teams are recorded, and are
+ * calculated with the same team math as the overall Elo, each player using the rating of the
+ * position they played.
+ */
+
+const { calculateTeamEloChanges } = require('./elo');
+const { getMarginOfVictory } = require('./goals');
+const { DEFAULT_RATING } = require('./matchFormat');
+
+const POSITIONS = {
+  ATTACK: 'attack',
+  DEFENCE: 'defence'
+};
+
+// Player fields holding the rating of each position
+const POSITION_RATING_FIELDS = {
+  [POSITIONS.ATTACK]: 'attackElo',
+  [POSITIONS.DEFENCE]: 'defenceElo'
+};
+
+/**
+ * Get the ID of a player reference (populated document or plain ObjectId)
+ * @param {Object|string} ref - Player reference
+ * @returns {string|null} Player ID as string
+ */
+function refId(ref) {
+  if (!ref) return null;
+  return (ref._id || ref).toString();
+}
+
+/**
+ * Get the position a player played in a match
+ * @param {Object} match - Match object with optional positions
+ * @param {string} playerId - Player ID
+ * @returns {string|null} 'attack', 'defence' or null if no position was recorded
+ */
+function getPlayerPosition(match, playerId) {
+  if (!match.positions) return null;
+
+  const id = playerId.toString();
+  for (const team of ['winners', 'losers']) {
+    const teamPositions = match.positions[team];
+    if (!teamPositions) continue;
+    if (refId(teamPositions.attack) === id) return POSITIONS.ATTACK;
+    if (refId(teamPositions.defence) === id) return POSITIONS.DEFENCE;
+  }
+
+  return null;
+}
+
+/**
+ * Get the positions of every player of a match, in the order of its winners and losers
+ * @param {Object} match - Match object with optional positions
+ * @returns {Object|null} Positions ({ winners: [], losers: [] }), null unless both teams' positions are recorded
+ */
+function getMatchPositions(match) {
+  if (!match.positions || match.winners.length !== 2 || match.losers.length !== 2) return null;
+
+  const winners = match.winners.map(player => getPlayerPosition(match, refId(player)));
+  const losers = match.losers.map(player => getPlayerPosition(match, refId(player)));
+  if ([...winners, ...losers].includes(null)) return null;
+
+  return { winners, losers };
+}
+
+/**
+ * Parse a position from command text
+ * @param {string} text - Text such as "attack" or "defence"
+ * @returns {string|null} Position, or null if the text is not a position
+ */
+function parsePosition(text) {
+  const value = (text || '').trim().toLowerCase();
+  if (['attack', 'att', 'striker', 'forward'].includes(value)) return POSITIONS.ATTACK;
+  if (['defence', 'defense', 'def', 'goalie', 'keeper'].includes(value)) return POSITIONS.DEFENCE;
+  return null;
+}
+
+/**
+ * Get the Player field that stores the rating of a position
+ * @param {string} position - 'attack' or 'defence'
+ * @returns {string} Rating field name
+ */
+function getPositionRatingField(position) {
+  return POSITION_RATING_FIELDS[position];
+}
+
+/**
+ * Get a player's rating for a position
+ * @param {Object} player - Player object
+ * @param {string} position - 'attack' or 'defence'
+ * @returns {number} Rating (players without position ratings start at the default rating)
+ */
+function getPlayerPositionRating(player, position) {
+  const rating = player[getPositionRatingField(position)];
+  return typeof rating === 'number' ? rating : DEFAULT_RATING;
+}
+
+/**
+ * Calculate the attack/defence rating changes of a 2v2 match
+ * The K-factors and team split are those of the overall Elo calculation of the match
+ * @param {Object} match - Match object with winners, losers, positions and score
+ * @param {Function} getRating - Returns a player's current rating for a position (playerId, position)
+ * @param {Object} options - Calculation settings
+ * @param {Object} options.kFactors - K-factor per player ({ winners: [], losers: [] })
+ * @param {string} options.split - How each team's change is shared between teammates
+ * @param {Object} options.marginSettings - Margin-of-victory settings
+ * @returns {Object|null} Positions and Elo changes per team ({ positions, winners, losers }), null unless both teams' positions are recorded
+ */
+function calculatePositionEloChanges(match, getRating, options = {}) {
+  const positions = getMatchPositions(match);
+  if (!positions) return null;
+
+  const { kFactors = {}, split, marginSettings } = options;
+  const winnerRatings = match.winners.map((player, index) => getRating(refId(player), positions.winners[index]));
+  const loserRatings = match.losers.map((player, index) => getRating(refId(player), positions.losers[index]));
+
+  const result = calculateTeamEloChanges(winnerRatings, loserRatings, 1, {
+    kFactors: { team1: kFactors.winners, team2: kFactors.losers },
+    split,
+    margin: getMarginOfVictory(match),
+    marginSettings
+  });
+
+  return {
+    positions,
+    winners: result.team1Changes,
+    losers: result.team2Changes
+  };
+}
+
+/**
+ * Calculate per-position match counts and win rates for a player
+ * Matches without a recorded position for the player are skipped
+ * @param {Array} matches - Array of matches the player took part in
+ * @param {string} playerId - Player ID
+ * @returns {Object} Stats per position ({ attack, defence }) with matches, wins and winRate
+ */
+function calculatePositionStats(matches, playerId) {
+  const stats = {
+    [POSITIONS.ATTACK]: { matches: 0, wins: 0, winRate: 0 },
+    [POSITIONS.DEFENCE]: { matches: 0, wins: 0, winRate: 0 }
+  };
+
+  (matches || []).forEach(match => {
+    const position = getPlayerPosition(match, playerId);
+    if (!position) return;
+
+    stats[position].matches++;
+    if (match.winners.some(p => refId(p) === playerId.toString())) {
+      stats[position].wins++;
+    }
+  });
+
+  Object.values(stats).forEach(entry => {
+    entry.winRate = entry.matches > 0 ? (entry.wins / entry.matches * 100).toFixed(1) : 0;
+  });
+
+  return stats;
+}
+
+module.exports = {
+  POSITIONS,
+  getPlayerPosition,
+  getMatchPositions,
+  parsePosition,
+  getPositionRatingField,
+  getPlayerPositionRating,
+  calculatePositionEloChanges,
+  calculatePositionStats
+};
\ No newline at end of file
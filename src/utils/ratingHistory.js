@@ -0,0 +1,126 @@
+/**
+ * Rating History Utilities
+ * Build the entries stored in the RatingHistory collection
+ */
+
+const { getMatchFormat, getRatingField } = require('./matchFormat');
+const { getSeasonForDate, getSeasonStartDate, getRegressedRating, getDecayedRating } = require('./elo');
+
+// Why a player's rating changed
+const RATING_CHANGE_REASON = {
+  MATCH: 'match',
+  DECAY: 'decay', // Inactivity decay (see services/inactivityService)
+  RESET: 'reset' // Seasonal soft reset (see services/seasonTransitionService)
+};
+
+/**
+ * Create the rating history entries of a match, one per player
+ * @param {Object} match - Match with season and playedAt
+ * @param {Array} winnerRatings - Each winner with their rating before and after the match ({ player, before, after })
+ * @param {Array} loserRatings - Each loser with their rating before and after the match ({ player, before, after })
+ * @returns {Array} Rating history entries
+ */
+function createMatchHistoryEntries(match, winnerRatings, loserRatings) {
+  const createEntry = (ratings, won) => ({
+    player: ratings.player._id || ratings.player,
+    match: match._id,
+    format: getMatchFormat(match),
+    reason: RATING_CHANGE_REASON.MATCH,
+    season: match.season,
+    playedAt: match.playedAt,
+    ratingBefore: ratings.before,
+    ratingAfter: ratings.after,
+    won
+  });
+
+  return [
+    ...winnerRatings.map(ratings => createEntry(ratings, true)),
+    ...loserRatings.map(ratings => createEntry(ratings, false))
+  ];
+}
+
+/**
+ * Create the rating history entries of a rating adjustment outside of matches, one per changed format
+ * @param {Object} player - Player after the adjustment was applied
+ * @param {Object} changes - Rating change per format (e.g. { '2v2': -12 })
+ * @param {Date} date - Date of the adjustment
+ * @param {string} reason - Why the rating changed, e.g. decay or reset (default: decay)
+ * @param {string} season - Season the adjustment belongs to (default: the season of the date)
+ * @param {Object} settings - How the adjustment was calculated per format ({ rate, target, targetRating, days }), see getAdjustedRating
+ * @returns {Array} Rating history entries
+ */
+function createAdjustmentHistoryEntries(player, changes, date, reason = RATING_CHANGE_REASON.DECAY, season = getSeasonForDate(date), settings = {}) {
+  return Object.entries(changes).map(([format, change]) => {
+    const ratingAfter = player[getRatingField(format)];
+    const entry = {
+      player: player._id,
+      match: null,
+      format,
+      reason,
+      season,
+      playedAt: date,
+      ratingBefore: ratingAfter - change,
+      ratingAfter
+    };
+    if (settings[format]) entry.adjustment = settings[format];
+    return entry;
+  });
+}
+
+/**
+ * Check whether an adjustment entry stored how it was calculated
+ * Entries recorded before the settings were stored only know the change they made
+ * @param {Object} entry - Rating history entry of an adjustment
+ * @returns {boolean} True if the adjustment can be calculated again (see getAdjustedRating)
+ */
+function hasAdjustmentSettings(entry) {
+  return Boolean(entry.adjustment) &&
+    typeof entry.adjustment.rate === 'number' &&
+    typeof entry.adjustment.targetRating === 'number';
+}
+
+/**
+ * Calculate a stored adjustment again from the rating before it, e.g. after earlier matches were replayed
+ * A soft reset regresses the rating towards its target rating; decay moves it towards the baseline once
+ * per day the entry covers, and never below it. Entries without settings add the change they made at the time.
+ * @param {Object} entry - Rating history entry of an adjustment
+ * @param {number} rating - Rating before the adjustment
+ * @returns {number} Rating after the adjustment
+ */
+function getAdjustedRating(entry, rating) {
+  if (!hasAdjustmentSettings(entry)) {
+    return rating + entry.ratingAfter - entry.ratingBefore;
+  }
+
+  const { rate, targetRating, days = 1 } = entry.adjustment;
+  if (entry.reason === RATING_CHANGE_REASON.RESET) {
+    return getRegressedRating(rating, targetRating, rate);
+  }
+
+  let decayed = rating;
+  for (let day = 0; day < days; day++) {
+    decayed = getDecayedRating(decayed, targetRating, rate);
+  }
+  return decayed;
+}
+
+/**
+ * Get the moment a stored rating adjustment takes effect when ratings are replayed
+ * A soft reset applies at the start of its season, before its first match, whenever the transition ran
+ * @param {Object} entry - Rating history entry of an adjustment
+ * @returns {Date} When the adjustment applies
+ */
+function getAdjustmentDate(entry) {
+  return entry.reason === RATING_CHANGE_REASON.RESET
+    ? getSeasonStartDate(entry.season)
+    : new Date(entry.playedAt);
+}
+
+module.exports = {
+  RATING_CHANGE_REASON,
+  createMatchHistoryEntries,
+  createAdjustmentHistoryEntries,
+  hasAdjustmentSettings,
+  getAdjustedRating,
+  getAdjustmentDate
+};
\ No newline at end of file
@@ -0,0 +1,129 @@
+/**
+ * Result Command Parser
+ * Parses one-line match results such as "@alice @bob beat @carol @dave 10-4" or "@alice beat @carol 10-8"
+ */
+
+// Words accepted between the winning and the losing team
+const RESULT_VERBS = ['beat', 'beats', 'def', 'defeat', 'defeated'];
+
+// Words accepted between the two teams of a matchup
+const MATCHUP_SEPARATORS = ['vs', 'vs.', 'v', 'versus'];
+
+// Final score at the end of the text; separators: hyphen, en dash, em dash and colon
+const SCORE_PATTERN = /(?:^|\s)(\d{1,2})\s*[-–—:]\s*(\d{1,2})$/;
+
+// Date and optional UTC time at the start of a backdated result ("2024-06-14" or "2024-06-14 12:30")
+const DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{1,2}:\d{2}))?\s+/;
+
+// Hour (UTC) used when a backdated match is entered without a time
+const DEFAULT_MATCH_HOUR = 12;
+
+/**
+ * Parse the arguments of the /result command
+ * @param {string} text - Command arguments (without "/result")
+ * @returns {Object} Parsed result with winners, losers (names without @) and score ({ winners, losers })
+ * @throws {Error} If the text does not follow the expected format
+ */
+function parseResultText(text) {
+  const tokens = (text || '').trim().split(/\s+/).filter(Boolean);
+
+  const verbIndex = tokens.findIndex(token => RESULT_VERBS.includes(token.toLowerCase()));
+  if (verbIndex === -1) {
+    throw new Error('Missing "beat" between the winning and the losing team');
+  }
+
+  const winners = tokens.slice(0, verbIndex).map(name => name.replace('@', ''));
+
+  // Everything after the verb is the losing team followed by the score ("10-4" or "10 - 4")
+  const rest = tokens.slice(verbIndex + 1).join(' ');
+  const scoreMatch = rest.match(SCORE_PATTERN);
+  if (!scoreMatch) {
+    throw new Error('Missing final score (e.g. 10-4)');
+  }
+  const losers = rest.slice(0, scoreMatch.index).split(/\s+/).filter(Boolean).map(name => name.replace('@', ''));
+
+  // 1v1 or 2v2: both teams need the same number of players
+  if (winners.length !== losers.length || winners.length < 1 || winners.length > 2) {
+    throw new Error('Both teams must have 1 player (1v1) or 2 players (2v2)');
+  }
+
+  const score = {
+    winners: parseInt(scoreMatch[1], 10),
+    losers: parseInt(scoreMatch[2], 10)
+  };
+  if (score.winners <= score.losers) {
+    throw new Error('The winning team must score more goals than the losing team');
+  }
+
+  return { winners, losers, score };
+}
+
+/**
+ * Parse two teams separated by "vs" (e.g. "@alice @bob vs @carol @dave")
+ * @param {string} text - Command arguments
+ * @returns {Object} Team names without @ ({ team1, team2 })
+ * @throws {Error} If the text does not follow the expected format
+ */
+function parseMatchupText(text) {
+  const tokens = (text || '').trim().split(/\s+/).filter(Boolean);
+
+  const separatorIndex = tokens.findIndex(token => MATCHUP_SEPARATORS.includes(token.toLowerCase()));
+  if (separatorIndex === -1) {
+    throw new Error('Missing "vs" between the two teams');
+  }
+
+  const team1 = tokens.slice(0, separatorIndex).map(name => name.replace('@', ''));
+  const team2 = tokens.slice(separatorIndex + 1).map(name => name.replace('@', ''));
+  if (team1.length !== team2.length || team1.length < 1 || team1.length > 2) {
+    throw new Error('Both teams must have 1 player (1v1) or 2 players (2v2)');
+  }
+
+  return { team1, team2 };
+}
+
+/**
+ * Parse a match date typed by an admin, interpreted as UTC
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Optional time in HH:MM format (default: 12:00, lunchtime)
+ * @returns {Date} Match date
+ * @throws {Error} If the date or time does not exist
+ */
+function parseMatchDate(date, time = null) {
+  const [year, month, day] = date.split('-').map(part => parseInt(part, 10));
+  const [hours, minutes] = time ? time.split(':').map(part => parseInt(part, 10)) : [DEFAULT_MATCH_HOUR, 0];
+
+  const playedAt = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+  // Date.UTC rolls invalid values over (e.g. 2024-02-31 becomes 2024-03-02)
+  if (playedAt.getUTCMonth() !== month - 1 || playedAt.getUTCDate() !== day || hours > 23 || minutes > 59) {
+    throw new Error('Invalid match date');
+  }
+
+  return playedAt;
+}
+
+/**
+ * Parse the arguments of the /addmatch command: a date, optional time and a one-line result
+ * @param {string} text - Command arguments (e.g. "2024-06-14 12:30 @alice @bob beat @carol @dave 10-4")
+ * @returns {Object} Parsed result ({ winners, losers, score }) with playedAt
+ * @throws {Error} If the date or the result is not valid
+ */
+function parseBackdatedResultText(text) {
+  const dateMatch = (text || '').trim().match(DATE_PATTERN);
+  if (!dateMatch) {
+    throw new Error('Missing match date (e.g. 2024-06-14 or 2024-06-14 12:30)');
+  }
+
+  const playedAt = parseMatchDate(dateMatch[1], dateMatch[2]);
+  const result = parseResultText((text || '').trim().slice(dateMatch[0].length));
+
+  return { ...result, playedAt };
+}
+
+module.exports = {
+  RESULT_VERBS,
+  SCORE_PATTERN,
+  parseResultText,
+  parseMatchupText,
+  parseMatchDate,
+  parseBackdatedResultText
+};
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * Duo Team Utilities
+ * Helpers for fixed 2v2 pairs, rated as one unit
+ *
+ * Team ratings: every pair of players that played doubles together is a team with its own
+ * Elo, match counts and streaks. A match is rated as one team against the other, with the
+ * same K-factor schedule and margin-of-victory multiplier as player Elo.
+ */
+
+const { calculateTeamEloChanges, getPlayerKFactor, DEFAULT_K_SCHEDULE, DEFAULT_MARGIN_SETTINGS } = require('./elo');
+const { getMarginOfVictory } = require('./goals');
+
+/**
+ * Get the player IDs of a team in a fixed order
+ * @param {Array} playerIds - Player IDs or populated players
+ * @returns {Array<string>} Sorted player IDs as strings
+ */
+function getTeamPlayerIds(playerIds) {
+  return playerIds.map(ref => (ref._id || ref).toString()).sort();
+}
+
+/**
+ * Get the key of the team made up of two players, the same in either order
+ * @param {Array} playerIds - Player IDs or populated players
+ * @returns {string} Team key (e.g. "id1-id2")
+ */
+function getTeamKey(playerIds) {
+  return getTeamPlayerIds(playerIds).join('-');
+}
+
+/**
+ * Calculate the team Elo changes of a match
+ * @param {Object} match - Match with score and isDryWin
+ * @param {Object} winnerTeam - Winning team ({ elo, matches })
+ * @param {Object} loserTeam - Losing team ({ elo, matches })
+ * @param {Object} options - Optional calculation settings
+ * @param {Object} options.schedule - K-factor schedule (default: DEFAULT_K_SCHEDULE)
+ * @param {Object} options.marginSettings - Margin-of-victory settings (default: off)
+ * @returns {Object} Elo change of each team ({ winners, losers })
+ */
+function calculateTeamResultChanges(match, winnerTeam, loserTeam, options = {}) {
+  const { schedule = DEFAULT_K_SCHEDULE, marginSettings = DEFAULT_MARGIN_SETTINGS } = options;
+  const result = calculateTeamEloChanges([winnerTeam.elo], [loserTeam.elo], 1, {
+    kFactors: {
+      team1: [getPlayerKFactor(winnerTeam.matches, winnerTeam.elo, schedule)],
+      team2: [getPlayerKFactor(loserTeam.matches, loserTeam.elo, schedule)]
+    },
+    margin: getMarginOfVictory(match),
+    marginSettings
+  });
+  return {
+    winners: result.team1Changes[0],
+    losers: result.team2Changes[0]
+  };
+}
+
+/**
+ * Add one result to a team's rating, counts and streaks
+ * The current streak is positive for wins in a row and negative for losses in a row
+ * @param {Object} team - Team object, modified in place
+ * @param {boolean} won - Whether the team won
+ * @param {number} change - Elo change of the team
+ * @param {Date} playedAt - When the match was played
+ */
+function addTeamResult(team, won, change, playedAt) {
+  team.elo += change;
+  team.matches++;
+  if (won) {
+    team.wins++;
+    team.currentStreak = Math.max(team.currentStreak, 0) + 1;
+    team.longestWinStreak = Math.max(team.longestWinStreak, team.currentStreak);
+  } else {
+    team.currentStreak = Math.min(team.currentStreak, 0) - 1;
+    team.longestLossStreak = Math.max(team.longestLossStreak, -team.currentStreak);
+  }
+  team.lastPlayedAt = playedAt;
+}
+
+/**
+ * Format a team's current streak
+ * @param {number} streak - Current streak (positive for wins, negative for losses)
+ * @returns {string} Streak (e.g. "W3", "L2" or "-" without matches)
+ */
+function formatTeamStreak(streak) {
+  if (!streak) return '-';
+  return streak > 0 ? `W${streak}` : `L${-streak}`;
+}
+
+module.exports = {
+  getTeamPlayerIds,
+  getTeamKey,
+  calculateTeamResultChanges,
+  addTeamResult,
+  formatTeamStreak
+};
\ No newline at end of file
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { runInTransaction } = require('../../src/config/database');
+
+describe('database', () => {
+  describe('runInTransaction', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should let queries pick up the transaction session automatically', () => {
+      expect(mongoose.get('transactionAsyncLocalStorage')).toBe(true);
+    });
+
+    it('should run the work in a connection transaction and return its result', async () => {
+      const session = { id: 'session' };
+      const transactionSpy = jest.spyOn(mongoose.connection, 'transaction')
+        .mockImplementation(async (work) => work(session));
+      const work = jest.fn().mockResolvedValue('done');
+
+      const result = await runInTransaction(work);
+
+      expect(transactionSpy).toHaveBeenCalledWith(work);
+      expect(work).toHaveBeenCalledWith(session);
+      expect(result).toBe('done');
+    });
+
+    it('should pass on errors after the transaction is aborted', async () => {
+      jest.spyOn(mongoose.connection, 'transaction').mockRejectedValue(new Error('Write conflict'));
+
+      await expect(runInTransaction(jest.fn())).rejects.toThrow('Write conflict');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,223 @@
+const settings = require('../../src/config/settings');
+
+describe('settings', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('parseNumber', () => {
+    it('should parse numeric values', () => {
+      expect(settings.parseNumber('15', 10)).toBe(15);
+    });
+    it('should fall back for missing or invalid values', () => {
+      expect(settings.parseNumber(undefined, 10)).toBe(10);
+      expect(settings.parseNumber('', 10)).toBe(10);
+      expect(settings.parseNumber('abc', 10)).toBe(10);
+    });
+  });
+
+  describe('admins', () => {
+    it('should parse a comma-separated list of admin usernames', () => {
+      process.env.ADMIN_USERNAMES = '@alice, bob ,';
+      expect(settings.getAdminUsernames()).toEqual(['alice', 'bob']);
+    });
+    it('should recognise admins with or without @', () => {
+      process.env.ADMIN_USERNAMES = 'alice';
+      expect(settings.isAdmin('alice')).toBe(true);
+      expect(settings.isAdmin('@alice')).toBe(true);
+      expect(settings.isAdmin('bob')).toBe(false);
+      expect(settings.isAdmin(undefined)).toBe(false);
+    });
+  });
+
+  describe('getUndoWindowMinutes', () => {
+    it('should default to 10 minutes', () => {
+      delete process.env.UNDO_WINDOW_MINUTES;
+      expect(settings.getUndoWindowMinutes()).toBe(10);
+    });
+    it('should read the window from the environment', () => {
+      process.env.UNDO_WINDOW_MINUTES = '30';
+      expect(settings.getUndoWindowMinutes()).toBe(30);
+    });
+  });
+
+  describe('getTeamsRecentMatches', () => {
+    it('should default to 3 matches', () => {
+      delete process.env.TEAMS_RECENT_MATCHES;
+      expect(settings.getTeamsRecentMatches()).toBe(3);
+    });
+    it('should allow turning the check off', () => {
+      process.env.TEAMS_RECENT_MATCHES = '0';
+      expect(settings.getTeamsRecentMatches()).toBe(0);
+    });
+  });
+
+  describe('getPartnerMinMatches', () => {
+    it('should default to 3 matches', () => {
+      delete process.env.PARTNER_MIN_MATCHES;
+      expect(settings.getPartnerMinMatches()).toBe(3);
+    });
+  });
+
+  describe('getTeamLeaderboardMinMatches', () => {
+    it('should default to 5 matches', () => {
+      delete process.env.TEAM_LEADERBOARD_MIN_MATCHES;
+      expect(settings.getTeamLeaderboardMinMatches()).toBe(5);
+    });
+    it('should read the environment', () => {
+      process.env.TEAM_LEADERBOARD_MIN_MATCHES = '10';
+      expect(settings.getTeamLeaderboardMinMatches()).toBe(10);
+    });
+  });
+
+  describe('match confirmation', () => {
+    it('should be enabled by default', () => {
+      delete process.env.MATCH_CONFIRMATION_ENABLED;
+      expect(settings.isMatchConfirmationEnabled()).toBe(true);
+    });
+    it('should be disabled with MATCH_CONFIRMATION_ENABLED=false', () => {
+      process.env.MATCH_CONFIRMATION_ENABLED = 'FALSE';
+      expect(settings.isMatchConfirmationEnabled()).toBe(false);
+    });
+    it('should default the timeout to 60 minutes', () => {
+      delete process.env.MATCH_CONFIRMATION_TIMEOUT_MINUTES;
+      expect(settings.getConfirmationTimeoutMinutes()).toBe(60);
+    });
+    it('should read the timeout from the environment', () => {
+      process.env.MATCH_CONFIRMATION_TIMEOUT_MINUTES = '120';
+      expect(settings.getConfirmationTimeoutMinutes()).toBe(120);
+    });
+  });
+
+  describe('K-factor schedule', () => {
+    it('should default to the schedule from the Elo utilities', () => {
+      Object.keys(process.env).filter(key => key.startsWith('ELO_')).forEach(key => delete process.env[key]);
+      expect(settings.getKFactorSchedule()).toEqual({
+        provisionalMatches: 10,
+        provisionalK: 48,
+        k: 32,
+        minK: 16,
+        taperMatches: 100,
+        highRating: 1400,
+        highRatingK: 16
+      });
+    });
+    it('should read overrides from the environment', () => {
+      process.env.ELO_PROVISIONAL_MATCHES = '5';
+      process.env.ELO_PROVISIONAL_K = '40';
+      expect(settings.getKFactorSchedule()).toMatchObject({ provisionalMatches: 5, provisionalK: 40, k: 32 });
+    });
+  });
+
+  describe('Elo team split', () => {
+    afterEach(() => {
+      delete process.env.ELO_TEAM_SPLIT;
+    });
+    it('should default to an equal split', () => {
+      delete process.env.ELO_TEAM_SPLIT;
+      expect(settings.getEloSplitMode()).toBe('equal');
+    });
+    it('should read rating-share from the environment', () => {
+      process.env.ELO_TEAM_SPLIT = ' Rating-Share ';
+      expect(settings.getEloSplitMode()).toBe('rating-share');
+    });
+    it('should fall back to equal for unknown values', () => {
+      process.env.ELO_TEAM_SPLIT = 'random';
+      expect(settings.getEloSplitMode()).toBe('equal');
+    });
+  });
+
+  describe('inactivity', () => {
+    afterEach(() => {
+      Object.keys(process.env).filter(key => key.startsWith('INACTIVITY_')).forEach(key => delete process.env[key]);
+    });
+    it('should mark players inactive after 30 days without decay by default', () => {
+      Object.keys(process.env).filter(key => key.startsWith('INACTIVITY_')).forEach(key => delete process.env[key]);
+      expect(settings.getInactivitySettings()).toEqual(settings.DEFAULT_INACTIVITY_SETTINGS);
+      expect(settings.getInactivitySettings()).toMatchObject({ days: 30, decayRate: 0, display: 'mark' });
+    });
+    it('should read overrides from the environment', () => {
+      process.env.INACTIVITY_DAYS = '14';
+      process.env.INACTIVITY_DECAY_RATE = '0.02';
+      process.env.INACTIVITY_DECAY_BASELINE = '1100';
+      process.env.INACTIVITY_LEADERBOARD = 'Hide';
+      expect(settings.getInactivitySettings()).toEqual({
+        days: 14,
+        decayRate: 0.02,
+        decayGraceDays: 7,
+        baseline: 1100,
+        display: 'hide'
+      });
+    });
+  });
+
+  describe('season reset', () => {
+    afterEach(() => {
+      delete process.env.SEASON_RESET_RATE;
+      delete process.env.SEASON_RESET_TARGET;
+    });
+    it('should be off by default', () => {
+      expect(settings.getSeasonResetSettings()).toEqual(settings.DEFAULT_SEASON_RESET_SETTINGS);
+      expect(settings.getSeasonResetSettings()).toMatchObject({ rate: 0, target: 'baseline' });
+    });
+    it('should read the rate and target from the environment', () => {
+      process.env.SEASON_RESET_RATE = '0.3';
+      process.env.SEASON_RESET_TARGET = ' Mean ';
+      expect(settings.getSeasonResetSettings()).toEqual({ rate: 0.3, target: 'mean', baseline: 1000 });
+    });
+    it('should clamp the rate and fall back to the baseline for unknown targets', () => {
+      process.env.SEASON_RESET_RATE = '1.5';
+      process.env.SEASON_RESET_TARGET = 'median';
+      expect(settings.getSeasonResetSettings()).toMatchObject({ rate: 1, target: 'baseline' });
+    });
+  });
+
+  describe('margin of victory', () => {
+    afterEach(() => {
+      delete process.env.ELO_MOV_CURVE;
+      delete process.env.ELO_MOV_WEIGHT;
+      delete process.env.ELO_MOV_DAMPING;
+    });
+    it('should be off by default', () => {
+      expect(settings.getMarginSettings()).toEqual({ curve: 'off', weight: 0.5, damping: 2.2 });
+    });
+    it('should read the curve, weight and damping from the environment', () => {
+      process.env.ELO_MOV_CURVE = ' Log ';
+      process.env.ELO_MOV_WEIGHT = '0.8';
+      process.env.ELO_MOV_DAMPING = '0';
+      expect(settings.getMarginSettings()).toEqual({ curve: 'log', weight: 0.8, damping: 0 });
+    });
+    it('should turn the multiplier off for unknown curves', () => {
+      process.env.ELO_MOV_CURVE = 'cubic';
+      expect(settings.getMarginSettings().curve).toBe('off');
+    });
+  });
+
+  describe('rating engine', () => {
+    afterEach(() => {
+      delete process.env.RATING_ENGINE;
+      delete process.env.GLICKO_TAU;
+    });
+    it('should default to Elo', () => {
+      delete process.env.RATING_ENGINE;
+      expect(settings.getRatingEngine()).toBe('elo');
+      expect(settings.isGlickoActive()).toBe(false);
+    });
+    it('should read glicko2 from the environment', () => {
+      process.env.RATING_ENGINE = 'Glicko2';
+      expect(settings.getRatingEngine()).toBe('glicko2');
+      expect(settings.isGlickoActive()).toBe(true);
+    });
+    it('should read the Glicko-2 tau with a default of 0.5', () => {
+      expect(settings.getGlickoTau()).toBe(0.5);
+      process.env.GLICKO_TAU = '0.3';
+      expect(settings.getGlickoTau()).toBe(0.3);
+    });
+  });
+});
\ No newline at end of file
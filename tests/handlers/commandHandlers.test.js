@@ -2,10 +2,18 @@ const commandHandlers = require('../../src/handlers/commandHandlers');
 const playerService = require('../../src/services/playerService');
 const matchService = require('../../src/services/matchService');
 const seasonService = require('../../src/services/seasonService');
+const matchConfirmationService = require('../../src/services/matchConfirmationService');
+const ratingReplayService = require('../../src/services/ratingReplayService');
+const ratingHistoryService = require('../../src/services/ratingHistoryService');
+const teamService = require('../../src/services/teamService');
 
 jest.mock('../../src/services/playerService');
 jest.mock('../../src/services/matchService');
 jest.mock('../../src/services/seasonService');
+jest.mock('../../src/services/matchConfirmationService');
+jest.mock('../../src/services/ratingReplayService');
+jest.mock('../../src/services/ratingHistoryService');
+jest.mock('../../src/services/teamService');
 
 describe('commandHandlers', () => {
   beforeEach(() => {
@@ -95,6 +103,118 @@ describe('commandHandlers', () => {
       expect(keyboard.length).toBeGreaterThan(0);
       expect(keyboard[0][0].text).toBe('Player 1');
       expect(keyboard[0][0].callback_data).toBe('player_player1');
+      expect(keyboard.flat().some(button => button.callback_data === 'format_1v1')).toBe(true);
+    });
+
+    it('should start a 1v1 match with two registered players', async () => {
+      playerService.getAllPlayers.mockResolvedValue([
+        { username: 'player1', name: 'Player 1' },
+        { username: 'player2', name: 'Player 2' }
+      ]);
+      commandHandlers.__setMatchCreationState(new Map());
+      
+      const msg = { chat: { id: 123 }, from: { id: 456 }, text: '/match 1v1' };
+      const result = await commandHandlers.handleMatch(msg);
+      
+      expect(result.text).toMatch(/Creating New Match<\/b> \(1v1\)/);
+      expect(result.text).toMatch(/Please select <b>1 winner<\/b>/);
+      expect(result.reply_markup.inline_keyboard.flat().some(button => button.callback_data === 'format_2v2')).toBe(true);
+    });
+  });
+
+  describe('player picker paging and search', () => {
+    const manyPlayers = Array.from({ length: 25 }, (_, i) => ({
+      username: `player${i + 1}`,
+      name: `Player ${i + 1}`
+    }));
+    const playerButtons = keyboard => keyboard.flat()
+      .filter(button => button.callback_data.startsWith('player_'))
+      .map(button => button.callback_data.replace('player_', ''));
+
+    beforeEach(() => {
+      commandHandlers.__setMatchCreationState(new Map());
+      playerService.getAllPlayers.mockResolvedValue(manyPlayers);
+    });
+
+    it('should open on the players of the recorder\'s last matches', async () => {
+      matchService.getPlayerMatches.mockResolvedValue([
+        { players: [{ username: 'player20' }, { username: 'player7' }, { username: 'player3' }, { username: 'player12' }] }
+      ]);
+
+      const msg = { chat: { id: 123 }, from: { id: 456, username: 'player3' }, text: '/match' };
+      const result = await commandHandlers.handleMatch(msg);
+
+      const keyboard = result.reply_markup.inline_keyboard;
+      expect(matchService.getPlayerMatches).toHaveBeenCalledWith('player3', 10);
+      expect(playerButtons(keyboard)).toEqual(['player3', 'player20', 'player7', 'player12']);
+      expect(keyboard.flat().map(button => button.text)).toEqual(expect.arrayContaining(['⭐ Recent', '▶']));
+      expect(result.text).toMatch(/Type part of a name to search/);
+    });
+
+    it('should page through all players', async () => {
+      matchService.getPlayerMatches.mockRejectedValue(new Error('Player not found'));
+      await commandHandlers.handleMatch({ chat: { id: 123 }, from: { id: 456, username: 'guest' }, text: '/match' });
+
+      const result = await commandHandlers.handlePlayerSelection({
+        message: { chat: { id: 123 } },
+        from: { id: 456 },
+        data: 'page_1'
+      });
+
+      const keyboard = result.reply_markup.inline_keyboard;
+      expect(playerButtons(keyboard)).toEqual(manyPlayers.slice(10, 20).map(p => p.username));
+      expect(keyboard.flat().filter(button => button.callback_data.startsWith('page_')).map(button => button.text))
+        .toEqual(['◀', '2/3', '▶']);
+    });
+
+    it('should show a single page without paging buttons for small groups', async () => {
+      playerService.getAllPlayers.mockResolvedValue(manyPlayers.slice(0, 4));
+      matchService.getPlayerMatches.mockResolvedValue([{ players: [{ username: 'player2' }] }]);
+
+      const result = await commandHandlers.handleMatch({ chat: { id: 123 }, from: { id: 456, username: 'player1' }, text: '/match' });
+
+      const keyboard = result.reply_markup.inline_keyboard;
+      expect(playerButtons(keyboard)).toEqual(['player1', 'player2', 'player3', 'player4']);
+      expect(keyboard.flat().some(button => button.callback_data.startsWith('page_'))).toBe(false);
+      expect(result.text).not.toMatch(/search/);
+    });
+
+    it('should filter the keyboard by typed text and clear the search after a pick', async () => {
+      matchService.getPlayerMatches.mockResolvedValue([]);
+      await commandHandlers.handleMatch({ chat: { id: 123 }, from: { id: 456, username: 'player1' }, text: '/match' });
+
+      const searchResult = await commandHandlers.handlePlayerSearch({ chat: { id: 123 }, from: { id: 456 }, text: 'Player 2' });
+
+      expect(playerButtons(searchResult.reply_markup.inline_keyboard))
+        .toEqual(['player2', 'player20', 'player21', 'player22', 'player23', 'player24', 'player25']);
+      expect(searchResult.reply_markup.inline_keyboard.flat().some(button => button.callback_data === 'search_clear')).toBe(true);
+      expect(searchResult.text).toMatch(/Search: <b>Player 2<\/b>/);
+
+      playerService.getPlayerByUsername.mockResolvedValue(manyPlayers[21]);
+      const pickResult = await commandHandlers.handlePlayerSelection({
+        message: { chat: { id: 123 } },
+        from: { id: 456 },
+        data: 'player_player22'
+      });
+
+      expect(pickResult.text).toMatch(/Selected: Player 22/);
+      expect(commandHandlers.__getMatchCreationState().get(123).search).toBe('');
+      expect(playerButtons(pickResult.reply_markup.inline_keyboard)).toHaveLength(10);
+    });
+
+    it('should say when no player matches the search', async () => {
+      matchService.getPlayerMatches.mockResolvedValue([]);
+      await commandHandlers.handleMatch({ chat: { id: 123 }, from: { id: 456, username: 'player1' }, text: '/match' });
+
+      const result = await commandHandlers.handlePlayerSearch({ chat: { id: 123 }, from: { id: 456 }, text: 'zed' });
+
+      expect(result.text).toMatch(/No players match <b>zed<\/b>/);
+      expect(playerButtons(result.reply_markup.inline_keyboard)).toEqual([]);
+    });
+
+    it('should ignore text when no player selection is in progress', async () => {
+      const result = await commandHandlers.handlePlayerSearch({ chat: { id: 123 }, from: { id: 456 }, text: 'alice' });
+      expect(result).toBeNull();
     });
   });
 
@@ -270,7 +390,7 @@ describe('commandHandlers', () => {
       expect(result.text).toMatch(/Please select <b>2 losers<\/b>/);
     });
 
-    it('should ask about dry win when losers selection is complete', async () => {
+    it('should ask for positions when losers selection is complete', async () => {
       const mockMap = new Map();
       mockMap.set(123, {
         userId: 456,
@@ -287,24 +407,113 @@ describe('commandHandlers', () => {
       });
       commandHandlers.__setMatchCreationState(mockMap);
       
-      const callbackQuery = {
+      const result = await commandHandlers.handlePlayerSelection({
         message: { chat: { id: 123 } },
         from: { id: 456 },
         data: 'continue_selection'
-      };
+      });
       
-      const result = await commandHandlers.handlePlayerSelection(callbackQuery);
+      expect(result.text).toMatch(/Who played <b>attack<\/b> for the winners/);
+      const callbacks = result.reply_markup.inline_keyboard.flat().map(b => b.callback_data);
+      expect(callbacks).toEqual(expect.arrayContaining([
+        'position_attack_player1',
+        'position_attack_player2',
+        'position_skip'
+      ]));
+    });
+
+    it('should record attack and defence for both teams before the score', async () => {
+      const mockMap = new Map();
+      mockMap.set(123, {
+        userId: 456,
+        step: 'select_positions',
+        positionTeam: 'winners',
+        positions: {},
+        winners: [
+          { username: 'player1', name: 'Player 1' },
+          { username: 'player2', name: 'Player 2' }
+        ],
+        losers: [
+          { username: 'player3', name: 'Player 3' },
+          { username: 'player4', name: 'Player 4' }
+        ],
+        timestamp: Date.now()
+      });
+      commandHandlers.__setMatchCreationState(mockMap);
+      const press = (data) => commandHandlers.handlePlayerSelection({
+        message: { chat: { id: 123 } },
+        from: { id: 456 },
+        data
+      });
       
-      expect(result.text).toMatch(/Was this a dry win/);
-      expect(result.text).toMatch(/Winners: Player 1, Player 2/);
-      expect(result.text).toMatch(/Losers: Player 3, Player 4/);
+      const losersPrompt = await press('position_attack_player2');
+      expect(losersPrompt.text).toMatch(/for the losers/);
+      const scoreResult = await press('position_attack_player3');
+      
+      expect(scoreResult.text).toMatch(/Enter the final score/);
+      expect(commandHandlers.__getMatchCreationState().get(123).positions).toEqual({
+        winners: { attack: 'player2', defence: 'player1' },
+        losers: { attack: 'player3', defence: 'player4' }
+      });
+    });
+
+    it('should skip positions and ask for the score once the 1v1 loser is chosen', async () => {
+      const mockMap = new Map();
+      mockMap.set(123, {
+        userId: 456,
+        step: 'select_losers',
+        format: '1v1',
+        winners: [{ username: 'player1', name: 'Player 1' }],
+        losers: [],
+        timestamp: Date.now()
+      });
+      commandHandlers.__setMatchCreationState(mockMap);
+      playerService.getPlayerByUsername.mockResolvedValue({ username: 'player3', name: 'Player 3' });
+      playerService.getAllPlayers.mockResolvedValue([
+        { username: 'player1', name: 'Player 1' },
+        { username: 'player3', name: 'Player 3' }
+      ]);
+      
+      const result = await commandHandlers.handlePlayerSelection({
+        message: { chat: { id: 123 } },
+        from: { id: 456 },
+        data: 'player_player3'
+      });
+      
+      expect(result.text).toMatch(/Enter the final score/);
+      expect(result.text).toMatch(/Losers: Player 3/);
+    });
+
+    it('should switch format and reset the winners selection', async () => {
+      const mockMap = new Map();
+      mockMap.set(123, {
+        userId: 456,
+        step: 'select_winners',
+        format: '2v2',
+        winners: [{ username: 'player1', name: 'Player 1' }],
+        losers: [],
+        timestamp: Date.now()
+      });
+      commandHandlers.__setMatchCreationState(mockMap);
+      playerService.getAllPlayers.mockResolvedValue([{ username: 'player1', name: 'Player 1' }]);
+      
+      const result = await commandHandlers.handlePlayerSelection({
+        message: { chat: { id: 123 } },
+        from: { id: 456 },
+        data: 'format_1v1'
+      });
+      
+      const state = commandHandlers.__getMatchCreationState().get(123);
+      expect(state.format).toBe('1v1');
+      expect(state.winners).toEqual([]);
+      expect(result.text).toMatch(/Please select <b>1 winner<\/b>/);
     });
 
-    it('should record match when dry win is selected', async () => {
+    it('should ask for the score when positions are skipped', async () => {
       const mockMap = new Map();
       mockMap.set(123, {
         userId: 456,
-        step: 'ask_dry_win',
+        step: 'select_losers',
         winners: [
           { username: 'player1', name: 'Player 1', chatId: '123' },
           { username: 'player2', name: 'Player 2', chatId: '456' }
@@ -317,33 +526,408 @@ describe('commandHandlers', () => {
       });
       commandHandlers.__setMatchCreationState(mockMap);
       
-      matchService.recordMatch.mockResolvedValue({
-        match: {
-          winners: [{ username: 'player1' }, { username: 'player2' }],
-          losers: [{ username: 'player3' }, { username: 'player4' }]
-        },
-        eloResult: {
-          team1Changes: [10, 12],
-          team2Changes: [-10, -12]
-        }
-      });
-      
       const callbackQuery = {
         message: { chat: { id: 123 } },
         from: { id: 456 },
-        data: 'dry_win_yes'
+        data: 'continue_selection'
       };
       
-      const result = await commandHandlers.handlePlayerSelection(callbackQuery);
+      await commandHandlers.handlePlayerSelection(callbackQuery);
+      const result = await commandHandlers.handlePlayerSelection({ ...callbackQuery, data: 'position_skip' });
       
-      expect(result.text).toMatch(/Match Recorded/);
-      expect(result.text).toMatch(/Dry Win/);
+      expect(result.text).toMatch(/Enter the final score/);
+      expect(result.text).toMatch(/Winners: Player 1, Player 2/);
+      expect(result.text).toMatch(/Losers: Player 3, Player 4/);
+      expect(matchService.predictMatch).toHaveBeenCalledWith(['player1', 'player2'], ['player3', 'player4']);
+      const callbacks = result.reply_markup.inline_keyboard.flat().map(b => b.callback_data);
+      expect(callbacks).toContain('score_digit_0');
+      expect(callbacks).toContain('score_digit_9');
+      expect(callbacks).toContain('score_next');
+    });
+
+    describe('score entry', () => {
+      const winners = [
+        { username: 'player1', name: 'Player 1', chatId: '123' },
+        { username: 'player2', name: 'Player 2', chatId: '456' }
+      ];
+      const losers = [
+        { username: 'player3', name: 'Player 3', chatId: '789' },
+        { username: 'player4', name: 'Player 4', chatId: '012' }
+      ];
+
+      const press = (data) => commandHandlers.handlePlayerSelection({
+        message: { chat: { id: 123 } },
+        from: { id: 456 },
+        data
+      });
+
+      const originalConfirmation = process.env.MATCH_CONFIRMATION_ENABLED;
+
+      beforeEach(() => {
+        process.env.MATCH_CONFIRMATION_ENABLED = 'false';
+        const mockMap = new Map();
+        mockMap.set(123, {
+          userId: 456,
+          step: 'enter_score',
+          winners,
+          losers,
+          scoreField: 'winners',
+          scoreInput: { winners: '', losers: '' },
+          timestamp: Date.now()
+        });
+        commandHandlers.__setMatchCreationState(mockMap);
+      });
+
+      afterAll(() => {
+        process.env.MATCH_CONFIRMATION_ENABLED = originalConfirmation;
+      });
+
+      it('should build up the score digit by digit', async () => {
+        await press('score_digit_1');
+        const result = await press('score_digit_0');
+        expect(result.text).toMatch(/Winners: <b>10<\/b>/);
+      });
+
+      it('should limit scores to two digits', async () => {
+        await press('score_digit_1');
+        await press('score_digit_0');
+        const result = await press('score_digit_5');
+        expect(result.text).toMatch(/Winners: <b>10<\/b>/);
+      });
+
+      it('should remove the last digit on backspace', async () => {
+        await press('score_digit_1');
+        await press('score_digit_0');
+        const result = await press('score_backspace');
+        expect(result.text).toMatch(/Winners: <b>1<\/b>/);
+      });
+
+      it('should require a value before moving on', async () => {
+        const result = await press('score_next');
+        expect(result.text).toMatch(/Please enter a score first/);
+      });
+
+      it('should reject a losers score that is not lower than the winners score', async () => {
+        await press('score_digit_5');
+        await press('score_next');
+        await press('score_digit_7');
+        const result = await press('score_next');
+        expect(result.text).toMatch(/must score more goals/);
+        expect(matchService.recordMatch).not.toHaveBeenCalled();
+      });
+
+      it('should record match with the entered score', async () => {
+        matchService.recordMatch.mockResolvedValue({
+          match: {
+            winners: [{ username: 'player1' }, { username: 'player2' }],
+            losers: [{ username: 'player3' }, { username: 'player4' }],
+            score: { winners: 10, losers: 7 },
+            isDryWin: false
+          },
+          eloResult: {
+            team1Changes: [10, 12],
+            team2Changes: [-10, -12]
+          }
+        });
+
+        await press('score_digit_1');
+        await press('score_digit_0');
+        await press('score_next');
+        await press('score_digit_7');
+        const result = await press('score_next');
+
+        expect(result.text).toMatch(/Match Recorded/);
+        expect(result.text).toMatch(/Score:<\/b> 10–7/);
+        expect(result.text).not.toMatch(/Dry Win/);
+        expect(matchService.recordMatch).toHaveBeenCalledWith(
+          ['player1', 'player2'],
+          ['player3', 'player4'],
+          1,
+          { score: { winners: 10, losers: 7 }, pending: false }
+        );
+        expect(commandHandlers.__getMatchCreationState().has(123)).toBe(false);
+      });
+
+      it('should mark a match with zero loser goals as a dry win', async () => {
+        matchService.recordMatch.mockResolvedValue({
+          match: {
+            winners: [{ username: 'player1' }, { username: 'player2' }],
+            losers: [{ username: 'player3' }, { username: 'player4' }],
+            score: { winners: 10, losers: 0 },
+            isDryWin: true
+          },
+          eloResult: {
+            team1Changes: [10, 12],
+            team2Changes: [-10, -12]
+          }
+        });
+
+        await press('score_digit_1');
+        await press('score_digit_0');
+        await press('score_next');
+        await press('score_digit_0');
+        const result = await press('score_next');
+
+        expect(result.text).toMatch(/Dry Win/);
+        expect(matchService.recordMatch).toHaveBeenCalledWith(
+          ['player1', 'player2'],
+          ['player3', 'player4'],
+          1,
+          { score: { winners: 10, losers: 0 }, pending: false }
+        );
+      });
+
+      it('should pass recorded positions to recordMatch', async () => {
+        const state = commandHandlers.__getMatchCreationState().get(123);
+        state.positions = { winners: { attack: 'player1', defence: 'player2' } };
+        matchService.recordMatch.mockResolvedValue({
+          match: {
+            winners: [{ username: 'player1' }, { username: 'player2' }],
+            losers: [{ username: 'player3' }, { username: 'player4' }],
+            score: { winners: 10, losers: 7 }
+          },
+          eloResult: {
+            team1Changes: [10, 12],
+            team2Changes: [-10, -12]
+          }
+        });
+
+        await press('score_digit_1');
+        await press('score_digit_0');
+        await press('score_next');
+        await press('score_digit_7');
+        await press('score_next');
+
+        expect(matchService.recordMatch.mock.calls[0][3].positions).toEqual({
+          winners: { attack: 'player1', defence: 'player2' }
+        });
+      });
+
+      it('should submit a pending match and ask the losing team to confirm', async () => {
+        process.env.MATCH_CONFIRMATION_ENABLED = 'true';
+        matchService.recordMatch.mockResolvedValue({
+          match: {
+            _id: 'match1',
+            winners: [{ username: 'player1' }, { username: 'player2' }],
+            losers: [{ username: 'player3' }, { username: 'player4' }],
+            score: { winners: 10, losers: 7 }
+          },
+          eloResult: {
+            team1Changes: [10, 12],
+            team2Changes: [-10, -12]
+          },
+          pending: true
+        });
+        matchConfirmationService.requestConfirmation.mockResolvedValue({ username: 'player3' });
+        const bot = { sendMessage: jest.fn() };
+
+        await press('score_digit_1');
+        await press('score_digit_0');
+        await press('score_next');
+        await press('score_digit_7');
+        const result = await commandHandlers.handlePlayerSelection({
+          message: { chat: { id: 123 } },
+          from: { id: 456, username: 'player1' },
+          data: 'score_next'
+        }, bot);
+
+        expect(matchService.recordMatch).toHaveBeenCalledWith(
+          ['player1', 'player2'],
+          ['player3', 'player4'],
+          1,
+          { score: { winners: 10, losers: 7 }, recordedBy: 'player1', pending: true }
+        );
+        expect(matchConfirmationService.requestConfirmation).toHaveBeenCalledWith(bot, expect.objectContaining({ _id: 'match1' }));
+        expect(result.text).toMatch(/Match submitted/);
+        expect(result.text).toMatch(/@player1 \+ @player2 beat @player3 \+ @player4 \(10–7\)/);
+        expect(result.text).toMatch(/Waiting for @player3 to confirm/);
+        expect(result.text).not.toMatch(/Elo Changes/);
+        // Nobody is notified about the result until it is confirmed
+        expect(bot.sendMessage).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('handleResult', () => {
+    const originalConfirmation = process.env.MATCH_CONFIRMATION_ENABLED;
+    const registered = [
+      { username: 'alice', alias: 'Ace', chatId: '1' },
+      { username: 'bob', chatId: '2' },
+      { username: 'carol', chatId: '3' },
+      { username: 'dave', chatId: '4' }
+    ];
+    const recordedMatch = {
+      winners: [{ username: 'alice' }, { username: 'bob' }],
+      losers: [{ username: 'carol' }, { username: 'dave' }],
+      score: { winners: 10, losers: 4 },
+      isDryWin: false
+    };
+    const send = (text, bot) => commandHandlers.handleResult({ from: { username: 'bob' }, chat: { id: 1 }, text }, bot);
+
+    beforeEach(() => {
+      process.env.MATCH_CONFIRMATION_ENABLED = 'false';
+      playerService.findPlayerByNameOrAlias.mockImplementation(async (name) => {
+        const clean = name.replace('@', '').toLowerCase();
+        return registered.find(p => p.username === clean || (p.alias && p.alias.toLowerCase() === clean)) || null;
+      });
+      playerService.getAllPlayers.mockResolvedValue(registered);
+    });
+
+    afterAll(() => {
+      process.env.MATCH_CONFIRMATION_ENABLED = originalConfirmation;
+    });
+
+    it('should show usage without arguments', async () => {
+      const result = await send('/result');
+      expect(result.text).toMatch(/Usage:/);
+    });
+
+    it('should return error if no username', async () => {
+      const result = await commandHandlers.handleResult({ from: {}, text: '/result a b beat c d 10-4' });
+      expect(result.text).toMatch(/You need to have a Telegram username/);
+    });
+
+    it('should explain parse errors', async () => {
+      const result = await send('/result @alice @bob @carol @dave 10-4');
+      expect(result.text).toMatch(/Missing "beat"/);
+      expect(result.text).toMatch(/Usage:/);
+      expect(matchService.recordMatch).not.toHaveBeenCalled();
+    });
+
+    it('should record the match with usernames resolved from aliases', async () => {
+      matchService.recordMatch.mockResolvedValue({
+        match: recordedMatch,
+        eloResult: { team1Changes: [10, 12], team2Changes: [-10, -12] },
+        pending: false
+      });
+
+      const result = await send('/result ace @bob beat @carol @dave 10-4');
+
       expect(matchService.recordMatch).toHaveBeenCalledWith(
-        ['player1', 'player2'],
-        ['player3', 'player4'],
+        ['alice', 'bob'],
+        ['carol', 'dave'],
+        1,
+        { score: { winners: 10, losers: 4 }, recordedBy: 'bob', pending: false }
+      );
+      expect(result.text).toMatch(/Match Recorded/);
+      expect(result.text).toMatch(/Score:<\/b> 10–4/);
+    });
+
+    it('should send pending matches for confirmation', async () => {
+      process.env.MATCH_CONFIRMATION_ENABLED = 'true';
+      matchService.recordMatch.mockResolvedValue({
+        match: { ...recordedMatch, _id: 'match1' },
+        eloResult: { team1Changes: [10, 12], team2Changes: [-10, -12] },
+        pending: true
+      });
+      matchConfirmationService.requestConfirmation.mockResolvedValue({ username: 'carol' });
+
+      const result = await send('/result alice bob beat carol dave 10-4');
+
+      expect(matchService.recordMatch.mock.calls[0][3].pending).toBe(true);
+      expect(result.text).toMatch(/Waiting for @carol to confirm/);
+    });
+
+    it('should suggest the closest player names for typos', async () => {
+      const result = await send('/result @alcie @bob beat @carol @dvae 10-4');
+      expect(result.text).toMatch(/Unknown player <b>alcie<\/b>\. Did you mean @alice \(Ace\)\?/);
+      expect(result.text).toMatch(/Unknown player <b>dvae<\/b>\. Did you mean @dave\?/);
+      expect(matchService.recordMatch).not.toHaveBeenCalled();
+    });
+
+    it('should report unknown names without a close match', async () => {
+      const result = await send('/result @zzzzzz @bob beat @carol @dave 10-4');
+      expect(result.text).toMatch(/Unknown player <b>zzzzzz<\/b>\./);
+      expect(result.text).not.toMatch(/Did you mean/);
+    });
+
+    it('should reject the same player appearing twice', async () => {
+      const result = await send('/result alice ace beat carol dave 10-4');
+      expect(result.text).toMatch(/All players must be different/);
+      expect(matchService.recordMatch).not.toHaveBeenCalled();
+    });
+
+    it('should report ambiguous aliases', async () => {
+      playerService.findPlayerByNameOrAlias.mockRejectedValueOnce(new Error('Alias "Ace" is used by more than one player. Please use a username instead.'));
+      const result = await send('/result Ace bob beat carol dave 10-4');
+      expect(result.text).toMatch(/used by more than one player/);
+    });
+  });
+
+  describe('handleAddMatch', () => {
+    const originalAdmins = process.env.ADMIN_USERNAMES;
+    const registered = [
+      { _id: 'p1', username: 'alice', chatId: '1' },
+      { _id: 'p2', username: 'bob', chatId: '2' },
+      { _id: 'p3', username: 'carol', chatId: '3' },
+      { _id: 'p4', username: 'dave' }
+    ];
+    const send = (text, bot) => commandHandlers.handleAddMatch({ from: { username: 'admin' }, chat: { id: 1 }, text }, bot);
+
+    beforeEach(() => {
+      process.env.ADMIN_USERNAMES = 'admin';
+      playerService.findPlayerByNameOrAlias.mockImplementation(async (name) =>
+        registered.find(p => p.username === name.replace('@', '')) || null
+      );
+      playerService.getAllPlayers.mockResolvedValue(registered);
+    });
+
+    afterAll(() => {
+      process.env.ADMIN_USERNAMES = originalAdmins;
+    });
+
+    it('should only allow admins', async () => {
+      const result = await commandHandlers.handleAddMatch({ from: { username: 'bob' }, text: '/addmatch 2024-06-14 a b beat c d 10-4' });
+      expect(result.text).toMatch(/Only admins can add backdated matches/);
+      expect(matchService.recordBackdatedMatch).not.toHaveBeenCalled();
+    });
+
+    it('should explain a missing date', async () => {
+      const result = await send('/addmatch @alice @bob beat @carol @dave 10-4');
+      expect(result.text).toMatch(/Missing match date/);
+      expect(result.text).toMatch(/Usage:/);
+    });
+
+    it('should record the match at the given time and report recalculated ratings', async () => {
+      const match = {
+        _id: 'match1',
+        playedAt: new Date('2024-06-14T12:30:00Z'),
+        players: registered,
+        winners: registered.slice(0, 2),
+        losers: registered.slice(2),
+        score: { winners: 10, losers: 4 }
+      };
+      matchService.recordBackdatedMatch.mockResolvedValue({
+        match,
+        ratingChanges: [
+          { player: registered[0], format: '2v2', before: 1000, after: 1016 },
+          { player: registered[2], format: '2v2', before: 1000, after: 984 },
+          { player: { _id: 'p5', username: 'erin' }, format: '2v2', before: 1010, after: 1013 }
+        ],
+        seasons: ['2024-06', '2024-07']
+      });
+      const bot = { sendMessage: jest.fn().mockResolvedValue() };
+
+      const result = await send('/addmatch 2024-06-14 12:30 @alice @bob beat @carol @dave 10-4', bot);
+
+      expect(matchService.recordBackdatedMatch).toHaveBeenCalledWith(
+        ['alice', 'bob'],
+        ['carol', 'dave'],
         1,
-        true
+        new Date('2024-06-14T12:30:00Z'),
+        { score: { winners: 10, losers: 4 }, recordedBy: 'admin' }
       );
+      expect(result.text).toMatch(/Backdated match recorded/);
+      expect(result.text).toMatch(/@alice: 1000 → 1016/);
+      expect(result.text).toMatch(/Ratings of 1 other player/);
+      expect(result.text).toMatch(/Season standings rebuilt: 2024-06, 2024-07/);
+      expect(bot.sendMessage).toHaveBeenCalledWith('1', expect.stringMatching(/Your Elo: 1000 → 1016/), { parse_mode: 'HTML' });
+    });
+
+    it('should reject dates in the future', async () => {
+      matchService.recordBackdatedMatch.mockRejectedValue(new Error('Match date cannot be in the future'));
+      const result = await send('/addmatch 2999-01-01 alice bob beat carol dave 10-4');
+      expect(result.text).toMatch(/cannot be in the future/);
     });
   });
 
@@ -360,6 +944,63 @@ describe('commandHandlers', () => {
       const msg = { from: { username: 'user' } };
       const result = await commandHandlers.handleStats(msg);
       expect(result.text).toMatch(/Stats for @user/);
+      expect(result.text).not.toMatch(/provisional/);
+    });
+    it('should mark a provisional rating', async () => {
+      matchService.getPlayerStats.mockResolvedValue({
+        totalMatches: 2, wins: 1, losses: 1, winRate: 50, currentElo: 1008, provisional: true,
+        seasonMatches: 2, seasonWins: 1, seasonWinRate: 50, recentForm: 1
+      });
+      const result = await commandHandlers.handleStats({ from: { username: 'user' } });
+      expect(result.text).toMatch(/Current Elo: <b>1008<\/b> \(provisional\)/);
+    });
+    it('should show rating ± deviation when Glicko-2 is active', async () => {
+      process.env.RATING_ENGINE = 'glicko2';
+      matchService.getPlayerStats.mockResolvedValue({
+        totalMatches: 2, wins: 1, losses: 1, winRate: 50, currentElo: 1008, provisional: true,
+        glicko: { rating: 1043.6, deviation: 212.2, volatility: 0.06 },
+        seasonMatches: 2, seasonWins: 1, seasonWinRate: 50, recentForm: 1
+      });
+      const result = await commandHandlers.handleStats({ from: { username: 'user' } });
+      delete process.env.RATING_ENGINE;
+      expect(result.text).toMatch(/Rating: <b>1044 ± 212<\/b>/);
+      expect(result.text).not.toMatch(/Current Elo/);
+    });
+    it('should show goals when the player has scored matches', async () => {
+      matchService.getPlayerStats.mockResolvedValue({
+        totalMatches: 2, wins: 1, losses: 1, winRate: 50, currentElo: 1000, seasonMatches: 2, seasonWins: 1, seasonWinRate: 50, recentForm: 1,
+        goals: { goalsFor: 17, goalsAgainst: 12, goalDifference: 5, scoredMatches: 2 },
+        seasonGoals: { goalsFor: 0, goalsAgainst: 0, goalDifference: 0, scoredMatches: 0 }
+      });
+      const msg = { from: { username: 'user' } };
+      const result = await commandHandlers.handleStats(msg);
+      expect(result.text).toMatch(/Goals: 17–12 \(\+5\)/);
+      expect(result.text.match(/Goals:/g)).toHaveLength(1);
+    });
+    it('should show per-position stats once positions are recorded', async () => {
+      matchService.getPlayerStats.mockResolvedValue({
+        totalMatches: 3, wins: 2, losses: 1, winRate: 66.7, currentElo: 1010, seasonMatches: 3, seasonWins: 2, seasonWinRate: 66.7, recentForm: 2,
+        positions: {
+          attack: { matches: 2, wins: 2, winRate: '100.0', rating: 1032 },
+          defence: { matches: 1, wins: 0, winRate: '0.0', rating: 990 }
+        }
+      });
+      const result = await commandHandlers.handleStats({ from: { username: 'user' } });
+      expect(result.text).toMatch(/Attack: 2 matches, 2 wins \(100\.0%\) · rating <b>1032<\/b>/);
+      expect(result.text).toMatch(/Defence: 1 matches, 0 wins \(0\.0%\)/);
+      // Positions cover all seasons, so they are listed before the current season block
+      expect(result.text.indexOf('Positions (all time)')).toBeLessThan(result.text.indexOf('Current Season'));
+    });
+    it('should hide positions when none are recorded', async () => {
+      matchService.getPlayerStats.mockResolvedValue({
+        totalMatches: 1, wins: 1, losses: 0, winRate: 100, currentElo: 1010, seasonMatches: 1, seasonWins: 1, seasonWinRate: 100, recentForm: 1,
+        positions: {
+          attack: { matches: 0, wins: 0, winRate: 0 },
+          defence: { matches: 0, wins: 0, winRate: 0 }
+        }
+      });
+      const result = await commandHandlers.handleStats({ from: { username: 'user' } });
+      expect(result.text).not.toMatch(/Positions/);
     });
     it('should return player not found error', async () => {
       matchService.getPlayerStats.mockRejectedValue(new Error('Player not found'));
@@ -378,8 +1019,8 @@ describe('commandHandlers', () => {
     });
     it('should return leaderboard with players', async () => {
       playerService.getAllTimeLeaderboard.mockResolvedValue([
-        { username: 'a', name: 'A', elo: 1200, totalMatches: 10, totalWins: 7, winRate: 70.0 },
-        { username: 'b', name: 'B', elo: 1100, totalMatches: 8, totalWins: 4, winRate: 50.0 }
+        { username: 'a', name: 'A', elo: 1200, rating: 1200, totalMatches: 10, totalWins: 7, winRate: 70.0 },
+        { username: 'b', name: 'B', elo: 1100, rating: 1100, totalMatches: 8, totalWins: 4, winRate: 50.0 }
       ]);
       const msg = {};
       const result = await commandHandlers.handleLeaderboard(msg);
@@ -392,21 +1033,578 @@ describe('commandHandlers', () => {
       expect(result.text).toMatch(/70%/);
       expect(result.text).toMatch(/50%/);
     });
-    it('should display alias instead of username when available', async () => {
+    it('should rank attack and defence ratings', async () => {
+      playerService.getPositionLeaderboard.mockResolvedValue([
+        { username: 'striker', rating: 1064, totalMatches: 12, totalWins: 9, winRate: '75.0' },
+        { username: 'b', rating: 990, totalMatches: 3, totalWins: 1, winRate: '33.3' }
+      ]);
+      const result = await commandHandlers.handleLeaderboard({ text: '/leaderboard attack' });
+      expect(playerService.getPositionLeaderboard).toHaveBeenCalledWith('attack');
+      expect(playerService.getAllTimeLeaderboard).not.toHaveBeenCalled();
+      expect(result.text).toMatch(/⚔️ <b>Attack Leaderboard<\/b>/);
+      expect(result.text).toMatch(/1 \| striker    \| 1064 \| 12 \| 75\.0%/);
+      expect(result.text).toMatch(/M = matches at attack/);
+    });
+    it('should explain an empty position leaderboard', async () => {
+      playerService.getPositionLeaderboard.mockResolvedValue([]);
+      const result = await commandHandlers.handleLeaderboard({ text: '/leaderboard defence' });
+      expect(result.text).toMatch(/Defence Leaderboard/);
+      expect(result.text).toMatch(/No defence ratings yet/);
+    });
+    it('should mark provisional ratings', async () => {
       playerService.getAllTimeLeaderboard.mockResolvedValue([
-        { username: 'a', alias: 'ProPlayer', name: 'A', elo: 1200, totalMatches: 10, totalWins: 7, winRate: 70.0 },
-        { username: 'b', name: 'B', elo: 1100, totalMatches: 8, totalWins: 4, winRate: 50.0 }
+        { username: 'a', rating: 1200, totalMatches: 30, winRate: 70.0, provisional: false },
+        { username: 'newbie', rating: 1030, totalMatches: 3, winRate: 66.7, provisional: true }
       ]);
-      const msg = {};
-      const result = await commandHandlers.handleLeaderboard(msg);
-      expect(result.text).toMatch(/ProPlayer/);
-      expect(result.text).toMatch(/b/);
+      const result = await commandHandlers.handleLeaderboard({});
+      expect(result.text).toMatch(/newbie\* /);
+      expect(result.text).not.toMatch(/a\* /);
+      expect(result.text).toMatch(/Provisional rating: fewer than 10 matches played/);
     });
-  });
-
-  describe('handleSeason', () => {
-    it('should return empty season message when no matches', async () => {
-      seasonService.getSeasonLeaderboard.mockResolvedValue({
+    it('should show Glicko-2 ratings with deviation when that engine is active', async () => {
+      process.env.RATING_ENGINE = 'glicko2';
+      playerService.getAllTimeLeaderboard.mockResolvedValue([
+        { username: 'a', rating: 1200, glicko: { rating: 1150.2, deviation: 64.8 }, winRate: 70.0, provisional: false },
+        { username: 'newbie', rating: 1030, glicko: { rating: 1012, deviation: 290 }, winRate: 66.7, provisional: true }
+      ]);
+      const result = await commandHandlers.handleLeaderboard({});
+      delete process.env.RATING_ENGINE;
+      expect(result.text).toMatch(/RATING/);
+      expect(result.text).toMatch(/a {10}\|  1150 ± 65 \| 70%/);
+      expect(result.text).toMatch(/newbie {5}\| 1012 ± 290 \| 66.7%/);
+      expect(result.text).not.toMatch(/Provisional rating/);
+      expect(result.text).toMatch(/rating ± deviation/);
+    });
+    it('should list inactive players below active ones with a mark', async () => {
+      playerService.getAllTimeLeaderboard.mockResolvedValue([
+        { username: 'gone', rating: 1300, winRate: 80.0, inactive: true },
+        { username: 'a', rating: 1200, winRate: 70.0, inactive: false }
+      ]);
+      const result = await commandHandlers.handleLeaderboard({});
+      expect(result.text).toMatch(/1 \| a {10}\| 1200/);
+      expect(result.text).toMatch(/2 \| gone~ {6}\| 1300/);
+      expect(result.text).toMatch(/~ Inactive: no match in the last 30 days/);
+    });
+    it('should hide inactive players when configured', async () => {
+      process.env.INACTIVITY_LEADERBOARD = 'hide';
+      playerService.getAllTimeLeaderboard.mockResolvedValue([
+        { username: 'gone', rating: 1300, winRate: 80.0, inactive: true },
+        { username: 'a', rating: 1200, winRate: 70.0, inactive: false }
+      ]);
+      const result = await commandHandlers.handleLeaderboard({});
+      playerService.getAllTimeLeaderboard.mockResolvedValue([
+        { username: 'gone', rating: 1300, winRate: 80.0, inactive: true }
+      ]);
+      const onlyInactive = await commandHandlers.handleLeaderboard({});
+      delete process.env.INACTIVITY_LEADERBOARD;
+      expect(result.text).not.toMatch(/gone/);
+      expect(result.text).not.toMatch(/Inactive/);
+      expect(onlyInactive.text).toMatch(/No active players right now/);
+    });
+    it('should display alias instead of username when available', async () => {
+      playerService.getAllTimeLeaderboard.mockResolvedValue([
+        { username: 'a', alias: 'ProPlayer', name: 'A', elo: 1200, rating: 1200, totalMatches: 10, totalWins: 7, winRate: 70.0 },
+        { username: 'b', name: 'B', elo: 1100, rating: 1100, totalMatches: 8, totalWins: 4, winRate: 50.0 }
+      ]);
+      const msg = {};
+      const result = await commandHandlers.handleLeaderboard(msg);
+      expect(result.text).toMatch(/ProPlayer/);
+      expect(result.text).toMatch(/b/);
+    });
+    it('should show the 1v1 leaderboard when asked', async () => {
+      playerService.getAllTimeLeaderboard.mockResolvedValue([
+        { username: 'a', elo: 1200, rating: 1016, totalMatches: 1, totalWins: 1, winRate: '100.0' }
+      ]);
+      const result = await commandHandlers.handleLeaderboard({ text: '/leaderboard 1v1' });
+      expect(playerService.getAllTimeLeaderboard).toHaveBeenCalledWith('1v1');
+      expect(result.text).toMatch(/All-Time 1v1 Leaderboard/);
+      expect(result.text).toMatch(/1016/);
+      expect(result.text).not.toMatch(/1200/);
+    });
+  });
+
+  describe('handleRecalculate', () => {
+    const originalAdmins = process.env.ADMIN_USERNAMES;
+    const report = { dryRun: true, matches: 2, changedMatches: 1, seasons: ['2024-06'], ratingChanges: [] };
+    beforeEach(() => {
+      process.env.ADMIN_USERNAMES = 'admin';
+      ratingReplayService.formatRecalculationReport.mockReturnValue('Rating recalculation <report>');
+    });
+    afterAll(() => {
+      process.env.ADMIN_USERNAMES = originalAdmins;
+    });
+
+    it('should only be available to admins', async () => {
+      const result = await commandHandlers.handleRecalculate({ from: { username: 'user' }, text: '/recalculate confirm' });
+      expect(result.text).toMatch(/Only admins/);
+      expect(ratingReplayService.recalculateAllRatings).not.toHaveBeenCalled();
+    });
+    it('should preview the report without saving by default', async () => {
+      ratingReplayService.recalculateAllRatings.mockResolvedValue(report);
+      const result = await commandHandlers.handleRecalculate({ from: { username: 'admin' }, text: '/recalculate' });
+      expect(ratingReplayService.recalculateAllRatings).toHaveBeenCalledWith({ dryRun: true });
+      expect(result.text).toMatch(/Rating Recalculation Preview/);
+      expect(result.text).toMatch(/<pre>Rating recalculation &lt;report&gt;<\/pre>/);
+      expect(result.text).toMatch(/\/recalculate confirm/);
+    });
+    it('should save the recalculated ratings when confirmed', async () => {
+      ratingReplayService.recalculateAllRatings.mockResolvedValue({ ...report, dryRun: false });
+      const result = await commandHandlers.handleRecalculate({ from: { username: 'admin' }, text: '/recalculate confirm' });
+      expect(ratingReplayService.recalculateAllRatings).toHaveBeenCalledWith({ dryRun: false });
+      expect(result.text).toMatch(/Ratings Recalculated/);
+      expect(result.text).not.toMatch(/Nothing was saved/);
+    });
+  });
+
+  describe('handlePredict', () => {
+    const registered = [
+      { username: 'alice', alias: 'Ace' },
+      { username: 'bob' },
+      { username: 'carol' },
+      { username: 'dave' }
+    ];
+    const prediction = {
+      format: '2v2',
+      team1Players: registered.slice(0, 2),
+      team2Players: registered.slice(2),
+      team1Ratings: [1200, 1200],
+      team2Ratings: [1000, 1000],
+      team1WinProbability: 0.7597,
+      ifTeam1Wins: { team1Changes: [8, 8], team2Changes: [-8, -8] },
+      ifTeam2Wins: { team1Changes: [-24, -24], team2Changes: [24, 24] }
+    };
+    const send = (text) => commandHandlers.handlePredict({ from: { username: 'bob' }, text });
+
+    beforeEach(() => {
+      playerService.findPlayerByNameOrAlias.mockImplementation(async (name) => {
+        const clean = name.replace('@', '').toLowerCase();
+        return registered.find(p => p.username === clean || (p.alias && p.alias.toLowerCase() === clean)) || null;
+      });
+      playerService.getAllPlayers.mockResolvedValue(registered);
+    });
+
+    it('should show usage without arguments', async () => {
+      const result = await send('/predict');
+      expect(result.text).toMatch(/Usage:/);
+    });
+
+    it('should explain parse errors', async () => {
+      const result = await send('/predict @alice @bob @carol @dave');
+      expect(result.text).toMatch(/Missing "vs"/);
+      expect(matchService.predictMatch).not.toHaveBeenCalled();
+    });
+
+    it('should show win probabilities and the Elo at stake for each result', async () => {
+      matchService.predictMatch.mockResolvedValue(prediction);
+
+      const result = await send('/predict ace @bob vs @carol @dave');
+
+      expect(matchService.predictMatch).toHaveBeenCalledWith(['alice', 'bob'], ['carol', 'dave']);
+      expect(result.text).toMatch(/Match Prediction \(2v2\)/);
+      expect(result.text).toMatch(/🔵 Ace \(1200\) \+ bob \(1200\): <b>76%<\/b>/);
+      expect(result.text).toMatch(/🔴 carol \(1000\) \+ dave \(1000\): <b>24%<\/b>/);
+      expect(result.text).toMatch(/If Ace \+ bob win: Ace \+8, bob \+8 · carol -8, dave -8/);
+      expect(result.text).toMatch(/If carol \+ dave win: carol \+24, dave \+24 · Ace -24, bob -24/);
+      expect(result.text).not.toMatch(/margin of victory/);
+    });
+
+    it('should report unknown players', async () => {
+      const result = await send('/predict @alice @bob vs @carol @zed');
+      expect(result.text).toMatch(/zed/);
+      expect(matchService.predictMatch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleH2H', () => {
+    const alice = { username: 'alice', alias: 'Ace' };
+    const bob = { username: 'bob' };
+    const send = (text) => commandHandlers.handleH2H({ from: { username: 'bob' }, chat: { id: 77 }, text });
+
+    beforeEach(() => {
+      playerService.findPlayerByNameOrAlias.mockImplementation(async (name) =>
+        [alice, bob].find(p => p.username === name || p.alias === name) || null);
+    });
+
+    it('should show usage unless two players are given', async () => {
+      const result = await send('/h2h @alice');
+      expect(result.text).toMatch(/Usage:/);
+      expect(matchService.getHeadToHead).not.toHaveBeenCalled();
+    });
+
+    it('should reject the same player twice, also by username and alias', async () => {
+      expect((await send('/h2h @alice @alice')).text).toBe('❌ All players must be different.');
+      expect((await send('/h2h Ace @alice')).text).toBe('❌ All players must be different.');
+      expect(matchService.getHeadToHead).not.toHaveBeenCalled();
+    });
+
+    it('should show the record against each other, as partners and the last encounters', async () => {
+      matchService.getHeadToHead.mockResolvedValue({
+        players: [alice, bob],
+        against: { matches: 4, wins: [3, 1], winRates: ['75.0', '25.0'], eloChanges: [30, -28] },
+        together: { matches: 2, wins: 1, losses: 1, winRate: '50.0', eloChanges: [2, -1] },
+        recent: [{
+          playedAt: new Date('2024-06-03T10:00:00Z'),
+          winners: [alice, { username: 'carol' }],
+          losers: [bob, { username: 'dave' }],
+          score: { winners: 10, losers: 4 }
+        }]
+      });
+
+      const result = await send('/h2h Ace @bob');
+
+      expect(matchService.getHeadToHead).toHaveBeenCalledWith('alice', 'bob');
+      expect(result.text).toMatch(/<b>Ace<\/b> vs <b>bob<\/b>/);
+      expect(result.text).toMatch(/Against each other:<\/b> 4 matches/);
+      expect(result.text).toMatch(/Ace: 3 wins \(75\.0%\)/);
+      expect(result.text).toMatch(/Elo swapped: Ace \+30, bob -28/);
+      expect(result.text).toMatch(/As partners:<\/b> 2 matches\n• 1 wins, 1 losses \(50\.0%\)/);
+      expect(result.text).toMatch(/2024-06-03: @alice \+ @carol beat @bob \+ @dave/);
+    });
+
+    it('should skip the details of records without matches', async () => {
+      matchService.getHeadToHead.mockResolvedValue({
+        players: [alice, bob],
+        against: { matches: 0, wins: [0, 0], winRates: [0, 0], eloChanges: [0, 0] },
+        together: { matches: 1, wins: 1, losses: 0, winRate: '100.0', eloChanges: [16, 16] },
+        recent: []
+      });
+
+      const result = await send('/h2h @alice @bob');
+
+      expect(result.text).toMatch(/Against each other:<\/b> 0 matches\n\n/);
+      expect(result.text).toMatch(/As partners:<\/b> 1 match\n/);
+      expect(result.text).not.toMatch(/Last encounters/);
+    });
+  });
+
+  describe('handlePartners', () => {
+    const me = { username: 'me', alias: 'Me' };
+    const bob = { username: 'bob' };
+    const carol = { username: 'carol' };
+    const dave = { username: 'dave' };
+    const send = (text) => commandHandlers.handlePartners({ from: { username: 'me' }, chat: { id: 77 }, text });
+
+    beforeEach(() => {
+      delete process.env.PARTNER_MIN_MATCHES;
+      playerService.findPlayerByNameOrAlias.mockImplementation(async (name) =>
+        [me, bob].find(p => p.username === name.replace('@', '')) || null);
+    });
+
+    it('should show best and worst partner, victim, nemesis and the partner table', async () => {
+      const bobEntry = { player: bob, matches: 10, wins: 7, winRate: '70.0', eloChange: 48, expectedWinRate: '52.5' };
+      const carolEntry = { player: carol, matches: 4, wins: 1, winRate: '25.0', eloChange: -30, expectedWinRate: null };
+      matchService.getPartnerReport.mockResolvedValue({
+        player: me,
+        minMatches: 3,
+        partners: [bobEntry, carolEntry],
+        bestPartner: bobEntry,
+        worstPartner: carolEntry,
+        favouriteVictim: { player: dave, matches: 9, wins: 6, losses: 3 },
+        nemesis: { player: carol, matches: 5, wins: 1, losses: 4 }
+      });
+
+      const result = await send('/partners');
+
+      expect(matchService.getPartnerReport).toHaveBeenCalledWith('me', 3);
+      expect(result.text).toMatch(/Partners of Me/);
+      expect(result.text).toMatch(/Best partner:<\/b> bob \(7–3, 70\.0%\)/);
+      expect(result.text).toMatch(/Worst partner:<\/b> carol \(1–3, 25\.0%\)/);
+      expect(result.text).toMatch(/Favourite victim:<\/b> dave \(beaten 6×, 6–3\)/);
+      expect(result.text).toMatch(/Nemesis:<\/b> carol \(lost 4×, 1–4\)/);
+      expect(result.text).toContain('1 | bob        | 10 |  70.0% |  52.5% |  +48');
+      expect(result.text).toContain('2 | carol      |  4 |  25.0% |      - |  -30');
+    });
+
+    it('should explain the threshold when no partner qualifies', async () => {
+      matchService.getPartnerReport.mockResolvedValue({
+        player: bob, minMatches: 3, partners: [], bestPartner: null, worstPartner: null, favouriteVictim: null, nemesis: null
+      });
+
+      const result = await send('/partners @bob');
+
+      expect(matchService.getPartnerReport).toHaveBeenCalledWith('bob', 3);
+      expect(result.text).toMatch(/play 3 2v2 matches with the same partner/);
+      expect(result.text).toMatch(/No 2v2 matches yet/);
+    });
+
+    it('should report unknown players', async () => {
+      const result = await send('/partners @nobody');
+      expect(result.text).toMatch(/Player not found:<\/b> @nobody/);
+    });
+  });
+
+  describe('handleChart', () => {
+    const alice = { _id: 'a', username: 'alice', alias: 'Ace' };
+    const bob = { _id: 'b', username: 'bob' };
+    const send = (text) => commandHandlers.handleChart({ from: { username: 'alice' }, chat: { id: 77 }, text });
+    const points = [
+      { date: new Date('2024-06-20'), rating: 1000, season: '2024-06' },
+      { date: new Date('2024-07-02'), rating: 1016, season: '2024-07' }
+    ];
+
+    beforeEach(() => {
+      playerService.findPlayerByNameOrAlias.mockImplementation(async (name) =>
+        [alice, bob].find(p => p.username === name.replace('@', '')) || null);
+    });
+
+    it('should chart your own doubles rating by default', async () => {
+      ratingHistoryService.getRatingSeries.mockResolvedValue(points);
+
+      const result = await send('/chart');
+
+      expect(ratingHistoryService.getRatingSeries).toHaveBeenCalledWith('a', '2v2', null);
+      expect(Buffer.isBuffer(result.photo)).toBe(true);
+      expect(result.caption).toMatch(/Elo Chart \(2v2, all seasons\)/);
+      expect(result.caption).toMatch(/🔵 Ace: 1016/);
+    });
+
+    it('should overlay players for one season and format', async () => {
+      ratingHistoryService.getRatingSeries.mockResolvedValueOnce(points).mockResolvedValueOnce([]);
+
+      const result = await send('/chart @alice @bob 2024-07 1v1');
+
+      expect(ratingHistoryService.getRatingSeries).toHaveBeenCalledWith('a', '1v1', '2024-07');
+      expect(ratingHistoryService.getRatingSeries).toHaveBeenCalledWith('b', '1v1', '2024-07');
+      expect(result.caption).toMatch(/season 2024-07/);
+      expect(result.caption).toMatch(/⚪ bob: no rating changes/);
+    });
+
+    it('should explain when there is nothing to chart', async () => {
+      ratingHistoryService.getRatingSeries.mockResolvedValue([]);
+
+      const result = await send('/chart');
+
+      expect(result.photo).toBeUndefined();
+      expect(result.text).toMatch(/No rating changes to chart yet/);
+    });
+
+    it('should allow at most four players and report unknown ones', async () => {
+      expect((await send('/chart @a @b @c @d @e')).text).toMatch(/up to 4 players/);
+      expect((await send('/chart @nobody')).text).toMatch(/Player not found:<\/b> @nobody/);
+      expect(ratingHistoryService.getRatingSeries).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleTeams', () => {
+    const registered = [
+      { username: 'alice', alias: 'Ace', name: 'Alice' },
+      { username: 'bob' },
+      { username: 'carol' },
+      { username: 'dave' }
+    ];
+    const [alice, bob, carol, dave] = registered;
+    const splits = [
+      { team1Players: [alice, dave], team2Players: [bob, carol], team1WinProbability: 0.5, repeatedPartners: 0 },
+      { team1Players: [alice, carol], team2Players: [bob, dave], team1WinProbability: 0.64, repeatedPartners: 1 },
+      { team1Players: [alice, bob], team2Players: [carol, dave], team1WinProbability: 0.85, repeatedPartners: 0 }
+    ];
+    const originalRecent = process.env.TEAMS_RECENT_MATCHES;
+    const send = (text) => commandHandlers.handleTeams({ from: { username: 'bob', id: 2 }, chat: { id: 77 }, text });
+    const pressStart = () => commandHandlers.handleTeamsStart({ message: { chat: { id: 77 } }, from: { id: 2 }, data: 'teams_start' });
+
+    beforeEach(() => {
+      delete process.env.TEAMS_RECENT_MATCHES;
+      commandHandlers.__setMatchCreationState(new Map());
+      playerService.findPlayerByNameOrAlias.mockImplementation(async (name) => {
+        const clean = name.replace('@', '').toLowerCase();
+        return registered.find(p => p.username === clean || (p.alias && p.alias.toLowerCase() === clean)) || null;
+      });
+      playerService.getPlayerByUsername.mockImplementation(async (username) => registered.find(p => p.username === username) || null);
+      playerService.getAllPlayers.mockResolvedValue(registered);
+    });
+
+    afterAll(() => {
+      process.env.TEAMS_RECENT_MATCHES = originalRecent;
+    });
+
+    it('should show usage unless four players are given', async () => {
+      const result = await send('/teams @alice @bob @carol');
+      expect(result.text).toMatch(/Usage:/);
+      expect(matchService.suggestTeams).not.toHaveBeenCalled();
+    });
+
+    it('should show the team leaderboard with the default threshold', async () => {
+      delete process.env.TEAM_LEADERBOARD_MIN_MATCHES;
+      teamService.getTeamLeaderboard.mockResolvedValue([
+        { players: [alice, bob], elo: 1062, matches: 12, currentStreak: 3, winRate: '66.7' },
+        { players: [carol, dave], elo: 984, matches: 7, currentStreak: -1, winRate: '42.9' }
+      ]);
+
+      const result = await send('/teams leaderboard');
+
+      expect(teamService.getTeamLeaderboard).toHaveBeenCalledWith(5);
+      expect(result.text).toMatch(/Team Leaderboard/);
+      expect(result.text).toContain('1 | Ace + bob  | 1062 | 12 |  W3 | 66.7%');
+      expect(result.text).toContain('2 | carol + dave |  984 |  7 |  L1 | 42.9%');
+      expect(result.text).toMatch(/at least 5 2v2 matches together/);
+      expect(matchService.suggestTeams).not.toHaveBeenCalled();
+    });
+
+    it('should use the threshold given with the command', async () => {
+      teamService.getTeamLeaderboard.mockResolvedValue([]);
+
+      const result = await send('/teams leaderboard 10');
+
+      expect(teamService.getTeamLeaderboard).toHaveBeenCalledWith(10);
+      expect(result.text).toMatch(/No duo has played 10 2v2 matches together yet/);
+    });
+
+    it('should suggest the fairest split and list every split', async () => {
+      matchService.suggestTeams.mockResolvedValue(splits);
+
+      const result = await send('/teams ace @bob carol @dave');
+
+      expect(matchService.suggestTeams).toHaveBeenCalledWith(['alice', 'bob', 'carol', 'dave'], { recentMatches: 3 });
+      expect(result.text).toMatch(/🔵 <b>Ace \+ dave<\/b>\n🔴 <b>bob \+ carol<\/b>/);
+      expect(result.text).toMatch(/• Ace \+ carol vs bob \+ dave: 64% \/ 36% 🔁/);
+      expect(result.text).toMatch(/last 3 doubles matches/);
+      expect(result.reply_markup.inline_keyboard[0][0].callback_data).toBe('teams_start');
+    });
+
+    it('should start the match wizard with the suggested teams', async () => {
+      matchService.suggestTeams.mockResolvedValue(splits);
+      await send('/teams alice bob carol dave');
+
+      const result = await pressStart();
+
+      expect(result.text).toMatch(/🔵 Alice \+ dave\n🔴 bob \+ carol/);
+      expect(result.reply_markup.inline_keyboard.flat().map(b => b.callback_data)).toEqual(['side_1', 'side_2', 'cancel_match_creation']);
+
+      const sidePicked = await commandHandlers.handlePlayerSelection({ message: { chat: { id: 77 } }, from: { id: 2 }, data: 'side_2' });
+      const state = commandHandlers.__getMatchCreationState().get(77);
+      expect(state.winners.map(p => p.username)).toEqual(['bob', 'carol']);
+      expect(state.losers.map(p => p.username)).toEqual(['alice', 'dave']);
+      expect(sidePicked.text).toMatch(/Who played <b>attack<\/b> for the winners/);
+    });
+
+    it('should not start a match from an expired or used suggestion', async () => {
+      matchService.suggestTeams.mockResolvedValue(splits);
+      await send('/teams alice bob carol dave');
+      await pressStart();
+      commandHandlers.__setMatchCreationState(new Map());
+
+      const result = await pressStart();
+
+      expect(result.text).toMatch(/These teams have expired/);
+    });
+  });
+
+  describe('handleHistory', () => {
+    const alice = { _id: 'a', username: 'alice', alias: 'Ali' };
+    const bob = { _id: 'b', username: 'bob' };
+    const carol = { _id: 'c', username: 'carol' };
+    const dave = { _id: 'd', username: 'dave' };
+    const won = { winners: [alice, bob], losers: [carol, dave], score: { winners: 10, losers: 4 } };
+    const lost = { winners: [carol, dave], losers: [alice, bob] };
+    const entries = [
+      { _id: 'h3', reason: 'decay', playedAt: new Date('2024-06-20'), ratingBefore: 1041, ratingAfter: 1032 },
+      { _id: 'h2', reason: 'match', match: won, won: true, playedAt: new Date('2024-06-10'), ratingBefore: 1025, ratingAfter: 1041 },
+      { _id: 'h1', reason: 'match', match: lost, won: false, playedAt: new Date('2024-06-01'), ratingBefore: 1040, ratingAfter: 1025 }
+    ];
+
+    it('should list the sender\'s rating changes with peak and lowest markers', async () => {
+      playerService.findPlayerByNameOrAlias.mockResolvedValue(alice);
+      ratingHistoryService.getPlayerHistory.mockResolvedValue({ entries, total: 3, peak: entries[1], lowest: entries[2] });
+
+      const result = await commandHandlers.handleHistory({ from: { username: 'alice' }, text: '/history' });
+
+      expect(playerService.findPlayerByNameOrAlias).toHaveBeenCalledWith('alice');
+      expect(ratingHistoryService.getPlayerHistory).toHaveBeenCalledWith('a', '2v2', { page: 0, pageSize: 10 });
+      expect(result.text).toMatch(/Rating History: Ali \(2v2\)/);
+      expect(result.text).toMatch(/Peak: <b>1041 \(2024-06-10\)<\/b>/);
+      expect(result.text).toMatch(/💤 2024-06-20 <b>-9<\/b> → 1032\n {3}<i>inactivity decay<\/i>/);
+      expect(result.text).toMatch(/✅ 2024-06-10 <b>\+16<\/b> → 1041 ⛰️ peak\n {3}with bob vs carol & dave · 10–4/);
+      expect(result.text).toMatch(/❌ 2024-06-01 <b>-15<\/b> → 1025 🕳 low\n {3}with bob vs carol & dave\n/);
+      expect(result.reply_markup).toBeUndefined();
+    });
+
+    it('should show another player\'s history with the requested page size and format', async () => {
+      playerService.findPlayerByNameOrAlias.mockResolvedValue(bob);
+      ratingHistoryService.getPlayerHistory.mockResolvedValue({ entries: entries.slice(1, 3), total: 5, peak: entries[1], lowest: entries[2] });
+
+      const result = await commandHandlers.handleHistory({ from: { username: 'alice' }, text: '/history @bob 2 1v1' });
+
+      expect(playerService.findPlayerByNameOrAlias).toHaveBeenCalledWith('@bob');
+      expect(ratingHistoryService.getPlayerHistory).toHaveBeenCalledWith('b', '1v1', { page: 0, pageSize: 2 });
+      expect(result.text).toMatch(/Page 1 of 3/);
+      expect(result.reply_markup.inline_keyboard).toEqual([[{ text: '⬅️ Older', callback_data: 'history_b_1v1_2_1' }]]);
+    });
+
+    it('should show seasonal soft resets', async () => {
+      const reset = { _id: 'h4', reason: 'reset', playedAt: new Date('2024-07-01'), ratingBefore: 1032, ratingAfter: 1024 };
+      playerService.findPlayerByNameOrAlias.mockResolvedValue(alice);
+      ratingHistoryService.getPlayerHistory.mockResolvedValue({ entries: [reset], total: 1, peak: reset, lowest: reset });
+
+      const result = await commandHandlers.handleHistory({ from: { username: 'alice' }, text: '/history' });
+
+      expect(result.text).toMatch(/🔄 2024-07-01 <b>-8<\/b> → 1024 ⛰️ peak\n {3}<i>season soft reset<\/i>/);
+    });
+
+    it('should report unknown players', async () => {
+      playerService.findPlayerByNameOrAlias.mockResolvedValue(null);
+      const result = await commandHandlers.handleHistory({ from: { username: 'alice' }, text: '/history @nobody' });
+      expect(result.text).toMatch(/Player not found:<\/b> @nobody/);
+    });
+
+    it('should say when no rating changes are recorded', async () => {
+      playerService.findPlayerByNameOrAlias.mockResolvedValue(alice);
+      ratingHistoryService.getPlayerHistory.mockResolvedValue({ entries: [], total: 0, peak: null, lowest: null });
+      const result = await commandHandlers.handleHistory({ from: { username: 'alice' }, text: '/history 1v1' });
+      expect(result.text).toMatch(/No 1v1 rating changes recorded yet/);
+    });
+
+    it('should page through the history from the buttons', async () => {
+      playerService.getPlayerById.mockResolvedValue(bob);
+      ratingHistoryService.getPlayerHistory.mockResolvedValue({ entries: entries.slice(2), total: 5, peak: entries[1], lowest: entries[2] });
+
+      const result = await commandHandlers.handleHistoryPage({ data: 'history_b_2v2_2_1' });
+
+      expect(ratingHistoryService.getPlayerHistory).toHaveBeenCalledWith('b', '2v2', { page: 1, pageSize: 2 });
+      expect(result.text).toMatch(/Page 2 of 3/);
+      expect(result.reply_markup.inline_keyboard[0]).toEqual([
+        { text: '⬅️ Older', callback_data: 'history_b_2v2_2_2' },
+        { text: 'Newer ➡️', callback_data: 'history_b_2v2_2_0' }
+      ]);
+    });
+  });
+
+  describe('handleRatingCompare', () => {
+    const originalAdmins = process.env.ADMIN_USERNAMES;
+    beforeEach(() => {
+      process.env.ADMIN_USERNAMES = 'admin';
+    });
+    afterAll(() => {
+      process.env.ADMIN_USERNAMES = originalAdmins;
+    });
+
+    it('should only be available to admins', async () => {
+      const result = await commandHandlers.handleRatingCompare({ from: { username: 'user' }, text: '/ratingcompare' });
+      expect(result.text).toMatch(/Only admins/);
+      expect(ratingReplayService.replayHistory).not.toHaveBeenCalled();
+    });
+    it('should show both engines side by side in Elo order', async () => {
+      const alice = { _id: 'a', username: 'alice' };
+      const bob = { _id: 'b', username: 'bob' };
+      ratingReplayService.replayHistory.mockImplementation(async (engine) => engine === 'elo'
+        ? [{ player: alice, rating: 1040, matches: 5 }, { player: bob, rating: 960, matches: 5 }]
+        : [{ player: bob, rating: 1010, deviation: 200, matches: 5 }, { player: alice, rating: 990, deviation: 180, matches: 5 }]);
+      const result = await commandHandlers.handleRatingCompare({ from: { username: 'admin' }, text: '/ratingcompare 1v1' });
+      expect(ratingReplayService.replayHistory).toHaveBeenCalledWith('elo', '1v1');
+      expect(ratingReplayService.replayHistory).toHaveBeenCalledWith('glicko2', '1v1');
+      expect(result.text).toMatch(/Rating Engines \(1v1\)/);
+      expect(result.text).toMatch(/1 \| alice      \| 1040 \|  990 ± 180 \|  2/);
+      expect(result.text).toMatch(/2 \| bob        \|  960 \| 1010 ± 200 \|  1/);
+    });
+    it('should say when there are no matches', async () => {
+      ratingReplayService.replayHistory.mockResolvedValue([]);
+      const result = await commandHandlers.handleRatingCompare({ from: { username: 'admin' }, text: '/ratingcompare' });
+      expect(result.text).toMatch(/No 2v2 matches played yet/);
+    });
+  });
+
+  describe('handleSeason', () => {
+    it('should return empty season message when no matches', async () => {
+      seasonService.getSeasonLeaderboard.mockResolvedValue({
         season: '2024-06',
         summary: [],
         categories: {
@@ -463,6 +1661,29 @@ describe('commandHandlers', () => {
       expect(result.text).toMatch(/Wins/);
     });
 
+    it('should show goal difference table when scores are recorded', async () => {
+      const mockPlayer = { username: 'player1', alias: null };
+      seasonService.getSeasonLeaderboard.mockResolvedValue({
+        season: '2024-06',
+        summary: [
+          { rank: 1, player: mockPlayer, value: 15 }
+        ],
+        categories: {
+          eloGains: [],
+          matchesPlayed: [],
+          dryWins: [],
+          totalWins: [],
+          longestStreak: []
+        },
+        goalDifference: [
+          { rank: 1, player: mockPlayer, value: 8, goalsFor: 30, goalsAgainst: 22 }
+        ]
+      });
+      const result = await commandHandlers.handleSeason({});
+      expect(result.text).toMatch(/Best Goal Difference/);
+      expect(result.text).toMatch(/\+8/);
+    });
+
     it('should display alias instead of username when available', async () => {
       const mockPlayer = { username: 'player1', alias: 'ProPlayer' };
       seasonService.getSeasonLeaderboard.mockResolvedValue({
@@ -484,6 +1705,396 @@ describe('commandHandlers', () => {
     });
   });
 
+  describe('handleUndo', () => {
+    const originalAdmins = process.env.ADMIN_USERNAMES;
+    const recentMatch = () => ({
+      _id: 'match1',
+      status: 'confirmed',
+      recordedBy: 'user',
+      recordedAt: new Date(),
+      playedAt: new Date('2024-06-01T12:00:00Z'),
+      winners: [{ username: 'player1' }, { username: 'player2' }],
+      losers: [{ username: 'player3' }, { username: 'player4' }],
+      score: { winners: 10, losers: 6 }
+    });
+
+    beforeEach(() => {
+      process.env.ADMIN_USERNAMES = 'admin';
+    });
+
+    afterAll(() => {
+      process.env.ADMIN_USERNAMES = originalAdmins;
+    });
+
+    it('should return error if no username', async () => {
+      const result = await commandHandlers.handleUndo({ from: {}, text: '/undo' });
+      expect(result.text).toMatch(/You need to have a Telegram username/);
+    });
+
+    it('should return error if user has no recorded matches', async () => {
+      matchService.getLastRecordedMatch.mockResolvedValue(null);
+      const result = await commandHandlers.handleUndo({ from: { username: 'user' }, text: '/undo' });
+      expect(result.text).toMatch(/have not recorded any matches/);
+    });
+
+    it('should ask for confirmation to undo the last recorded match', async () => {
+      matchService.getLastRecordedMatch.mockResolvedValue(recentMatch());
+      const result = await commandHandlers.handleUndo({ from: { username: 'user' }, text: '/undo' });
+      expect(result.text).toMatch(/Undo this match/);
+      expect(result.text).toMatch(/@player1 \+ @player2 beat @player3 \+ @player4 \(10–6\)/);
+      expect(result.reply_markup.inline_keyboard[0][0].callback_data).toBe('undo_confirm_match1');
+    });
+
+    it('should refuse after the undo window has passed', async () => {
+      const match = recentMatch();
+      match.recordedAt = new Date(Date.now() - 60 * 60 * 1000);
+      matchService.getLastRecordedMatch.mockResolvedValue(match);
+      const result = await commandHandlers.handleUndo({ from: { username: 'user' }, text: '/undo' });
+      expect(result.text).toMatch(/undo window has passed/);
+    });
+
+    it('should refuse to undo a match recorded by someone else', async () => {
+      matchService.getMatchById.mockResolvedValue(recentMatch());
+      const result = await commandHandlers.handleUndo({ from: { username: 'other' }, text: '/undo match1' });
+      expect(result.text).toMatch(/Only the player who recorded this match or an admin/);
+    });
+
+    it('should let admins undo any match at any time', async () => {
+      const match = recentMatch();
+      match.recordedAt = new Date('2020-01-01');
+      matchService.getMatchById.mockResolvedValue(match);
+      const result = await commandHandlers.handleUndo({ from: { username: 'admin' }, text: '/undo match1' });
+      expect(matchService.getMatchById).toHaveBeenCalledWith('match1');
+      expect(result.text).toMatch(/Undo this match/);
+    });
+
+    it('should return error for an already voided match', async () => {
+      const match = recentMatch();
+      match.status = 'voided';
+      matchService.getMatchById.mockResolvedValue(match);
+      const result = await commandHandlers.handleUndo({ from: { username: 'admin' }, text: '/undo match1' });
+      expect(result.text).toMatch(/already been voided/);
+    });
+  });
+
+  describe('handleEditMatch', () => {
+    const originalAdmins = process.env.ADMIN_USERNAMES;
+    const players = [
+      { _id: 'p1', username: 'alice', chatId: '1' },
+      { _id: 'p2', username: 'bob', chatId: '2' },
+      { _id: 'p3', username: 'carol', chatId: '3' },
+      { _id: 'p4', username: 'dave', chatId: '4' }
+    ];
+    const storedMatch = {
+      _id: 'match1',
+      status: 'confirmed',
+      playedAt: new Date('2024-06-01T12:00:00Z'),
+      players,
+      winners: players.slice(0, 2),
+      losers: players.slice(2),
+      score: { winners: 10, losers: 4 },
+      isDryWin: false
+    };
+    const press = (data) => commandHandlers.handleMatchEditAction({
+      message: { chat: { id: 123 } },
+      from: { id: 456, username: 'admin' },
+      data
+    });
+
+    beforeEach(() => {
+      process.env.ADMIN_USERNAMES = 'admin';
+      commandHandlers.__setMatchCreationState(new Map());
+    });
+
+    afterAll(() => {
+      process.env.ADMIN_USERNAMES = originalAdmins;
+    });
+
+    const openEditor = () => {
+      matchService.getMatchById.mockResolvedValue(storedMatch);
+      return commandHandlers.handleEditMatch({ chat: { id: 123 }, from: { id: 456, username: 'admin' }, text: '/editmatch match1' });
+    };
+
+    it('should only allow admins', async () => {
+      const result = await commandHandlers.handleEditMatch({ chat: { id: 123 }, from: { id: 1, username: 'bob' }, text: '/editmatch match1' });
+      expect(result.text).toMatch(/Only admins can edit matches/);
+    });
+
+    it('should refuse voided matches', async () => {
+      matchService.getMatchById.mockResolvedValue({ ...storedMatch, status: 'voided' });
+      const result = await commandHandlers.handleEditMatch({ chat: { id: 123 }, from: { id: 456, username: 'admin' }, text: '/editmatch match1' });
+      expect(result.text).toMatch(/Voided matches cannot be edited/);
+    });
+
+    it('should show the edit menu for the match', async () => {
+      const result = await openEditor();
+      expect(result.text).toMatch(/Editing Match<\/b> <code>match1<\/code>/);
+      expect(result.text).toMatch(/Score: 10–4/);
+      const callbacks = result.reply_markup.inline_keyboard.flat().map(b => b.callback_data);
+      expect(callbacks).toEqual(['edit_players', 'edit_swap', 'edit_score', 'edit_save', 'cancel_match_creation']);
+    });
+
+    it('should reuse the player selection keyboard to change players', async () => {
+      await openEditor();
+      playerService.getAllPlayers.mockResolvedValue(players);
+      const result = await press('edit_players');
+      expect(result.text).toMatch(/Editing Match/);
+      expect(result.text).toMatch(/Please select <b>2 winners<\/b>/);
+      expect(result.reply_markup.inline_keyboard[0][0].callback_data).toBe('player_alice');
+    });
+
+    it('should return to the menu after choosing the losers', async () => {
+      await openEditor();
+      const state = commandHandlers.__getMatchCreationState().get(123);
+      Object.assign(state, { step: 'select_losers', winners: players.slice(0, 2), losers: [players[2]] });
+      playerService.getPlayerByUsername.mockResolvedValue(players[3]);
+      playerService.getAllPlayers.mockResolvedValue(players);
+
+      const result = await commandHandlers.handlePlayerSelection({
+        message: { chat: { id: 123 } },
+        from: { id: 456, username: 'admin' },
+        data: 'player_dave'
+      });
+
+      expect(result.text).toMatch(/Editing Match<\/b> <code>match1<\/code>/);
+      expect(state.step).toBe('edit_menu');
+    });
+
+    it('should save a swapped result and report recalculated ratings', async () => {
+      await openEditor();
+      await press('edit_swap');
+      const editedMatch = { ...storedMatch, winners: players.slice(2), losers: players.slice(0, 2) };
+      matchService.editMatch.mockResolvedValue({
+        match: editedMatch,
+        before: { winners: ['p1', 'p2'], losers: ['p3', 'p4'] },
+        ratingChanges: [
+          { player: players[0], format: '2v2', before: 1016, after: 984 },
+          { player: { _id: 'p5', username: 'erin' }, format: '2v2', before: 1000, after: 1002 }
+        ],
+        seasons: ['2024-06']
+      });
+      const bot = { sendMessage: jest.fn().mockResolvedValue() };
+
+      const result = await commandHandlers.handleMatchEditAction({
+        message: { chat: { id: 123 } },
+        from: { id: 456, username: 'admin' },
+        data: 'edit_save'
+      }, bot);
+
+      expect(matchService.editMatch).toHaveBeenCalledWith('match1', {
+        winners: ['carol', 'dave'],
+        losers: ['alice', 'bob'],
+        score: { winners: 10, losers: 4 }
+      }, 'admin');
+      expect(result.text).toMatch(/Match updated!/);
+      expect(result.text).toMatch(/Was: @alice \+ @bob beat @carol \+ @dave/);
+      expect(result.text).toMatch(/@alice: 1016 → 984/);
+      expect(result.text).toMatch(/Ratings of 1 other player/);
+      expect(bot.sendMessage).toHaveBeenCalledWith('1', expect.stringMatching(/corrected by @admin/), { parse_mode: 'HTML' });
+      expect(commandHandlers.__getMatchCreationState().has(123)).toBe(false);
+    });
+
+    it('should keep the session open when nothing changed', async () => {
+      await openEditor();
+      matchService.editMatch.mockRejectedValue(new Error('No changes to save'));
+      const result = await press('edit_save');
+      expect(result.text).toMatch(/Nothing has been changed yet/);
+      expect(commandHandlers.__getMatchCreationState().has(123)).toBe(true);
+    });
+  });
+
+  describe('handleUndoCallback', () => {
+    const players = [
+      { _id: 'p1', username: 'user', chatId: '1' },
+      { _id: 'p2', username: 'player2', chatId: '2' },
+      { _id: 'p3', username: 'player3', chatId: '3' },
+      { _id: 'p4', username: 'player4' }
+    ];
+    const match = {
+      _id: 'match1',
+      status: 'confirmed',
+      recordedBy: 'user',
+      recordedAt: new Date(),
+      playedAt: new Date('2024-06-01T12:00:00Z'),
+      players,
+      winners: players.slice(0, 2),
+      losers: players.slice(2)
+    };
+
+    it('should cancel the undo', async () => {
+      const result = await commandHandlers.handleUndoCallback({ data: 'undo_cancel', from: { username: 'user' } });
+      expect(result.text).toMatch(/Undo cancelled/);
+      expect(matchService.voidMatch).not.toHaveBeenCalled();
+    });
+
+    it('should void the match, report restored Elo and notify other participants', async () => {
+      matchService.getMatchById.mockResolvedValue(match);
+      matchService.voidMatch.mockResolvedValue({
+        match,
+        ratingChanges: [
+          { player: players[0], format: '2v2', before: 1016, after: 1000 },
+          { player: players[1], format: '2v2', before: 1016, after: 1000 },
+          { player: players[2], format: '2v2', before: 984, after: 1000 },
+          { player: players[3], format: '2v2', before: 984, after: 1000 },
+          { player: { _id: 'p5', username: 'player5' }, format: '2v2', before: 1010, after: 1012 }
+        ],
+        seasons: ['2024-06']
+      });
+      const bot = { sendMessage: jest.fn().mockResolvedValue() };
+
+      const result = await commandHandlers.handleUndoCallback({ data: 'undo_confirm_match1', from: { username: 'user' } }, bot);
+
+      expect(matchService.voidMatch).toHaveBeenCalledWith('match1', 'user');
+      expect(result.text).toMatch(/Match voided/);
+      expect(result.text).toMatch(/@user: 1016 → 1000/);
+      expect(result.text).toMatch(/1 other player/);
+      // The voider and players without chatId are not messaged
+      expect(bot.sendMessage).toHaveBeenCalledTimes(2);
+      expect(bot.sendMessage).toHaveBeenCalledWith('2', expect.stringMatching(/Match voided by @user/), { parse_mode: 'HTML' });
+    });
+
+    it('should re-check permissions before voiding', async () => {
+      matchService.getMatchById.mockResolvedValue(match);
+      const result = await commandHandlers.handleUndoCallback({ data: 'undo_confirm_match1', from: { username: 'other' } });
+      expect(result.text).toMatch(/Only the player who recorded this match/);
+      expect(matchService.voidMatch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleMatchConfirmation', () => {
+    const pendingMatch = () => ({
+      _id: 'match1',
+      status: 'pending',
+      recordedBy: 'player1',
+      playedAt: new Date('2024-06-01T12:00:00Z'),
+      winners: [{ username: 'player1' }, { username: 'player2' }],
+      losers: [{ username: 'player3' }, { username: 'player4' }],
+      score: { winners: 10, losers: 6 }
+    });
+
+    it('should confirm the match and announce it', async () => {
+      matchService.getMatchById.mockResolvedValue(pendingMatch());
+      matchConfirmationService.canRespond.mockReturnValue(true);
+      matchService.confirmMatch.mockResolvedValue({ match: { ...pendingMatch(), status: 'confirmed' } });
+      matchConfirmationService.announceConfirmedMatch.mockResolvedValue('🏆 <b>New Match Recorded!</b>');
+      const bot = { sendMessage: jest.fn() };
+
+      const result = await commandHandlers.handleMatchConfirmation({ data: 'confirm_match_match1', from: { username: 'player3' } }, bot);
+
+      expect(matchService.confirmMatch).toHaveBeenCalledWith('match1', { confirmedBy: 'player3' });
+      expect(matchConfirmationService.announceConfirmedMatch).toHaveBeenCalledWith(bot, expect.objectContaining({ status: 'confirmed' }));
+      expect(result.text).toMatch(/Match confirmed/);
+    });
+
+    it('should dispute the match and notify admins', async () => {
+      matchService.getMatchById.mockResolvedValue(pendingMatch());
+      matchConfirmationService.canRespond.mockReturnValue(true);
+      matchService.disputeMatch.mockResolvedValue({ ...pendingMatch(), status: 'disputed' });
+      const bot = { sendMessage: jest.fn() };
+
+      const result = await commandHandlers.handleMatchConfirmation({ data: 'dispute_match_match1', from: { username: 'player3' } }, bot);
+
+      expect(matchService.disputeMatch).toHaveBeenCalledWith('match1', 'player3');
+      expect(matchConfirmationService.announceDisputedMatch).toHaveBeenCalledWith(bot, expect.objectContaining({ status: 'disputed' }), 'player3');
+      expect(matchService.confirmMatch).not.toHaveBeenCalled();
+      expect(result.text).toMatch(/Match disputed/);
+    });
+
+    it('should refuse answers from players outside the losing team', async () => {
+      matchService.getMatchById.mockResolvedValue(pendingMatch());
+      matchConfirmationService.canRespond.mockReturnValue(false);
+
+      const result = await commandHandlers.handleMatchConfirmation({ data: 'confirm_match_match1', from: { username: 'player1' } });
+
+      expect(result.text).toMatch(/Only a player from the losing team/);
+      expect(matchService.confirmMatch).not.toHaveBeenCalled();
+    });
+
+    it('should ignore matches that are no longer pending', async () => {
+      matchService.getMatchById.mockResolvedValue({ ...pendingMatch(), status: 'confirmed' });
+
+      const result = await commandHandlers.handleMatchConfirmation({ data: 'confirm_match_match1', from: { username: 'player3' } });
+
+      expect(result.text).toMatch(/already been handled/);
+      expect(matchService.confirmMatch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleDisputes', () => {
+    const originalAdmins = process.env.ADMIN_USERNAMES;
+    const disputedMatch = {
+      _id: 'match1',
+      status: 'disputed',
+      playedAt: new Date('2024-06-01T12:00:00Z'),
+      winners: [{ username: 'player1' }, { username: 'player2' }],
+      losers: [{ username: 'player3' }, { username: 'player4' }],
+      players: [],
+      confirmation: { respondedBy: 'player3' }
+    };
+
+    beforeEach(() => {
+      process.env.ADMIN_USERNAMES = 'admin';
+    });
+
+    afterAll(() => {
+      process.env.ADMIN_USERNAMES = originalAdmins;
+    });
+
+    it('should only be available to admins', async () => {
+      const result = await commandHandlers.handleDisputes({ from: { username: 'player1' } });
+      expect(result.text).toMatch(/Only admins/);
+      expect(matchService.getDisputedMatches).not.toHaveBeenCalled();
+    });
+
+    it('should report when there are no disputes', async () => {
+      matchService.getDisputedMatches.mockResolvedValue([]);
+      const result = await commandHandlers.handleDisputes({ from: { username: 'admin' } });
+      expect(result.text).toMatch(/No disputed matches/);
+    });
+
+    it('should list disputed matches with approve and void buttons', async () => {
+      matchService.getDisputedMatches.mockResolvedValue([disputedMatch]);
+      const result = await commandHandlers.handleDisputes({ from: { username: 'admin' } });
+      expect(result.text).toMatch(/@player1 \+ @player2 beat @player3 \+ @player4/);
+      expect(result.text).toMatch(/disputed by @player3/);
+      expect(result.reply_markup.inline_keyboard[0].map(b => b.callback_data)).toEqual([
+        'dispute_resolve_approve_match1',
+        'dispute_resolve_void_match1'
+      ]);
+    });
+
+    it('should approve a disputed match', async () => {
+      matchService.getMatchById.mockResolvedValue(disputedMatch);
+      matchService.confirmMatch.mockResolvedValue({ match: { ...disputedMatch, status: 'confirmed' } });
+      matchConfirmationService.announceConfirmedMatch.mockResolvedValue('🏆 <b>New Match Recorded!</b>');
+
+      const result = await commandHandlers.handleDisputeResolution({ data: 'dispute_resolve_approve_match1', from: { username: 'admin' } });
+
+      expect(matchService.confirmMatch).toHaveBeenCalledWith('match1', { confirmedBy: 'admin' });
+      expect(result.text).toMatch(/match approved/);
+    });
+
+    it('should void a disputed match', async () => {
+      const players = [{ username: 'player1', chatId: '1' }, { username: 'player3' }];
+      matchService.getMatchById.mockResolvedValue(disputedMatch);
+      matchService.voidMatch.mockResolvedValue({ match: { ...disputedMatch, players, status: 'voided' }, ratingChanges: [] });
+      const bot = { sendMessage: jest.fn().mockResolvedValue() };
+
+      const result = await commandHandlers.handleDisputeResolution({ data: 'dispute_resolve_void_match1', from: { username: 'admin' } }, bot);
+
+      expect(matchService.voidMatch).toHaveBeenCalledWith('match1', 'admin');
+      expect(result.text).toMatch(/match voided/);
+      expect(bot.sendMessage).toHaveBeenCalledTimes(1);
+      expect(bot.sendMessage).toHaveBeenCalledWith('1', expect.stringMatching(/Disputed match voided by @admin/), { parse_mode: 'HTML' });
+    });
+
+    it('should not let non-admins resolve disputes', async () => {
+      const result = await commandHandlers.handleDisputeResolution({ data: 'dispute_resolve_void_match1', from: { username: 'player1' } });
+      expect(result.text).toMatch(/Only admins/);
+      expect(matchService.voidMatch).not.toHaveBeenCalled();
+    });
+  });
+
   describe('handleAlias', () => {
     it('should return error if no username', async () => {
       const msg = { from: { username: undefined }, text: '/alias TestAlias' };
@@ -6,8 +6,15 @@ jest.mock('../../src/services/playerService');
 jest.mock('../../src/services/matchService');
 
 describe('Match Creation Integration', () => {
+  const originalConfirmation = process.env.MATCH_CONFIRMATION_ENABLED;
+
+  afterAll(() => {
+    process.env.MATCH_CONFIRMATION_ENABLED = originalConfirmation;
+  });
+
   beforeEach(() => {
     jest.clearAllMocks();
+    process.env.MATCH_CONFIRMATION_ENABLED = 'false';
     // Clear match creation state
     commandHandlers.__setMatchCreationState(new Map());
     // Mock updatePlayerChatId to return the player as-is
@@ -33,7 +40,9 @@ describe('Match Creation Integration', () => {
     matchService.recordMatch.mockResolvedValue({
       match: {
         winners: [{ username: 'player1' }, { username: 'player2' }],
-        losers: [{ username: 'player3' }, { username: 'player4' }]
+        losers: [{ username: 'player3' }, { username: 'player4' }],
+        score: { winners: 10, losers: 4 },
+        isDryWin: false
       },
       eloResult: {
         team1Changes: [10, 12],
@@ -93,7 +102,7 @@ describe('Match Creation Integration', () => {
     const loser1Result = await commandHandlers.handlePlayerSelection(selectLoser1Query);
     expect(loser1Result.text).toMatch(/Selected: Player 3/);
 
-    // Step 6: Select second loser (should now ask about dry win)
+    // Step 6: Select second loser (should now ask for the score)
     const selectLoser2Query = {
       message: { chat: { id: 123 } },
       from: { id: 456 },
@@ -101,30 +110,51 @@ describe('Match Creation Integration', () => {
     };
     
     const loser2Result = await commandHandlers.handlePlayerSelection(selectLoser2Query);
-    expect(loser2Result.text).toMatch(/Was this a dry win/);
+    expect(loser2Result.text).toMatch(/Who played <b>attack<\/b> for the winners/);
     expect(loser2Result.text).toMatch(/Winners: Player 1, Player 2/);
     expect(loser2Result.text).toMatch(/Losers: Player 3, Player 4/);
 
-    // Step 7: Answer dry win question (No)
-    const dryWinQuery = {
+    const pressKey = (data) => commandHandlers.handlePlayerSelection({
       message: { chat: { id: 123 } },
       from: { id: 456 },
-      data: 'dry_win_no'
-    };
+      data
+    });
+
+    // Step 7: Pick attackers (the other player of each team plays defence)
+    const losersPositionResult = await pressKey('position_attack_player1');
+    expect(losersPositionResult.text).toMatch(/for the losers/);
+    const positionsResult = await pressKey('position_attack_player4');
+    expect(positionsResult.text).toMatch(/Enter the final score/);
+
+    // Step 8: Enter the score (10–4) on the keypad
     
-    const dryWinResult = await commandHandlers.handlePlayerSelection(dryWinQuery);
-    expect(dryWinResult.text).toMatch(/Match Recorded/);
-    expect(dryWinResult.text).toMatch(/Winners: @player1 \+ @player2/);
-    expect(dryWinResult.text).toMatch(/Losers: @player3 \+ @player4/);
-    expect(dryWinResult.text).toMatch(/Winners: \+10, \+12/);
-    expect(dryWinResult.text).toMatch(/Losers: -10, -12/);
+    await pressKey('score_digit_1');
+    await pressKey('score_digit_0');
+    const winnersScoreResult = await pressKey('score_next');
+    expect(winnersScoreResult.text).toMatch(/losers goals/);
+    await pressKey('score_digit_4');
+    const scoreResult = await pressKey('score_next');
+    
+    expect(scoreResult.text).toMatch(/Match Recorded/);
+    expect(scoreResult.text).toMatch(/Score:<\/b> 10–4/);
+    expect(scoreResult.text).toMatch(/Winners: @player1 \+ @player2/);
+    expect(scoreResult.text).toMatch(/Losers: @player3 \+ @player4/);
+    expect(scoreResult.text).toMatch(/Winners: \+10, \+12/);
+    expect(scoreResult.text).toMatch(/Losers: -10, -12/);
 
     // Verify match was recorded with correct parameters
     expect(matchService.recordMatch).toHaveBeenCalledWith(
       ['player1', 'player2'],
       ['player3', 'player4'],
       1,
-      false
+      {
+        score: { winners: 10, losers: 4 },
+        pending: false,
+        positions: {
+          winners: { attack: 'player1', defence: 'player2' },
+          losers: { attack: 'player4', defence: 'player3' }
+        }
+      }
     );
 
     // Verify state was cleared
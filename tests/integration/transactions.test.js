@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const matchService = require('../../src/services/matchService');
+const playerService = require('../../src/services/playerService');
+const seasonService = require('../../src/services/seasonService');
+const Match = require('../../src/models/Match');
+const Player = require('../../src/models/Player');
+const RatingHistory = require('../../src/models/RatingHistory');
+
+// mongod is downloaded on the first run, which can take a while
+jest.setTimeout(120000);
+
+describe('Transactions Integration', () => {
+  let replSet;
+  let attempts;
+
+  beforeAll(async () => {
+    // Transactions need a replica set; wiredTiger detects write conflicts between them
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+    // Create collections and indexes up front so the transactions only write documents
+    for (const model of Object.values(mongoose.models)) {
+      await model.createCollection();
+      await model.init();
+    }
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (replSet) {
+      await replSet.stop();
+    }
+  });
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    await Promise.all(Object.values(mongoose.models).map(model => model.deleteMany({})));
+    await Player.create(['a', 'b', 'c', 'd'].map(username => ({ username, elo: 1000 })));
+
+    // Count every run of a transaction's work, including the retries made by the driver
+    attempts = 0;
+    const transaction = mongoose.connection.transaction.bind(mongoose.connection);
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation((work, options) =>
+      transaction(async (session) => {
+        attempts++;
+        return work(session);
+      }, options)
+    );
+  });
+
+  const eloOf = async username => (await Player.findOne({ username })).elo;
+
+  it('should retry a match recorded at the same time with fresh ratings', async () => {
+    // Hold the first two recordings once they have read the ratings, so both start from 1000
+    const getMatchesPlayed = playerService.getMatchesPlayed;
+    let waiting = 0;
+    let release;
+    const bothRead = new Promise(resolve => { release = resolve; });
+    jest.spyOn(playerService, 'getMatchesPlayed').mockImplementation(async (...args) => {
+      if (waiting < 2 && ++waiting === 2) {
+        release();
+      }
+      await bothRead;
+      return getMatchesPlayed(...args);
+    });
+
+    await Promise.all([
+      matchService.recordMatch(['a', 'b'], ['c', 'd'], 1),
+      matchService.recordMatch(['a', 'b'], ['c', 'd'], 1)
+    ]);
+
+    // The second write to the same players conflicts, so its work runs again and sees the
+    // first match: 1000 → 1024 → 1045 rather than two stale +24 changes
+    expect(attempts).toBeGreaterThan(2);
+    expect(await eloOf('a')).toBe(1045);
+    expect(await eloOf('b')).toBe(1045);
+    expect(await eloOf('c')).toBe(955);
+    expect(await eloOf('d')).toBe(955);
+    expect(await Match.countDocuments()).toBe(2);
+    expect(await RatingHistory.countDocuments()).toBe(8);
+  });
+
+  it('should leave no match or Elo change behind when a step fails', async () => {
+    jest.spyOn(seasonService, 'updateSeasonStats').mockRejectedValueOnce(new Error('Season save failed'));
+
+    await expect(matchService.recordMatch(['a', 'b'], ['c', 'd'], 1)).rejects.toThrow('Season save failed');
+
+    expect(attempts).toBe(1);
+    expect(await Match.countDocuments()).toBe(0);
+    expect(await RatingHistory.countDocuments()).toBe(0);
+    expect(await Promise.all(['a', 'b', 'c', 'd'].map(eloOf))).toEqual([1000, 1000, 1000, 1000]);
+  });
+});
\ No newline at end of file
@@ -27,4 +27,26 @@ describe('Match Model', () => {
     });
     await expect(match.validate()).rejects.toThrow();
   });
-}); 
\ No newline at end of file
+
+  it('should accept a score where winners scored more goals', async () => {
+    const match = new Match({
+      players: [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()],
+      winners: [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()],
+      losers: [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()],
+      season: '2024-06',
+      score: { winners: 10, losers: 7 }
+    });
+    await expect(match.validate()).resolves.toBeUndefined();
+  });
+
+  it('should fail validation if losers scored as many goals as winners', async () => {
+    const match = new Match({
+      players: [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()],
+      winners: [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()],
+      losers: [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()],
+      season: '2024-06',
+      score: { winners: 7, losers: 7 }
+    });
+    await expect(match.validate()).rejects.toThrow('Losing team score must be lower than winning team score');
+  });
+});
\ No newline at end of file
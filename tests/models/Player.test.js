@@ -9,6 +9,10 @@ describe('Player Model', () => {
     const player = new Player({ username: 'testuser' });
     await expect(player.validate()).resolves.toBeUndefined();
     expect(player.elo).toBe(1000);
+    expect(player.singlesElo).toBe(1000);
+    expect(player.attackElo).toBe(1000);
+    expect(player.defenceElo).toBe(1000);
+    expect(player.inactivity.since).toBeNull();
   });
 
   it('should fail validation if username is missing', async () => {
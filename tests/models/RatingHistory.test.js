@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const RatingHistory = require('../../src/models/RatingHistory');
+
+// Mock mongoose connection
+jest.mock('mongoose', () => ({
+  ...jest.requireActual('mongoose'),
+  connect: jest.fn().mockResolvedValue({}),
+  connection: {
+    close: jest.fn().mockResolvedValue({})
+  }
+}));
+
+describe('RatingHistory Model', () => {
+  const playerId = new mongoose.Types.ObjectId();
+
+  it('should default to a 2v2 match entry', () => {
+    const entry = new RatingHistory({ player: playerId, ratingBefore: 1000, ratingAfter: 1016 });
+
+    expect(entry.format).toBe('2v2');
+    expect(entry.reason).toBe('match');
+    expect(entry.match).toBeNull();
+    expect(entry.playedAt).toBeInstanceOf(Date);
+    expect(entry.validateSync()).toBeUndefined();
+  });
+
+  it('should require the player and both ratings', () => {
+    const validationError = new RatingHistory({}).validateSync();
+
+    expect(validationError.errors.player).toBeTruthy();
+    expect(validationError.errors.ratingBefore).toBeTruthy();
+    expect(validationError.errors.ratingAfter).toBeTruthy();
+  });
+
+  it('should store the settings of an adjustment', () => {
+    const entry = new RatingHistory({
+      player: playerId,
+      reason: 'reset',
+      ratingBefore: 1200,
+      ratingAfter: 1150,
+      adjustment: { rate: 0.25, target: 'baseline', targetRating: 1000 }
+    });
+
+    expect(entry.adjustment.toObject()).toEqual({ rate: 0.25, target: 'baseline', targetRating: 1000 });
+    expect(entry.validateSync()).toBeUndefined();
+  });
+
+  it('should reject unknown reasons', () => {
+    const entry = new RatingHistory({ player: playerId, reason: 'bonus', ratingBefore: 1000, ratingAfter: 1100 });
+
+    expect(entry.validateSync().errors.reason).toBeTruthy();
+  });
+});
\ No newline at end of file
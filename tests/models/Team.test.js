@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const Team = require('../../src/models/Team');
+
+// Mock mongoose connection
+jest.mock('mongoose', () => ({
+  ...jest.requireActual('mongoose'),
+  connect: jest.fn().mockResolvedValue({}),
+  connection: {
+    close: jest.fn().mockResolvedValue({})
+  }
+}));
+
+describe('Team Model', () => {
+  const players = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+  it('should start a new team at the default rating without matches', () => {
+    const team = new Team({ key: players.join('-'), players });
+
+    expect(team.elo).toBe(1000);
+    expect(team.matches).toBe(0);
+    expect(team.wins).toBe(0);
+    expect(team.currentStreak).toBe(0);
+    expect(team.longestWinStreak).toBe(0);
+    expect(team.longestLossStreak).toBe(0);
+    expect(team.validateSync()).toBeUndefined();
+  });
+
+  it('should require the key', () => {
+    const validationError = new Team({ players }).validateSync();
+
+    expect(validationError.errors.key).toBeTruthy();
+  });
+});
\ No newline at end of file
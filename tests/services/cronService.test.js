@@ -1,5 +1,7 @@
 // Mock dependencies
 jest.mock('../../src/services/seasonTransitionService');
+jest.mock('../../src/services/matchConfirmationService');
+jest.mock('../../src/services/inactivityService');
 jest.mock('node-cron');
 
 describe('Cron Service', () => {
@@ -38,6 +40,40 @@ describe('Cron Service', () => {
         }
       );
     });
+
+    it('should schedule the match confirmation job every 5 minutes', () => {
+      const cron = require('node-cron');
+      cron.schedule.mockReturnValue(mockCronJob);
+      
+      const cronService = require('../../src/services/cronService');
+      cronService.initializeCronService(mockBot);
+      
+      expect(cron.schedule).toHaveBeenCalledWith(
+        '*/5 * * * *',
+        expect.any(Function),
+        {
+          scheduled: false,
+          timezone: "UTC"
+        }
+      );
+    });
+
+    it('should schedule the inactivity job every day at 09:00', () => {
+      const cron = require('node-cron');
+      cron.schedule.mockReturnValue(mockCronJob);
+      
+      const cronService = require('../../src/services/cronService');
+      cronService.initializeCronService(mockBot);
+      
+      expect(cron.schedule).toHaveBeenCalledWith(
+        '0 9 * * *',
+        expect.any(Function),
+        {
+          scheduled: false,
+          timezone: "UTC"
+        }
+      );
+    });
   });
 
   describe('startCronJobs', () => {
@@ -95,6 +131,14 @@ describe('Cron Service', () => {
         seasonTransitionJob: {
           running: false,
           nextRun: new Date('2024-02-01T00:01:00Z')
+        },
+        matchConfirmationJob: {
+          running: false,
+          nextRun: new Date('2024-02-01T00:01:00Z')
+        },
+        inactivityJob: {
+          running: false,
+          nextRun: new Date('2024-02-01T00:01:00Z')
         }
       });
     });
@@ -107,6 +151,14 @@ describe('Cron Service', () => {
         seasonTransitionJob: {
           running: false,
           nextRun: null
+        },
+        matchConfirmationJob: {
+          running: false,
+          nextRun: null
+        },
+        inactivityJob: {
+          running: false,
+          nextRun: null
         }
       });
     });
@@ -139,7 +191,7 @@ describe('Cron Service', () => {
       let cronCallback;
       
       cron.schedule.mockImplementation((schedule, callback) => {
-        cronCallback = callback;
+        if (schedule === '1 0 1 * *') cronCallback = callback;
         return mockCronJob;
       });
       
@@ -162,7 +214,7 @@ describe('Cron Service', () => {
       
       let cronCallback;
       cron.schedule.mockImplementation((schedule, callback) => {
-        cronCallback = callback;
+        if (schedule === '1 0 1 * *') cronCallback = callback;
         return mockCronJob;
       });
       
@@ -175,5 +227,85 @@ describe('Cron Service', () => {
       expect(consoleSpy).toHaveBeenCalledWith('❌ Error in season transition cron job:', expect.any(Error));
       consoleSpy.mockRestore();
     });
+
+    it('should auto-confirm expired pending matches when the confirmation job runs', async () => {
+      const cron = require('node-cron');
+      let confirmationCallback;
+      
+      cron.schedule.mockImplementation((schedule, callback) => {
+        if (schedule === '*/5 * * * *') confirmationCallback = callback;
+        return mockCronJob;
+      });
+      
+      const cronService = require('../../src/services/cronService');
+      const matchConfirmationService = require('../../src/services/matchConfirmationService');
+      matchConfirmationService.autoConfirmExpiredMatches.mockResolvedValue([]);
+      cronService.initializeCronService(mockBot);
+      
+      await confirmationCallback();
+      
+      expect(matchConfirmationService.autoConfirmExpiredMatches).toHaveBeenCalledWith(mockBot);
+    });
+
+    it('should handle errors in the confirmation job', async () => {
+      const cron = require('node-cron');
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      let confirmationCallback;
+      
+      cron.schedule.mockImplementation((schedule, callback) => {
+        if (schedule === '*/5 * * * *') confirmationCallback = callback;
+        return mockCronJob;
+      });
+      
+      const cronService = require('../../src/services/cronService');
+      const matchConfirmationService = require('../../src/services/matchConfirmationService');
+      matchConfirmationService.autoConfirmExpiredMatches.mockRejectedValue(new Error('Test error'));
+      cronService.initializeCronService(mockBot);
+      
+      await confirmationCallback();
+      
+      expect(consoleSpy).toHaveBeenCalledWith('❌ Error in match confirmation cron job:', expect.any(Error));
+      consoleSpy.mockRestore();
+    });
+
+    it('should process inactive players when the inactivity job runs', async () => {
+      const cron = require('node-cron');
+      let inactivityCallback;
+      
+      cron.schedule.mockImplementation((schedule, callback) => {
+        if (schedule === '0 9 * * *') inactivityCallback = callback;
+        return mockCronJob;
+      });
+      
+      const cronService = require('../../src/services/cronService');
+      const inactivityService = require('../../src/services/inactivityService');
+      inactivityService.processInactivePlayers.mockResolvedValue({ markedInactive: [], reactivated: [], nudged: [], decayed: [] });
+      cronService.initializeCronService(mockBot);
+      
+      await inactivityCallback();
+      
+      expect(inactivityService.processInactivePlayers).toHaveBeenCalledWith(mockBot);
+    });
+
+    it('should handle errors in the inactivity job', async () => {
+      const cron = require('node-cron');
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      let inactivityCallback;
+      
+      cron.schedule.mockImplementation((schedule, callback) => {
+        if (schedule === '0 9 * * *') inactivityCallback = callback;
+        return mockCronJob;
+      });
+      
+      const cronService = require('../../src/services/cronService');
+      const inactivityService = require('../../src/services/inactivityService');
+      inactivityService.processInactivePlayers.mockRejectedValue(new Error('Test error'));
+      cronService.initializeCronService(mockBot);
+      
+      await inactivityCallback();
+      
+      expect(consoleSpy).toHaveBeenCalledWith('❌ Error in inactivity cron job:', expect.any(Error));
+      consoleSpy.mockRestore();
+    });
   });
-}); 
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,191 @@
+const inactivityService = require('../../src/services/inactivityService');
+const Player = require('../../src/models/Player');
+const Match = require('../../src/models/Match');
+const ratingHistoryService = require('../../src/services/ratingHistoryService');
+
+jest.mock('../../src/models/Player');
+jest.mock('../../src/models/Match');
+jest.mock('../../src/services/ratingHistoryService');
+
+describe('inactivityService', () => {
+  const now = new Date('2024-06-30T09:00:00Z');
+  const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+  const mockBot = { sendMessage: jest.fn().mockResolvedValue() };
+
+  const createPlayer = (data) => {
+    const player = {
+      createdAt: daysAgo(365),
+      inactivity: { since: null, nudgedAt: null, decayedAt: null },
+      save: jest.fn().mockResolvedValue(),
+      ...data
+    };
+    // Minimal stand-in for mongoose's dotted-path setter
+    player.set = jest.fn((path, value) => {
+      const [field, subfield] = path.split('.');
+      if (subfield) player[field] = { ...player[field], [subfield]: value };
+      else player[field] = value;
+    });
+    return player;
+  };
+
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env = { ...originalEnv };
+    Object.keys(process.env).filter(key => key.startsWith('INACTIVITY_')).forEach(key => delete process.env[key]);
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getLastMatchDates', () => {
+    it('should map each player to their last counted match', async () => {
+      const lastMatchAt = daysAgo(3);
+      Match.aggregate.mockResolvedValue([{ _id: 'p1', lastMatchAt }]);
+
+      const dates = await inactivityService.getLastMatchDates();
+
+      expect(Match.aggregate.mock.calls[0][0][0]).toEqual({ $match: { status: { $nin: ['pending', 'disputed', 'voided'] } } });
+      expect(dates.get('p1')).toBe(lastMatchAt);
+    });
+  });
+
+  describe('getDecayedRating', () => {
+    it('should move ratings above the baseline part of the way towards it', () => {
+      expect(inactivityService.getDecayedRating(1200, 1000, 0.05)).toBe(1190);
+      expect(inactivityService.getDecayedRating(1200, 1000, 2)).toBe(1000);
+    });
+
+    it('should leave ratings at or below the baseline alone', () => {
+      expect(inactivityService.getDecayedRating(950, 1000, 0.05)).toBe(950);
+      expect(inactivityService.getDecayedRating(1200, 1000, 0)).toBe(1200);
+    });
+  });
+
+  describe('processInactivePlayers', () => {
+    it('should mark idle players inactive and nudge them once', async () => {
+      const idle = createPlayer({ _id: 'p1', username: 'idle', chatId: '111', elo: 1200 });
+      const active = createPlayer({ _id: 'p2', username: 'active', chatId: '222', elo: 1100 });
+      Match.aggregate.mockResolvedValue([
+        { _id: 'p1', lastMatchAt: daysAgo(31) },
+        { _id: 'p2', lastMatchAt: daysAgo(2) }
+      ]);
+      Player.find.mockResolvedValue([idle, active]);
+
+      const summary = await inactivityService.processInactivePlayers(mockBot, now);
+
+      expect(summary.markedInactive).toEqual(['idle']);
+      expect(summary.nudged).toEqual(['idle']);
+      expect(idle.inactivity).toEqual({ since: now, nudgedAt: now, decayedAt: null });
+      expect(idle.elo).toBe(1200);
+      expect(active.save).not.toHaveBeenCalled();
+      expect(mockBot.sendMessage).toHaveBeenCalledTimes(1);
+      expect(mockBot.sendMessage).toHaveBeenCalledWith('111', expect.stringMatching(/We miss you.*\n\nYou haven't played a match for 31 days/), { parse_mode: 'HTML' });
+    });
+
+    it('should warn about decay in the nudge when decay is on', async () => {
+      process.env.INACTIVITY_DECAY_RATE = '0.02';
+      const idle = createPlayer({ _id: 'p1', username: 'idle', chatId: '111' });
+      Match.aggregate.mockResolvedValue([{ _id: 'p1', lastMatchAt: daysAgo(40) }]);
+      Player.find.mockResolvedValue([idle]);
+
+      await inactivityService.processInactivePlayers(mockBot, now);
+
+      expect(mockBot.sendMessage.mock.calls[0][1]).toMatch(/Unless you play within 7 days, your rating will start to decay towards 1000/);
+    });
+
+    it('should use the registration date for players without matches', async () => {
+      const newcomer = createPlayer({ _id: 'p1', username: 'newcomer', createdAt: daysAgo(5) });
+      Match.aggregate.mockResolvedValue([]);
+      Player.find.mockResolvedValue([newcomer]);
+
+      const summary = await inactivityService.processInactivePlayers(mockBot, now);
+
+      expect(summary.markedInactive).toEqual([]);
+    });
+
+    it('should decay both ratings once a day after the grace period', async () => {
+      process.env.INACTIVITY_DECAY_RATE = '0.05';
+      const idle = createPlayer({
+        _id: 'p1',
+        username: 'idle',
+        elo: 1200,
+        singlesElo: 980,
+        inactivity: { since: daysAgo(8), nudgedAt: daysAgo(8), decayedAt: null }
+      });
+      Match.aggregate.mockResolvedValue([{ _id: 'p1', lastMatchAt: daysAgo(38) }]);
+      Player.find.mockResolvedValue([idle]);
+
+      const summary = await inactivityService.processInactivePlayers(mockBot, now);
+
+      expect(summary.decayed).toEqual([{ username: 'idle', changes: { '2v2': -10 } }]);
+      expect(idle.elo).toBe(1190);
+      expect(idle.singlesElo).toBe(980);
+      expect(idle.inactivity.decayedAt).toBe(now);
+      expect(idle.save).toHaveBeenCalledTimes(1);
+      expect(ratingHistoryService.recordEntries).toHaveBeenCalledWith([
+        expect.objectContaining({
+          player: 'p1', match: null, format: '2v2', reason: 'decay', season: '2024-06', ratingBefore: 1200, ratingAfter: 1190,
+          adjustment: { rate: 0.05, targetRating: 1000, days: 1 }
+        })
+      ]);
+
+      // A second run on the same day does not decay again
+      const again = await inactivityService.processInactivePlayers(mockBot, new Date(now.getTime() + 60 * 60 * 1000));
+      expect(again.decayed).toEqual([]);
+      expect(idle.elo).toBe(1190);
+      expect(mockBot.sendMessage).not.toHaveBeenCalled();
+    });
+
+    it('should not decay during the grace period', async () => {
+      process.env.INACTIVITY_DECAY_RATE = '0.05';
+      const idle = createPlayer({
+        _id: 'p1',
+        username: 'idle',
+        elo: 1200,
+        inactivity: { since: daysAgo(3), nudgedAt: daysAgo(3), decayedAt: null }
+      });
+      Match.aggregate.mockResolvedValue([{ _id: 'p1', lastMatchAt: daysAgo(33) }]);
+      Player.find.mockResolvedValue([idle]);
+
+      const summary = await inactivityService.processInactivePlayers(mockBot, now);
+
+      expect(summary.decayed).toEqual([]);
+      expect(idle.elo).toBe(1200);
+      expect(idle.save).not.toHaveBeenCalled();
+    });
+
+    it('should mark players who played again active', async () => {
+      const returning = createPlayer({
+        _id: 'p1',
+        username: 'returning',
+        inactivity: { since: daysAgo(10), nudgedAt: daysAgo(10), decayedAt: daysAgo(1) }
+      });
+      Match.aggregate.mockResolvedValue([{ _id: 'p1', lastMatchAt: daysAgo(1) }]);
+      Player.find.mockResolvedValue([returning]);
+
+      const summary = await inactivityService.processInactivePlayers(mockBot, now);
+
+      expect(summary.reactivated).toEqual(['returning']);
+      expect(returning.inactivity).toEqual({ since: null, nudgedAt: null, decayedAt: null });
+      expect(returning.save).toHaveBeenCalled();
+    });
+
+    it('should still mark a player inactive when the nudge fails', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      mockBot.sendMessage.mockRejectedValueOnce(new Error('Forbidden: bot was blocked by the user'));
+      const idle = createPlayer({ _id: 'p1', username: 'idle', chatId: '111' });
+      Match.aggregate.mockResolvedValue([{ _id: 'p1', lastMatchAt: daysAgo(45) }]);
+      Player.find.mockResolvedValue([idle]);
+
+      const summary = await inactivityService.processInactivePlayers(mockBot, now);
+
+      expect(summary.markedInactive).toEqual(['idle']);
+      expect(summary.nudged).toEqual([]);
+      expect(idle.inactivity.since).toBe(now);
+      consoleSpy.mockRestore();
+    });
+  });
+});
\ No newline at end of file
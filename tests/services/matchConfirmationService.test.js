@@ -0,0 +1,149 @@
+const matchConfirmationService = require('../../src/services/matchConfirmationService');
+const matchService = require('../../src/services/matchService');
+const playerService = require('../../src/services/playerService');
+const notificationService = require('../../src/services/notificationService');
+
+jest.mock('../../src/services/matchService');
+jest.mock('../../src/services/playerService');
+jest.mock('../../src/services/notificationService');
+
+describe('matchConfirmationService', () => {
+  const pendingMatch = (overrides = {}) => ({
+    _id: 'match1',
+    status: 'pending',
+    recordedBy: 'player1',
+    winners: [{ username: 'player1', chatId: '1' }, { username: 'player2', chatId: '2' }],
+    losers: [{ username: 'player3', chatId: '3' }, { username: 'player4', chatId: '4' }],
+    eloChanges: { winners: [10, 12], losers: [-10, -12] },
+    set: jest.fn(),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    notificationService.formatMatchLine.mockReturnValue('@player1 + @player2 beat @player3 + @player4');
+    notificationService.formatMatchNotification.mockReturnValue('🏆 New Match Recorded!');
+  });
+
+  describe('selectConfirmer', () => {
+    it('should pick the first loser with a chat', () => {
+      const match = pendingMatch();
+      match.losers[0].chatId = undefined;
+      expect(matchConfirmationService.selectConfirmer(match).username).toBe('player4');
+    });
+
+    it('should not ask the recorder to confirm their own match', () => {
+      const match = pendingMatch({ recordedBy: 'player3' });
+      expect(matchConfirmationService.selectConfirmer(match).username).toBe('player4');
+    });
+
+    it('should return null when no loser can be reached', () => {
+      const match = pendingMatch({
+        losers: [{ username: 'player3' }, { username: 'player4' }]
+      });
+      expect(matchConfirmationService.selectConfirmer(match)).toBeNull();
+    });
+  });
+
+  describe('canRespond', () => {
+    it('should allow losers other than the recorder', () => {
+      const match = pendingMatch({ recordedBy: 'player3' });
+      expect(matchConfirmationService.canRespond(match, 'player4')).toBe(true);
+      expect(matchConfirmationService.canRespond(match, '@player4')).toBe(true);
+      expect(matchConfirmationService.canRespond(match, 'player3')).toBe(false);
+      expect(matchConfirmationService.canRespond(match, 'player1')).toBe(false);
+      expect(matchConfirmationService.canRespond(match, undefined)).toBe(false);
+    });
+  });
+
+  describe('requestConfirmation', () => {
+    it('should send the Confirm/Dispute prompt to a loser', async () => {
+      const match = pendingMatch();
+      const bot = { sendMessage: jest.fn().mockResolvedValue() };
+
+      const confirmer = await matchConfirmationService.requestConfirmation(bot, match);
+
+      expect(confirmer.username).toBe('player3');
+      expect(match.set).toHaveBeenCalledWith('confirmation.requestedFrom', 'player3');
+      expect(match.save).toHaveBeenCalled();
+      const [chatId, text, options] = bot.sendMessage.mock.calls[0];
+      expect(chatId).toBe('3');
+      expect(text).toMatch(/Please confirm this match/);
+      expect(text).toMatch(/Recorded by @player1/);
+      expect(options.reply_markup.inline_keyboard[0].map(b => b.callback_data)).toEqual([
+        'confirm_match_match1',
+        'dispute_match_match1'
+      ]);
+    });
+
+    it('should return null when nobody can be asked', async () => {
+      const match = pendingMatch({ losers: [{ username: 'player3' }, { username: 'player4' }] });
+      const bot = { sendMessage: jest.fn() };
+
+      const confirmer = await matchConfirmationService.requestConfirmation(bot, match);
+
+      expect(confirmer).toBeNull();
+      expect(bot.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('announceConfirmedMatch', () => {
+    it('should notify participants and broadcast to everyone else', async () => {
+      const match = pendingMatch({ status: 'confirmed' });
+      const bot = { sendMessage: jest.fn().mockResolvedValue() };
+
+      const text = await matchConfirmationService.announceConfirmedMatch(bot, match);
+
+      expect(text).toBe('🏆 New Match Recorded!');
+      expect(notificationService.formatMatchNotification).toHaveBeenCalledWith(match, match.eloChanges);
+      expect(bot.sendMessage).toHaveBeenCalledTimes(4);
+      expect(notificationService.broadcastToPlayers).toHaveBeenCalledWith(
+        bot,
+        '🏆 New Match Recorded!',
+        ['player1', 'player2', 'player3', 'player4']
+      );
+    });
+  });
+
+  describe('announceDisputedMatch', () => {
+    it('should notify admins and the recorder', async () => {
+      const match = pendingMatch({ status: 'disputed' });
+      playerService.getPlayerByUsername.mockResolvedValue({ username: 'player1', chatId: '1' });
+      const bot = { sendMessage: jest.fn().mockResolvedValue() };
+
+      await matchConfirmationService.announceDisputedMatch(bot, match, 'player3');
+
+      expect(notificationService.notifyAdmins).toHaveBeenCalledWith(bot, expect.stringMatching(/Disputed by @player3/));
+      expect(bot.sendMessage).toHaveBeenCalledWith('1', expect.stringMatching(/Match disputed/), { parse_mode: 'HTML' });
+    });
+  });
+
+  describe('autoConfirmExpiredMatches', () => {
+    it('should confirm expired matches and announce them', async () => {
+      const confirmed = pendingMatch({ status: 'confirmed' });
+      matchService.getExpiredPendingMatches.mockResolvedValue([{ _id: 'match1' }]);
+      matchService.confirmMatch.mockResolvedValue({ match: confirmed });
+
+      const result = await matchConfirmationService.autoConfirmExpiredMatches(null);
+
+      expect(matchService.getExpiredPendingMatches).toHaveBeenCalledWith(60);
+      expect(matchService.confirmMatch).toHaveBeenCalledWith('match1', { autoConfirmed: true });
+      expect(result).toEqual([confirmed]);
+    });
+
+    it('should continue when one match fails to confirm', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      const confirmed = pendingMatch({ _id: 'match2', status: 'confirmed' });
+      matchService.getExpiredPendingMatches.mockResolvedValue([{ _id: 'match1' }, { _id: 'match2' }]);
+      matchService.confirmMatch
+        .mockRejectedValueOnce(new Error('Match is not awaiting confirmation'))
+        .mockResolvedValueOnce({ match: confirmed });
+
+      const result = await matchConfirmationService.autoConfirmExpiredMatches(null);
+
+      expect(result).toEqual([confirmed]);
+      consoleSpy.mockRestore();
+    });
+  });
+});
\ No newline at end of file
@@ -1,20 +1,198 @@
 const matchService = require('../../src/services/matchService');
 const playerService = require('../../src/services/playerService');
 const seasonService = require('../../src/services/seasonService');
+const ratingHistoryService = require('../../src/services/ratingHistoryService');
+const ratingReplayService = require('../../src/services/ratingReplayService');
+const teamService = require('../../src/services/teamService');
 const Match = require('../../src/models/Match');
+const Player = require('../../src/models/Player');
+const database = require('../../src/config/database');
 
+jest.mock('../../src/config/database');
 jest.mock('../../src/services/playerService');
 jest.mock('../../src/services/seasonService');
+jest.mock('../../src/services/ratingReplayService');
+jest.mock('../../src/services/ratingHistoryService');
+jest.mock('../../src/services/teamService');
 jest.mock('../../src/models/Match');
+jest.mock('../../src/models/Player');
 
 describe('matchService', () => {
+  // Set while the work passed to runInTransaction() runs
+  let inTransaction;
+
   beforeEach(() => {
     jest.clearAllMocks();
+    inTransaction = false;
+    database.runInTransaction.mockImplementation(async (work) => {
+      inTransaction = true;
+      try {
+        return await work();
+      } finally {
+        inTransaction = false;
+      }
+    });
+    // Established players with the standard K-factor of 32
+    playerService.getMatchesPlayed.mockResolvedValue(10);
   });
 
   describe('recordMatch', () => {
-    it('should throw if teams are not 2 players each', async () => {
-      await expect(matchService.recordMatch(['a'], ['b', 'c'], 1)).rejects.toThrow('Each team must have exactly 2 players');
+    it('should throw if teams have different sizes', async () => {
+      await expect(matchService.recordMatch(['a'], ['b', 'c'], 1))
+        .rejects.toThrow('Both teams must have the same number of players: 1 for 1v1 or 2 for 2v2');
+    });
+
+    it('should throw if teams have more than 2 players', async () => {
+      await expect(matchService.recordMatch(['a', 'b', 'c'], ['d', 'e', 'f'], 1))
+        .rejects.toThrow('Both teams must have the same number of players');
+    });
+
+    it('should record a 1v1 match against singles ratings', async () => {
+      const players = [
+        { _id: '1', elo: 1400, singlesElo: 1000 },
+        { _id: '2', elo: 900, singlesElo: 1000 }
+      ];
+      playerService.getPlayerByUsername
+        .mockResolvedValueOnce(players[0])
+        .mockResolvedValueOnce(players[1]);
+      playerService.incrementPlayerElo.mockResolvedValue();
+      let matchData;
+      Match.mockImplementation((data) => {
+        matchData = data;
+        return { ...data, save: jest.fn().mockResolvedValue(), populate: jest.fn().mockResolvedValue() };
+      });
+      seasonService.updateSeasonStats.mockResolvedValue();
+
+      const result = await matchService.recordMatch(['a'], ['b'], 1, { score: { winners: 10, losers: 5 } });
+
+      expect(result.format).toBe('1v1');
+      expect(matchData.format).toBe('1v1');
+      expect(result.eloResult.team1Changes).toEqual([16]);
+      expect(playerService.incrementPlayerElo).toHaveBeenCalledWith('1', 16, '1v1');
+      expect(playerService.incrementPlayerElo).toHaveBeenCalledWith('2', -16, '1v1');
+    });
+
+    it('should use a higher K-factor for provisional players and store the K-factors', async () => {
+      const players = [
+        { _id: '1', elo: 1000 },
+        { _id: '2', elo: 1000 },
+        { _id: '3', elo: 1000 },
+        { _id: '4', elo: 1000 }
+      ];
+      players.forEach(p => playerService.getPlayerByUsername.mockResolvedValueOnce(p));
+      playerService.getMatchesPlayed.mockImplementation(async (id) => (id === '1' ? 0 : 10));
+      let match;
+      Match.mockImplementation((data) => {
+        match = { ...data, save: jest.fn().mockResolvedValue(), populate: jest.fn().mockResolvedValue() };
+        return match;
+      });
+
+      const result = await matchService.recordMatch(['a', 'b'], ['c', 'd'], 2);
+
+      expect(playerService.getMatchesPlayed).toHaveBeenCalledWith('1', '2v2');
+      expect(result.eloResult.team1Changes).toEqual([-24, -16]);
+      expect(match.eloChanges).toEqual({
+        winners: [16, 16],
+        losers: [-24, -16],
+        kFactors: { winners: [32, 32], losers: [48, 32] },
+        marginMultiplier: 1
+      });
+      expect(playerService.incrementPlayerElo).toHaveBeenCalledWith('1', -24, '2v2');
+    });
+
+    it('should share team changes by rating when the rating-share split is configured', async () => {
+      process.env.ELO_TEAM_SPLIT = 'rating-share';
+      const players = [
+        { _id: '1', elo: 1350 },
+        { _id: '2', elo: 950 },
+        { _id: '3', elo: 1150 },
+        { _id: '4', elo: 1150 }
+      ];
+      players.forEach(p => playerService.getPlayerByUsername.mockResolvedValueOnce(p));
+      Match.mockImplementation((data) => ({ ...data, save: jest.fn().mockResolvedValue(), populate: jest.fn().mockResolvedValue() }));
+
+      const result = await matchService.recordMatch(['a', 'b'], ['c', 'd'], 1);
+      delete process.env.ELO_TEAM_SPLIT;
+
+      expect(result.eloResult.team1Changes).toEqual([13, 19]);
+      expect(playerService.incrementPlayerElo).toHaveBeenCalledWith('2', 19, '2v2');
+    });
+
+    it('should scale Elo changes by the margin of victory and store the multiplier', async () => {
+      process.env.ELO_MOV_CURVE = 'linear';
+      const players = [
+        { _id: '1', elo: 1000 },
+        { _id: '2', elo: 1000 },
+        { _id: '3', elo: 1000 },
+        { _id: '4', elo: 1000 }
+      ];
+      players.forEach(p => playerService.getPlayerByUsername.mockResolvedValueOnce(p));
+      let match;
+      Match.mockImplementation((data) => {
+        match = { ...data, save: jest.fn().mockResolvedValue(), populate: jest.fn().mockResolvedValue() };
+        return match;
+      });
+
+      const result = await matchService.recordMatch(['a', 'b'], ['c', 'd'], 1, { score: { winners: 10, losers: 0 } });
+      delete process.env.ELO_MOV_CURVE;
+
+      expect(result.eloResult.marginMultiplier).toBe(1.5);
+      expect(result.eloResult.team1Changes).toEqual([24, 24]);
+      expect(match.eloChanges.marginMultiplier).toBe(1.5);
+      expect(match.eloChanges.kFactors).toEqual({ winners: [32, 32], losers: [32, 32] });
+    });
+
+    it('should store and apply Glicko-2 changes alongside Elo', async () => {
+      const players = [
+        { _id: '1', elo: 1000, glicko: { rating: 1000, deviation: 80, volatility: 0.06 } },
+        { _id: '2', elo: 1000 },
+        { _id: '3', elo: 1000 },
+        { _id: '4', elo: 1000 }
+      ];
+      players.forEach(p => playerService.getPlayerByUsername.mockResolvedValueOnce(p));
+      let match;
+      Match.mockImplementation((data) => {
+        match = { ...data, save: jest.fn().mockResolvedValue(), populate: jest.fn().mockResolvedValue() };
+        return match;
+      });
+
+      const result = await matchService.recordMatch(['a', 'b'], ['c', 'd'], 2);
+
+      expect(match.glickoChanges.winners).toEqual(result.glickoResult.team2Changes);
+      expect(match.glickoChanges.losers).toEqual(result.glickoResult.team1Changes);
+      // The established player moves less than the new partner with a high deviation
+      expect(match.glickoChanges.losers[0].rating).toBeGreaterThan(match.glickoChanges.losers[1].rating);
+      expect(playerService.incrementPlayerGlicko).toHaveBeenCalledTimes(4);
+      expect(playerService.incrementPlayerGlicko).toHaveBeenCalledWith('3', match.glickoChanges.winners[0], '2v2');
+      expect(playerService.markPlayersActive).toHaveBeenCalledWith(['3', '4', '1', '2']);
+    });
+
+    it('should record each player\'s rating before and after the match', async () => {
+      const players = [
+        { _id: '1', elo: 1000 },
+        { _id: '2', elo: 1000 },
+        { _id: '3', elo: 1000 },
+        { _id: '4', elo: 1000 }
+      ];
+      players.forEach(p => playerService.getPlayerByUsername.mockResolvedValueOnce(p));
+      Match.mockImplementation((data) => ({
+        ...data,
+        _id: 'm1',
+        save: jest.fn().mockResolvedValue(),
+        populate: jest.fn().mockResolvedValue()
+      }));
+
+      await matchService.recordMatch(['a', 'b'], ['c', 'd'], 1);
+
+      const entries = ratingHistoryService.recordEntries.mock.calls[0][0];
+      expect(entries).toHaveLength(4);
+      expect(entries[0]).toMatchObject({ player: '1', match: 'm1', format: '2v2', reason: 'match', ratingBefore: 1000, ratingAfter: 1016, won: true });
+      expect(entries[2]).toMatchObject({ player: '3', ratingBefore: 1000, ratingAfter: 984, won: false });
+    });
+
+    it('should reject positions for 1v1 matches', async () => {
+      await expect(matchService.recordMatch(['a'], ['b'], 1, { positions: { winners: { attack: 'a', defence: 'a' } } }))
+        .rejects.toThrow('Positions can only be recorded for 2v2 matches');
     });
 
     it('should throw if a player is not found', async () => {
@@ -43,7 +221,7 @@ describe('matchService', () => {
         .mockResolvedValueOnce(players[1])
         .mockResolvedValueOnce(players[2])
         .mockResolvedValueOnce(players[3]);
-      playerService.updatePlayerElo.mockResolvedValue();
+      playerService.incrementPlayerElo.mockResolvedValue();
       const saveMock = jest.fn().mockResolvedValue();
       const populateMock = jest.fn().mockResolvedValue();
       Match.mockImplementation(() => ({
@@ -55,11 +233,383 @@ describe('matchService', () => {
       expect(saveMock).toHaveBeenCalled();
       expect(populateMock).toHaveBeenCalledWith('players winners losers');
       expect(seasonService.updateSeasonStats).toHaveBeenCalled();
+      expect(teamService.applyMatchToTeams).toHaveBeenCalledWith(result.match);
       expect(result).toHaveProperty('match');
       expect(result).toHaveProperty('eloResult');
       expect(result).toHaveProperty('winners');
       expect(result).toHaveProperty('losers');
     });
+
+    it('should store the score and derive dry win from it', async () => {
+      const players = [
+        { _id: '1', elo: 1000 },
+        { _id: '2', elo: 1000 },
+        { _id: '3', elo: 1000 },
+        { _id: '4', elo: 1000 }
+      ];
+      playerService.getPlayerByUsername
+        .mockResolvedValueOnce(players[0])
+        .mockResolvedValueOnce(players[1])
+        .mockResolvedValueOnce(players[2])
+        .mockResolvedValueOnce(players[3]);
+      playerService.incrementPlayerElo.mockResolvedValue();
+      Match.mockImplementation(() => ({
+        save: jest.fn().mockResolvedValue(),
+        populate: jest.fn().mockResolvedValue()
+      }));
+      seasonService.updateSeasonStats.mockResolvedValue();
+
+      await matchService.recordMatch(['a', 'b'], ['c', 'd'], 1, { score: { winners: 10, losers: 0 } });
+
+      expect(Match).toHaveBeenCalledWith(expect.objectContaining({
+        score: { winners: 10, losers: 0 },
+        isDryWin: true
+      }));
+    });
+
+    it('should store attack and defence positions as player IDs', async () => {
+      const players = [
+        { _id: '1', username: 'a', elo: 1000 },
+        { _id: '2', username: 'b', elo: 1000 },
+        { _id: '3', username: 'c', elo: 1000 },
+        { _id: '4', username: 'd', elo: 1000 }
+      ];
+      players.forEach(p => playerService.getPlayerByUsername.mockResolvedValueOnce(p));
+      Match.mockImplementation(() => ({
+        save: jest.fn().mockResolvedValue(),
+        populate: jest.fn().mockResolvedValue()
+      }));
+
+      await matchService.recordMatch(['a', 'b'], ['c', 'd'], 1, {
+        positions: { winners: { attack: 'b', defence: 'a' }, losers: { attack: '@c', defence: 'd' } }
+      });
+
+      expect(Match).toHaveBeenCalledWith(expect.objectContaining({
+        positions: {
+          winners: { attack: '2', defence: '1' },
+          losers: { attack: '3', defence: '4' }
+        }
+      }));
+    });
+
+    it('should update attack and defence ratings when both teams\' positions are recorded', async () => {
+      const players = [
+        { _id: '1', username: 'a', elo: 1000, attackElo: 1200, defenceElo: 1000 },
+        { _id: '2', username: 'b', elo: 1000, attackElo: 1100, defenceElo: 1300 },
+        { _id: '3', username: 'c', elo: 1000, attackElo: 1000, defenceElo: 1000 },
+        { _id: '4', username: 'd', elo: 1000, attackElo: 1000, defenceElo: 900 }
+      ];
+      players.forEach(p => playerService.getPlayerByUsername.mockResolvedValueOnce(p));
+      playerService.getMatchesPlayed.mockResolvedValue(10);
+      let match;
+      Match.mockImplementation((data) => {
+        match = { ...data, save: jest.fn().mockResolvedValue(), populate: jest.fn().mockResolvedValue() };
+        return match;
+      });
+
+      await matchService.recordMatch(['a', 'b'], ['c', 'd'], 1, {
+        positions: { winners: { attack: 'b', defence: 'a' }, losers: { attack: 'c', defence: 'd' } }
+      });
+
+      // Position ratings 1100 + 1000 beat 1000 + 900, so the win earns less than the even overall Elo match
+      expect(match.eloChanges.winners).toEqual([16, 16]);
+      expect(match.positionEloChanges).toEqual({ winners: [12, 12], losers: [-12, -12] });
+      expect(playerService.incrementPlayerPositionElo).toHaveBeenCalledWith('1', 12, 'defence');
+      expect(playerService.incrementPlayerPositionElo).toHaveBeenCalledWith('2', 12, 'attack');
+      expect(playerService.incrementPlayerPositionElo).toHaveBeenCalledWith('3', -12, 'attack');
+      expect(playerService.incrementPlayerPositionElo).toHaveBeenCalledWith('4', -12, 'defence');
+    });
+
+    it('should leave attack and defence ratings alone without both teams\' positions', async () => {
+      const players = [
+        { _id: '1', username: 'a', elo: 1000 },
+        { _id: '2', username: 'b', elo: 1000 },
+        { _id: '3', username: 'c', elo: 1000 },
+        { _id: '4', username: 'd', elo: 1000 }
+      ];
+      players.forEach(p => playerService.getPlayerByUsername.mockResolvedValueOnce(p));
+      let match;
+      Match.mockImplementation((data) => {
+        match = { ...data, save: jest.fn().mockResolvedValue(), populate: jest.fn().mockResolvedValue() };
+        return match;
+      });
+
+      await matchService.recordMatch(['a', 'b'], ['c', 'd'], 1, {
+        positions: { winners: { attack: 'b', defence: 'a' } }
+      });
+
+      expect(match.positionEloChanges).toBeUndefined();
+      expect(playerService.incrementPlayerPositionElo).not.toHaveBeenCalled();
+    });
+
+    it('should reject positions that do not match the team', async () => {
+      const players = [
+        { _id: '1', username: 'a', elo: 1000 },
+        { _id: '2', username: 'b', elo: 1000 },
+        { _id: '3', username: 'c', elo: 1000 },
+        { _id: '4', username: 'd', elo: 1000 }
+      ];
+      players.forEach(p => playerService.getPlayerByUsername.mockResolvedValueOnce(p));
+
+      await expect(matchService.recordMatch(['a', 'b'], ['c', 'd'], 1, {
+        positions: { winners: { attack: 'a', defence: 'c' } }
+      })).rejects.toThrow('Positions must assign attack and defence to the two players of the same team');
+    });
+
+    it('should save a pending match without applying Elo', async () => {
+      const players = [
+        { _id: '1', elo: 1000 },
+        { _id: '2', elo: 1000 },
+        { _id: '3', elo: 1000 },
+        { _id: '4', elo: 1000 }
+      ];
+      playerService.getPlayerByUsername
+        .mockResolvedValueOnce(players[0])
+        .mockResolvedValueOnce(players[1])
+        .mockResolvedValueOnce(players[2])
+        .mockResolvedValueOnce(players[3]);
+      const match = {
+        save: jest.fn().mockResolvedValue(),
+        populate: jest.fn().mockResolvedValue()
+      };
+      Match.mockImplementation(() => match);
+
+      const result = await matchService.recordMatch(['a', 'b'], ['c', 'd'], 1, { recordedBy: '@a', pending: true });
+
+      expect(match.status).toBe('pending');
+      expect(match.eloChanges).toBeUndefined();
+      expect(match.save).toHaveBeenCalled();
+      expect(playerService.incrementPlayerElo).not.toHaveBeenCalled();
+      expect(seasonService.updateSeasonStats).not.toHaveBeenCalled();
+      expect(teamService.ensureMatchTeams).toHaveBeenCalledWith(match);
+      expect(teamService.applyMatchToTeams).not.toHaveBeenCalled();
+      expect(result.pending).toBe(true);
+      expect(result.eloResult.team1Changes).toHaveLength(2);
+    });
+
+    it('should throw if the score is invalid', async () => {
+      await expect(matchService.recordMatch(['a', 'b'], ['c', 'd'], 1, { score: { winners: 5, losers: 8 } }))
+        .rejects.toThrow('Winning team must score more goals than the losing team');
+    });
+  });
+
+  describe('validateScore', () => {
+    it('should accept a valid score', () => {
+      expect(() => matchService.validateScore({ winners: 10, losers: 7 })).not.toThrow();
+    });
+    it('should reject a missing or fractional score', () => {
+      expect(() => matchService.validateScore(null)).toThrow('Score must contain whole numbers for both teams');
+      expect(() => matchService.validateScore({ winners: 10, losers: 2.5 })).toThrow('Score must contain whole numbers for both teams');
+    });
+    it('should reject negative scores', () => {
+      expect(() => matchService.validateScore({ winners: 10, losers: -1 })).toThrow('Score cannot be negative');
+    });
+    it('should reject a score where winners did not score more', () => {
+      expect(() => matchService.validateScore({ winners: 7, losers: 7 })).toThrow('Winning team must score more goals than the losing team');
+    });
+  });
+
+  describe('getMatchById', () => {
+    it('should return null for an invalid ID', async () => {
+      const result = await matchService.getMatchById('not-an-id');
+      expect(result).toBeNull();
+      expect(Match.findById).not.toHaveBeenCalled();
+    });
+    it('should return the populated match', async () => {
+      const match = { _id: '507f1f77bcf86cd799439011' };
+      Match.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(match) });
+      const result = await matchService.getMatchById('507f1f77bcf86cd799439011');
+      expect(result).toEqual(match);
+    });
+  });
+
+  describe('getLastRecordedMatch', () => {
+    it('should find the latest non-voided match recorded by the user', async () => {
+      const match = { _id: 'm1' };
+      const sortMock = jest.fn().mockReturnValue({ populate: jest.fn().mockResolvedValue(match) });
+      Match.findOne.mockReturnValue({ sort: sortMock });
+      const result = await matchService.getLastRecordedMatch('@user');
+      expect(Match.findOne).toHaveBeenCalledWith({ status: { $ne: 'voided' }, recordedBy: 'user' });
+      expect(sortMock).toHaveBeenCalledWith({ recordedAt: -1 });
+      expect(result).toEqual(match);
+    });
+  });
+
+  describe('voidMatch', () => {
+    it('should throw if match not found', async () => {
+      Match.findById.mockResolvedValue(null);
+      await expect(matchService.voidMatch('m1', 'admin')).rejects.toThrow('Match not found');
+    });
+
+    it('should throw if match is already voided', async () => {
+      Match.findById.mockResolvedValue({ status: 'voided' });
+      await expect(matchService.voidMatch('m1', 'admin')).rejects.toThrow('Match is already voided');
+    });
+
+    it('should void the match between rollback and replay', async () => {
+      const match = {
+        status: 'confirmed',
+        playedAt: new Date('2024-06-01'),
+        save: jest.fn().mockResolvedValue(),
+        populate: jest.fn().mockResolvedValue()
+      };
+      Match.findById.mockResolvedValue(match);
+      let replayedInTransaction = false;
+      ratingReplayService.replayMatchesFrom.mockImplementation(async (fromDate, applyChange) => {
+        replayedInTransaction = inTransaction;
+        await applyChange();
+        return { ratingChanges: [{ before: 1016, after: 1000 }], seasons: ['2024-06'] };
+      });
+
+      const result = await matchService.voidMatch('m1', '@admin');
+
+      expect(ratingReplayService.replayMatchesFrom).toHaveBeenCalledWith(match.playedAt, expect.any(Function));
+      expect(replayedInTransaction).toBe(true);
+      expect(match.status).toBe('voided');
+      expect(match.voidedBy).toBe('admin');
+      expect(match.voidedAt).toBeInstanceOf(Date);
+      expect(match.save).toHaveBeenCalled();
+      expect(result.ratingChanges).toHaveLength(1);
+      expect(result.seasons).toEqual(['2024-06']);
+    });
+  });
+
+  describe('voidMatch for unconfirmed matches', () => {
+    it('should void a pending match without replaying ratings', async () => {
+      const match = {
+        status: 'pending',
+        playedAt: new Date('2024-06-01'),
+        save: jest.fn().mockResolvedValue(),
+        populate: jest.fn().mockResolvedValue()
+      };
+      Match.findById.mockResolvedValue(match);
+
+      const result = await matchService.voidMatch('m1', 'admin');
+
+      expect(ratingReplayService.replayMatchesFrom).not.toHaveBeenCalled();
+      expect(match.status).toBe('voided');
+      expect(match.save).toHaveBeenCalled();
+      expect(result.ratingChanges).toEqual([]);
+    });
+  });
+
+  describe('confirmMatch', () => {
+    const pendingMatch = (overrides = {}) => ({
+      _id: 'm1',
+      status: 'pending',
+      playedAt: new Date('2024-06-01'),
+      winners: ['1', '2'],
+      losers: ['3', '4'],
+      set: jest.fn(),
+      save: jest.fn().mockResolvedValue(),
+      populate: jest.fn().mockResolvedValue(),
+      ...overrides
+    });
+
+    it('should throw if match not found', async () => {
+      Match.findById.mockResolvedValue(null);
+      await expect(matchService.confirmMatch('m1')).rejects.toThrow('Match not found');
+    });
+
+    it('should throw if the match is not awaiting confirmation', async () => {
+      Match.findById.mockResolvedValue(pendingMatch({ status: 'confirmed' }));
+      await expect(matchService.confirmMatch('m1')).rejects.toThrow('Match is not awaiting confirmation');
+    });
+
+    it('should apply Elo and season stats using current ratings', async () => {
+      const match = pendingMatch();
+      Match.findById.mockResolvedValue(match);
+      Match.exists.mockResolvedValue(null);
+      playerService.getPlayerById.mockImplementation(async (id) => ({ _id: id, elo: 1000 }));
+
+      const result = await matchService.confirmMatch('m1', { confirmedBy: '@c' });
+
+      expect(match.status).toBe('confirmed');
+      expect(match.set).toHaveBeenCalledWith('confirmation.respondedBy', 'c');
+      expect(match.set).toHaveBeenCalledWith('confirmation.autoConfirmed', false);
+      expect(match.eloChanges.winners).toEqual(result.eloResult.team1Changes);
+      expect(match.glickoChanges.winners).toEqual(result.glickoResult.team1Changes);
+      expect(playerService.incrementPlayerElo).toHaveBeenCalledTimes(4);
+      expect(playerService.incrementPlayerGlicko).toHaveBeenCalledTimes(4);
+      expect(seasonService.updateSeasonStats).toHaveBeenCalledWith(match);
+      expect(ratingReplayService.replayMatchesFrom).not.toHaveBeenCalled();
+    });
+
+    it('should not auto-confirm a disputed match', async () => {
+      Match.findById.mockResolvedValue(pendingMatch({ status: 'disputed' }));
+      await expect(matchService.confirmMatch('m1', { autoConfirmed: true }))
+        .rejects.toThrow('Match is not awaiting confirmation');
+      expect(playerService.incrementPlayerElo).not.toHaveBeenCalled();
+    });
+
+    it('should replay history when later matches are already counted', async () => {
+      const match = pendingMatch();
+      const replayed = { _id: 'm1', status: 'confirmed' };
+      Match.findById
+        .mockResolvedValueOnce(match)
+        .mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(replayed) });
+      Match.exists.mockResolvedValue({ _id: 'm2' });
+      ratingReplayService.replayMatchesFrom.mockImplementation(async (fromDate, applyChange) => {
+        await applyChange();
+        return { ratingChanges: [], seasons: ['2024-06'] };
+      });
+
+      const result = await matchService.confirmMatch('m1', { autoConfirmed: true });
+
+      expect(ratingReplayService.replayMatchesFrom).toHaveBeenCalledWith(match.playedAt, expect.any(Function));
+      expect(match.status).toBe('confirmed');
+      expect(match.set).toHaveBeenCalledWith('confirmation.autoConfirmed', true);
+      expect(playerService.incrementPlayerElo).not.toHaveBeenCalled();
+      expect(result.match).toBe(replayed);
+    });
+  });
+
+  describe('disputeMatch', () => {
+    it('should mark a pending match as disputed in a transaction', async () => {
+      const disputed = { _id: 'm1', status: 'disputed' };
+      let disputedInTransaction = false;
+      Match.findOneAndUpdate.mockImplementation(() => {
+        disputedInTransaction = inTransaction;
+        return { populate: jest.fn().mockResolvedValue(disputed) };
+      });
+
+      const result = await matchService.disputeMatch('m1', '@c');
+
+      expect(Match.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'm1', status: 'pending' },
+        { $set: { status: 'disputed', 'confirmation.respondedBy': 'c', 'confirmation.respondedAt': expect.any(Date) } },
+        { new: true }
+      );
+      expect(disputedInTransaction).toBe(true);
+      expect(result).toBe(disputed);
+    });
+
+    it('should throw if the match is not pending', async () => {
+      Match.findOneAndUpdate.mockReturnValue({ populate: jest.fn().mockResolvedValue(null) });
+      Match.exists.mockResolvedValue({ _id: 'm1' });
+      await expect(matchService.disputeMatch('m1', 'c')).rejects.toThrow('Match is not awaiting confirmation');
+    });
+
+    it('should throw if match not found', async () => {
+      Match.findOneAndUpdate.mockReturnValue({ populate: jest.fn().mockResolvedValue(null) });
+      Match.exists.mockResolvedValue(null);
+      await expect(matchService.disputeMatch('m1', 'c')).rejects.toThrow('Match not found');
+    });
+  });
+
+  describe('getExpiredPendingMatches', () => {
+    it('should find pending matches recorded before the timeout', async () => {
+      const sortMock = jest.fn().mockResolvedValue([]);
+      Match.find.mockReturnValue({ sort: sortMock });
+      const before = Date.now();
+
+      await matchService.getExpiredPendingMatches(60);
+
+      const query = Match.find.mock.calls[0][0];
+      expect(query.status).toBe('pending');
+      expect(query.recordedAt.$lte.getTime()).toBeLessThanOrEqual(before - 60 * 60 * 1000 + 1000);
+      expect(sortMock).toHaveBeenCalledWith({ recordedAt: 1 });
+    });
   });
 
   describe('getPlayerMatches', () => {
@@ -78,6 +628,322 @@ describe('matchService', () => {
     });
   });
 
+  describe('getHeadToHead', () => {
+    const alice = { _id: 'a', username: 'alice' };
+    const bob = { _id: 'b', username: 'bob' };
+
+    beforeEach(() => {
+      playerService.getPlayerByUsername.mockImplementation(async (username) =>
+        [alice, bob].find(player => player.username === username) || null);
+    });
+
+    it('should aggregate the record against each other and as partners', async () => {
+      const recent = [{ _id: 'm3' }];
+      const limit = jest.fn().mockResolvedValue(recent);
+      Match.find.mockReturnValue({ populate: () => ({ sort: () => ({ limit }) }) });
+      Match.aggregate.mockResolvedValue([
+        { _id: false, matches: 4, firstWins: 3, secondWins: 1, firstEloChange: 30, secondEloChange: -28 },
+        { _id: true, matches: 2, firstWins: 1, secondWins: 1, firstEloChange: 2, secondEloChange: 1 }
+      ]);
+
+      const result = await matchService.getHeadToHead('alice', 'bob');
+
+      const pipeline = Match.aggregate.mock.calls[0][0];
+      expect(pipeline[0]).toEqual({ $match: { status: { $nin: ['pending', 'disputed', 'voided'] }, players: { $all: ['a', 'b'] } } });
+      expect(pipeline[2].$group._id).toEqual({ $eq: ['$firstWon', '$secondWon'] });
+      expect(result.players).toEqual([alice, bob]);
+      expect(result.against).toEqual({ matches: 4, wins: [3, 1], winRates: ['75.0', '25.0'], eloChanges: [30, -28] });
+      expect(result.together).toEqual({ matches: 2, wins: 1, losses: 1, winRate: '50.0', eloChanges: [2, 1] });
+      // Only matches on opposite sides are encounters
+      expect(Match.find.mock.calls[0][0].$nor).toEqual([{ winners: { $all: ['a', 'b'] } }, { losers: { $all: ['a', 'b'] } }]);
+      expect(limit).toHaveBeenCalledWith(5);
+      expect(result.recent).toBe(recent);
+    });
+
+    it('should return empty records for players who never met', async () => {
+      Match.find.mockReturnValue({ populate: () => ({ sort: () => ({ limit: () => Promise.resolve([]) }) }) });
+      Match.aggregate.mockResolvedValue([]);
+
+      const result = await matchService.getHeadToHead('alice', 'bob');
+
+      expect(result.against).toMatchObject({ matches: 0, wins: [0, 0], winRates: [0, 0] });
+      expect(result.together).toMatchObject({ matches: 0, wins: 0, winRate: 0 });
+    });
+
+    it('should throw if a player is not found or both are the same', async () => {
+      await expect(matchService.getHeadToHead('alice', 'nobody')).rejects.toThrow('Player not found');
+      await expect(matchService.getHeadToHead('alice', 'alice')).rejects.toThrow('Players must be different');
+    });
+  });
+
+  describe('getPartnerReport', () => {
+    it('should report partners with their expectation, victim and nemesis', async () => {
+      const [me, bob, carol, dave] = ['me', 'bob', 'carol', 'dave'].map(id => ({ _id: id, username: id }));
+      playerService.getPlayerByUsername.mockResolvedValue(me);
+      const matches = [
+        { _id: 'm1', winners: [me, bob], losers: [carol, dave] },
+        { _id: 'm2', winners: [me, bob], losers: [carol, dave] },
+        { _id: 'm3', winners: [carol, dave], losers: [me, bob] },
+        { _id: 'm4', format: '1v1', winners: [dave], losers: [me] }
+      ];
+      Match.find.mockReturnValue({ populate: jest.fn().mockResolvedValue(matches) });
+      ratingHistoryService.getMatchRatings.mockResolvedValue(new Map([
+        ['m1|me', { before: 1000, after: 1016 }]
+      ]));
+
+      const report = await matchService.getPartnerReport('me', 3);
+
+      expect(Match.find).toHaveBeenCalledWith({ status: { $nin: ['pending', 'disputed', 'voided'] }, players: 'me' });
+      expect(ratingHistoryService.getMatchRatings).toHaveBeenCalledWith(['m1', 'm2', 'm3']);
+      expect(report.partners).toEqual([
+        { player: bob, matches: 3, wins: 2, winRate: '66.7', eloChange: 16, expectedWinRate: null }
+      ]);
+      expect(report.bestPartner.player).toBe(bob);
+      expect(report.worstPartner).toBeNull();
+      expect(report.favouriteVictim).toMatchObject({ player: carol, wins: 2, losses: 1 });
+      expect(report.nemesis).toMatchObject({ player: dave, wins: 2, losses: 2 });
+    });
+
+    it('should throw if player not found', async () => {
+      playerService.getPlayerByUsername.mockResolvedValue(null);
+      await expect(matchService.getPartnerReport('user', 3)).rejects.toThrow('Player not found');
+    });
+  });
+
+  describe('predictMatch', () => {
+    it('should return the win probability and the Elo changes for both results', async () => {
+      const players = [
+        { _id: '1', username: 'a', elo: 1200 },
+        { _id: '2', username: 'b', elo: 1200 },
+        { _id: '3', username: 'c', elo: 1000 },
+        { _id: '4', username: 'd', elo: 1000 }
+      ];
+      players.forEach(p => playerService.getPlayerByUsername.mockResolvedValueOnce(p));
+
+      const prediction = await matchService.predictMatch(['a', 'b'], ['c', 'd']);
+
+      expect(prediction.format).toBe('2v2');
+      expect(prediction.team1Ratings).toEqual([1200, 1200]);
+      expect(prediction.team1WinProbability).toBeCloseTo(0.76, 2);
+      expect(prediction.ifTeam1Wins).toEqual({ team1Changes: [8, 8], team2Changes: [-8, -8] });
+      expect(prediction.ifTeam2Wins).toEqual({ team1Changes: [-24, -24], team2Changes: [24, 24] });
+      expect(Match).not.toHaveBeenCalled();
+      expect(playerService.incrementPlayerElo).not.toHaveBeenCalled();
+    });
+
+    it('should use the one-goal win multiplier when the margin curve is on', async () => {
+      process.env.ELO_MOV_CURVE = 'linear';
+      const players = [
+        { _id: '1', username: 'a', elo: 1200 },
+        { _id: '2', username: 'b', elo: 1200 },
+        { _id: '3', username: 'c', elo: 1000 },
+        { _id: '4', username: 'd', elo: 1000 }
+      ];
+      players.forEach(p => playerService.getPlayerByUsername.mockResolvedValueOnce(p));
+
+      const prediction = await matchService.predictMatch(['a', 'b'], ['c', 'd']);
+      delete process.env.ELO_MOV_CURVE;
+
+      // Damping lowers the favourites' win and raises the upset
+      expect(prediction.ifTeam1Wins).toEqual({ team1Changes: [7, 7], team2Changes: [-7, -7] });
+      expect(prediction.ifTeam2Wins).toEqual({ team1Changes: [-27, -27], team2Changes: [27, 27] });
+    });
+
+    it('should reject uneven teams', async () => {
+      await expect(matchService.predictMatch(['a'], ['b', 'c']))
+        .rejects.toThrow('Both teams must have the same number of players');
+    });
+  });
+
+  describe('suggestTeams', () => {
+    const players = [
+      { _id: '1', username: 'a', elo: 1300 },
+      { _id: '2', username: 'b', elo: 1200 },
+      { _id: '3', username: 'c', elo: 1000 },
+      { _id: '4', username: 'd', elo: 900 }
+    ];
+    const loadPlayers = () => players.forEach(p => playerService.getPlayerByUsername.mockResolvedValueOnce(p));
+    const teamIds = (team) => team.map(p => p._id);
+
+    it('should rate all three splits and suggest the one closest to 50/50', async () => {
+      loadPlayers();
+
+      const splits = await matchService.suggestTeams(['a', 'b', 'c', 'd']);
+
+      expect(splits).toHaveLength(3);
+      expect(teamIds(splits[0].team1Players)).toEqual(['1', '4']);
+      expect(teamIds(splits[0].team2Players)).toEqual(['2', '3']);
+      expect(splits[0].team1WinProbability).toBe(0.5);
+      expect(teamIds(splits[2].team1Players)).toEqual(['1', '2']);
+      expect(Match.find).not.toHaveBeenCalled();
+    });
+
+    it('should avoid splits that repeat a recent partnership', async () => {
+      loadPlayers();
+      const limit = jest.fn().mockResolvedValue([{ winners: ['4', '1'], losers: ['2', '3'] }]);
+      Match.find.mockReturnValue({ sort: jest.fn().mockReturnValue({ limit }) });
+
+      const splits = await matchService.suggestTeams(['a', 'b', 'c', 'd'], { recentMatches: 3 });
+
+      expect(Match.find).toHaveBeenCalledWith(expect.objectContaining({ players: { $in: ['1', '2', '3', '4'] } }));
+      expect(limit).toHaveBeenCalledWith(3);
+      expect(teamIds(splits[0].team1Players)).toEqual(['1', '3']);
+      expect(splits[2].repeatedPartners).toBe(2);
+    });
+
+    it('should need four different players', async () => {
+      await expect(matchService.suggestTeams(['a', 'b', 'c'])).rejects.toThrow('Exactly 4 players are needed');
+      players.slice(0, 3).forEach(p => playerService.getPlayerByUsername.mockResolvedValueOnce(p));
+      playerService.getPlayerByUsername.mockResolvedValueOnce(players[0]);
+      await expect(matchService.suggestTeams(['a', 'b', 'c', 'a'])).rejects.toThrow('All players must be different');
+    });
+  });
+
+  describe('recordBackdatedMatch', () => {
+    const players = [
+      { _id: '1', elo: 1000 },
+      { _id: '2', elo: 1000 },
+      { _id: '3', elo: 1000 },
+      { _id: '4', elo: 1000 }
+    ];
+
+    it('should reject dates in the future', async () => {
+      const future = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      await expect(matchService.recordBackdatedMatch(['a', 'b'], ['c', 'd'], 1, future))
+        .rejects.toThrow('Match date cannot be in the future');
+      await expect(matchService.recordBackdatedMatch(['a', 'b'], ['c', 'd'], 1, 'not a date'))
+        .rejects.toThrow('Match date is not valid');
+    });
+
+    it('should save the match in its season and replay history from its date', async () => {
+      players.forEach(player => playerService.getPlayerByUsername.mockResolvedValueOnce(player));
+      const playedAt = new Date('2024-06-14T12:00:00Z');
+      let matchData;
+      const saveMock = jest.fn().mockResolvedValue();
+      Match.mockImplementation((data) => {
+        matchData = data;
+        return { ...data, _id: 'match1', save: saveMock };
+      });
+      const reloaded = { _id: 'match1', eloChanges: { winners: [16, 16], losers: [-16, -16] } };
+      Match.findById.mockReturnValue({ populate: jest.fn().mockResolvedValue(reloaded) });
+      let replayedInTransaction = false;
+      ratingReplayService.replayMatchesFrom.mockImplementation(async (fromDate, applyChange) => {
+        replayedInTransaction = inTransaction;
+        await applyChange();
+        return { ratingChanges: [{ before: 1000, after: 1016 }], seasons: ['2024-06'] };
+      });
+
+      const result = await matchService.recordBackdatedMatch(['a', 'b'], ['c', 'd'], 1, playedAt, {
+        score: { winners: 10, losers: 4 },
+        recordedBy: '@admin'
+      });
+
+      expect(matchData).toMatchObject({ playedAt, season: '2024-06', recordedBy: 'admin', format: '2v2' });
+      expect(ratingReplayService.replayMatchesFrom).toHaveBeenCalledWith(playedAt, expect.any(Function));
+      expect(replayedInTransaction).toBe(true);
+      expect(saveMock).toHaveBeenCalled();
+      expect(playerService.incrementPlayerElo).not.toHaveBeenCalled();
+      expect(result.match).toBe(reloaded);
+      expect(result.seasons).toEqual(['2024-06']);
+    });
+  });
+
+  describe('editMatch', () => {
+    const players = {
+      a: { _id: 'a', username: 'a', elo: 1000 },
+      b: { _id: 'b', username: 'b', elo: 1000 },
+      c: { _id: 'c', username: 'c', elo: 1000 },
+      d: { _id: 'd', username: 'd', elo: 1000 },
+      e: { _id: 'e', username: 'e', elo: 1000 }
+    };
+    const createStoredMatch = (overrides = {}) => ({
+      _id: 'match1',
+      status: 'confirmed',
+      playedAt: new Date('2024-06-01'),
+      winners: ['a', 'b'],
+      losers: ['c', 'd'],
+      players: ['a', 'b', 'c', 'd'],
+      score: { winners: 10, losers: 4 },
+      isDryWin: false,
+      editHistory: [],
+      set: jest.fn(),
+      save: jest.fn().mockResolvedValue(),
+      ...overrides
+    });
+
+    beforeEach(() => {
+      playerService.getPlayerByUsername.mockImplementation(async (username) => players[username] || null);
+    });
+
+    it('should reject voided matches', async () => {
+      Match.findById.mockResolvedValueOnce(createStoredMatch({ status: 'voided' }));
+      await expect(matchService.editMatch('match1', { winners: ['a', 'b'], losers: ['c', 'd'] }, 'admin'))
+        .rejects.toThrow('Voided matches cannot be edited');
+    });
+
+    it('should reject edits that change nothing', async () => {
+      Match.findById.mockResolvedValueOnce(createStoredMatch());
+      await expect(matchService.editMatch('match1', {
+        winners: ['a', 'b'],
+        losers: ['c', 'd'],
+        score: { winners: 10, losers: 4 }
+      }, 'admin')).rejects.toThrow('No changes to save');
+    });
+
+    it('should replace a player, record the edit and replay ratings', async () => {
+      const stored = createStoredMatch();
+      const reloaded = { _id: 'match1' };
+      Match.findById
+        .mockResolvedValueOnce(stored)
+        .mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(reloaded) });
+      let replayedInTransaction = false;
+      ratingReplayService.replayMatchesFrom.mockImplementation(async (fromDate, applyChange) => {
+        replayedInTransaction = inTransaction;
+        await applyChange();
+        return { ratingChanges: [], seasons: ['2024-06'] };
+      });
+
+      const result = await matchService.editMatch('match1', {
+        winners: ['a', 'b'],
+        losers: ['c', 'e'],
+        score: { winners: 10, losers: 0 }
+      }, '@admin');
+
+      expect(ratingReplayService.replayMatchesFrom).toHaveBeenCalledWith(stored.playedAt, expect.any(Function));
+      expect(replayedInTransaction).toBe(true);
+      expect(stored.losers).toEqual(['c', 'e']);
+      expect(stored.players).toEqual(['a', 'b', 'c', 'e']);
+      expect(stored.isDryWin).toBe(true);
+      expect(stored.set).toHaveBeenCalledWith('positions', undefined);
+      expect(stored.editHistory).toHaveLength(1);
+      expect(stored.editHistory[0]).toMatchObject({
+        editedBy: 'admin',
+        before: { losers: ['c', 'd'], score: { winners: 10, losers: 4 } },
+        after: { losers: ['c', 'e'], score: { winners: 10, losers: 0 }, isDryWin: true }
+      });
+      expect(result.match).toBe(reloaded);
+      expect(result.before.losers).toEqual(['c', 'd']);
+    });
+
+    it('should swap sides of a pending match without replaying', async () => {
+      const stored = createStoredMatch({ status: 'pending' });
+      Match.findById
+        .mockResolvedValueOnce(stored)
+        .mockReturnValueOnce({ populate: jest.fn().mockResolvedValue(stored) });
+
+      const result = await matchService.editMatch('match1', {
+        winners: ['c', 'd'],
+        losers: ['a', 'b'],
+        score: { winners: 10, losers: 4 }
+      }, 'admin');
+
+      expect(ratingReplayService.replayMatchesFrom).not.toHaveBeenCalled();
+      expect(stored.winners).toEqual(['c', 'd']);
+      expect(stored.set).not.toHaveBeenCalled();
+      expect(result.ratingChanges).toEqual([]);
+    });
+  });
+
   describe('getPlayerStats', () => {
     it('should throw if player not found', async () => {
       playerService.getPlayerByUsername.mockResolvedValue(null);
@@ -102,6 +968,45 @@ describe('matchService', () => {
       expect(stats).toHaveProperty('seasonWins');
       expect(stats).toHaveProperty('seasonWinRate');
       expect(stats).toHaveProperty('recentForm');
+      expect(stats).toHaveProperty('goals');
+      expect(stats).toHaveProperty('seasonGoals');
+    });
+    it('should return singles stats with the singles rating', async () => {
+      const player = { _id: '1', elo: 1100, singlesElo: 1040 };
+      playerService.getPlayerByUsername.mockResolvedValue(player);
+      Match.find.mockReturnValue({ populate: () => Promise.resolve([{ winners: [{ _id: '1' }], season: '2024-06' }]) });
+      const stats = await matchService.getPlayerStats('user', '1v1');
+      expect(Match.find).toHaveBeenCalledWith(expect.objectContaining({ format: '1v1', players: '1' }));
+      expect(stats.format).toBe('1v1');
+      expect(stats.currentElo).toBe(1040);
+      expect(stats.provisional).toBe(true);
+      expect(stats.glicko).toEqual({ rating: 1000, deviation: 350, volatility: 0.06 });
+    });
+    it('should calculate goals from scored matches', async () => {
+      const player = { _id: '1', elo: 1000 };
+      playerService.getPlayerByUsername.mockResolvedValue(player);
+      const matches = [
+        { winners: [{ _id: '1' }], season: '2024-06', score: { winners: 10, losers: 6 } },
+        { winners: [{ _id: '2' }], season: '2024-06', score: { winners: 10, losers: 8 } },
+        { winners: [{ _id: '1' }], season: '2024-06' }
+      ];
+      Match.find.mockReturnValue({ populate: () => Promise.resolve(matches) });
+      const stats = await matchService.getPlayerStats('user');
+      expect(stats.goals).toEqual({ goalsFor: 18, goalsAgainst: 16, goalDifference: 2, scoredMatches: 2 });
+    });
+
+    it('should calculate per-position stats with the position ratings', async () => {
+      const player = { _id: '1', elo: 1000, attackElo: 1040 };
+      playerService.getPlayerByUsername.mockResolvedValue(player);
+      const matches = [
+        { winners: [{ _id: '1' }], season: '2024-06', positions: { winners: { attack: '1', defence: '2' } } },
+        { winners: [{ _id: '3' }], season: '2024-06', positions: { losers: { attack: '4', defence: '1' } } },
+        { winners: [{ _id: '1' }], season: '2024-06' }
+      ];
+      Match.find.mockReturnValue({ populate: () => Promise.resolve(matches) });
+      const stats = await matchService.getPlayerStats('user');
+      expect(stats.positions.attack).toEqual({ matches: 1, wins: 1, winRate: '100.0', rating: 1040 });
+      expect(stats.positions.defence).toEqual({ matches: 1, wins: 0, winRate: '0.0', rating: 1000 });
     });
   });
 
@@ -0,0 +1,140 @@
+const notificationService = require('../../src/services/notificationService');
+const playerService = require('../../src/services/playerService');
+
+jest.mock('../../src/services/playerService');
+
+describe('notificationService', () => {
+  const originalAdmins = process.env.ADMIN_USERNAMES;
+  const match = {
+    _id: 'match1',
+    winners: [{ username: 'player1' }, { username: 'player2' }],
+    losers: [{ username: 'player3' }, { username: 'player4' }],
+    score: { winners: 10, losers: 0 },
+    isDryWin: true
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.ADMIN_USERNAMES = 'admin';
+  });
+
+  afterAll(() => {
+    process.env.ADMIN_USERNAMES = originalAdmins;
+  });
+
+  describe('formatMatchLine', () => {
+    it('should describe teams and score', () => {
+      expect(notificationService.formatMatchLine(match)).toBe('@player1 + @player2 beat @player3 + @player4 (10–0)');
+    });
+    it('should omit a missing score', () => {
+      expect(notificationService.formatMatchLine({ ...match, score: undefined }))
+        .toBe('@player1 + @player2 beat @player3 + @player4');
+    });
+  });
+
+  describe('formatMatchNotification', () => {
+    it('should include score, dry win, Elo changes and match ID', () => {
+      const text = notificationService.formatMatchNotification(match, { winners: [10, 12], losers: [-10, -12] });
+      expect(text).toMatch(/New Match Recorded!<\/b> \(Dry Win\)/);
+      expect(text).toMatch(/Score:<\/b> 10–0/);
+      expect(text).toMatch(/Winners: \+10, \+12/);
+      expect(text).toMatch(/Losers: -10, -12/);
+      expect(text).toMatch(/Match ID: <code>match1<\/code>/);
+    });
+
+    it('should show Glicko-2 ratings with deviation when that engine is active', () => {
+      process.env.RATING_ENGINE = 'glicko2';
+      const rated = {
+        ...match,
+        winners: [
+          { username: 'player1', glicko: { rating: 1162.3, deviation: 290.3, volatility: 0.06 } },
+          { username: 'player2', glicko: { rating: 1100, deviation: 120, volatility: 0.06 } }
+        ],
+        glickoChanges: {
+          winners: [{ rating: 162.3 }, { rating: 40.4 }],
+          losers: [{ rating: -162.3 }, { rating: -39.6 }]
+        }
+      };
+      const text = notificationService.formatMatchNotification(rated, { winners: [16, 16], losers: [-16, -16] });
+      delete process.env.RATING_ENGINE;
+      expect(text).toMatch(/Ratings:<\/b>/);
+      expect(text).toMatch(/Winners: @player1 1162 ± 290 \(\+162\), @player2 1100 ± 120 \(\+40\)/);
+      expect(text).toMatch(/Losers: @player3 1000 ± 350 \(-162\), @player4 1000 ± 350 \(-40\)/);
+      expect(text).not.toMatch(/Elo Changes/);
+    });
+
+    it('should fall back to Elo changes for matches without Glicko-2 changes', () => {
+      process.env.RATING_ENGINE = 'glicko2';
+      const text = notificationService.formatMatchNotification(match, { winners: [10, 12], losers: [-10, -12] });
+      delete process.env.RATING_ENGINE;
+      expect(text).toMatch(/Elo Changes:<\/b>/);
+    });
+
+    it('should show the margin multiplier when Elo changes were scaled', () => {
+      const text = notificationService.formatMatchNotification(match, { winners: [20, 20], losers: [-20, -20], marginMultiplier: 1.25 });
+      expect(text).toMatch(/Elo Changes:<\/b> \(margin ×1\.25\)/);
+      expect(notificationService.formatMatchNotification(match, { winners: [16, 16], losers: [-16, -16], marginMultiplier: 1 }))
+        .not.toMatch(/margin/);
+    });
+
+    it('should describe 1v1 matches', () => {
+      const singles = { ...match, format: '1v1', winners: [{ username: 'player1' }], losers: [{ username: 'player3' }] };
+      const text = notificationService.formatMatchNotification(singles, { winners: [16], losers: [-16] });
+      expect(text).toMatch(/New Match Recorded!<\/b> \(1v1\)/);
+      expect(text).toMatch(/Winners: @player1\n/);
+      expect(text).toMatch(/Losers: -16/);
+    });
+  });
+
+  describe('broadcastToPlayers', () => {
+    it('should message players with a chat except excluded ones', async () => {
+      playerService.getAllPlayers.mockResolvedValue([
+        { username: 'player1', chatId: '1' },
+        { username: 'player5', chatId: '5' },
+        { username: 'player6' }
+      ]);
+      const bot = { sendMessage: jest.fn().mockResolvedValue() };
+
+      await notificationService.broadcastToPlayers(bot, 'hello', ['player1']);
+
+      expect(bot.sendMessage).toHaveBeenCalledTimes(1);
+      expect(bot.sendMessage).toHaveBeenCalledWith('5', 'hello', { parse_mode: 'HTML' });
+    });
+
+    it('should do nothing without a bot', async () => {
+      await notificationService.broadcastToPlayers(null, 'hello');
+      expect(playerService.getAllPlayers).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notifyAdmins', () => {
+    it('should message admins with a chat', async () => {
+      playerService.getAllPlayers.mockResolvedValue([
+        { username: 'admin', chatId: '1' },
+        { username: 'player5', chatId: '5' }
+      ]);
+      const bot = { sendMessage: jest.fn().mockResolvedValue() };
+
+      const notified = await notificationService.notifyAdmins(bot, 'dispute');
+
+      expect(notified).toBe(1);
+      expect(bot.sendMessage).toHaveBeenCalledWith('1', 'dispute', { parse_mode: 'HTML' });
+    });
+
+    it('should keep going when a message fails', async () => {
+      process.env.ADMIN_USERNAMES = 'admin,admin2';
+      playerService.getAllPlayers.mockResolvedValue([
+        { username: 'admin', chatId: '1' },
+        { username: 'admin2', chatId: '2' }
+      ]);
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      const bot = { sendMessage: jest.fn().mockRejectedValueOnce(new Error('blocked')).mockResolvedValue() };
+
+      const notified = await notificationService.notifyAdmins(bot, 'dispute');
+
+      expect(notified).toBe(1);
+      expect(bot.sendMessage).toHaveBeenCalledTimes(2);
+      consoleSpy.mockRestore();
+    });
+  });
+});
\ No newline at end of file
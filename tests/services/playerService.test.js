@@ -40,6 +40,39 @@ describe('playerService', () => {
     });
   });
 
+  describe('getPlayerByAlias', () => {
+    it('should look up the alias case-insensitively', async () => {
+      Player.find.mockResolvedValue([{ username: 'user', alias: 'Pro.Player' }]);
+      const result = await playerService.getPlayerByAlias(' pro.player ');
+      expect(Player.find).toHaveBeenCalledWith({ alias: { $regex: '^pro\\.player$', $options: 'i' } });
+      expect(result).toEqual({ username: 'user', alias: 'Pro.Player' });
+    });
+    it('should return null if no player uses the alias', async () => {
+      Player.find.mockResolvedValue([]);
+      const result = await playerService.getPlayerByAlias('nobody');
+      expect(result).toBeNull();
+    });
+    it('should throw if the alias is ambiguous', async () => {
+      Player.find.mockResolvedValue([{ username: 'a' }, { username: 'b' }]);
+      await expect(playerService.getPlayerByAlias('Ace')).rejects.toThrow('Alias "Ace" is used by more than one player');
+    });
+  });
+
+  describe('findPlayerByNameOrAlias', () => {
+    it('should prefer the username', async () => {
+      Player.findOne.mockResolvedValue({ username: 'user' });
+      const result = await playerService.findPlayerByNameOrAlias('@user');
+      expect(result).toEqual({ username: 'user' });
+      expect(Player.find).not.toHaveBeenCalled();
+    });
+    it('should fall back to the alias', async () => {
+      Player.findOne.mockResolvedValue(null);
+      Player.find.mockResolvedValue([{ username: 'user', alias: 'Ace' }]);
+      const result = await playerService.findPlayerByNameOrAlias('ace');
+      expect(result).toEqual({ username: 'user', alias: 'Ace' });
+    });
+  });
+
   describe('getPlayerById', () => {
     it('should return player by id', async () => {
       Player.findById.mockResolvedValue({ _id: '1' });
@@ -60,6 +93,70 @@ describe('playerService', () => {
       expect(Player.findByIdAndUpdate).toHaveBeenCalledWith('1', { elo: 1100 }, { new: true });
       expect(result).toEqual({ _id: '1', elo: 1100 });
     });
+    it('should update the singles rating for 1v1', async () => {
+      Player.findByIdAndUpdate.mockResolvedValue({ _id: '1', singlesElo: 1016 });
+      await playerService.updatePlayerElo('1', 1016, '1v1');
+      expect(Player.findByIdAndUpdate).toHaveBeenCalledWith('1', { singlesElo: 1016 }, { new: true });
+    });
+  });
+
+  describe('incrementPlayerElo', () => {
+    it('should add the change with $inc', async () => {
+      Player.updateOne.mockResolvedValue({});
+      Player.findByIdAndUpdate.mockResolvedValue({ _id: '1', elo: 984 });
+      const result = await playerService.incrementPlayerElo('1', -16);
+      expect(Player.findByIdAndUpdate).toHaveBeenCalledWith('1', { $inc: { elo: -16 } }, { new: true });
+      expect(result).toEqual({ _id: '1', elo: 984 });
+    });
+    it('should start a missing singles rating from the default before adding the change', async () => {
+      Player.updateOne.mockResolvedValue({});
+      Player.findByIdAndUpdate.mockResolvedValue({ _id: '1', singlesElo: 1016 });
+      await playerService.incrementPlayerElo('1', 16, '1v1');
+      expect(Player.updateOne).toHaveBeenCalledWith(
+        { _id: '1', singlesElo: { $exists: false } },
+        { $set: { singlesElo: 1000 } }
+      );
+      expect(Player.findByIdAndUpdate).toHaveBeenCalledWith('1', { $inc: { singlesElo: 16 } }, { new: true });
+    });
+  });
+
+  describe('incrementPlayerGlicko', () => {
+    it('should start a missing Glicko-2 state from the default and add the change with $inc', async () => {
+      Player.updateOne.mockResolvedValue({});
+      Player.findByIdAndUpdate.mockResolvedValue({ _id: '1' });
+      await playerService.incrementPlayerGlicko('1', { rating: 40, deviation: -30, volatility: -0.001 }, '1v1');
+      expect(Player.updateOne).toHaveBeenCalledWith(
+        { _id: '1', 'singlesGlicko.rating': { $exists: false } },
+        { $set: { singlesGlicko: { rating: 1000, deviation: 350, volatility: 0.06 } } }
+      );
+      expect(Player.findByIdAndUpdate).toHaveBeenCalledWith('1', {
+        $inc: { 'singlesGlicko.rating': 40, 'singlesGlicko.deviation': -30, 'singlesGlicko.volatility': -0.001 }
+      }, { new: true });
+    });
+  });
+
+  describe('incrementPlayerPositionElo', () => {
+    it('should start a missing position rating from the default and add the change with $inc', async () => {
+      Player.updateOne.mockResolvedValue({});
+      Player.findByIdAndUpdate.mockResolvedValue({ _id: '1', defenceElo: 988 });
+      await playerService.incrementPlayerPositionElo('1', -12, 'defence');
+      expect(Player.updateOne).toHaveBeenCalledWith(
+        { _id: '1', defenceElo: { $exists: false } },
+        { $set: { defenceElo: 1000 } }
+      );
+      expect(Player.findByIdAndUpdate).toHaveBeenCalledWith('1', { $inc: { defenceElo: -12 } }, { new: true });
+    });
+  });
+
+  describe('markPlayersActive', () => {
+    it('should clear the inactivity of inactive players only', async () => {
+      Player.updateMany.mockResolvedValue({ modifiedCount: 1 });
+      await playerService.markPlayersActive(['1', '2']);
+      expect(Player.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['1', '2'] }, 'inactivity.since': { $ne: null } },
+        { $set: { inactivity: { since: null, nudgedAt: null, decayedAt: null } } }
+      );
+    });
   });
 
   describe('updatePlayerAlias', () => {
@@ -105,6 +202,24 @@ describe('playerService', () => {
     });
   });
 
+  describe('getMatchesPlayed', () => {
+    it('should count counted matches of the format', async () => {
+      Match.countDocuments.mockResolvedValue(7);
+      const result = await playerService.getMatchesPlayed('1', '1v1');
+      expect(Match.countDocuments).toHaveBeenCalledWith(expect.objectContaining({ format: '1v1', players: '1' }));
+      expect(result).toBe(7);
+    });
+    it('should only count matches played before a date', async () => {
+      const before = new Date('2024-06-01');
+      Match.countDocuments.mockResolvedValue(3);
+      await playerService.getMatchesPlayed('1', '2v2', before);
+      expect(Match.countDocuments).toHaveBeenCalledWith(expect.objectContaining({
+        format: { $ne: '1v1' },
+        playedAt: { $lt: before }
+      }));
+    });
+  });
+
   describe('getAllTimeLeaderboard', () => {
     it('should return leaderboard with all-time stats', async () => {
       const players = [
@@ -134,6 +249,64 @@ describe('playerService', () => {
       expect(result[0].totalMatches).toBe(3);
       expect(result[0].totalWins).toBe(2);
       expect(result[0].winRate).toBe('66.7');
+      expect(result[0].provisional).toBe(true);
+      expect(result[0].inactive).toBe(false);
+    });
+    it('should rank singles by singles rating and skip players without singles matches', async () => {
+      const players = [
+        { _id: '1', elo: 1200, singlesElo: 990, toObject: function() { return this; } },
+        { _id: '2', elo: 1000, singlesElo: 1010, toObject: function() { return this; } },
+        { _id: '3', elo: 1100, toObject: function() { return this; } }
+      ];
+      Player.find.mockReturnValue({ sort: () => Promise.resolve(players) });
+      Match.find.mockImplementation(({ players: playerId }) => ({
+        populate: () => Promise.resolve(playerId === '3' ? [] : [{ winners: [{ _id: '2' }] }])
+      }));
+      const result = await playerService.getAllTimeLeaderboard('1v1');
+      expect(Match.find).toHaveBeenCalledWith(expect.objectContaining({ format: '1v1' }));
+      expect(result.map(p => p._id)).toEqual(['2', '1']);
+      expect(result[0].rating).toBe(1010);
+    });
+    it('should rank by Glicko-2 rating when that engine is active', async () => {
+      process.env.RATING_ENGINE = 'glicko2';
+      const players = [
+        { _id: '1', elo: 1200, glicko: { rating: 1050, deviation: 80, volatility: 0.06 }, toObject: function() { return this; } },
+        { _id: '2', elo: 1000, glicko: { rating: 1150, deviation: 120, volatility: 0.06 }, toObject: function() { return this; } }
+      ];
+      Player.find.mockReturnValue({ sort: () => Promise.resolve(players) });
+      Match.find.mockReturnValue({ populate: () => Promise.resolve([]) });
+      const result = await playerService.getAllTimeLeaderboard();
+      delete process.env.RATING_ENGINE;
+      expect(result.map(p => p._id)).toEqual(['2', '1']);
+      expect(result[0].glicko).toEqual({ rating: 1150, deviation: 120, volatility: 0.06 });
+    });
+  });
+
+  describe('getPositionLeaderboard', () => {
+    it('should rank players who played the position by its rating', async () => {
+      const toObject = function() { return this; };
+      const players = [
+        { _id: '1', attackElo: 1040, toObject },
+        { _id: '2', attackElo: 1010, toObject },
+        { _id: '3', attackElo: 1000, toObject },
+        { _id: '4', attackElo: 1060, toObject, inactivity: { since: new Date() } }
+      ];
+      const positions = { winners: { attack: '1', defence: '2' }, losers: { attack: '4', defence: '3' } };
+      Player.find.mockReturnValue({ sort: () => Promise.resolve(players) });
+      Match.find.mockResolvedValue([
+        { winners: ['1', '2'], losers: ['4', '3'], positions },
+        { winners: ['4', '3'], losers: ['1', '2'], positions: { winners: positions.losers, losers: positions.winners } }
+      ]);
+
+      const result = await playerService.getPositionLeaderboard('attack');
+
+      expect(Match.find).toHaveBeenCalledWith(expect.objectContaining({
+        'positions.winners.attack': { $exists: true },
+        'positions.losers.attack': { $exists: true }
+      }));
+      expect(result.map(p => p._id)).toEqual(['4', '1']);
+      expect(result[1]).toMatchObject({ rating: 1040, totalMatches: 2, totalWins: 1, winRate: '50.0', inactive: false });
+      expect(result[0].inactive).toBe(true);
     });
   });
-}); 
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,161 @@
+const ratingHistoryService = require('../../src/services/ratingHistoryService');
+const RatingHistory = require('../../src/models/RatingHistory');
+
+jest.mock('../../src/models/RatingHistory');
+
+describe('ratingHistoryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RatingHistory.insertMany.mockImplementation(entries => Promise.resolve(entries));
+    RatingHistory.deleteMany.mockResolvedValue({ deletedCount: 0 });
+  });
+
+  describe('recordEntries', () => {
+    it('should save the entries', async () => {
+      const entries = [{ player: 'p1', ratingBefore: 1000, ratingAfter: 1016 }];
+
+      const result = await ratingHistoryService.recordEntries(entries);
+
+      expect(RatingHistory.insertMany).toHaveBeenCalledWith(entries);
+      expect(result).toEqual(entries);
+    });
+
+    it('should skip the database without entries', async () => {
+      expect(await ratingHistoryService.recordEntries([])).toEqual([]);
+      expect(RatingHistory.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('replaceMatchEntries', () => {
+    it('should delete the entries of the matches before saving the new ones', async () => {
+      const entries = [{ player: 'p1', match: 'm2', ratingBefore: 1000, ratingAfter: 984 }];
+
+      await ratingHistoryService.replaceMatchEntries(['m1', 'm2'], entries);
+
+      expect(RatingHistory.deleteMany).toHaveBeenCalledWith({ match: { $in: ['m1', 'm2'] } });
+      expect(RatingHistory.insertMany).toHaveBeenCalledWith(entries);
+    });
+  });
+
+  describe('replaceAllEntries', () => {
+    it('should delete every match entry but keep adjustments before saving the new ones', async () => {
+      await ratingHistoryService.replaceAllEntries([]);
+
+      expect(RatingHistory.deleteMany).toHaveBeenCalledWith({ reason: 'match' });
+      expect(RatingHistory.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getAdjustmentEntries', () => {
+    it('should load every decay and reset entry', async () => {
+      const sort = jest.fn().mockResolvedValue([]);
+      RatingHistory.find.mockReturnValue({ sort });
+
+      await ratingHistoryService.getAdjustmentEntries();
+
+      expect(RatingHistory.find).toHaveBeenCalledWith({ reason: { $in: ['decay', 'reset'] } });
+      expect(sort).toHaveBeenCalledWith({ playedAt: 1, _id: 1 });
+    });
+
+    it('should order resets by the start of their season and skip those before the date', async () => {
+      const decay = { reason: 'decay', season: '2024-07', playedAt: new Date('2024-07-01T09:00:00Z') };
+      const lateReset = { reason: 'reset', season: '2024-07', playedAt: new Date('2024-07-03T10:00:00Z') };
+      const earlierReset = { reason: 'reset', season: '2024-06', playedAt: new Date('2024-06-01T00:01:00Z') };
+      RatingHistory.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([earlierReset, decay, lateReset]) });
+      const fromDate = new Date('2024-06-20');
+
+      const result = await ratingHistoryService.getAdjustmentEntries(fromDate);
+
+      expect(RatingHistory.find).toHaveBeenCalledWith({
+        $or: [
+          { reason: 'decay', playedAt: { $gte: fromDate } },
+          { reason: 'reset', season: { $gte: '2024-06' } }
+        ]
+      });
+      expect(result).toEqual([lateReset, decay]);
+    });
+  });
+
+  describe('getMatchRatings', () => {
+    it('should map each player\'s rating before and after the matches', async () => {
+      RatingHistory.find.mockResolvedValue([
+        { match: 'm1', player: 'p1', ratingBefore: 1000, ratingAfter: 1016 },
+        { match: 'm1', player: 'p2', ratingBefore: 980, ratingAfter: 964 }
+      ]);
+
+      const ratings = await ratingHistoryService.getMatchRatings(['m1']);
+
+      expect(RatingHistory.find).toHaveBeenCalledWith({ match: { $in: ['m1'] }, reason: 'match' });
+      expect(ratings.get('m1|p2')).toEqual({ before: 980, after: 964 });
+    });
+  });
+
+  describe('hasSeasonReset', () => {
+    it('should look for reset entries of the season', async () => {
+      RatingHistory.exists.mockResolvedValue({ _id: 'h1' });
+
+      expect(await ratingHistoryService.hasSeasonReset('2024-07')).toBe(true);
+      expect(RatingHistory.exists).toHaveBeenCalledWith({ reason: 'reset', season: '2024-07' });
+
+      RatingHistory.exists.mockResolvedValue(null);
+      expect(await ratingHistoryService.hasSeasonReset('2024-08')).toBe(false);
+    });
+  });
+
+  describe('getPlayerHistory', () => {
+    it('should return one page of entries with the peak and lowest entry', async () => {
+      const entries = [{ _id: 'h2', ratingAfter: 1016 }, { _id: 'h1', ratingAfter: 1000 }];
+      const query = {
+        sort: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockResolvedValue(entries)
+      };
+      RatingHistory.find.mockReturnValue(query);
+      RatingHistory.countDocuments.mockResolvedValue(12);
+      RatingHistory.findOne
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue(entries[0]) })
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue(entries[1]) });
+
+      const history = await ratingHistoryService.getPlayerHistory('p1', '1v1', { page: 1, pageSize: 5 });
+
+      expect(RatingHistory.find).toHaveBeenCalledWith({ player: 'p1', format: '1v1' });
+      expect(query.sort).toHaveBeenCalledWith({ playedAt: -1, _id: -1 });
+      expect(query.skip).toHaveBeenCalledWith(5);
+      expect(query.limit).toHaveBeenCalledWith(5);
+      expect(history).toEqual({ entries, total: 12, peak: entries[0], lowest: entries[1] });
+    });
+  });
+
+  describe('getRatingSeries', () => {
+    it('should start from the rating before the first change and tag points with the match season', async () => {
+      const june = new Date('2024-06-30T10:00:00Z');
+      const july = new Date('2024-07-01T10:00:00Z');
+      const query = {
+        sort: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockResolvedValue([
+          { playedAt: june, ratingBefore: 1000, ratingAfter: 1016, season: '2024-06', match: { season: '2024-06' } },
+          { playedAt: july, ratingBefore: 1016, ratingAfter: 1004, season: '2024-07', match: null }
+        ])
+      };
+      RatingHistory.find.mockReturnValue(query);
+
+      const series = await ratingHistoryService.getRatingSeries('p1');
+
+      expect(RatingHistory.find).toHaveBeenCalledWith({ player: 'p1', format: '2v2' });
+      expect(query.sort).toHaveBeenCalledWith({ playedAt: 1, _id: 1 });
+      expect(series).toEqual([
+        { date: june, rating: 1000, season: '2024-06' },
+        { date: june, rating: 1016, season: '2024-06' },
+        { date: july, rating: 1004, season: '2024-07' }
+      ]);
+    });
+
+    it('should filter by season and return nothing without changes', async () => {
+      RatingHistory.find.mockReturnValue({ sort: jest.fn().mockReturnThis(), populate: jest.fn().mockResolvedValue([]) });
+
+      expect(await ratingHistoryService.getRatingSeries('p1', '1v1', '2024-06')).toEqual([]);
+      expect(RatingHistory.find).toHaveBeenCalledWith({ player: 'p1', format: '1v1', season: '2024-06' });
+    });
+  });
+});
\ No newline at end of file
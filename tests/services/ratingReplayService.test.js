@@ -0,0 +1,705 @@
+const ratingReplayService = require('../../src/services/ratingReplayService');
+const playerService = require('../../src/services/playerService');
+const seasonService = require('../../src/services/seasonService');
+const ratingHistoryService = require('../../src/services/ratingHistoryService');
+const teamService = require('../../src/services/teamService');
+const Match = require('../../src/models/Match');
+const Player = require('../../src/models/Player');
+const Season = require('../../src/models/Season');
+const RatingHistory = require('../../src/models/RatingHistory');
+const database = require('../../src/config/database');
+
+jest.mock('../../src/services/playerService');
+jest.mock('../../src/services/seasonService');
+jest.mock('../../src/services/ratingHistoryService');
+jest.mock('../../src/services/teamService');
+jest.mock('../../src/models/Match');
+jest.mock('../../src/models/Player');
+jest.mock('../../src/models/Season');
+jest.mock('../../src/models/RatingHistory');
+jest.mock('../../src/config/database');
+
+const createPlayer = (id, elo, seasonStartElo = {}) => ({
+  _id: id,
+  elo,
+  seasonStartElo: new Map(Object.entries(seasonStartElo)),
+  save: jest.fn().mockResolvedValue()
+});
+
+const createDecay = (player, ratingBefore, ratingAfter, playedAt, season = '2024-06') => ({
+  player,
+  format: '2v2',
+  reason: 'decay',
+  season,
+  playedAt,
+  ratingBefore,
+  ratingAfter,
+  save: jest.fn().mockResolvedValue()
+});
+
+const createMatch = (id, winners, losers, eloChanges, playedAt, season = '2024-06') => ({
+  _id: id,
+  players: [...winners, ...losers],
+  winners,
+  losers,
+  eloChanges,
+  playedAt,
+  season,
+  status: 'confirmed',
+  save: jest.fn().mockResolvedValue()
+});
+
+describe('ratingReplayService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    seasonService.rebuildSeasonStats.mockResolvedValue();
+    ratingHistoryService.getAdjustmentEntries.mockResolvedValue([]);
+    // Established players with the standard K-factor of 32
+    playerService.getMatchesPlayed.mockResolvedValue(10);
+  });
+
+  describe('getStoredEloChange', () => {
+    it('should return the stored change for winners and losers', () => {
+      const match = createMatch('m1', ['a', 'b'], ['c', 'd'], { winners: [16, 15], losers: [-16, -15] });
+      expect(ratingReplayService.getStoredEloChange(match, 'b')).toBe(15);
+      expect(ratingReplayService.getStoredEloChange(match, 'c')).toBe(-16);
+      expect(ratingReplayService.getStoredEloChange(match, 'x')).toBe(0);
+    });
+  });
+
+  describe('replayMatchesFrom', () => {
+    it('should roll back a voided match and replay later matches', async () => {
+      // m1: a+b beat c+d (+16 each), then m2: c+d beat a+b
+      const m1 = createMatch('m1', ['a', 'b'], ['c', 'd'], { winners: [16, 16], losers: [-16, -16] }, new Date('2024-06-01'));
+      const m2 = createMatch('m2', ['c', 'd'], ['a', 'b'], { winners: [17, 17], losers: [-17, -17] }, new Date('2024-06-02'));
+      const players = [
+        createPlayer('a', 999),
+        createPlayer('b', 999),
+        createPlayer('c', 1001),
+        createPlayer('d', 1001)
+      ];
+
+      Match.find
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([m1, m2]) })
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([m2]) });
+      Player.find.mockResolvedValue(players);
+
+      const applyChange = jest.fn().mockResolvedValue();
+      const result = await ratingReplayService.replayMatchesFrom(m1.playedAt, applyChange);
+
+      expect(applyChange).toHaveBeenCalled();
+      // Equal ratings after rollback, so the replayed match is worth 16 points
+      expect(m2.eloChanges).toEqual({
+        winners: [16, 16],
+        losers: [-16, -16],
+        kFactors: { winners: [32, 32], losers: [32, 32] },
+        marginMultiplier: 1
+      });
+      expect(m2.save).toHaveBeenCalled();
+      expect(players.find(p => p._id === 'a').elo).toBe(984);
+      expect(players.find(p => p._id === 'c').elo).toBe(1016);
+      expect(result.ratingChanges).toHaveLength(4);
+      expect(result.ratingChanges.find(c => c.player._id === 'a')).toMatchObject({ before: 999, after: 984 });
+      expect(seasonService.rebuildSeasonStats).toHaveBeenCalledWith('2024-06', '2v2');
+      // The history of the voided match is dropped and the replayed match's history rewritten
+      const [matchIds, entries] = ratingHistoryService.replaceMatchEntries.mock.calls[0];
+      expect(matchIds).toEqual(['m1', 'm2']);
+      expect(entries).toHaveLength(4);
+      expect(entries[0]).toMatchObject({ player: 'c', match: 'm2', ratingBefore: 1000, ratingAfter: 1016, won: true });
+      expect(teamService.rebuildTeams).toHaveBeenCalled();
+    });
+
+    it('should apply later rating decay again after the replayed matches before it', async () => {
+      // m1 is voided; m2 was played before c's rating decayed by 20
+      const m1 = createMatch('m1', ['a', 'b'], ['c', 'd'], { winners: [16, 16], losers: [-16, -16] }, new Date('2024-06-01'));
+      const m2 = createMatch('m2', ['a', 'b'], ['c', 'd'], { winners: [15, 15], losers: [-15, -15] }, new Date('2024-06-05'));
+      const decay = createDecay('c', 969, 949, new Date('2024-06-10'));
+      const players = [
+        createPlayer('a', 1031),
+        createPlayer('b', 1031),
+        createPlayer('c', 949),
+        createPlayer('d', 969)
+      ];
+
+      Match.find
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([m1, m2]) })
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([m2]) });
+      Player.find.mockResolvedValue(players);
+      ratingHistoryService.getAdjustmentEntries.mockResolvedValue([decay]);
+
+      await ratingReplayService.replayMatchesFrom(m1.playedAt);
+
+      expect(ratingHistoryService.getAdjustmentEntries).toHaveBeenCalledWith(m1.playedAt);
+      // m2 is rated before the decay, as an even match
+      expect(m2.eloChanges.losers).toEqual([-16, -16]);
+      expect(players.find(p => p._id === 'c').elo).toBe(964);
+      expect(players.find(p => p._id === 'd').elo).toBe(984);
+      expect(decay).toMatchObject({ ratingBefore: 984, ratingAfter: 964 });
+      expect(decay.save).toHaveBeenCalled();
+    });
+
+    it('should decay the replayed rating again instead of taking the stored points', async () => {
+      // m1 is voided; a had gone up to 1016 and decayed by 2 (an eighth of the distance to 1000)
+      const m1 = createMatch('m1', ['a', 'b'], ['c', 'd'], { winners: [16, 16], losers: [-16, -16] }, new Date('2024-06-01'));
+      const decay = {
+        ...createDecay('a', 1016, 1014, new Date('2024-06-10')),
+        adjustment: { rate: 0.125, targetRating: 1000, days: 1 }
+      };
+      const players = [
+        createPlayer('a', 1014),
+        createPlayer('b', 1016),
+        createPlayer('c', 984),
+        createPlayer('d', 984)
+      ];
+
+      Match.find
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([m1]) })
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([]) });
+      Player.find.mockResolvedValue(players);
+      ratingHistoryService.getAdjustmentEntries.mockResolvedValue([decay]);
+
+      await ratingReplayService.replayMatchesFrom(m1.playedAt);
+
+      // Without m1, a is back at the baseline and does not decay below it
+      expect(players.find(p => p._id === 'a').elo).toBe(1000);
+      expect(decay).toMatchObject({ ratingBefore: 1000, ratingAfter: 1000 });
+      expect(decay.save).toHaveBeenCalled();
+    });
+
+    it('should start a later season from a soft reset stored without its settings', async () => {
+      // m1 is voided; July's reset had moved a from 1016 to 1008, which is all an older entry knows
+      const m1 = createMatch('m1', ['a', 'b'], ['c', 'd'], { winners: [16, 16], losers: [-16, -16] }, new Date('2024-06-20'));
+      const reset = { ...createDecay('a', 1016, 1008, new Date('2024-07-01T00:01:00Z'), '2024-07'), reason: 'reset' };
+      const players = [
+        createPlayer('a', 1008, { '2024-07': 1008 }),
+        createPlayer('b', 1016),
+        createPlayer('c', 984),
+        createPlayer('d', 984)
+      ];
+
+      Match.find
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([m1]) })
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([]) });
+      Player.find.mockResolvedValue(players);
+      ratingHistoryService.getAdjustmentEntries.mockResolvedValue([reset]);
+
+      await ratingReplayService.replayMatchesFrom(m1.playedAt);
+
+      const playerA = players.find(p => p._id === 'a');
+      expect(playerA.elo).toBe(992);
+      expect(playerA.seasonStartElo.get('2024-07')).toBe(992);
+      expect(reset).toMatchObject({ ratingBefore: 1000, ratingAfter: 992 });
+    });
+
+    it('should reset the replayed rating again after a backdated match before the reset', async () => {
+      // July's reset halved a's distance to 1000 (1100 -> 1050); b, c and d were at 1000 and not reset
+      const settings = { rate: 0.5, target: 'baseline', targetRating: 1000 };
+      const reset = { ...createDecay('a', 1100, 1050, new Date('2024-07-01T00:01:00Z'), '2024-07'), reason: 'reset', adjustment: settings };
+      const backdated = createMatch('m1', ['a', 'b'], ['c', 'd'], null, new Date('2024-06-20'));
+      const players = [
+        createPlayer('a', 1050, { '2024-07': 1050 }),
+        createPlayer('b', 1000),
+        createPlayer('c', 1000),
+        createPlayer('d', 1000)
+      ];
+
+      Match.find
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([]) })
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([backdated]) });
+      Player.find.mockImplementation(async ({ _id }) => players.filter(p => _id.$in.includes(p._id)));
+      ratingHistoryService.getAdjustmentEntries.mockResolvedValue([reset]);
+
+      await ratingReplayService.replayMatchesFrom(backdated.playedAt);
+
+      // a won m1 (1100 -> 1114), and the reset halves the new distance instead of taking 50 points again
+      expect(backdated.eloChanges.winners).toEqual([14, 14]);
+      expect(reset).toMatchObject({ ratingBefore: 1114, ratingAfter: 1057 });
+      const [a, b, c] = players;
+      expect(a.elo).toBe(1057);
+      expect(a.seasonStartElo.get('2024-07')).toBe(1057);
+      // Players the match moved away from 1000 are now reset too
+      expect(b.elo).toBe(1007);
+      expect(c.elo).toBe(993);
+      expect(b.seasonStartElo.get('2024-07')).toBe(1007);
+      expect(ratingHistoryService.recordEntries).toHaveBeenCalledWith([
+        expect.objectContaining({ player: 'b', reason: 'reset', season: '2024-07', ratingBefore: 1014, ratingAfter: 1007, adjustment: settings }),
+        expect.objectContaining({ player: 'c', reason: 'reset', season: '2024-07', ratingBefore: 986, ratingAfter: 993, adjustment: settings }),
+        expect.objectContaining({ player: 'd', reason: 'reset', season: '2024-07', ratingBefore: 986, ratingAfter: 993, adjustment: settings })
+      ]);
+    });
+
+    it('should not reset players registered after the reset ran', async () => {
+      const settings = { rate: 0.5, target: 'baseline', targetRating: 1000 };
+      const reset = {
+        ...createDecay('a', 1100, 1050, new Date('2024-07-01T00:01:00Z'), '2024-07'),
+        format: '1v1',
+        reason: 'reset',
+        adjustment: settings
+      };
+      const backdated = { ...createMatch('m1', ['a'], ['n'], null, new Date('2024-06-20')), format: '1v1' };
+      const newcomer = { ...createPlayer('n', 1000), singlesElo: 1000, createdAt: new Date('2024-07-10') };
+      const players = [{ ...createPlayer('a', 1000), singlesElo: 1050 }, newcomer];
+
+      Match.find
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([]) })
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([backdated]) });
+      Player.find.mockImplementation(async ({ _id }) => players.filter(p => _id.$in.includes(p._id)));
+      ratingHistoryService.getAdjustmentEntries.mockResolvedValue([reset]);
+
+      await ratingReplayService.replayMatchesFrom(backdated.playedAt);
+
+      // n lost the backdated match but only joined after July's reset
+      expect(reset.ratingBefore).toBeGreaterThan(1100);
+      expect(newcomer.singlesElo).toBeLessThan(1000);
+      expect(ratingHistoryService.recordEntries).toHaveBeenCalledWith([]);
+    });
+
+    it('should roll back and replay attack and defence ratings', async () => {
+      // m1: a (attack) + b (defence) beat c (attack) + d (defence), then m2: c + d won the rematch
+      const m1 = createMatch('m1', ['a', 'b'], ['c', 'd'], { winners: [16, 16], losers: [-16, -16] }, new Date('2024-06-01'));
+      m1.positions = { winners: { attack: 'a', defence: 'b' }, losers: { attack: 'c', defence: 'd' } };
+      m1.positionEloChanges = { winners: [16, 16], losers: [-16, -16] };
+      const m2 = createMatch('m2', ['c', 'd'], ['a', 'b'], { winners: [17, 17], losers: [-17, -17] }, new Date('2024-06-02'));
+      m2.positions = { winners: m1.positions.losers, losers: m1.positions.winners };
+      m2.positionEloChanges = { winners: [18, 18], losers: [-18, -18] };
+      const players = [
+        Object.assign(createPlayer('a', 999), { attackElo: 998, defenceElo: 1000 }),
+        Object.assign(createPlayer('b', 999), { attackElo: 1000, defenceElo: 998 }),
+        Object.assign(createPlayer('c', 1001), { attackElo: 1002, defenceElo: 1000 }),
+        Object.assign(createPlayer('d', 1001), { attackElo: 1000, defenceElo: 1002 })
+      ];
+
+      Match.find
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([m1, m2]) })
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([m2]) });
+      Player.find.mockResolvedValue(players);
+
+      await ratingReplayService.replayMatchesFrom(m1.playedAt);
+
+      // Both matches are rolled back to 1000 everywhere, then m2 is replayed as an even match
+      expect(m2.positionEloChanges).toEqual({ winners: [16, 16], losers: [-16, -16] });
+      const [a, b, c, d] = players;
+      expect([a.attackElo, a.defenceElo]).toEqual([984, 1000]);
+      expect([b.attackElo, b.defenceElo]).toEqual([1000, 984]);
+      expect([c.attackElo, d.defenceElo]).toEqual([1016, 1016]);
+    });
+
+    it('should update season start Elo for seasons that began after the replay start', async () => {
+      const m1 = createMatch('m1', ['a', 'b'], ['c', 'd'], { winners: [16, 16], losers: [-16, -16] }, new Date('2024-06-20'), '2024-06');
+      const m2 = createMatch('m2', ['a', 'b'], ['c', 'd'], { winners: [15, 15], losers: [-15, -15] }, new Date('2024-07-02'), '2024-07');
+      const players = [
+        createPlayer('a', 1031, { '2024-06': 1000, '2024-07': 1016 }),
+        createPlayer('b', 1031, { '2024-07': 1016 }),
+        createPlayer('c', 969, { '2024-07': 984 }),
+        createPlayer('d', 969, { '2024-07': 984 })
+      ];
+
+      Match.find
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([m1, m2]) })
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([m2]) });
+      Player.find.mockResolvedValue(players);
+
+      const result = await ratingReplayService.replayMatchesFrom(m1.playedAt);
+
+      const playerA = players.find(p => p._id === 'a');
+      expect(playerA.seasonStartElo.get('2024-06')).toBe(1000);
+      expect(playerA.seasonStartElo.get('2024-07')).toBe(1000);
+      expect(playerA.elo).toBe(1016);
+      expect(result.seasons).toEqual(['2024-06', '2024-07']);
+    });
+
+    it('should start players without earlier replayed matches from their current Elo', async () => {
+      const inserted = createMatch('m1', ['a', 'b'], ['c', 'd'], null, new Date('2024-06-01'));
+      const players = [
+        createPlayer('a', 1000),
+        createPlayer('b', 1000),
+        createPlayer('c', 1000),
+        createPlayer('d', 1000)
+      ];
+
+      Match.find
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([]) })
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([inserted]) });
+      Player.find.mockResolvedValue(players);
+
+      await ratingReplayService.replayMatchesFrom(inserted.playedAt);
+
+      expect(inserted.eloChanges).toMatchObject({ winners: [16, 16], losers: [-16, -16] });
+      expect(players.find(p => p._id === 'a').elo).toBe(1016);
+    });
+
+    it('should record a season start for a backdated match in a season the player had not played', async () => {
+      const backdated = createMatch('m1', ['a', 'b'], ['c', 'd'], null, new Date('2024-05-20'), '2024-05');
+      const players = [
+        createPlayer('a', 1000, { '2024-06': 1000 }),
+        createPlayer('b', 1000),
+        createPlayer('c', 1000),
+        createPlayer('d', 1000)
+      ];
+
+      Match.find
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([]) })
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([backdated]) });
+      Player.find.mockResolvedValue(players);
+
+      await ratingReplayService.replayMatchesFrom(backdated.playedAt);
+
+      const playerA = players.find(p => p._id === 'a');
+      expect(playerA.seasonStartElo.get('2024-05')).toBe(1000);
+      // The later season now starts from the rating after the backdated win
+      expect(playerA.seasonStartElo.get('2024-06')).toBe(1016);
+    });
+
+    it('should replay singles matches against the singles rating only', async () => {
+      const singles = { ...createMatch('m1', ['a'], ['c'], null, new Date('2024-06-01')), format: '1v1' };
+      const players = [
+        { ...createPlayer('a', 1200), singlesElo: 1000, singlesSeasonStartElo: new Map() },
+        { ...createPlayer('c', 900), singlesElo: 1000, singlesSeasonStartElo: new Map() }
+      ];
+
+      Match.find
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([]) })
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([singles]) });
+      Player.find.mockResolvedValue(players);
+
+      const result = await ratingReplayService.replayMatchesFrom(singles.playedAt);
+
+      expect(singles.eloChanges).toMatchObject({ winners: [16], losers: [-16] });
+      expect(players[0].singlesElo).toBe(1016);
+      expect(players[0].elo).toBe(1200);
+      expect(result.ratingChanges.find(c => c.player._id === 'a')).toMatchObject({ format: '1v1', before: 1000, after: 1016 });
+      expect(seasonService.rebuildSeasonStats).toHaveBeenCalledWith('2024-06', '1v1');
+      // Duo teams only play doubles
+      expect(teamService.rebuildTeams).not.toHaveBeenCalled();
+    });
+
+    it('should use each player\'s K-factor for the matches played at that point', async () => {
+      // a is new (9 matches before the replay), the others are established
+      const m1 = createMatch('m1', ['a', 'b'], ['c', 'd'], null, new Date('2024-06-01'));
+      const m2 = createMatch('m2', ['a', 'b'], ['c', 'd'], null, new Date('2024-06-02'));
+      const players = ['a', 'b', 'c', 'd'].map(id => createPlayer(id, 1000));
+      playerService.getMatchesPlayed.mockImplementation(async (id) => (id === 'a' ? 9 : 10));
+
+      Match.find
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([]) })
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([m1, m2]) });
+      Player.find.mockResolvedValue(players);
+
+      await ratingReplayService.replayMatchesFrom(m1.playedAt);
+
+      expect(playerService.getMatchesPlayed).toHaveBeenCalledWith('a', '2v2', m1.playedAt);
+      // a's tenth match still counts as provisional, the eleventh uses the standard K
+      expect(m1.eloChanges.kFactors).toEqual({ winners: [48, 32], losers: [32, 32] });
+      expect(m1.eloChanges.winners).toEqual([24, 16]);
+      expect(m2.eloChanges.kFactors.winners).toEqual([32, 32]);
+    });
+
+    it('should roll back stored Glicko-2 changes and replay them', async () => {
+      const m1 = createMatch('m1', ['a'], ['c'], { winners: [16], losers: [-16] }, new Date('2024-06-01'));
+      m1.glickoChanges = {
+        winners: [{ rating: 100, deviation: -50, volatility: 0 }],
+        losers: [{ rating: -100, deviation: -50, volatility: 0 }]
+      };
+      const players = [
+        { ...createPlayer('a', 1016), glicko: { rating: 1100, deviation: 250, volatility: 0.06 } },
+        { ...createPlayer('c', 984), glicko: { rating: 900, deviation: 250, volatility: 0.06 } }
+      ];
+
+      Match.find
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([m1]) })
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([]) });
+      Player.find.mockResolvedValue(players);
+
+      await ratingReplayService.replayMatchesFrom(m1.playedAt);
+
+      // The voided match was each player's only game, so both are back at the default state
+      expect(players[0].glicko).toEqual({ rating: 1000, deviation: 300, volatility: 0.06 });
+      expect(players[1].glicko).toEqual({ rating: 1000, deviation: 300, volatility: 0.06 });
+    });
+
+    it('should store Glicko-2 changes on replayed matches', async () => {
+      const m1 = createMatch('m1', ['a', 'b'], ['c', 'd'], null, new Date('2024-06-01'));
+      const players = ['a', 'b', 'c', 'd'].map(id => createPlayer(id, 1000));
+
+      Match.find
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([]) })
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([m1]) });
+      Player.find.mockResolvedValue(players);
+
+      await ratingReplayService.replayMatchesFrom(m1.playedAt);
+
+      expect(m1.glickoChanges.winners[0].rating).toBeGreaterThan(0);
+      expect(m1.glickoChanges.losers[0].rating).toBeCloseTo(-m1.glickoChanges.winners[0].rating);
+      expect(players[0].glicko.rating).toBeCloseTo(1000 + m1.glickoChanges.winners[0].rating);
+      expect(players[0].glicko.deviation).toBeLessThan(350);
+    });
+  });
+
+  describe('getStoredGlickoChange', () => {
+    it('should return the stored change or null', () => {
+      const match = createMatch('m1', ['a'], ['c'], null);
+      expect(ratingReplayService.getStoredGlickoChange(match, 'a')).toBeNull();
+      match.glickoChanges = { winners: [{ rating: 5, deviation: -1, volatility: 0 }], losers: [] };
+      expect(ratingReplayService.getStoredGlickoChange(match, 'a')).toEqual({ rating: 5, deviation: -1, volatility: 0 });
+      expect(ratingReplayService.getStoredGlickoChange(match, 'c')).toBeNull();
+    });
+  });
+
+  describe('replayHistory', () => {
+    const history = () => [
+      createMatch('m1', ['a', 'b'], ['c', 'd'], { winners: [16, 16], losers: [-16, -16] }, new Date('2024-06-01')),
+      createMatch('m2', ['a', 'c'], ['b', 'd'], { winners: [16, 16], losers: [-16, -16] }, new Date('2024-06-02'))
+    ];
+    const players = ['a', 'b', 'c', 'd'].map(id => createPlayer(id, 1500));
+
+    it('should replay Elo from default ratings without saving anything', async () => {
+      const matches = history();
+      Match.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(matches) });
+      Player.find.mockResolvedValue(players);
+
+      const ranking = await ratingReplayService.replayHistory('elo');
+
+      expect(Match.find).toHaveBeenCalledWith(expect.objectContaining({ format: { $ne: '1v1' } }));
+      // Everyone is provisional (K = 48) and both matches are even: a wins twice (+24, +24), d loses twice
+      expect(ranking[0]).toMatchObject({ rating: 1048, matches: 2 });
+      expect(ranking[0].player._id).toBe('a');
+      expect(ranking[3].player._id).toBe('d');
+      expect(matches[0].save).not.toHaveBeenCalled();
+      expect(players[0].save).not.toHaveBeenCalled();
+    });
+
+    it('should replay Glicko-2 with deviations', async () => {
+      Match.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(history()) });
+      Player.find.mockResolvedValue(players);
+
+      const ranking = await ratingReplayService.replayHistory('glicko2');
+
+      expect(ranking[0].player._id).toBe('a');
+      expect(ranking[0].rating).toBeGreaterThan(1000);
+      expect(ranking[0].deviation).toBeLessThan(350);
+      expect(ranking[3].player._id).toBe('d');
+    });
+  });
+
+  describe('recalculateAllRatings', () => {
+    const history = () => [
+      createMatch('m1', ['a', 'b'], ['c', 'd'], { winners: [24, 24], losers: [-24, -24] }, new Date('2024-06-01'), '2024-06'),
+      createMatch('m2', ['a', 'c'], ['b', 'd'], { winners: [16, 16], losers: [-16, -16] }, new Date('2024-07-02'), '2024-07')
+    ];
+    const createPlayers = () => [
+      createPlayer('a', 1032, { '2024-07': 1016 }),
+      createPlayer('b', 1000),
+      createPlayer('c', 1000),
+      createPlayer('d', 968)
+    ];
+
+    beforeEach(() => {
+      database.runInTransaction.mockImplementation(work => work());
+      Season.find.mockResolvedValue([{ season: '2024-05', format: '2v2' }]);
+    });
+
+    it('should replay every match from the default rating and save everything in a transaction', async () => {
+      const matches = history();
+      const players = createPlayers();
+      Match.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(matches) });
+      Player.find.mockResolvedValue(players);
+
+      const report = await ratingReplayService.recalculateAllRatings();
+
+      expect(database.runInTransaction).toHaveBeenCalled();
+      expect(Match.find).toHaveBeenCalledWith({ status: { $nin: ['pending', 'disputed', 'voided'] } });
+      // Everyone is provisional (K = 48) and both matches are even
+      expect(matches[1].eloChanges).toMatchObject({ winners: [24, 24], losers: [-24, -24] });
+      expect(matches[1].save).toHaveBeenCalled();
+      const [a, b, c, d] = players;
+      expect([a.elo, b.elo, c.elo, d.elo]).toEqual([1048, 1000, 1000, 952]);
+      expect(a.seasonStartElo.get('2024-06')).toBe(1000);
+      expect(a.seasonStartElo.get('2024-07')).toBe(1024);
+      expect(a.glicko.rating).toBeGreaterThan(1000);
+      expect(a.save).toHaveBeenCalled();
+      expect(report.changedMatches).toBe(1);
+      expect(report.ratingChanges[0]).toMatchObject({ player: a, format: '2v2', before: 1032, after: 1048 });
+      expect(report.seasons).toEqual(['2024-05', '2024-06', '2024-07']);
+      expect(seasonService.rebuildSeasonStats).toHaveBeenCalledWith('2024-05', '2v2');
+      expect(seasonService.rebuildSeasonStats).toHaveBeenCalledWith('2024-07', '2v2');
+      const entries = ratingHistoryService.replaceAllEntries.mock.calls[0][0];
+      expect(entries).toHaveLength(8);
+      expect(entries[4]).toMatchObject({ player: 'a', match: 'm2', season: '2024-07', ratingBefore: 1024, ratingAfter: 1048 });
+      expect(teamService.rebuildTeams).toHaveBeenCalled();
+    });
+
+    it('should keep stored rating decay and apply it again in date order', async () => {
+      const matches = history();
+      const players = createPlayers();
+      const decay = createDecay('d', 968, 958, new Date('2024-06-15'));
+      Match.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(matches) });
+      Player.find.mockResolvedValue(players);
+      ratingHistoryService.getAdjustmentEntries.mockResolvedValue([decay]);
+
+      const report = await ratingReplayService.recalculateAllRatings();
+
+      expect(ratingHistoryService.getAdjustmentEntries).toHaveBeenCalledWith();
+      const d = players[3];
+      // d lost m1 (976), decayed by 10 and then played m2
+      expect(decay).toMatchObject({ ratingBefore: 976, ratingAfter: 966 });
+      expect(decay.save).toHaveBeenCalled();
+      expect(d.seasonStartElo.get('2024-07')).toBe(966);
+      expect(d.elo).toBe(966 + matches[1].eloChanges.losers[1]);
+      expect(report.ratingChanges.find(change => change.player === d).matches).toBe(2);
+    });
+
+    it('should decay the recalculated rating again with the stored settings', async () => {
+      const matches = history();
+      const players = createPlayers();
+      // a was at 1032 when it decayed by half of the distance to 1000
+      const decay = {
+        ...createDecay('a', 1032, 1016, new Date('2024-06-15')),
+        adjustment: { rate: 0.5, targetRating: 1000, days: 1 }
+      };
+      Match.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(matches) });
+      Player.find.mockResolvedValue(players);
+      ratingHistoryService.getAdjustmentEntries.mockResolvedValue([decay]);
+
+      const report = await ratingReplayService.recalculateAllRatings();
+
+      // a won m1 (1024) and decays from there
+      expect(decay).toMatchObject({ ratingBefore: 1024, ratingAfter: 1012 });
+      expect(players[0].seasonStartElo.get('2024-07')).toBe(1012);
+      expect(report.adjustments).toBe(1);
+      expect(report.changedAdjustments).toEqual([
+        { player: players[0], format: '2v2', reason: 'decay', date: new Date('2024-06-15'), before: -16, after: -12 }
+      ]);
+    });
+
+    it('should keep a season\'s soft reset and its guard through a recalculation', async () => {
+      // The real rating history service over stored entries; a and d were reset towards 1000 for July
+      const actualHistoryService = jest.requireActual('../../src/services/ratingHistoryService');
+      const reset = (player, ratingBefore, ratingAfter) => ({
+        ...createDecay(player, ratingBefore, ratingAfter, new Date('2024-07-01T00:01:00Z'), '2024-07'),
+        reason: 'reset',
+        adjustment: { rate: 0.5, target: 'baseline', targetRating: 1000 }
+      });
+      let stored = [reset('a', 1032, 1016), reset('d', 968, 984)];
+      const matchesFilter = (entry, filter) => Object.entries(filter).every(([field, value]) =>
+        value && value.$in ? value.$in.includes(entry[field]) : entry[field] === value);
+      RatingHistory.find.mockImplementation(filter => ({
+        sort: jest.fn().mockResolvedValue(stored.filter(entry => matchesFilter(entry, filter)))
+      }));
+      RatingHistory.exists.mockImplementation(async filter => stored.some(entry => matchesFilter(entry, filter)));
+      RatingHistory.deleteMany.mockImplementation(async filter => {
+        stored = stored.filter(entry => !matchesFilter(entry, filter));
+      });
+      RatingHistory.insertMany.mockImplementation(async entries => {
+        stored.push(...entries);
+        return entries;
+      });
+      ratingHistoryService.getAdjustmentEntries.mockImplementationOnce(actualHistoryService.getAdjustmentEntries);
+      ratingHistoryService.replaceAllEntries.mockImplementationOnce(actualHistoryService.replaceAllEntries);
+      ratingHistoryService.recordEntries.mockImplementationOnce(actualHistoryService.recordEntries);
+
+      const matches = history();
+      const players = createPlayers();
+      Match.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(matches) });
+      Player.find.mockResolvedValue(players);
+
+      await ratingReplayService.recalculateAllRatings();
+
+      const [a, b, c, d] = players;
+      // m1 leaves a and b at 1024 and c and d at 976; the reset halves the distance to 1000 before July's first match
+      expect(a.seasonStartElo.get('2024-07')).toBe(1012);
+      expect(d.seasonStartElo.get('2024-07')).toBe(988);
+      expect(a.elo).toBe(1012 + matches[1].eloChanges.winners[0]);
+      // b and c were at 1000 at the reset, so only the recalculation gives them reset entries
+      expect(b.seasonStartElo.get('2024-07')).toBe(1012);
+      expect(c.seasonStartElo.get('2024-07')).toBe(988);
+      expect(stored.filter(entry => entry.reason === 'reset')).toEqual([
+        expect.objectContaining({ player: 'a', ratingBefore: 1024, ratingAfter: 1012 }),
+        expect.objectContaining({ player: 'd', ratingBefore: 976, ratingAfter: 988 }),
+        expect.objectContaining({ player: 'b', ratingBefore: 1024, ratingAfter: 1012 }),
+        expect.objectContaining({ player: 'c', ratingBefore: 976, ratingAfter: 988 })
+      ]);
+      expect(stored.filter(entry => entry.reason === 'match')).toHaveLength(8);
+      expect(await actualHistoryService.hasSeasonReset('2024-07')).toBe(true);
+    });
+
+    it('should rebuild attack and defence ratings from matches with both teams\' positions', async () => {
+      const matches = history();
+      matches[0].positions = { winners: { attack: 'a', defence: 'b' }, losers: { attack: 'c', defence: 'd' } };
+      matches[1].positions = { winners: { attack: 'a', defence: 'c' } };
+      const players = createPlayers().map(player => Object.assign(player, { attackElo: 1100, defenceElo: 900 }));
+      Match.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(matches) });
+      Player.find.mockResolvedValue(players);
+
+      await ratingReplayService.recalculateAllRatings();
+
+      expect(matches[0].positionEloChanges).toEqual({ winners: [24, 24], losers: [-24, -24] });
+      // Only the winners' positions are known for m2, so it does not count
+      expect(matches[1].positionEloChanges).toEqual({ winners: [], losers: [] });
+      const [a, b, c, d] = players;
+      expect([a.attackElo, a.defenceElo]).toEqual([1024, 1000]);
+      expect([b.attackElo, b.defenceElo]).toEqual([1000, 1024]);
+      expect([c.attackElo, d.defenceElo]).toEqual([976, 976]);
+    });
+
+    it('should only build the report in a dry run', async () => {
+      const matches = history();
+      const players = createPlayers();
+      Match.find.mockReturnValue({ sort: jest.fn().mockResolvedValue(matches) });
+      Player.find.mockResolvedValue(players);
+
+      const report = await ratingReplayService.recalculateAllRatings({ dryRun: true });
+
+      expect(report.dryRun).toBe(true);
+      expect(report.ratingChanges.find(change => change.player._id === 'd')).toMatchObject({ before: 968, after: 952 });
+      expect(database.runInTransaction).not.toHaveBeenCalled();
+      expect(players[0].elo).toBe(1032);
+      expect(players[0].save).not.toHaveBeenCalled();
+      expect(matches[1].save).not.toHaveBeenCalled();
+      expect(seasonService.rebuildSeasonStats).not.toHaveBeenCalled();
+      expect(ratingHistoryService.replaceAllEntries).not.toHaveBeenCalled();
+      expect(teamService.rebuildTeams).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('formatRecalculationReport', () => {
+    it('should list changed ratings per format', () => {
+      const text = ratingReplayService.formatRecalculationReport({
+        dryRun: true,
+        matches: 12,
+        changedMatches: 3,
+        seasons: ['2024-06'],
+        ratingChanges: [
+          { player: { username: 'alice', alias: 'Ali' }, format: '2v2', before: 1032, after: 1048 },
+          { player: { username: 'bob' }, format: '2v2', before: 1000, after: 1000 },
+          { player: { username: 'carol' }, format: '1v1', before: 1016, after: 990 }
+        ]
+      });
+
+      expect(text).toMatch(/^Rating recalculation \(dry run, nothing saved\)/);
+      expect(text).toMatch(/Matches replayed: 12 \(Elo changes differ on 3\)/);
+      expect(text).toMatch(/2v2: 1 of 2 ratings changed\nAli {10}1032 → 1048 \(\+16\)/);
+      expect(text).toMatch(/1v1: 1 of 1 ratings changed\ncarol {8}1016 →  990 \(-26\)/);
+      expect(text).not.toMatch(/bob/);
+      expect(text).not.toMatch(/Decay and soft resets/);
+    });
+
+    it('should flag decay and soft resets whose change differs', () => {
+      const text = ratingReplayService.formatRecalculationReport({
+        dryRun: false,
+        matches: 12,
+        changedMatches: 0,
+        seasons: [],
+        ratingChanges: [],
+        adjustments: 4,
+        changedAdjustments: [
+          { player: { username: 'alice' }, format: '2v2', reason: 'reset', date: new Date('2024-07-01T00:00:00Z'), before: -16, after: -12 },
+          { player: { username: 'bob' }, format: '2v2', reason: 'reset', date: new Date('2024-07-01T00:00:00Z'), before: 0, after: 7 }
+        ]
+      });
+
+      expect(text).toMatch(/Decay and soft resets replayed: 4 \(2 changed\)/);
+      expect(text).toMatch(/alice {8}2v2 reset 2024-07-01: -16 → -12/);
+      expect(text).toMatch(/bob {10}2v2 reset 2024-07-01: 0 → \+7/);
+    });
+  });
+});
\ No newline at end of file
@@ -23,7 +23,7 @@ describe('seasonService', () => {
 
       const result = await seasonService.getSeasonStats('2024-06');
 
-      expect(Season.findOne).toHaveBeenCalledWith({ season: '2024-06' });
+      expect(Season.findOne).toHaveBeenCalledWith({ season: '2024-06', format: { $ne: '1v1' } });
       expect(result).toEqual(mockSeason);
     });
 
@@ -38,10 +38,25 @@ describe('seasonService', () => {
 
       const result = await seasonService.getSeasonStats('2024-06');
 
-      expect(Season).toHaveBeenCalledWith({ season: '2024-06' });
+      expect(Season).toHaveBeenCalledWith({ season: '2024-06', format: '2v2' });
       expect(mockNewSeason.save).toHaveBeenCalled();
       expect(result).toEqual(mockNewSeason);
     });
+
+    it('should look up singles season standings separately', async () => {
+      Season.findOne.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(null)
+      });
+
+      const mockNewSeason = { season: '2024-06', format: '1v1', playerStats: new Map() };
+      Season.mockImplementation(() => mockNewSeason);
+      mockNewSeason.save = jest.fn().mockResolvedValue(mockNewSeason);
+
+      await seasonService.getSeasonStats('2024-06', '1v1');
+
+      expect(Season.findOne).toHaveBeenCalledWith({ season: '2024-06', format: '1v1' });
+      expect(Season).toHaveBeenCalledWith({ season: '2024-06', format: '1v1' });
+    });
   });
 
   describe('calculateCategoryPoints', () => {
@@ -162,6 +177,20 @@ describe('seasonService', () => {
       expect(result).toBe(true);
     });
 
+    it('should use the recorded score when available', () => {
+      const dryWin = {
+        score: { winners: 10, losers: 0 },
+        eloChanges: { winners: [5, 5], losers: [-5, -5] }
+      };
+      const closeGame = {
+        score: { winners: 10, losers: 9 },
+        eloChanges: { winners: [20, 20], losers: [-20, -20] }
+      };
+
+      expect(seasonService.detectDryWin(dryWin)).toBe(true);
+      expect(seasonService.detectDryWin(closeGame)).toBe(false);
+    });
+
     it('should not detect dry win when losers lose minimal Elo', () => {
       const match = {
         eloChanges: {
@@ -175,6 +204,59 @@ describe('seasonService', () => {
     });
   });
 
+  describe('sumEloChanges', () => {
+    it('should sum a player\'s Elo changes across matches', () => {
+      const matches = [
+        { winners: [{ _id: 'p1' }, { _id: 'p2' }], losers: [{ _id: 'p3' }, { _id: 'p4' }], eloChanges: { winners: [16, 14], losers: [-16, -14] } },
+        { winners: [{ _id: 'p3' }, { _id: 'p4' }], losers: [{ _id: 'p1' }, { _id: 'p2' }], eloChanges: { winners: [10, 10], losers: [-9, -10] } }
+      ];
+      expect(seasonService.sumEloChanges(matches, 'p1')).toBe(7);
+      expect(seasonService.sumEloChanges(matches, 'p4')).toBe(-4);
+    });
+  });
+
+  describe('rebuildSeasonStats', () => {
+    it('should clear stale stats and recalculate every player in the season', async () => {
+      const seasonDoc = new Season({ season: '2024-06' });
+      seasonDoc.playerStats = new Map([['stale', { playerId: 'stale', totalPoints: 9 }]]);
+      seasonDoc.addOrUpdatePlayerStats = jest.fn().mockImplementation((playerId, stats) => {
+        seasonDoc.playerStats.set(playerId.toString(), { playerId, ...stats });
+      });
+      seasonDoc.getPlayerStatsArray = jest.fn().mockImplementation(() => Array.from(seasonDoc.playerStats.values()));
+      seasonDoc.save = jest.fn().mockResolvedValue(seasonDoc);
+      Season.findOne.mockReturnValue({
+        populate: jest.fn().mockResolvedValue(seasonDoc)
+      });
+
+      const seasonMatch = {
+        season: '2024-06',
+        players: [{ _id: 'p1' }, { _id: 'p2' }, { _id: 'p3' }, { _id: 'p4' }],
+        winners: [{ _id: 'p1' }, { _id: 'p2' }],
+        losers: [{ _id: 'p3' }, { _id: 'p4' }],
+        eloChanges: { winners: [16, 16], losers: [-16, -16] },
+        playedAt: new Date('2024-06-01')
+      };
+      // First call lists the season's matches, later calls load each player's matches
+      Match.find.mockImplementation((filter) => {
+        if (!filter.players) return Promise.resolve([seasonMatch]);
+        return {
+          populate: jest.fn().mockReturnValue({
+            sort: jest.fn().mockResolvedValue([seasonMatch])
+          })
+        };
+      });
+
+      await seasonService.rebuildSeasonStats('2024-06');
+
+      expect(seasonDoc.playerStats.has('stale')).toBe(false);
+      expect(seasonDoc.playerStats.size).toBe(4);
+      // Past season: Elo gains come from the season's match changes
+      expect(seasonDoc.playerStats.get('p1').eloGains).toBe(16);
+      expect(seasonDoc.playerStats.get('p3').eloGains).toBe(0);
+      expect(seasonDoc.save).toHaveBeenCalled();
+    });
+  });
+
   describe('getSeasonLeaderboard', () => {
     it('should return empty data when no season stats', async () => {
       const mockSeason = { 
@@ -2,6 +2,9 @@ const seasonTransitionService = require('../../src/services/seasonTransitionServ
 const Season = require('../../src/models/Season');
 const Player = require('../../src/models/Player');
 const seasonService = require('../../src/services/seasonService');
+const ratingHistoryService = require('../../src/services/ratingHistoryService');
+const playerService = require('../../src/services/playerService');
+const database = require('../../src/config/database');
 
 // Mock the bot object
 const mockBot = {
@@ -12,6 +15,9 @@ const mockBot = {
 jest.mock('../../src/services/seasonService');
 jest.mock('../../src/models/Season');
 jest.mock('../../src/models/Player');
+jest.mock('../../src/services/ratingHistoryService');
+jest.mock('../../src/services/playerService');
+jest.mock('../../src/config/database');
 
 describe('Season Transition Service', () => {
   beforeEach(() => {
@@ -23,8 +29,8 @@ describe('Season Transition Service', () => {
       const originalDate = global.Date;
       const mockDate = new Date('2024-01-15');
       global.Date = jest.fn(() => mockDate);
-      global.Date.getFullYear = mockDate.getFullYear.bind(mockDate);
-      global.Date.getMonth = mockDate.getMonth.bind(mockDate);
+      global.Date.getUTCFullYear = mockDate.getUTCFullYear.bind(mockDate);
+      global.Date.getUTCMonth = mockDate.getUTCMonth.bind(mockDate);
       
       const result = seasonTransitionService.getNextSeason();
       expect(result).toBe('2024-02');
@@ -36,8 +42,8 @@ describe('Season Transition Service', () => {
       const originalDate = global.Date;
       const mockDate = new Date('2024-12-15');
       global.Date = jest.fn(() => mockDate);
-      global.Date.getFullYear = mockDate.getFullYear.bind(mockDate);
-      global.Date.getMonth = mockDate.getMonth.bind(mockDate);
+      global.Date.getUTCFullYear = mockDate.getUTCFullYear.bind(mockDate);
+      global.Date.getUTCMonth = mockDate.getUTCMonth.bind(mockDate);
       
       const result = seasonTransitionService.getNextSeason();
       expect(result).toBe('2025-01');
@@ -51,8 +57,8 @@ describe('Season Transition Service', () => {
       const originalDate = global.Date;
       const mockDate = new Date('2024-02-15');
       global.Date = jest.fn(() => mockDate);
-      global.Date.getFullYear = mockDate.getFullYear.bind(mockDate);
-      global.Date.getMonth = mockDate.getMonth.bind(mockDate);
+      global.Date.getUTCFullYear = mockDate.getUTCFullYear.bind(mockDate);
+      global.Date.getUTCMonth = mockDate.getUTCMonth.bind(mockDate);
       
       const result = seasonTransitionService.getPreviousSeason();
       expect(result).toBe('2024-01');
@@ -64,8 +70,8 @@ describe('Season Transition Service', () => {
       const originalDate = global.Date;
       const mockDate = new Date('2024-01-15');
       global.Date = jest.fn(() => mockDate);
-      global.Date.getFullYear = mockDate.getFullYear.bind(mockDate);
-      global.Date.getMonth = mockDate.getMonth.bind(mockDate);
+      global.Date.getUTCFullYear = mockDate.getUTCFullYear.bind(mockDate);
+      global.Date.getUTCMonth = mockDate.getUTCMonth.bind(mockDate);
       
       const result = seasonTransitionService.getPreviousSeason();
       expect(result).toBe('2023-12');
@@ -143,6 +149,136 @@ describe('Season Transition Service', () => {
       
       expect(mockBot.sendMessage).not.toHaveBeenCalled();
     });
+
+    it('should announce the soft reset with the player\'s own ratings', async () => {
+      const player = { _id: '2', username: 'player2', chatId: '456' };
+      const reset = {
+        rate: 0.25,
+        target: 'baseline',
+        targets: { '2v2': 1000, '1v1': 1000 },
+        changes: new Map([['2', { '2v2': { before: 1200, after: 1150 } }]])
+      };
+
+      await seasonTransitionService.sendSeasonNotification(mockBot, player, [], '2024-01', false, reset);
+
+      const message = mockBot.sendMessage.mock.calls[0][1];
+      expect(message).toContain('🔄 <b>Soft reset:</b> all ratings moved 25% of the way towards 1000.');
+      expect(message).toContain('• 2v2: 1200 → <b>1150</b>');
+    });
+  });
+
+  describe('applySeasonReset', () => {
+    const originalEnv = process.env;
+    let inTransaction;
+
+    const createPlayer = (data) => ({
+      seasonStartElo: new Map(),
+      singlesSeasonStartElo: new Map(),
+      save: jest.fn().mockResolvedValue(),
+      ...data
+    });
+
+    beforeEach(() => {
+      process.env = { ...originalEnv };
+      delete process.env.SEASON_RESET_RATE;
+      delete process.env.SEASON_RESET_TARGET;
+      inTransaction = false;
+      database.runInTransaction.mockImplementation(async (work) => {
+        inTransaction = true;
+        try {
+          return await work();
+        } finally {
+          inTransaction = false;
+        }
+      });
+      ratingHistoryService.hasSeasonReset.mockResolvedValue(false);
+      ratingHistoryService.recordEntries.mockResolvedValue([]);
+      // The database adds the change to the rating it holds, which may include a match confirmed meanwhile
+      playerService.incrementPlayerElo.mockImplementation(async (playerId, change, format) => {
+        expect(inTransaction).toBe(true);
+        const player = (await Player.find()).find(p => p._id === playerId);
+        const field = format === '1v1' ? 'singlesElo' : 'elo';
+        return { _id: playerId, [field]: (player[field] || 1000) + change };
+      });
+    });
+
+    afterAll(() => {
+      process.env = originalEnv;
+    });
+
+    it('should do nothing when the reset is off', async () => {
+      expect(await seasonTransitionService.applySeasonReset('2024-02')).toBeNull();
+      expect(Player.find).not.toHaveBeenCalled();
+      expect(database.runInTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should not reset a season twice', async () => {
+      process.env.SEASON_RESET_RATE = '0.25';
+      ratingHistoryService.hasSeasonReset.mockResolvedValue(true);
+
+      expect(await seasonTransitionService.applySeasonReset('2024-02')).toBeNull();
+      expect(ratingHistoryService.hasSeasonReset).toHaveBeenCalledWith('2024-02');
+      expect(Player.find).not.toHaveBeenCalled();
+    });
+
+    it('should regress ratings towards the baseline with $inc and start the season from them', async () => {
+      process.env.SEASON_RESET_RATE = '0.25';
+      const strong = createPlayer({ _id: 'p1', elo: 1200, singlesElo: 920 });
+      const average = createPlayer({ _id: 'p2', elo: 1000 });
+      Player.find.mockResolvedValue([strong, average]);
+
+      const reset = await seasonTransitionService.applySeasonReset('2024-02');
+
+      expect(reset.targets).toEqual({ '2v2': 1000, '1v1': 1000 });
+      expect(playerService.incrementPlayerElo).toHaveBeenCalledTimes(2);
+      expect(playerService.incrementPlayerElo).toHaveBeenCalledWith('p1', -50, '2v2');
+      expect(playerService.incrementPlayerElo).toHaveBeenCalledWith('p1', 20, '1v1');
+      expect(Player.updateOne).toHaveBeenCalledWith({ _id: 'p1' }, { $set: { 'seasonStartElo.2024-02': 1150 } });
+      expect(Player.updateOne).toHaveBeenCalledWith({ _id: 'p1' }, { $set: { 'singlesSeasonStartElo.2024-02': 940 } });
+      expect(strong.save).not.toHaveBeenCalled();
+      expect(average.save).not.toHaveBeenCalled();
+      expect(reset.changes.get('p1')).toEqual({ '2v2': { before: 1200, after: 1150 }, '1v1': { before: 920, after: 940 } });
+      expect(reset.changes.has('p2')).toBe(false);
+      expect(ratingHistoryService.recordEntries).toHaveBeenCalledWith([
+        expect.objectContaining({
+          player: 'p1', format: '2v2', reason: 'reset', season: '2024-02', ratingBefore: 1200, ratingAfter: 1150,
+          adjustment: { rate: 0.25, target: 'baseline', targetRating: 1000 }
+        }),
+        expect.objectContaining({
+          player: 'p1', format: '1v1', reason: 'reset', season: '2024-02', ratingBefore: 920, ratingAfter: 940,
+          adjustment: { rate: 0.25, target: 'baseline', targetRating: 1000 }
+        })
+      ]);
+    });
+
+    it('should regress towards the average rating and shift an already recorded season start', async () => {
+      process.env.SEASON_RESET_RATE = '0.5';
+      process.env.SEASON_RESET_TARGET = 'mean';
+      const strong = createPlayer({ _id: 'p1', elo: 1300, seasonStartElo: new Map([['2024-02', 1290]]) });
+      const weak = createPlayer({ _id: 'p2', elo: 1100 });
+      Player.find.mockResolvedValue([strong, weak]);
+
+      const reset = await seasonTransitionService.applySeasonReset('2024-02');
+
+      expect(reset.targets['2v2']).toBe(1200);
+      expect(ratingHistoryService.recordEntries.mock.calls[0][0][0].adjustment)
+        .toEqual({ rate: 0.5, target: 'mean', targetRating: 1200 });
+      expect(playerService.incrementPlayerElo).toHaveBeenCalledWith('p1', -50, '2v2');
+      expect(Player.updateOne).toHaveBeenCalledWith({ _id: 'p1' }, { $inc: { 'seasonStartElo.2024-02': -50 } });
+      expect(playerService.incrementPlayerElo).toHaveBeenCalledWith('p2', 50, '2v2');
+    });
+
+    it('should return null when the transaction fails', async () => {
+      process.env.SEASON_RESET_RATE = '0.25';
+      Player.find.mockResolvedValue([createPlayer({ _id: 'p1', elo: 1200 })]);
+      ratingHistoryService.recordEntries.mockRejectedValue(new Error('write failed'));
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+      expect(await seasonTransitionService.applySeasonReset('2024-02')).toBeNull();
+      expect(database.runInTransaction).toHaveBeenCalledTimes(1);
+
+      consoleSpy.mockRestore();
+    });
   });
 
   describe('ensureAllPlayersSeasonStartElo', () => {
@@ -157,9 +293,11 @@ describe('Season Transition Service', () => {
       
       await seasonTransitionService.ensureAllPlayersSeasonStartElo('2024-01');
       
-      expect(seasonService.ensureSeasonStartElo).toHaveBeenCalledTimes(2);
+      // Doubles and singles rating for each player
+      expect(seasonService.ensureSeasonStartElo).toHaveBeenCalledTimes(4);
       expect(seasonService.ensureSeasonStartElo).toHaveBeenCalledWith('1', '2024-01');
       expect(seasonService.ensureSeasonStartElo).toHaveBeenCalledWith('2', '2024-01');
+      expect(seasonService.ensureSeasonStartElo).toHaveBeenCalledWith('1', '2024-01', '1v1');
     });
   });
 
@@ -177,8 +315,8 @@ describe('Season Transition Service', () => {
       const originalDate = global.Date;
       const mockDate = new Date('2024-02-15');
       global.Date = jest.fn(() => mockDate);
-      global.Date.getFullYear = mockDate.getFullYear.bind(mockDate);
-      global.Date.getMonth = mockDate.getMonth.bind(mockDate);
+      global.Date.getUTCFullYear = mockDate.getUTCFullYear.bind(mockDate);
+      global.Date.getUTCMonth = mockDate.getUTCMonth.bind(mockDate);
       
       seasonService.getSeasonLeaderboard.mockResolvedValue({ summary: mockWinners });
       Player.find.mockResolvedValue(mockPlayers);
@@ -0,0 +1,107 @@
+const teamService = require('../../src/services/teamService');
+const Team = require('../../src/models/Team');
+const Match = require('../../src/models/Match');
+
+jest.mock('../../src/models/Team');
+jest.mock('../../src/models/Match');
+
+describe('teamService', () => {
+  const createTeam = (key, data = {}) => ({
+    key,
+    elo: 1000,
+    matches: 10,
+    wins: 0,
+    currentStreak: 0,
+    longestWinStreak: 0,
+    longestLossStreak: 0,
+    save: jest.fn().mockResolvedValue(),
+    set: jest.fn(function(values) { Object.assign(this, values); }),
+    ...data
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findOrCreateTeam', () => {
+    it('should upsert the team of the pair by its key', async () => {
+      const team = createTeam('a-b');
+      Team.findOneAndUpdate.mockResolvedValue(team);
+
+      const result = await teamService.findOrCreateTeam(['b', 'a']);
+
+      expect(result).toBe(team);
+      expect(Team.findOneAndUpdate).toHaveBeenCalledWith(
+        { key: 'a-b' },
+        { $setOnInsert: { key: 'a-b', players: ['a', 'b'] } },
+        expect.objectContaining({ upsert: true, new: true })
+      );
+    });
+  });
+
+  describe('applyMatchToTeams', () => {
+    it('should update the rating, counts and streaks of both teams', async () => {
+      const winners = createTeam('a-b', { currentStreak: -2 });
+      const losers = createTeam('c-d', { currentStreak: 3, longestWinStreak: 3 });
+      Team.findOneAndUpdate.mockResolvedValueOnce(winners).mockResolvedValueOnce(losers);
+      const playedAt = new Date('2024-06-01');
+
+      const changes = await teamService.applyMatchToTeams({ winners: ['a', 'b'], losers: ['c', 'd'], playedAt });
+
+      expect(changes).toEqual({ winners: 16, losers: -16 });
+      expect(winners).toMatchObject({ elo: 1016, matches: 11, wins: 1, currentStreak: 1, lastPlayedAt: playedAt });
+      expect(losers).toMatchObject({ elo: 984, matches: 11, wins: 0, currentStreak: -1, longestWinStreak: 3 });
+      expect(winners.save).toHaveBeenCalled();
+      expect(losers.save).toHaveBeenCalled();
+    });
+
+    it('should skip singles matches', async () => {
+      expect(await teamService.applyMatchToTeams({ format: '1v1', winners: ['a'], losers: ['c'] })).toBeNull();
+      expect(Team.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rebuildTeams', () => {
+    it('should replay the doubles history from the default rating', async () => {
+      const stale = createTeam('a-b', { elo: 1200, matches: 30, wins: 20, currentStreak: 5 });
+      const unplayed = createTeam('a-c', { elo: 1040, matches: 2, wins: 2 });
+      Team.find.mockResolvedValue([stale, unplayed]);
+      Team.mockImplementation(data => createTeam(data.key, { ...data, matches: 0 }));
+      Match.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([
+          { winners: ['a', 'b'], losers: ['c', 'd'], playedAt: new Date('2024-06-01') },
+          { winners: ['d', 'c'], losers: ['b', 'a'], playedAt: new Date('2024-06-02') }
+        ])
+      });
+
+      const saved = await teamService.rebuildTeams();
+
+      expect(Match.find).toHaveBeenCalledWith({
+        status: { $nin: ['pending', 'disputed', 'voided'] },
+        format: { $ne: '1v1' }
+      });
+      expect(saved).toBe(3);
+      // New teams start provisional (K = 48)
+      expect(stale).toMatchObject({ elo: 997, matches: 2, wins: 1, currentStreak: -1, longestWinStreak: 1, longestLossStreak: 1 });
+      expect(unplayed).toMatchObject({ elo: 1000, matches: 0, wins: 0 });
+      expect(stale.save).toHaveBeenCalled();
+      expect(unplayed.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('getTeamLeaderboard', () => {
+    it('should list teams with enough matches by Elo with their win rate', async () => {
+      const team = { toObject: () => ({ key: 'a-b', elo: 1050 }), wins: 6, matches: 8 };
+      const populate = jest.fn().mockResolvedValue([team]);
+      const sort = jest.fn().mockReturnValue({ populate });
+      Team.find.mockReturnValue({ sort });
+
+      const leaderboard = await teamService.getTeamLeaderboard(5);
+
+      expect(Team.find).toHaveBeenCalledWith({ matches: { $gte: 5 } });
+      expect(sort).toHaveBeenCalledWith({ elo: -1, matches: -1 });
+      expect(populate).toHaveBeenCalledWith('players');
+      expect(leaderboard).toEqual([{ key: 'a-b', elo: 1050, winRate: '75.0' }]);
+    });
+  });
+});
\ No newline at end of file
@@ -23,8 +23,177 @@ describe('elo utils', () => {
     expect(result.team2Changes[0]).toBeLessThan(0);
   });
 
+  it('should calculate Elo changes for a 1v1 match', () => {
+    const result = elo.calculateTeamEloChanges([1000], [1000], 1);
+    expect(result.team1Changes).toEqual([16]);
+    expect(result.team2Changes).toEqual([-16]);
+    expect(result.newTeam1Ratings).toEqual([1016]);
+  });
+
+  it('should average team ratings', () => {
+    expect(elo.getAverageRating([1000, 1100])).toBe(1050);
+    expect(elo.getAverageRating([1200])).toBe(1200);
+  });
+
+  it('should regress a rating part of the way towards a target', () => {
+    expect(elo.getRegressedRating(1200, 1000, 0.25)).toBe(1150);
+    expect(elo.getRegressedRating(900, 1000, 0.25)).toBe(925);
+    expect(elo.getRegressedRating(1200, 1000, 3)).toBe(1000);
+    expect(elo.getRegressedRating(1200, 1000, 0)).toBe(1200);
+  });
+
   it('should return current season in YYYY-MM format', () => {
     const season = elo.getCurrentSeason();
     expect(season).toMatch(/^\d{4}-\d{2}$/);
   });
-}); 
\ No newline at end of file
+
+  it('should file dates into seasons by UTC month', () => {
+    expect(elo.getSeasonForDate('2024-07-01T00:30:00Z')).toBe('2024-07');
+    expect(elo.getSeasonForDate('2024-06-30T23:30:00Z')).toBe('2024-06');
+  });
+
+  it('should start seasons at midnight UTC on the first day', () => {
+    expect(elo.getSeasonStartDate('2024-07')).toEqual(new Date('2024-07-01T00:00:00Z'));
+    expect(elo.getSeasonStartDate('2025-01')).toEqual(new Date('2025-01-01T00:00:00Z'));
+  });
+
+  it('should apply each player\'s own K-factor', () => {
+    const result = elo.calculateTeamEloChanges([1000, 1000], [1000, 1000], 1, {
+      kFactors: { team1: [48, 32], team2: [32, 16] }
+    });
+    expect(result.team1Changes).toEqual([24, 16]);
+    expect(result.team2Changes).toEqual([-16, -8]);
+    expect(result.team1KFactors).toEqual([48, 32]);
+    expect(result.team2KFactors).toEqual([32, 16]);
+  });
+
+  describe('getPlayerKFactor', () => {
+    it('should use the provisional K-factor for new players', () => {
+      expect(elo.getPlayerKFactor(0, 1000)).toBe(48);
+      expect(elo.getPlayerKFactor(9, 1000)).toBe(48);
+      expect(elo.isProvisional(9)).toBe(true);
+      expect(elo.isProvisional(10)).toBe(false);
+    });
+    it('should taper the K-factor with matches played', () => {
+      expect(elo.getPlayerKFactor(10, 1000)).toBe(32);
+      expect(elo.getPlayerKFactor(55, 1000)).toBe(24);
+      expect(elo.getPlayerKFactor(100, 1000)).toBe(16);
+      expect(elo.getPlayerKFactor(500, 1000)).toBe(16);
+    });
+    it('should cap the K-factor of highly rated players', () => {
+      expect(elo.getPlayerKFactor(10, 1400)).toBe(16);
+      expect(elo.getPlayerKFactor(5, 1500)).toBe(48);
+    });
+    it('should follow a custom schedule', () => {
+      const schedule = { ...elo.DEFAULT_K_SCHEDULE, provisionalMatches: 3, provisionalK: 40 };
+      expect(elo.getPlayerKFactor(2, 1000, schedule)).toBe(40);
+      expect(elo.getPlayerKFactor(3, 1000, schedule)).toBe(32);
+    });
+  });
+
+  describe('team split', () => {
+    it('should give teammates equal weights by default', () => {
+      expect(elo.getTeamSplitWeights([1400, 900], true)).toEqual([0.5, 0.5]);
+      expect(elo.getTeamSplitWeights([1400, 900], false, 'equal')).toEqual([0.5, 0.5]);
+    });
+
+    it('should weight a win towards the weaker partner', () => {
+      const [strong, weak] = elo.getTeamSplitWeights([1400, 900], true, elo.ELO_SPLIT.RATING_SHARE);
+      expect(strong).toBeCloseTo(900 / 2300);
+      expect(weak).toBeCloseTo(1400 / 2300);
+    });
+
+    it('should weight a loss towards the stronger partner', () => {
+      const [strong, weak] = elo.getTeamSplitWeights([1400, 900], false, elo.ELO_SPLIT.RATING_SHARE);
+      expect(strong).toBeCloseTo(1400 / 2300);
+      expect(weak).toBeCloseTo(900 / 2300);
+    });
+
+    it('should keep weights adding up to one', () => {
+      const weights = elo.getTeamSplitWeights([1200, 1000], true, elo.ELO_SPLIT.RATING_SHARE);
+      expect(weights[0] + weights[1]).toBeCloseTo(1);
+    });
+
+    it('should give a single player the whole change', () => {
+      expect(elo.getTeamSplitWeights([1200], true, elo.ELO_SPLIT.RATING_SHARE)).toEqual([1]);
+      const result = elo.calculateTeamEloChanges([1000], [1000], 1, { split: elo.ELO_SPLIT.RATING_SHARE });
+      expect(result.team1Changes).toEqual([16]);
+    });
+
+    it('should split equal-rated teams evenly', () => {
+      const result = elo.calculateTeamEloChanges([1000, 1000], [1000, 1000], 1, { split: elo.ELO_SPLIT.RATING_SHARE });
+      expect(result.team1Changes).toEqual([16, 16]);
+      expect(result.team2Changes).toEqual([-16, -16]);
+    });
+
+    it('should let the weaker partner gain more on a win and lose less on a loss', () => {
+      // Team averages are equal (1150), so each team's change is 32 points in total
+      const win = elo.calculateTeamEloChanges([1400, 900], [1150, 1150], 1, { split: elo.ELO_SPLIT.RATING_SHARE });
+      expect(win.team1Changes).toEqual([13, 19]);
+      expect(win.team2Changes).toEqual([-16, -16]);
+
+      const loss = elo.calculateTeamEloChanges([1400, 900], [1150, 1150], 2, { split: elo.ELO_SPLIT.RATING_SHARE });
+      expect(loss.team1Changes).toEqual([-19, -13]);
+    });
+
+    it('should still apply each player\'s own K-factor', () => {
+      const result = elo.calculateTeamEloChanges([1400, 900], [1150, 1150], 1, {
+        kFactors: { team1: [16, 48], team2: [32, 32] },
+        split: elo.ELO_SPLIT.RATING_SHARE
+      });
+      expect(result.team1Changes).toEqual([6, 29]);
+    });
+
+    it('should fall back to equal weights for an unknown mode', () => {
+      expect(elo.getTeamSplitWeights([1000, 1000], true, 'unknown')).toEqual([0.5, 0.5]);
+    });
+  });
+
+  describe('margin of victory', () => {
+    const linear = { curve: elo.MARGIN_CURVE.LINEAR, weight: 0.5, damping: 0 };
+
+    it('should not scale changes when the curve is off', () => {
+      expect(elo.getMarginMultiplier({ goalDifference: 10, isDryWin: true })).toBe(1);
+      const result = elo.calculateTeamEloChanges([1000, 1000], [1000, 1000], 1, { margin: { goalDifference: 10 } });
+      expect(result.team1Changes).toEqual([16, 16]);
+      expect(result.marginMultiplier).toBe(1);
+    });
+
+    it('should grow from 1 for a one-goal win to 1 + weight for a full margin', () => {
+      expect(elo.getMarginMultiplier({ goalDifference: 1 }, 0, linear)).toBe(1);
+      expect(elo.getMarginMultiplier({ goalDifference: 4 }, 0, linear)).toBe(1.167);
+      expect(elo.getMarginMultiplier({ goalDifference: 10 }, 0, linear)).toBe(1.5);
+      expect(elo.getMarginMultiplier({ goalDifference: 15 }, 0, linear)).toBe(1.5);
+    });
+
+    it('should favour early goals on the log curve', () => {
+      const log = { ...linear, curve: elo.MARGIN_CURVE.LOG };
+      expect(elo.getMarginMultiplier({ goalDifference: 4 }, 0, log)).toBe(1.301);
+      expect(elo.getMarginMultiplier({ goalDifference: 10 }, 0, log)).toBe(1.5);
+    });
+
+    it('should fall back to the dry-win flag for matches without a score', () => {
+      expect(elo.getMarginMultiplier({ goalDifference: null, isDryWin: true }, 0, linear)).toBe(1.5);
+      expect(elo.getMarginMultiplier({ goalDifference: null, isDryWin: false }, 0, linear)).toBe(1);
+    });
+
+    it('should damp wins of the favourite and boost upsets', () => {
+      const damped = { ...linear, damping: 2.2 };
+      expect(elo.getMarginMultiplier({ goalDifference: 10 }, 200, damped)).toBe(1.375);
+      expect(elo.getMarginMultiplier({ goalDifference: 10 }, -200, damped)).toBe(1.65);
+      // Upsets gain at most double
+      expect(elo.getMarginMultiplier({ goalDifference: 10 }, -2000, damped)).toBe(3);
+    });
+
+    it('should scale every player\'s change and keep the unscaled K-factors', () => {
+      const result = elo.calculateTeamEloChanges([1000, 1000], [1000, 1000], 2, {
+        margin: { goalDifference: 10 },
+        marginSettings: linear
+      });
+      expect(result.marginMultiplier).toBe(1.5);
+      expect(result.team2Changes).toEqual([24, 24]);
+      expect(result.team1Changes).toEqual([-24, -24]);
+      expect(result.team2KFactors).toEqual([32, 32]);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,41 @@
+const eloChart = require('../../src/utils/eloChart');
+
+describe('Elo Chart Utils', () => {
+  const point = (date, rating, season) => ({ date: new Date(date), rating, season });
+
+  it('should pick round rating steps for about six grid lines', () => {
+    expect(eloChart.getRatingStep(1)).toBe(5);
+    expect(eloChart.getRatingStep(100)).toBe(20);
+    expect(eloChart.getRatingStep(400)).toBe(100);
+  });
+
+  it('should find where each later season starts across all players', () => {
+    const boundaries = eloChart.getSeasonBoundaries([
+      { points: [point('2024-06-20', 1000, '2024-06'), point('2024-07-03', 1016, '2024-07')] },
+      { points: [point('2024-07-01', 990, '2024-07'), point('2024-08-02', 980, '2024-08')] }
+    ]);
+
+    expect(boundaries).toEqual([
+      { season: '2024-07', date: new Date('2024-07-01') },
+      { season: '2024-08', date: new Date('2024-08-02') }
+    ]);
+  });
+
+  it('should render up to four players as a PNG', () => {
+    const series = eloChart.CHART_COLORS.map((color, index) => ({
+      color: color.hex,
+      points: [point('2024-06-20', 1000, '2024-06'), point('2024-07-03', 1000 + index * 10, '2024-07')]
+    }));
+
+    const buffer = eloChart.renderEloChart(series);
+
+    expect(eloChart.MAX_CHART_PLAYERS).toBe(4);
+    expect(buffer.subarray(1, 4).toString('ascii')).toBe('PNG');
+    expect([buffer.readUInt32BE(16), buffer.readUInt32BE(20)]).toEqual([800, 480]);
+  });
+
+  it('should render a single rating change on one day', () => {
+    const buffer = eloChart.renderEloChart([{ color: '#1f77b4', points: [point('2024-06-20', 1000, '2024-06')] }]);
+    expect(buffer.subarray(1, 4).toString('ascii')).toBe('PNG');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,27 @@
+const fuzzy = require('../../src/utils/fuzzy');
+
+describe('fuzzy utils', () => {
+  it('should calculate the edit distance between two strings', () => {
+    expect(fuzzy.levenshteinDistance('alice', 'alice')).toBe(0);
+    expect(fuzzy.levenshteinDistance('alice', 'alcie')).toBe(2);
+    expect(fuzzy.levenshteinDistance('bob', 'bobby')).toBe(2);
+    expect(fuzzy.levenshteinDistance('', 'dave')).toBe(4);
+  });
+
+  it('should suggest the closest candidates first', () => {
+    const candidates = ['alice', 'alina', 'bob', 'carol'];
+    expect(fuzzy.findClosestMatches('alic', candidates)).toEqual(['alice', 'alina']);
+  });
+
+  it('should ignore case and skip empty candidates', () => {
+    expect(fuzzy.findClosestMatches('CAROL', ['carol', null, undefined])).toEqual(['carol']);
+  });
+
+  it('should not suggest candidates that are too different', () => {
+    expect(fuzzy.findClosestMatches('zed', ['alice', 'carol'])).toEqual([]);
+  });
+
+  it('should limit the number of suggestions', () => {
+    expect(fuzzy.findClosestMatches('ab', ['aa', 'bb', 'ac', 'ad'], 2)).toHaveLength(2);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,115 @@
+const glicko = require('../../src/utils/glicko');
+
+describe('Glicko-2 Utils', () => {
+  const newPlayer = () => glicko.getDefaultGlicko();
+
+  describe('updateGlicko', () => {
+    it('should match the worked example of the Glicko-2 paper', () => {
+      // Glickman's example, shifted from a 1500 to a 1000 centre (the result does not depend on it)
+      const result = glicko.updateGlicko({ rating: 1000, deviation: 200, volatility: 0.06 }, [
+        { rating: 900, deviation: 30, score: 1 },
+        { rating: 1050, deviation: 100, score: 0 },
+        { rating: 1200, deviation: 300, score: 0 }
+      ]);
+      expect(result.rating).toBeCloseTo(964.06, 1);
+      expect(result.deviation).toBeCloseTo(151.52, 1);
+      expect(result.volatility).toBeCloseTo(0.05999, 4);
+    });
+
+    it('should only increase the deviation of a player without games', () => {
+      const result = glicko.updateGlicko({ rating: 1100, deviation: 100, volatility: 0.06 }, []);
+      expect(result.rating).toBe(1100);
+      expect(result.deviation).toBeGreaterThan(100);
+    });
+
+    it('should never raise the deviation above the default', () => {
+      const result = glicko.updateGlicko(newPlayer(), []);
+      expect(result.deviation).toBe(glicko.DEFAULT_DEVIATION);
+    });
+  });
+
+  describe('getTeamComposite', () => {
+    it('should average ratings and combine deviations as root mean square', () => {
+      const composite = glicko.getTeamComposite([
+        { rating: 1100, deviation: 50 },
+        { rating: 900, deviation: 150 }
+      ]);
+      expect(composite.rating).toBe(1000);
+      expect(composite.deviation).toBeCloseTo(Math.sqrt((50 * 50 + 150 * 150) / 2));
+    });
+  });
+
+  describe('calculateTeamGlickoChanges', () => {
+    it('should move evenly matched teams by the same amount in opposite directions', () => {
+      const result = glicko.calculateTeamGlickoChanges([newPlayer(), newPlayer()], [newPlayer(), newPlayer()], 1);
+      expect(result.expectedTeam1Score).toBeCloseTo(0.5);
+      expect(result.team1Changes[0].rating).toBeGreaterThan(0);
+      expect(result.team1Changes[0].rating).toBeCloseTo(-result.team2Changes[0].rating);
+      expect(result.team1Changes[0].deviation).toBeLessThan(0);
+      expect(result.newTeam1[0].rating).toBeCloseTo(1000 + result.team1Changes[0].rating);
+    });
+
+    it('should move an uncertain player further than a certain teammate', () => {
+      const certain = { rating: 1000, deviation: 60, volatility: 0.06 };
+      const uncertain = { rating: 1000, deviation: 300, volatility: 0.06 };
+      const result = glicko.calculateTeamGlickoChanges([certain, uncertain], [newPlayer(), newPlayer()], 2);
+      expect(result.team1Changes[1].rating).toBeLessThan(result.team1Changes[0].rating);
+      expect(result.team1Changes[0].rating).toBeLessThan(0);
+    });
+
+    it('should reward an upset more than an expected win', () => {
+      const strong = { rating: 1300, deviation: 80, volatility: 0.06 };
+      const weak = { rating: 900, deviation: 80, volatility: 0.06 };
+      const expected = glicko.calculateTeamGlickoChanges([strong], [weak], 1);
+      const upset = glicko.calculateTeamGlickoChanges([strong], [weak], 2);
+      expect(expected.expectedTeam1Score).toBeGreaterThan(0.8);
+      expect(upset.team2Changes[0].rating).toBeGreaterThan(expected.team1Changes[0].rating);
+    });
+
+    it('should use the given tau', () => {
+      const players = [{ rating: 1000, deviation: 80, volatility: 0.06 }];
+      const opponents = [{ rating: 1400, deviation: 80, volatility: 0.06 }];
+      const calm = glicko.calculateTeamGlickoChanges(players, opponents, 1, { tau: 0.2 });
+      const volatile = glicko.calculateTeamGlickoChanges(players, opponents, 1, { tau: 1.2 });
+      expect(volatile.newTeam1[0].volatility).toBeGreaterThan(calm.newTeam1[0].volatility);
+    });
+  });
+
+  describe('addGlickoChange', () => {
+    it('should apply and roll back a stored change', () => {
+      const before = { rating: 1000, deviation: 200, volatility: 0.06 };
+      const change = { rating: 40, deviation: -20, volatility: -0.0001 };
+      const after = glicko.addGlickoChange(before, change);
+      expect(after).toMatchObject({ rating: 1040, deviation: 180 });
+      expect(after.volatility).toBeCloseTo(0.0599);
+      const rolledBack = glicko.addGlickoChange(after, change, -1);
+      expect(rolledBack.rating).toBeCloseTo(1000);
+      expect(rolledBack.volatility).toBeCloseTo(0.06);
+    });
+
+    it('should leave the state unchanged without a stored change', () => {
+      expect(glicko.addGlickoChange(newPlayer(), null, -1)).toEqual(newPlayer());
+    });
+  });
+
+  describe('getPlayerGlicko', () => {
+    it('should read the state of the format', () => {
+      const player = {
+        glicko: { rating: 1100, deviation: 90, volatility: 0.05 },
+        singlesGlicko: { rating: 950, deviation: 120, volatility: 0.06 }
+      };
+      expect(glicko.getPlayerGlicko(player, '2v2')).toEqual({ rating: 1100, deviation: 90, volatility: 0.05 });
+      expect(glicko.getPlayerGlicko(player, '1v1').rating).toBe(950);
+    });
+
+    it('should fall back to the default state', () => {
+      expect(glicko.getPlayerGlicko({ elo: 1200 }, '2v2')).toEqual({ rating: 1000, deviation: 350, volatility: 0.06 });
+    });
+  });
+
+  describe('formatGlickoRating', () => {
+    it('should round rating and deviation', () => {
+      expect(glicko.formatGlickoRating({ rating: 1034.4, deviation: 86.6 })).toBe('1034 ± 87');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,40 @@
+const goals = require('../../src/utils/goals');
+
+describe('goals utils', () => {
+  const scoredWin = { winners: [{ _id: 'p1' }, { _id: 'p2' }], losers: [{ _id: 'p3' }, { _id: 'p4' }], score: { winners: 10, losers: 4 } };
+  const scoredLoss = { winners: [{ _id: 'p3' }, { _id: 'p4' }], losers: [{ _id: 'p1' }, { _id: 'p2' }], score: { winners: 10, losers: 8 } };
+  const unscored = { winners: [{ _id: 'p1' }, { _id: 'p2' }], losers: [{ _id: 'p3' }, { _id: 'p4' }] };
+
+  it('should detect whether a match has a score', () => {
+    expect(goals.hasScore(scoredWin)).toBe(true);
+    expect(goals.hasScore(unscored)).toBe(false);
+  });
+
+  it('should return goals for and against a player in a match', () => {
+    expect(goals.getPlayerMatchGoals(scoredWin, 'p1')).toEqual({ goalsFor: 10, goalsAgainst: 4 });
+    expect(goals.getPlayerMatchGoals(scoredWin, 'p3')).toEqual({ goalsFor: 4, goalsAgainst: 10 });
+    expect(goals.getPlayerMatchGoals(unscored, 'p1')).toBeNull();
+  });
+
+  it('should get the margin of victory from the score or the dry-win flag', () => {
+    expect(goals.getMarginOfVictory(scoredWin)).toEqual({ goalDifference: 6, isDryWin: false });
+    expect(goals.getMarginOfVictory({ ...unscored, isDryWin: true })).toEqual({ goalDifference: null, isDryWin: true });
+  });
+
+  it('should sum goal stats and skip unscored matches', () => {
+    const stats = goals.calculateGoalStats([scoredWin, scoredLoss, unscored], 'p1');
+    expect(stats).toEqual({ goalsFor: 18, goalsAgainst: 14, goalDifference: 4, scoredMatches: 2 });
+  });
+
+  it('should work with unpopulated player references', () => {
+    const match = { winners: ['p1', 'p2'], losers: ['p3', 'p4'], score: { winners: 10, losers: 3 } };
+    expect(goals.getPlayerMatchGoals(match, 'p4')).toEqual({ goalsFor: 3, goalsAgainst: 10 });
+  });
+
+  it('should format scores and goal differences', () => {
+    expect(goals.formatScore({ winners: 10, losers: 7 })).toBe('10–7');
+    expect(goals.formatGoalDifference(5)).toBe('+5');
+    expect(goals.formatGoalDifference(-3)).toBe('-3');
+    expect(goals.formatGoalDifference(0)).toBe('0');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,52 @@
+const {
+  MATCH_FORMAT,
+  getMatchFormat,
+  getTeamSize,
+  getFormatForTeamSize,
+  getRatingField,
+  getGlickoField,
+  getPlayerRating,
+  getFormatFilter,
+  parseFormat
+} = require('../../src/utils/matchFormat');
+
+describe('matchFormat utils', () => {
+  it('should treat matches without a format as doubles', () => {
+    expect(getMatchFormat({})).toBe(MATCH_FORMAT.DOUBLES);
+    expect(getMatchFormat({ format: '1v1' })).toBe(MATCH_FORMAT.SINGLES);
+  });
+
+  it('should map team sizes to formats', () => {
+    expect(getFormatForTeamSize(1)).toBe('1v1');
+    expect(getFormatForTeamSize(2)).toBe('2v2');
+    expect(getFormatForTeamSize(3)).toBeNull();
+    expect(getTeamSize('1v1')).toBe(1);
+    expect(getTeamSize('2v2')).toBe(2);
+  });
+
+  it('should read the rating of the format', () => {
+    expect(getRatingField('1v1')).toBe('singlesElo');
+    expect(getRatingField('2v2')).toBe('elo');
+    expect(getPlayerRating({ elo: 1100, singlesElo: 980 }, '1v1')).toBe(980);
+    expect(getPlayerRating({ elo: 1100 }, '1v1')).toBe(1000);
+    expect(getPlayerRating({ elo: 1100 }, '2v2')).toBe(1100);
+  });
+
+  it('should keep a Glicko-2 state per format', () => {
+    expect(getGlickoField('1v1')).toBe('singlesGlicko');
+    expect(getGlickoField('2v2')).toBe('glicko');
+  });
+
+  it('should include legacy matches in the doubles filter', () => {
+    expect(getFormatFilter('1v1')).toEqual({ format: '1v1' });
+    expect(getFormatFilter('2v2')).toEqual({ format: { $ne: '1v1' } });
+  });
+
+  it('should parse format arguments', () => {
+    expect(parseFormat('1v1')).toBe('1v1');
+    expect(parseFormat(' Singles ')).toBe('1v1');
+    expect(parseFormat('doubles')).toBe('2v2');
+    expect(parseFormat('')).toBeNull();
+    expect(parseFormat('3v3')).toBeNull();
+  });
+});
\ No newline at end of file
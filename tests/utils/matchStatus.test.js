@@ -0,0 +1,13 @@
+const { MATCH_STATUS, COUNTED_MATCH_FILTER, isCountedMatch } = require('../../src/utils/matchStatus');
+
+describe('matchStatus utils', () => {
+  it('should exclude voided matches from the counted filter', () => {
+    expect(COUNTED_MATCH_FILTER.status.$nin).toContain(MATCH_STATUS.VOIDED);
+  });
+
+  it('should treat confirmed and legacy matches as counted', () => {
+    expect(isCountedMatch({ status: MATCH_STATUS.CONFIRMED })).toBe(true);
+    expect(isCountedMatch({})).toBe(true);
+    expect(isCountedMatch({ status: MATCH_STATUS.VOIDED })).toBe(false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,61 @@
+const partners = require('../../src/utils/partners');
+
+describe('partners utils', () => {
+  const [me, bob, carol, dave, eve] = ['me', 'bob', 'carol', 'dave', 'eve'].map(id => ({ _id: id, username: id }));
+  const matches = [
+    { _id: 'm1', winners: [me, bob], losers: [carol, dave] },
+    { _id: 'm2', winners: [me, bob], losers: [dave, eve] },
+    { _id: 'm3', winners: [carol, dave], losers: [me, bob] },
+    { _id: 'm4', winners: [eve, dave], losers: [me, carol] },
+    { _id: 'm5', format: '1v1', winners: [eve], losers: [me] }
+  ];
+  const ratings = new Map([
+    ...['me', 'bob', 'carol', 'dave'].map(id => [partners.getMatchRatingKey('m1', id), { before: 1000, after: id === 'me' || id === 'bob' ? 1016 : 984 }]),
+    ...['me', 'bob', 'dave', 'eve'].map(id => [partners.getMatchRatingKey('m2', id), { before: 1000, after: id === 'me' || id === 'bob' ? 1016 : 984 }])
+  ]);
+
+  it('should count 2v2 matches, wins and Elo with each partner', () => {
+    const stats = partners.calculatePartnerStats(matches, 'me', ratings);
+
+    expect(stats).toHaveLength(2);
+    expect(stats[0]).toMatchObject({ player: bob, matches: 3, wins: 2, winRate: '66.7', eloChange: 32 });
+    expect(stats[1]).toMatchObject({ player: carol, matches: 1, wins: 0, winRate: '0.0', eloChange: 0 });
+  });
+
+  it('should compare the win rate with the Elo expectation of matches with known ratings', () => {
+    const stats = partners.calculatePartnerStats(matches, 'me', ratings);
+
+    // Only m1 and m2 have ratings, both between even teams
+    expect(stats[0].expectedWinRate).toBe('50.0');
+    expect(stats[1].expectedWinRate).toBeNull();
+  });
+
+  it('should count wins and losses against opponents in every format', () => {
+    const stats = partners.calculateOpponentStats(matches, 'me');
+    const byId = id => stats.find(entry => entry.player._id === id);
+
+    expect(byId('dave')).toMatchObject({ matches: 4, wins: 2, losses: 2 });
+    expect(byId('eve')).toMatchObject({ matches: 3, wins: 1, losses: 2 });
+    expect(byId('carol')).toMatchObject({ matches: 2, wins: 1, losses: 1 });
+  });
+
+  it('should pick the best and worst partner among those with enough matches', () => {
+    const stats = [
+      { player: bob, matches: 5, wins: 4 },
+      { player: carol, matches: 4, wins: 1 },
+      { player: dave, matches: 1, wins: 0 }
+    ];
+
+    expect(partners.pickBestAndWorstPartner(stats, 3)).toEqual({ best: stats[0], worst: stats[1] });
+    expect(partners.pickBestAndWorstPartner(stats, 5)).toEqual({ best: stats[0], worst: null });
+    expect(partners.pickBestAndWorstPartner(stats, 10)).toEqual({ best: null, worst: null });
+  });
+
+  it('should pick the favourite victim and the nemesis', () => {
+    const { victim, nemesis } = partners.pickVictimAndNemesis(partners.calculateOpponentStats(matches, 'me'));
+
+    expect(victim.player).toBe(dave);
+    expect(nemesis.player).toBe(eve);
+    expect(partners.pickVictimAndNemesis([])).toEqual({ victim: null, nemesis: null });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,59 @@
+const zlib = require('zlib');
+const png = require('../../src/utils/png');
+
+describe('PNG Utils', () => {
+  // Read the raw RGB rows back out of an encoded PNG
+  const decode = (buffer) => {
+    const width = buffer.readUInt32BE(16);
+    const height = buffer.readUInt32BE(20);
+    const idatLength = buffer.readUInt32BE(33);
+    const raw = zlib.inflateSync(buffer.subarray(41, 41 + idatLength));
+    const pixel = (x, y) => {
+      const offset = y * (width * 3 + 1) + 1 + x * 3;
+      return [raw[offset], raw[offset + 1], raw[offset + 2]];
+    };
+    return { width, height, pixel };
+  };
+
+  it('should calculate the standard CRC-32', () => {
+    expect(png.crc32(Buffer.from('IEND', 'ascii'))).toBe(0xae426082);
+  });
+
+  it('should encode an RGB image with signature, header and pixels', () => {
+    const image = png.createImage(4, 3, '#ffffff');
+    png.setPixel(image, 1, 2, '#ff0000');
+
+    const buffer = png.encodePng(image);
+    const decoded = decode(buffer);
+
+    expect(buffer.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    expect(buffer.subarray(12, 16).toString('ascii')).toBe('IHDR');
+    expect(buffer.subarray(-8, -4).toString('ascii')).toBe('IEND');
+    expect([decoded.width, decoded.height]).toEqual([4, 3]);
+    expect(decoded.pixel(1, 2)).toEqual([255, 0, 0]);
+    expect(decoded.pixel(0, 0)).toEqual([255, 255, 255]);
+  });
+
+  it('should draw solid and dashed lines and ignore pixels outside the image', () => {
+    const image = png.createImage(10, 10);
+    png.drawLine(image, 0, 0, 9, 0, '#000000');
+    png.drawLine(image, 0, 5, 9, 5, '#000000', { dash: 2 });
+    png.setPixel(image, 20, 20, '#000000');
+    const decoded = decode(png.encodePng(image));
+
+    expect(decoded.pixel(9, 0)).toEqual([0, 0, 0]);
+    expect(decoded.pixel(1, 5)).toEqual([0, 0, 0]);
+    expect(decoded.pixel(2, 5)).toEqual([255, 255, 255]);
+  });
+
+  it('should measure and draw digit labels', () => {
+    expect(png.getTextWidth('1000')).toBe(30);
+    const image = png.createImage(20, 12);
+    png.drawText(image, '1', 0, 0, '#000000');
+    const decoded = decode(png.encodePng(image));
+
+    // The top of a "1" is its middle column
+    expect(decoded.pixel(2, 0)).toEqual([0, 0, 0]);
+    expect(decoded.pixel(0, 0)).toEqual([255, 255, 255]);
+  });
+});
\ No newline at end of file
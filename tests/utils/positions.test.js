@@ -0,0 +1,64 @@
+const positions = require('../../src/utils/positions');
+
+describe('positions utils', () => {
+  const match = {
+    winners: [{ _id: 'p1' }, { _id: 'p2' }],
+    losers: [{ _id: 'p3' }, { _id: 'p4' }],
+    positions: {
+      winners: { attack: 'p1', defence: 'p2' },
+      losers: { attack: { _id: 'p4' }, defence: { _id: 'p3' } }
+    }
+  };
+  const noPositions = { winners: [{ _id: 'p1' }, { _id: 'p2' }], losers: [{ _id: 'p3' }, { _id: 'p4' }] };
+
+  it('should find the position a player played', () => {
+    expect(positions.getPlayerPosition(match, 'p1')).toBe('attack');
+    expect(positions.getPlayerPosition(match, 'p2')).toBe('defence');
+    expect(positions.getPlayerPosition(match, 'p3')).toBe('defence');
+    expect(positions.getPlayerPosition(match, 'p4')).toBe('attack');
+    expect(positions.getPlayerPosition(noPositions, 'p1')).toBeNull();
+  });
+
+  it('should skip teams without recorded positions', () => {
+    const partial = { ...match, positions: { winners: match.positions.winners } };
+    expect(positions.getPlayerPosition(partial, 'p3')).toBeNull();
+  });
+
+  it('should calculate match counts and win rates per position', () => {
+    const loss = { ...match, winners: match.losers, losers: match.winners, positions: { losers: { attack: 'p2', defence: 'p1' } } };
+    const stats = positions.calculatePositionStats([match, loss, noPositions], 'p1');
+    expect(stats.attack).toEqual({ matches: 1, wins: 1, winRate: '100.0' });
+    expect(stats.defence).toEqual({ matches: 1, wins: 0, winRate: '0.0' });
+  });
+
+  it('should list the positions of both teams in player order', () => {
+    expect(positions.getMatchPositions(match)).toEqual({ winners: ['attack', 'defence'], losers: ['defence', 'attack'] });
+    expect(positions.getMatchPositions({ ...match, positions: { winners: match.positions.winners } })).toBeNull();
+    expect(positions.getMatchPositions(noPositions)).toBeNull();
+  });
+
+  it('should parse positions', () => {
+    expect(positions.parsePosition(' Attack ')).toBe('attack');
+    expect(positions.parsePosition('defense')).toBe('defence');
+    expect(positions.parsePosition('goalie')).toBe('defence');
+    expect(positions.parsePosition('1v1')).toBeNull();
+  });
+
+  it('should read position ratings with the default for missing ones', () => {
+    expect(positions.getPlayerPositionRating({ attackElo: 1080 }, 'attack')).toBe(1080);
+    expect(positions.getPlayerPositionRating({ attackElo: 1080 }, 'defence')).toBe(1000);
+  });
+
+  it('should rate each player by the position they played', () => {
+    const ratings = { p1: { attack: 1100 }, p2: { defence: 1000 }, p3: { defence: 1000 }, p4: { attack: 900 } };
+    const result = positions.calculatePositionEloChanges(match, (id, position) => ratings[id][position], {
+      kFactors: { winners: [32, 32], losers: [32, 32] }
+    });
+
+    expect(result.positions).toEqual({ winners: ['attack', 'defence'], losers: ['defence', 'attack'] });
+    // 1050 beat 950, an expected win
+    expect(result.winners).toEqual([12, 12]);
+    expect(result.losers).toEqual([-12, -12]);
+    expect(positions.calculatePositionEloChanges(noPositions, () => 1000)).toBeNull();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,84 @@
+const {
+  createMatchHistoryEntries,
+  createAdjustmentHistoryEntries,
+  hasAdjustmentSettings,
+  getAdjustedRating,
+  getAdjustmentDate
+} = require('../../src/utils/ratingHistory');
+
+describe('ratingHistory utils', () => {
+  it('should create one entry per player of a match', () => {
+    const match = { _id: 'm1', format: '1v1', season: '2024-06', playedAt: new Date('2024-06-01') };
+
+    const entries = createMatchHistoryEntries(
+      match,
+      [{ player: { _id: 'a' }, before: 1000, after: 1016 }],
+      [{ player: 'b', before: 1010, after: 994 }]
+    );
+
+    expect(entries).toEqual([
+      { player: 'a', match: 'm1', format: '1v1', reason: 'match', season: '2024-06', playedAt: match.playedAt, ratingBefore: 1000, ratingAfter: 1016, won: true },
+      { player: 'b', match: 'm1', format: '1v1', reason: 'match', season: '2024-06', playedAt: match.playedAt, ratingBefore: 1010, ratingAfter: 994, won: false }
+    ]);
+  });
+
+  it('should create one entry per decayed format', () => {
+    const date = new Date('2024-07-15T09:00:00Z');
+
+    const entries = createAdjustmentHistoryEntries({ _id: 'a', elo: 1190, singlesElo: 1045 }, { '2v2': -10, '1v1': -5 }, date);
+
+    expect(entries).toEqual([
+      { player: 'a', match: null, format: '2v2', reason: 'decay', season: '2024-07', playedAt: date, ratingBefore: 1200, ratingAfter: 1190 },
+      { player: 'a', match: null, format: '1v1', reason: 'decay', season: '2024-07', playedAt: date, ratingBefore: 1050, ratingAfter: 1045 }
+    ]);
+  });
+
+  it('should record the reason and season of a soft reset', () => {
+    const date = new Date('2024-07-01T00:01:00Z');
+
+    const entries = createAdjustmentHistoryEntries({ _id: 'a', elo: 1150 }, { '2v2': -50 }, date, 'reset', '2024-07');
+
+    expect(entries).toEqual([
+      { player: 'a', match: null, format: '2v2', reason: 'reset', season: '2024-07', playedAt: date, ratingBefore: 1200, ratingAfter: 1150 }
+    ]);
+  });
+
+  it('should store how an adjustment was calculated', () => {
+    const date = new Date('2024-07-01T00:01:00Z');
+    const settings = { rate: 0.25, target: 'mean', targetRating: 1100 };
+
+    const [entry] = createAdjustmentHistoryEntries({ _id: 'a', elo: 1175 }, { '2v2': -25 }, date, 'reset', '2024-07', { '2v2': settings });
+
+    expect(entry.adjustment).toEqual(settings);
+    expect(hasAdjustmentSettings(entry)).toBe(true);
+    expect(hasAdjustmentSettings({ ratingBefore: 1200, ratingAfter: 1175 })).toBe(false);
+  });
+
+  it('should reset a changed rating again from the stored settings', () => {
+    const entry = { reason: 'reset', ratingBefore: 1200, ratingAfter: 1175, adjustment: { rate: 0.25, target: 'mean', targetRating: 1100 } };
+
+    expect(getAdjustedRating(entry, 1200)).toBe(1175);
+    expect(getAdjustedRating(entry, 1300)).toBe(1250);
+    expect(getAdjustedRating(entry, 1000)).toBe(1025);
+  });
+
+  it('should decay a changed rating again, never below the baseline', () => {
+    const entry = { reason: 'decay', ratingBefore: 1200, ratingAfter: 1190, adjustment: { rate: 0.05, targetRating: 1000, days: 1 } };
+
+    expect(getAdjustedRating(entry, 1400)).toBe(1380);
+    expect(getAdjustedRating(entry, 1004)).toBe(1004);
+    expect(getAdjustedRating(entry, 990)).toBe(990);
+    expect(getAdjustedRating({ ...entry, adjustment: { ...entry.adjustment, days: 2 } }, 1400)).toBe(1361);
+  });
+
+  it('should add the recorded change of an adjustment without settings', () => {
+    expect(getAdjustedRating({ reason: 'reset', ratingBefore: 1200, ratingAfter: 1175 }, 1300)).toBe(1275);
+  });
+
+  it('should apply decay when it ran and a soft reset at the start of its season', () => {
+    expect(getAdjustmentDate({ reason: 'decay', season: '2024-07', playedAt: new Date('2024-07-12T09:00:00Z') }))
+      .toEqual(new Date('2024-07-12T09:00:00Z'));
+    expect(getAdjustmentDate({ reason: 'reset', season: '2024-07', playedAt: new Date('2024-07-03T10:00:00Z') }))
+      .toEqual(new Date('2024-07-01T00:00:00Z'));
+  });
+});
\ No newline at end of file
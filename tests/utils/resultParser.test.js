@@ -0,0 +1,82 @@
+const { parseResultText, parseMatchupText, parseBackdatedResultText } = require('../../src/utils/resultParser');
+
+describe('resultParser', () => {
+  it('should parse winners, losers and score', () => {
+    expect(parseResultText('@alice @bob beat @carol @dave 10-4')).toEqual({
+      winners: ['alice', 'bob'],
+      losers: ['carol', 'dave'],
+      score: { winners: 10, losers: 4 }
+    });
+  });
+
+  it('should accept aliases, other verbs and score separators', () => {
+    expect(parseResultText('Ace bob DEFEATED carol Dave 10 : 0')).toEqual({
+      winners: ['Ace', 'bob'],
+      losers: ['carol', 'Dave'],
+      score: { winners: 10, losers: 0 }
+    });
+    expect(parseResultText('a b beats c d 10–7').score).toEqual({ winners: 10, losers: 7 });
+  });
+
+  it('should require the verb between the teams', () => {
+    expect(() => parseResultText('a b c d 10-4')).toThrow('Missing "beat"');
+  });
+
+  it('should require a final score', () => {
+    expect(() => parseResultText('a b beat c d')).toThrow('Missing final score');
+  });
+
+  it('should require teams of equal size', () => {
+    expect(() => parseResultText('a beat c d 10-4')).toThrow('Both teams must have 1 player (1v1) or 2 players (2v2)');
+    expect(() => parseResultText('a b beat c 10-4')).toThrow('Both teams must have 1 player (1v1) or 2 players (2v2)');
+    expect(() => parseResultText('a b e beat c d f 10-4')).toThrow('Both teams must have 1 player (1v1) or 2 players (2v2)');
+  });
+
+  it('should parse a 1v1 result', () => {
+    expect(parseResultText('@alice beat @carol 10-8')).toEqual({
+      winners: ['alice'],
+      losers: ['carol'],
+      score: { winners: 10, losers: 8 }
+    });
+  });
+
+  it('should reject a score where the winners did not score more', () => {
+    expect(() => parseResultText('a b beat c d 4-10')).toThrow('The winning team must score more goals');
+  });
+
+  describe('parseMatchupText', () => {
+    it('should parse two teams separated by vs', () => {
+      expect(parseMatchupText('@alice @bob vs @carol @dave')).toEqual({
+        team1: ['alice', 'bob'],
+        team2: ['carol', 'dave']
+      });
+      expect(parseMatchupText('alice VS. carol')).toEqual({ team1: ['alice'], team2: ['carol'] });
+    });
+
+    it('should reject a missing separator or uneven teams', () => {
+      expect(() => parseMatchupText('@alice @bob @carol @dave')).toThrow('Missing "vs" between the two teams');
+      expect(() => parseMatchupText('a b vs c')).toThrow('Both teams must have 1 player (1v1) or 2 players (2v2)');
+    });
+  });
+
+  describe('parseBackdatedResultText', () => {
+    it('should parse the date, time and result', () => {
+      expect(parseBackdatedResultText('2024-06-14 12:30 @alice @bob beat @carol @dave 10-4')).toEqual({
+        playedAt: new Date('2024-06-14T12:30:00Z'),
+        winners: ['alice', 'bob'],
+        losers: ['carol', 'dave'],
+        score: { winners: 10, losers: 4 }
+      });
+    });
+
+    it('should default to midday when no time is given', () => {
+      expect(parseBackdatedResultText('2024-06-14 alice beat carol 10-8').playedAt).toEqual(new Date('2024-06-14T12:00:00Z'));
+    });
+
+    it('should reject missing and impossible dates', () => {
+      expect(() => parseBackdatedResultText('alice beat carol 10-8')).toThrow('Missing match date');
+      expect(() => parseBackdatedResultText('2024-02-31 alice beat carol 10-8')).toThrow('Invalid match date');
+      expect(() => parseBackdatedResultText('2024-06-14 25:00 alice beat carol 10-8')).toThrow('Invalid match date');
+    });
+  });
+});
\ No newline at end of file
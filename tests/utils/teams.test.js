@@ -0,0 +1,50 @@
+const teams = require('../../src/utils/teams');
+
+describe('teams utils', () => {
+  const createTeam = (data = {}) => ({
+    elo: 1000,
+    matches: 10,
+    wins: 0,
+    currentStreak: 0,
+    longestWinStreak: 0,
+    longestLossStreak: 0,
+    ...data
+  });
+
+  it('should give a pair the same key in either order', () => {
+    expect(teams.getTeamKey(['b2', 'a1'])).toBe('a1-b2');
+    expect(teams.getTeamKey([{ _id: 'a1' }, { _id: 'b2' }])).toBe('a1-b2');
+    expect(teams.getTeamPlayerIds(['b2', 'a1'])).toEqual(['a1', 'b2']);
+  });
+
+  it('should rate a match as one team against the other', () => {
+    const changes = teams.calculateTeamResultChanges({}, createTeam(), createTeam());
+    expect(changes).toEqual({ winners: 16, losers: -16 });
+  });
+
+  it('should use the provisional K-factor for new teams and the margin of the win', () => {
+    const newTeams = teams.calculateTeamResultChanges({}, createTeam({ matches: 0 }), createTeam({ matches: 0 }));
+    expect(newTeams.winners).toBe(24);
+
+    const marginSettings = { curve: 'linear', weight: 0.5, damping: 2.2 };
+    const dryWin = teams.calculateTeamResultChanges({ score: { winners: 10, losers: 0 }, isDryWin: true }, createTeam(), createTeam(), { marginSettings });
+    expect(dryWin.winners).toBeGreaterThan(16);
+  });
+
+  it('should track wins, losses and streaks', () => {
+    const team = createTeam();
+    const playedAt = new Date('2024-06-01');
+    teams.addTeamResult(team, true, 16, playedAt);
+    teams.addTeamResult(team, true, 15, playedAt);
+    expect(team).toMatchObject({ elo: 1031, matches: 12, wins: 2, currentStreak: 2, longestWinStreak: 2, lastPlayedAt: playedAt });
+
+    teams.addTeamResult(team, false, -17, playedAt);
+    expect(team).toMatchObject({ elo: 1014, wins: 2, currentStreak: -1, longestWinStreak: 2, longestLossStreak: 1 });
+  });
+
+  it('should format the current streak', () => {
+    expect(teams.formatTeamStreak(3)).toBe('W3');
+    expect(teams.formatTeamStreak(-2)).toBe('L2');
+    expect(teams.formatTeamStreak(0)).toBe('-');
+  });
+});
\ No newline at end of file